@@ -24,6 +24,7 @@ import ViewDocument from '../view/document';
 import ViewDowncastWriter from '../view/downcastwriter';
 
 import ModelRange from '../model/range';
+import reconcileContent from '../model/utils/reconcilecontent';
 
 /**
  * Controller for the data pipeline. The data pipeline controls how data is retrieved from the document
@@ -162,7 +163,8 @@ export default class DataController {
 			 *
 			 *		data.get( { rootName: 'root2' } );
 			 *
-			 * will throw this error.
+			 * will throw this error. The same applies to roots detached using
+			 * {@link module:engine/model/writer~Writer#detachRoot `Writer#detachRoot()`}.
 			 *
 			 * @error datacontroller-get-non-existent-root
 			 */
@@ -316,10 +318,23 @@ export default class DataController {
 	 *
 	 *		dataController.set( { main: '<p>Foo</p>', title: '<h1>Bar</h1>' } ); // Sets data on the `main` and `title` roots.
 	 *
+	 * By default, the whole content of the roots is replaced and the selection is moved to the beginning of the document.
+	 * When the `diff` option is set, the new data is compared with the current content of the roots and only the differences
+	 * are applied (see {@link module:engine/model/utils/reconcilecontent~reconcileContent `reconcileContent()`}).
+	 * This way the selection, markers and the undo history are preserved, which is useful when the data is updated
+	 * from an external source while the user is editing it. The markers contained in the data (for example, the ones
+	 * restored by the {@link module:engine/conversion/upcasthelpers~UpcastHelpers#dataToMarker `dataToMarker()`} converters)
+	 * are added or updated, and the markers which {@link module:engine/model/markercollection~Marker#affectsData affect the data}
+	 * but are missing in the new data are removed:
+	 *
+	 *		dataController.set( '<p>Foo</p><p>Bar</p>', { diff: true } );
+	 *
 	 * @param {String|Object.<String,String>} data Input data as a string or an object containing `rootName` - `data`
 	 * pairs to set data on multiple roots at once.
+	 * @param {Object} [options]
+	 * @param {Boolean} [options.diff=false] Whether only the differences between the current and the new data should be applied.
 	 */
-	set( data ) {
+	set( data, options = {} ) {
 		let newData = {};
 
 		if ( typeof data === 'string' ) {
@@ -336,7 +351,8 @@ export default class DataController {
 			 *
 			 * 		data.set( { main: '<p>Foo</p>', root2: '<p>Bar</p>' } );
 			 *
-			 * will throw this error.
+			 * will throw this error. The same applies to roots detached using
+			 * {@link module:engine/model/writer~Writer#detachRoot `Writer#detachRoot()`}.
 			 *
 			 * @error datacontroller-set-non-existent-root
 			 */
@@ -344,15 +360,24 @@ export default class DataController {
 		}
 
 		this.model.enqueueChange( 'transparent', writer => {
-			writer.setSelection( null );
-			writer.removeSelectionAttribute( this.model.document.selection.getAttributeKeys() );
+			if ( !options.diff ) {
+				writer.setSelection( null );
+				writer.removeSelectionAttribute( this.model.document.selection.getAttributeKeys() );
+			}
 
 			for ( const rootName of Object.keys( newData ) ) {
 				// Save to model.
 				const modelRoot = this.model.document.getRoot( rootName );
 
-				writer.remove( writer.createRangeIn( modelRoot ) );
-				writer.insert( this.parse( newData[ rootName ], modelRoot ), modelRoot, 0 );
+				if ( options.diff ) {
+					const modelFragment = this.parse( newData[ rootName ], modelRoot );
+
+					reconcileContent( writer, modelRoot, modelFragment );
+					reconcileMarkers( writer, modelRoot, modelFragment );
+				} else {
+					writer.remove( writer.createRangeIn( modelRoot ) );
+					writer.insert( this.parse( newData[ rootName ], modelRoot ), modelRoot, 0 );
+				}
 			}
 		} );
 	}
@@ -419,7 +444,8 @@ export default class DataController {
 	}
 
 	/**
-	 * Checks if all provided root names are existing editor roots.
+	 * Checks if all provided root names are existing editor roots. Roots that were detached using
+	 * {@link module:engine/model/writer~Writer#detachRoot `Writer#detachRoot()`} are not treated as existing.
 	 *
 	 * @private
 	 * @param {Array.<String>} rootNames Root names to check.
@@ -479,3 +505,32 @@ function _getMarkersRelativeToElement( element ) {
 
 	return result;
 }
+
+// Helper function for setting the data in the diff mode.
+//
+// Adds or updates the markers of the document fragment in the root and removes the markers which affect the data
+// of the root but are not in the document fragment. The content of the root was already reconciled with the content
+// of the document fragment, so the paths of the marker ranges in the document fragment are the same in the root.
+function reconcileMarkers( writer, modelRoot, modelFragment ) {
+	const markers = writer.model.markers;
+
+	for ( const [ markerName, markerRange ] of modelFragment.markers ) {
+		const range = writer.createRange(
+			writer.createPositionFromPath( modelRoot, markerRange.start.path ),
+			writer.createPositionFromPath( modelRoot, markerRange.end.path )
+		);
+		const options = { range, usingOperation: true, affectsData: true };
+
+		if ( !markers.has( markerName ) ) {
+			writer.addMarker( markerName, options );
+		} else if ( !markers.get( markerName ).getRange().isEqual( range ) ) {
+			writer.updateMarker( markerName, options );
+		}
+	}
+
+	for ( const marker of Array.from( markers ) ) {
+		if ( marker.affectsData && marker.getRange().root == modelRoot && !modelFragment.markers.has( marker.name ) ) {
+			writer.removeMarker( marker );
+		}
+	}
+}
@@ -11,11 +11,18 @@ import RootEditableElement from '../view/rooteditableelement';
 import View from '../view/view';
 import Mapper from '../conversion/mapper';
 import DowncastDispatcher from '../conversion/downcastdispatcher';
-import { clearAttributes, convertCollapsedSelection, convertRangeSelection, insertText, remove } from '../conversion/downcasthelpers';
+import DowncastHelpers, {
+	clearAttributes,
+	convertCollapsedSelection,
+	convertRangeSelection,
+	insertText,
+	remove
+} from '../conversion/downcasthelpers';
 
 import ObservableMixin from '@ckeditor/ckeditor5-utils/src/observablemixin';
 import mix from '@ckeditor/ckeditor5-utils/src/mix';
 import { convertSelectionChange } from '../conversion/upcasthelpers';
+import { injectProtectedRanges } from '../model/utils/protectedranges';
 
 // @if CK_DEBUG_ENGINE // const { dumpTrees, initDocumentDumping } = require( '../dev-utils/utils' );
 
@@ -68,6 +75,14 @@ export default class EditingController {
 			mapper: this.mapper
 		} );
 
+		/**
+		 * Whether the protected ranges were enabled using {@link #enableProtectedRanges}.
+		 *
+		 * @private
+		 * @member {Boolean} #_areProtectedRangesEnabled
+		 */
+		this._areProtectedRangesEnabled = false;
+
 		const doc = this.model.document;
 		const selection = doc.selection;
 		const markers = this.model.markers;
@@ -107,6 +122,28 @@ export default class EditingController {
 		this.downcastDispatcher.on( 'selection', convertRangeSelection(), { priority: 'low' } );
 		this.downcastDispatcher.on( 'selection', convertCollapsedSelection(), { priority: 'low' } );
 
+		const downcastHelpers = new DowncastHelpers( [ this.downcastDispatcher ] );
+
+		// Render the remote selections (see `module:engine/model/remoteselectioncollection`). The highlight depends only
+		// on the marker name, because the same highlight descriptor is needed to remove it.
+		downcastHelpers.markerToHighlight( {
+			model: 'remoteSelection',
+			view: data => ( {
+				classes: 'ck-remote-selection',
+				attributes: { 'data-user': data.markerName.slice( 'remoteSelection:'.length, data.markerName.lastIndexOf( ':' ) ) }
+			} ),
+			converterPriority: 'low'
+		} );
+
+		downcastHelpers.markerToElement( {
+			model: 'remoteCaret',
+			view: ( data, viewWriter ) => viewWriter.createUIElement( 'span', {
+				class: 'ck-remote-caret',
+				'data-user': data.markerName.slice( 'remoteCaret:'.length )
+			} ),
+			converterPriority: 'low'
+		} );
+
 		// Binds {@link module:engine/view/document~Document#roots view roots collection} to
 		// {@link module:engine/model/document~Document#roots model roots collection} so creating
 		// model root automatically creates corresponding view root.
@@ -135,6 +172,31 @@ export default class EditingController {
 		// @if CK_DEBUG_ENGINE // }, { priority: 'lowest' } );
 	}
 
+	/**
+	 * Enables the {@link module:engine/model/utils/protectedranges~injectProtectedRanges protected ranges} in the model
+	 * and renders them as non-editable `<span class="ck-protected" contenteditable="false">` elements.
+	 *
+	 * The protected ranges are disabled by default. Calling this method more than once has no effect.
+	 */
+	enableProtectedRanges() {
+		if ( this._areProtectedRangesEnabled ) {
+			return;
+		}
+
+		this._areProtectedRangesEnabled = true;
+
+		injectProtectedRanges( this.model );
+
+		new DowncastHelpers( [ this.downcastDispatcher ] ).markerToHighlight( {
+			model: 'protected',
+			view: {
+				classes: 'ck-protected',
+				attributes: { contenteditable: 'false' }
+			},
+			converterPriority: 'low'
+		} );
+	}
+
 	/**
 	 * Removes all event listeners attached to the `EditingController`. Destroys all objects created
 	 * by `EditingController` that need to be destroyed.
@@ -116,29 +116,48 @@ export default class DowncastDispatcher {
 		 * @member {module:engine/conversion/downcastdispatcher~DowncastConversionApi}
 		 */
 		this.conversionApi = extend( { dispatcher: this }, conversionApi );
+
+		/**
+		 * Maps model element names to the changes which trigger re-rendering of the whole element.
+		 *
+		 * Each value is an object with the `attributes` set (keys of the element attributes), the `children` set
+		 * (names of the element children which insertion or removal triggers the re-rendering) and the `allChildren` flag.
+		 *
+		 * @private
+		 * @member {Map.<String,Object>}
+		 */
+		this._reconversionTriggers = new Map();
 	}
 
 	/**
 	 * Takes {@link module:engine/model/differ~Differ model differ} object with buffered changes and fires conversion basing on it.
 	 *
+	 * Before the conversion starts, elements affected by changes that were registered as their
+	 * {@link #_registerReconversionTriggers re-rendering triggers} are marked in the differ for
+	 * {@link module:engine/model/differ~Differ#refreshItem refreshing} and are then {@link #reconvertElement re-converted}.
+	 *
 	 * @param {module:engine/model/differ~Differ} differ Differ object with buffered changes.
 	 * @param {module:engine/model/markercollection~MarkerCollection} markers Markers connected with converted model.
 	 * @param {module:engine/view/downcastwriter~DowncastWriter} writer View writer that should be used to modify view document.
 	 */
 	convertChanges( differ, markers, writer ) {
+		// Mark elements that need to be re-rendered before anything is read from the differ.
+		const refreshedElements = this._refreshTriggeredElements( differ );
+
 		// Before the view is updated, remove markers which have changed.
 		for ( const change of differ.getMarkersToRemove() ) {
 			this.convertMarkerRemove( change.name, change.range, writer );
 		}
 
 		// Convert changes that happened on model tree.
-		for ( const entry of differ.getChanges() ) {
-			if ( entry.type == 'insert' ) {
+		for ( const entry of mapRefreshedElementsChanges( differ.getChanges(), refreshedElements ) ) {
+			if ( entry.type == 'reconvert' ) {
+				this.reconvertElement( entry.element, writer );
+			} else if ( entry.type == 'insert' ) {
 				this.convertInsert( Range._createFromPositionAndShift( entry.position, entry.length ), writer );
 			} else if ( entry.type == 'remove' ) {
 				this.convertRemove( entry.position, entry.length, entry.name, writer );
-			} else {
-				// entry.type == 'attribute'.
+			} else if ( entry.type == 'attribute' ) {
 				this.convertAttribute( entry.range, entry.attributeKey, entry.attributeOldValue, entry.attributeNewValue, writer );
 			}
 		}
@@ -199,6 +218,66 @@ export default class DowncastDispatcher {
 		this._clearConversionApi();
 	}
 
+	/**
+	 * Re-renders the whole view structure of the given model element.
+	 *
+	 * The old view of the element is removed and the element is converted again, together with its whole subtree.
+	 * However, the {@link module:engine/view/editableelement~EditableElement nested editables} rendered for the descendants
+	 * of the element are not replaced. Their previous instances are filled with the newly converted content and
+	 * put in place of the new ones. Thanks to that, their DOM elements are kept by the renderer (together with the DOM selection
+	 * or focus inside them, as long as the selection is still valid).
+	 *
+	 * This method is used by {@link #convertChanges} for elements which were refreshed because of their re-rendering triggers
+	 * (see the `triggerBy` option of the
+	 * {@link module:engine/conversion/downcasthelpers~DowncastHelpers#elementToElement `elementToElement()` downcast helper}).
+	 *
+	 * @param {module:engine/model/element~Element} element The model element to re-render.
+	 * @param {module:engine/view/downcastwriter~DowncastWriter} writer View writer that should be used to modify view document.
+	 */
+	reconvertElement( element, writer ) {
+		const mapper = this.conversionApi.mapper;
+		const currentView = mapper.toViewElement( element );
+		const editablesToReuse = new Map();
+
+		if ( currentView ) {
+			for ( const item of Range._createIn( element ).getItems() ) {
+				const viewElement = item.is( 'element' ) && mapper.toViewElement( item );
+
+				if ( viewElement && viewElement.is( 'editableElement' ) ) {
+					editablesToReuse.set( item, viewElement );
+				}
+			}
+
+			writer.remove( currentView );
+		}
+
+		this.convertInsert( Range._createOn( element ), writer );
+
+		if ( currentView ) {
+			// The old view structure is no longer used. Model elements are already bound to the new view elements.
+			mapper.unbindViewElement( currentView );
+
+			for ( const viewItem of writer.createRangeIn( currentView ).getItems() ) {
+				if ( viewItem.is( 'element' ) ) {
+					mapper.unbindViewElement( viewItem );
+				}
+			}
+		}
+
+		for ( const [ modelElement, oldViewEditable ] of editablesToReuse ) {
+			const newViewEditable = mapper.toViewElement( modelElement );
+
+			if ( !newViewEditable || !newViewEditable.is( 'editableElement' ) || newViewEditable.name != oldViewEditable.name ) {
+				continue;
+			}
+
+			replaceViewElement( newViewEditable, oldViewEditable, writer );
+
+			mapper.unbindViewElement( newViewEditable );
+			mapper.bindElements( modelElement, oldViewEditable );
+		}
+	}
+
 	/**
 	 * Fires conversion of a single node removal. Fires {@link #event:remove remove event} with provided data.
 	 *
@@ -388,6 +467,101 @@ export default class DowncastDispatcher {
 		this._clearConversionApi();
 	}
 
+	/**
+	 * Registers changes which trigger re-rendering of the whole view structure of the given model element.
+	 *
+	 * It is used by the `triggerBy` option of the
+	 * {@link module:engine/conversion/downcasthelpers~DowncastHelpers#elementToElement `elementToElement()` downcast helper}.
+	 *
+	 * @protected
+	 * @param {String} elementName The name of the model element.
+	 * @param {Object} triggerBy Re-rendering triggers.
+	 * @param {Array.<String>} [triggerBy.attributes] Keys of the element attributes which change triggers re-rendering.
+	 * @param {Array.<String>|Boolean} [triggerBy.children] Names of the element children which insertion or removal triggers
+	 * re-rendering or `true` if insertion or removal of any child should trigger it.
+	 */
+	_registerReconversionTriggers( elementName, triggerBy ) {
+		if ( !this._reconversionTriggers.has( elementName ) ) {
+			this._reconversionTriggers.set( elementName, { attributes: new Set(), children: new Set(), allChildren: false } );
+		}
+
+		const triggers = this._reconversionTriggers.get( elementName );
+
+		for ( const key of triggerBy.attributes || [] ) {
+			triggers.attributes.add( key );
+		}
+
+		if ( triggerBy.children === true ) {
+			triggers.allChildren = true;
+		} else {
+			for ( const name of triggerBy.children || [] ) {
+				triggers.children.add( name );
+			}
+		}
+	}
+
+	/**
+	 * Checks the changes buffered in the given differ and {@link module:engine/model/differ~Differ#refreshItem refreshes}
+	 * all elements that are affected by their re-rendering triggers.
+	 *
+	 * @private
+	 * @param {module:engine/model/differ~Differ} differ Differ object with buffered changes.
+	 * @returns {Set.<module:engine/model/element~Element>} Refreshed elements.
+	 */
+	_refreshTriggeredElements( differ ) {
+		const elements = new Set();
+
+		if ( !this._reconversionTriggers.size ) {
+			return elements;
+		}
+
+		for ( const entry of differ.getChanges() ) {
+			if ( entry.type == 'attribute' ) {
+				for ( const item of entry.range.getItems( { shallow: true } ) ) {
+					if ( item.is( 'element' ) && this._isReconversionTrigger( item, 'attributes', entry.attributeKey ) ) {
+						elements.add( item );
+					}
+				}
+			} else if ( entry.type == 'insert' || entry.type == 'remove' ) {
+				const parent = entry.position.parent;
+
+				if ( this._isReconversionTrigger( parent, 'children', entry.name ) ) {
+					elements.add( parent );
+				}
+			}
+		}
+
+		for ( const element of elements ) {
+			differ.refreshItem( element );
+		}
+
+		return elements;
+	}
+
+	/**
+	 * Checks whether the given model element should be re-rendered because of the change of given type.
+	 *
+	 * @private
+	 * @param {module:engine/model/element~Element} element Changed element.
+	 * @param {'attributes'|'children'} type Type of the change.
+	 * @param {String} name The key of the changed attribute or the name of the inserted or removed child.
+	 * @returns {Boolean}
+	 */
+	_isReconversionTrigger( element, type, name ) {
+		// Root elements cannot be refreshed as they are not inserted in any parent.
+		if ( element.is( 'rootElement' ) || !element.isAttached() ) {
+			return false;
+		}
+
+		const triggers = this._reconversionTriggers.get( element.name );
+
+		if ( !triggers ) {
+			return false;
+		}
+
+		return ( type == 'children' && triggers.allChildren ) || triggers[ type ].has( name );
+	}
+
 	/**
 	 * Creates {@link module:engine/conversion/modelconsumable~ModelConsumable} with values to consume from given range,
 	 * assuming that the range has just been inserted to the model.
@@ -631,6 +805,63 @@ function shouldMarkerChangeBeConverted( modelPosition, marker, mapper ) {
 	return !hasCustomHandling;
 }
 
+// Replaces the pairs of `remove` and `insert` changes which were created by refreshing the given elements
+// with a single `reconvert` change.
+//
+// @param {Array.<Object>} changes Changes returned by the differ.
+// @param {Set.<module:engine/model/element~Element>} refreshedElements Elements refreshed before the conversion.
+// @returns {Array.<Object>}
+function mapRefreshedElementsChanges( changes, refreshedElements ) {
+	if ( !refreshedElements.size ) {
+		return changes;
+	}
+
+	const result = [];
+
+	for ( let i = 0; i < changes.length; i++ ) {
+		const entry = changes[ i ];
+		const next = changes[ i + 1 ];
+
+		// The refreshed element is marked as removed and then inserted at the same position. Such changes are always
+		// listed one after another by the differ.
+		if (
+			entry.type == 'remove' && next && next.type == 'insert' &&
+			entry.length == 1 && next.length == 1 &&
+			entry.position.isEqual( next.position ) &&
+			refreshedElements.has( next.position.nodeAfter )
+		) {
+			result.push( { type: 'reconvert', element: next.position.nodeAfter } );
+			i++;
+		} else {
+			result.push( entry );
+		}
+	}
+
+	return result;
+}
+
+// Puts the `oldViewElement` in place of the `newViewElement`. Attributes and children of the new element are moved
+// to the old one, so the old element instance (and its DOM element) can be reused.
+//
+// @param {module:engine/view/element~Element} newViewElement
+// @param {module:engine/view/element~Element} oldViewElement
+// @param {module:engine/view/downcastwriter~DowncastWriter} writer
+function replaceViewElement( newViewElement, oldViewElement, writer ) {
+	writer.remove( writer.createRangeIn( oldViewElement ) );
+
+	for ( const key of Array.from( oldViewElement.getAttributeKeys() ) ) {
+		writer.removeAttribute( key, oldViewElement );
+	}
+
+	for ( const [ key, value ] of newViewElement.getAttributes() ) {
+		writer.setAttribute( key, value, oldViewElement );
+	}
+
+	writer.move( writer.createRangeIn( newViewElement ), writer.createPositionAt( oldViewElement, 0 ) );
+	writer.insert( writer.createPositionBefore( newViewElement ), oldViewElement );
+	writer.remove( newViewElement );
+}
+
 /**
  * Conversion interface that is registered for given {@link module:engine/conversion/downcastdispatcher~DowncastDispatcher}
  * and is passed as one of parameters when {@link module:engine/conversion/downcastdispatcher~DowncastDispatcher dispatcher}
@@ -57,6 +57,25 @@ export default class DowncastHelpers extends ConversionHelpers {
 	 *			}
 	 *		} );
 	 *
+	 * If the view structure of an element depends on its attributes or children, use the `triggerBy` option. Changing
+	 * any of the listed attributes or inserting or removing any of the listed children will re-render the whole view structure
+	 * of the element (see {@link module:engine/conversion/downcastdispatcher~DowncastDispatcher#reconvertElement}).
+	 * Nested editables rendered inside the element are preserved:
+	 *
+	 *		editor.conversion.for( 'downcast' ).elementToElement( {
+	 *			model: 'complex',
+	 *			view: ( modelElement, viewWriter ) => {
+	 *				const type = modelElement.getAttribute( 'type' );
+	 *				const childCount = modelElement.childCount;
+	 *
+	 *				return viewWriter.createContainerElement( 'div', { class: `complex-${ type }-${ childCount }` } );
+	 *			},
+	 *			triggerBy: {
+	 *				attributes: [ 'type' ],
+	 *				children: [ 'slide' ]
+	 *			}
+	 *		} );
+	 *
 	 * See {@link module:engine/conversion/conversion~Conversion#for `conversion.for()`} to learn how to add a converter
 	 * to the conversion process.
 	 *
@@ -66,12 +85,74 @@ export default class DowncastHelpers extends ConversionHelpers {
 	 * @param {module:engine/view/elementdefinition~ElementDefinition|Function} config.view A view element definition or a function
 	 * that takes the model element and {@link module:engine/view/downcastwriter~DowncastWriter view downcast writer}
 	 * as parameters and returns a view container element.
+	 * @param {Object} [config.triggerBy] Changes which trigger re-rendering of the whole view structure of the element.
+	 * @param {Array.<String>} [config.triggerBy.attributes] Keys of the element attributes which change triggers re-rendering.
+	 * @param {Array.<String>} [config.triggerBy.children] Names of the element children which insertion or removal
+	 * triggers re-rendering.
 	 * @returns {module:engine/conversion/downcasthelpers~DowncastHelpers}
 	 */
 	elementToElement( config ) {
 		return this.add( downcastElementToElement( config ) );
 	}
 
+	/**
+	 * Model element to view structure conversion helper.
+	 *
+	 * This conversion results in creating a view structure in which the children of the model element are distributed
+	 * into several view containers (slots). For example, a model `<figure>` element with `<caption>` and `<paragraph>`
+	 * children can be converted to:
+	 *
+	 *		<figure><div class="body"><p>...</p><p>...</p></div><figcaption>...</figcaption></figure>
+	 *
+	 * using the following configuration:
+	 *
+	 *		editor.conversion.for( 'downcast' ).elementToStructure( {
+	 *			model: 'figure',
+	 *			view: ( modelElement, viewWriter ) => {
+	 *				const figure = viewWriter.createContainerElement( 'figure' );
+	 *				const body = viewWriter.createContainerElement( 'div', { class: 'body' } );
+	 *				const caption = viewWriter.createContainerElement( 'figcaption' );
+	 *
+	 *				viewWriter.insert( viewWriter.createPositionAt( figure, 0 ), [ body, caption ] );
+	 *
+	 *				return figure;
+	 *			},
+	 *			slots: [
+	 *				{ view: viewFigure => viewFigure.getChild( 1 ), children: 'caption' },
+	 *				{ view: viewFigure => viewFigure.getChild( 0 ) }
+	 *			]
+	 *		} );
+	 *
+	 * Each model child is rendered in the first slot which `children` option accepts it. A slot without the `children`
+	 * option accepts all remaining children. See {@link module:engine/conversion/mapper~Mapper#bindSlots} to learn how
+	 * the positions are mapped between the model element and its slots.
+	 *
+	 * As the children of the element are not rendered in a single view container, inserting or removing any of them
+	 * re-renders the whole view structure (see
+	 * {@link module:engine/conversion/downcastdispatcher~DowncastDispatcher#reconvertElement}). Changes done inside
+	 * the children are converted as usual.
+	 *
+	 * See {@link module:engine/conversion/conversion~Conversion#for `conversion.for()`} to learn how to add a converter
+	 * to the conversion process.
+	 *
+	 * @method #elementToStructure
+	 * @param {Object} config Conversion configuration.
+	 * @param {String} config.model The name of the model element to convert.
+	 * @param {Function} config.view A function that takes the model element and
+	 * {@link module:engine/view/downcastwriter~DowncastWriter view downcast writer} as parameters and returns a view container
+	 * element with the whole structure.
+	 * @param {Array.<Object>} config.slots Slots definitions. Each slot is an object with the `view` property (a function that takes
+	 * the view element created by `config.view` and returns the view container for the slot) and the optional `children` property
+	 * (a name of a model child, an array of names or a function that takes a model child node and returns a boolean value).
+	 * @param {Object} [config.triggerBy] Changes which trigger re-rendering of the whole view structure of the element.
+	 * @param {Array.<String>} [config.triggerBy.attributes] Keys of the element attributes which change triggers re-rendering.
+	 * @param {module:utils/priorities~PriorityString} [config.converterPriority='normal'] Converter priority.
+	 * @returns {module:engine/conversion/downcasthelpers~DowncastHelpers}
+	 */
+	elementToStructure( config ) {
+		return this.add( downcastElementToStructure( config ) );
+	}
+
 	/**
 	 * Model attribute to view element conversion helper.
 	 *
@@ -357,6 +438,105 @@ export default class DowncastHelpers extends ConversionHelpers {
 	markerToHighlight( config ) {
 		return this.add( downcastMarkerToHighlight( config ) );
 	}
+
+	/**
+	 * Model marker to view data conversion helper.
+	 *
+	 * **Note**: This method should be used only for editor output generation (e.g.
+	 * {@link module:engine/controller/datacontroller~DataController#get `DataController#get()`}). To show markers
+	 * in the editing view, use {@link #markerToHighlight} or {@link #markerToElement}.
+	 *
+	 * This helper lets you store markers in the data, so they can be restored using the
+	 * {@link module:engine/conversion/upcasthelpers~UpcastHelpers#dataToMarker `dataToMarker()` upcast helper}.
+	 *
+	 * Marker boundaries are stored as data attributes on the elements that are next to the boundary. The attribute name is
+	 * built of the marker group, the boundary type (`start` or `end`) and information whether the boundary is `before` or
+	 * `after` the element. The attribute value is a comma-separated list of marker names:
+	 *
+	 *		<p data-comment-end-after="foo" data-comment-start-before="foo">...</p>
+	 *
+	 * If there is no element next to the boundary (for example, when the boundary is inside text), a boundary element is
+	 * inserted instead:
+	 *
+	 *		<p>Fo<comment-start name="foo"></comment-start>o ba<comment-end name="foo"></comment-end>r</p>
+	 *
+	 * By default, the marker name is split at the first `:` character. The first part is used as the marker group
+	 * and the rest is used as the name stored in the view:
+	 *
+	 *		editor.conversion.for( 'dataDowncast' ).markerToData( { model: 'comment' } );
+	 *
+	 * A function returning an object with the `group` and `name` properties may be passed as `config.view` to customize this.
+	 * If the function returns a falsy value, the marker is not converted:
+	 *
+	 *		editor.conversion.for( 'dataDowncast' ).markerToData( {
+	 *			model: 'comment',
+	 *			view: markerName => ( {
+	 *				group: 'annotation',
+	 *				name: markerName.substr( 8 )
+	 *			} )
+	 *		} );
+	 *
+	 * See {@link module:engine/conversion/conversion~Conversion#for `conversion.for()`} to learn how to add a converter
+	 * to the conversion process.
+	 *
+	 * @method #markerToData
+	 * @param {Object} config Conversion configuration.
+	 * @param {String} config.model The name of the model marker (or model marker group) to convert.
+	 * @param {Function} [config.view] A function that takes the model marker name as a parameter and returns an object
+	 * with the `group` and `name` properties.
+	 * @param {module:utils/priorities~PriorityString} [config.converterPriority='normal'] Converter priority.
+	 * @returns {module:engine/conversion/downcasthelpers~DowncastHelpers}
+	 */
+	markerToData( config ) {
+		return this.add( downcastMarkerToData( config ) );
+	}
+
+	/**
+	 * Model marker to view attribute conversion helper.
+	 *
+	 * This conversion results in setting an attribute on the view elements covered by the marker, without wrapping
+	 * or inserting anything. It is useful to reflect a marker on block elements, for example, to mark paragraphs that
+	 * contain a comment.
+	 *
+	 * The attribute is set on:
+	 *
+	 * * all elements that are fully covered by the marker range,
+	 * * the elements in which the marker range starts and ends (elements partly covered by the marker).
+	 *
+	 * Only model elements that are mapped to view elements are affected. When the marker is removed or its range changes,
+	 * the attribute is removed. If several markers converted by the same helper set the same attribute (or the same class)
+	 * on an element, it stays on the element until the last of these markers is removed from it.
+	 *
+	 *		editor.conversion.for( 'editingDowncast' ).markerToAttribute( {
+	 *			model: 'comment',
+	 *			view: { key: 'class', value: 'has-comment' }
+	 *		} );
+	 *
+	 *		editor.conversion.for( 'editingDowncast' ).markerToAttribute( {
+	 *			model: 'comment',
+	 *			view: markerName => ( {
+	 *				key: 'data-comment',
+	 *				value: markerName.split( ':' )[ 1 ]
+	 *			} )
+	 *		} );
+	 *
+	 * The `class` key accepts a class name or an array of class names. The `style` key accepts an object with styles.
+	 * If the `config.view` function returns a falsy value, the marker is not converted.
+	 *
+	 * See {@link module:engine/conversion/conversion~Conversion#for `conversion.for()`} to learn how to add a converter
+	 * to the conversion process.
+	 *
+	 * @method #markerToAttribute
+	 * @param {Object} config Conversion configuration.
+	 * @param {String} config.model The name of the model marker (or model marker group) to convert.
+	 * @param {Object|Function} config.view An object with the `key` and `value` properties or a function that takes
+	 * the model marker name as a parameter and returns such an object.
+	 * @param {module:utils/priorities~PriorityString} [config.converterPriority='normal'] Converter priority.
+	 * @returns {module:engine/conversion/downcasthelpers~DowncastHelpers}
+	 */
+	markerToAttribute( config ) {
+		return this.add( downcastMarkerToAttribute( config ) );
+	}
 }
 
 /**
@@ -668,6 +848,59 @@ export function insertElement( elementCreator ) {
 	};
 }
 
+/**
+ * Function factory that creates a converter which converts node insertion changes from the model to a view structure
+ * with {@link module:engine/conversion/mapper~Mapper#bindSlots slots}.
+ *
+ * Works like {@link ~insertElement} but additionally binds the slots returned by `slotsCreator` to the model element,
+ * so the children of the model element are converted into the slots.
+ *
+ *		downcastDispatcher.on(
+ *			'insert:figure',
+ *			insertStructure(
+ *				( modelItem, viewWriter ) => {
+ *					const figure = viewWriter.createContainerElement( 'figure' );
+ *
+ *					viewWriter.insert( viewWriter.createPositionAt( figure, 0 ), [
+ *						viewWriter.createContainerElement( 'div' ),
+ *						viewWriter.createContainerElement( 'figcaption' )
+ *					] );
+ *
+ *					return figure;
+ *				},
+ *				viewFigure => [
+ *					{ viewElement: viewFigure.getChild( 1 ), filter: node => node.is( 'caption' ) },
+ *					{ viewElement: viewFigure.getChild( 0 ) }
+ *				]
+ *			)
+ *		);
+ *
+ * @protected
+ * @param {Function} elementCreator Function returning a view element, which will be inserted.
+ * @param {Function} slotsCreator Function that takes the created view element and returns the slots definitions
+ * (see {@link module:engine/conversion/mapper~Mapper#bindSlots}).
+ * @returns {Function} Insert element event converter.
+ */
+export function insertStructure( elementCreator, slotsCreator ) {
+	return ( evt, data, conversionApi ) => {
+		const viewElement = elementCreator( data.item, conversionApi.writer );
+
+		if ( !viewElement ) {
+			return;
+		}
+
+		if ( !conversionApi.consumable.consume( data.item, 'insert' ) ) {
+			return;
+		}
+
+		const viewPosition = conversionApi.mapper.toViewPosition( data.range.start );
+
+		conversionApi.mapper.bindElements( data.item, viewElement );
+		conversionApi.mapper.bindSlots( data.item, slotsCreator( viewElement ) );
+		conversionApi.writer.insert( viewPosition, viewElement );
+	};
+}
+
 /**
  * Function factory that creates a converter which converts marker adding change to the
  * {@link module:engine/view/uielement~UIElement view UI element}.
@@ -755,6 +988,330 @@ function removeUIElement() {
 	};
 }
 
+// Function factory that returns a default downcast converter for adding marker data to the view.
+//
+// Marker boundaries are stored as data attributes on the elements next to the boundary or, if there is no such element,
+// as boundary UI elements. All the view elements are bound with the marker name, so they can be cleaned up when the marker
+// is removed.
+//
+// @param {Function} viewCreator Function that takes the marker name and returns an object with the `group` and `name` properties.
+// @returns {Function} Add marker converter.
+function insertMarkerData( viewCreator ) {
+	return ( evt, data, conversionApi ) => {
+		const viewMarkerData = viewCreator( data.markerName );
+
+		if ( !viewMarkerData ) {
+			return;
+		}
+
+		const markerRange = data.markerRange;
+
+		if ( !conversionApi.consumable.consume( markerRange, evt.name ) ) {
+			return;
+		}
+
+		// Adding closing data first to keep the proper order in the view.
+		handleMarkerBoundary( markerRange, false, conversionApi, data, viewMarkerData );
+		handleMarkerBoundary( markerRange, true, conversionApi, data, viewMarkerData );
+
+		evt.stop();
+	};
+}
+
+// Stores one boundary of the marker in the view. If there is an element next to the boundary, the boundary is stored
+// as an attribute on that element. Otherwise, a boundary UI element is inserted.
+//
+// @param {module:engine/model/range~Range} range Marker range.
+// @param {Boolean} isStart Whether the start or the end boundary should be handled.
+// @param {Object} conversionApi Conversion API.
+// @param {Object} data Conversion data.
+// @param {Object} viewMarkerData Object with the `group` and `name` properties.
+function handleMarkerBoundary( range, isStart, conversionApi, data, viewMarkerData ) {
+	const modelPosition = isStart ? range.start : range.end;
+	const elementAfter = modelPosition.nodeAfter && modelPosition.nodeAfter.is( 'element' ) ? modelPosition.nodeAfter : null;
+	const elementBefore = modelPosition.nodeBefore && modelPosition.nodeBefore.is( 'element' ) ? modelPosition.nodeBefore : null;
+
+	if ( elementAfter || elementBefore ) {
+		let modelElement;
+		let isBefore;
+
+		// The start boundary prefers the element after it, the end boundary prefers the element before it.
+		if ( isStart && elementAfter || !isStart && !elementBefore ) {
+			modelElement = elementAfter;
+			isBefore = true;
+		} else {
+			modelElement = elementBefore;
+			isBefore = false;
+		}
+
+		const viewElement = conversionApi.mapper.toViewElement( modelElement );
+
+		// The element might not have been converted (or it was converted to something that cannot hold attributes).
+		if ( viewElement && viewElement.is( 'containerElement' ) ) {
+			insertMarkerAsAttribute( viewElement, isStart, isBefore, conversionApi, data, viewMarkerData );
+
+			return;
+		}
+	}
+
+	const viewPosition = conversionApi.mapper.toViewPosition( modelPosition );
+
+	insertMarkerAsElement( viewPosition, isStart, conversionApi, data, viewMarkerData );
+}
+
+// Adds the marker name to the data attribute describing the marker boundary.
+//
+// @param {module:engine/view/containerelement~ContainerElement} viewElement Element to set the attribute on.
+// @param {Boolean} isStart Whether the start or the end boundary is stored.
+// @param {Boolean} isBefore Whether the boundary is before or after the element.
+// @param {Object} conversionApi Conversion API.
+// @param {Object} data Conversion data.
+// @param {Object} viewMarkerData Object with the `group` and `name` properties.
+function insertMarkerAsAttribute( viewElement, isStart, isBefore, conversionApi, data, viewMarkerData ) {
+	const attributeName = `data-${ viewMarkerData.group }-${ isStart ? 'start' : 'end' }-${ isBefore ? 'before' : 'after' }`;
+	const markerNames = viewElement.hasAttribute( attributeName ) ? viewElement.getAttribute( attributeName ).split( ',' ) : [];
+
+	// Adding marker name at the beginning to have the same order in the attribute as there is with marker elements.
+	markerNames.unshift( viewMarkerData.name );
+
+	conversionApi.writer.setAttribute( attributeName, markerNames.join( ',' ), viewElement );
+	conversionApi.mapper.bindElementToMarker( viewElement, data.markerName );
+}
+
+// Inserts a UI element representing the marker boundary.
+//
+// @param {module:engine/view/position~Position} position Position at which the element is inserted.
+// @param {Boolean} isStart Whether the start or the end boundary is stored.
+// @param {Object} conversionApi Conversion API.
+// @param {Object} data Conversion data.
+// @param {Object} viewMarkerData Object with the `group` and `name` properties.
+function insertMarkerAsElement( position, isStart, conversionApi, data, viewMarkerData ) {
+	const viewElementName = `${ viewMarkerData.group }-${ isStart ? 'start' : 'end' }`;
+
+	const attrs = viewMarkerData.name ? { 'name': viewMarkerData.name } : null;
+	const viewElement = conversionApi.writer.createUIElement( viewElementName, attrs );
+
+	conversionApi.writer.insert( position, viewElement );
+	conversionApi.mapper.bindElementToMarker( viewElement, data.markerName );
+}
+
+// Function factory that returns a default downcast converter for removing marker data from the view.
+//
+// @param {Function} viewCreator Function that takes the marker name and returns an object with the `group` and `name` properties.
+// @returns {Function} Remove marker converter.
+function removeMarkerData( viewCreator ) {
+	return ( evt, data, conversionApi ) => {
+		const viewData = viewCreator( data.markerName );
+
+		if ( !viewData ) {
+			return;
+		}
+
+		const elements = conversionApi.mapper.markerNameToElements( data.markerName );
+
+		if ( !elements ) {
+			return;
+		}
+
+		for ( const element of elements ) {
+			conversionApi.mapper.unbindElementFromMarkerName( element, data.markerName );
+
+			if ( element.is( 'containerElement' ) ) {
+				removeMarkerFromAttribute( `data-${ viewData.group }-start-before`, element );
+				removeMarkerFromAttribute( `data-${ viewData.group }-start-after`, element );
+				removeMarkerFromAttribute( `data-${ viewData.group }-end-before`, element );
+				removeMarkerFromAttribute( `data-${ viewData.group }-end-after`, element );
+			} else {
+				conversionApi.writer.clear( conversionApi.writer.createRangeOn( element ), element );
+			}
+		}
+
+		conversionApi.writer.clearClonedElementsGroup( data.markerName );
+
+		evt.stop();
+
+		function removeMarkerFromAttribute( attributeName, element ) {
+			if ( element.hasAttribute( attributeName ) ) {
+				const markerNames = new Set( element.getAttribute( attributeName ).split( ',' ) );
+				markerNames.delete( viewData.name );
+
+				if ( markerNames.size == 0 ) {
+					conversionApi.writer.removeAttribute( attributeName, element );
+				} else {
+					conversionApi.writer.setAttribute( attributeName, Array.from( markerNames ).join( ',' ), element );
+				}
+			}
+		}
+	};
+}
+
+// Function factory that returns a downcast converter which sets a view attribute on the elements covered by the marker.
+//
+// Attributes set on each view element are stored in the `elementsData` map, so they can be correctly cleaned up when one of
+// many markers setting the same attribute is removed.
+//
+// @param {Function} attributeCreator Function that takes the marker name and returns an object with the `key` and `value` properties.
+// @param {WeakMap} elementsData Map shared with the remove converter. Keys are view elements and values are maps of marker names
+// to attributes set by these markers.
+// @returns {Function} Add marker converter.
+function insertMarkerAttribute( attributeCreator, elementsData ) {
+	return ( evt, data, conversionApi ) => {
+		const attribute = attributeCreator( data.markerName );
+
+		if ( !attribute ) {
+			return;
+		}
+
+		if ( !conversionApi.consumable.consume( data.markerRange, evt.name ) ) {
+			return;
+		}
+
+		for ( const modelElement of getElementsCoveredByRange( data.markerRange ) ) {
+			const viewElement = conversionApi.mapper.toViewElement( modelElement );
+
+			if ( !viewElement ) {
+				continue;
+			}
+
+			if ( !elementsData.has( viewElement ) ) {
+				elementsData.set( viewElement, new Map() );
+			}
+
+			elementsData.get( viewElement ).set( data.markerName, attribute );
+
+			setViewAttribute( attribute, viewElement, conversionApi.writer );
+			conversionApi.mapper.bindElementToMarker( viewElement, data.markerName );
+		}
+
+		evt.stop();
+	};
+}
+
+// Function factory that returns a downcast converter which removes the view attribute set by the `insertMarkerAttribute()` converter.
+//
+// @param {Function} attributeCreator Function that takes the marker name and returns an object with the `key` and `value` properties.
+// @param {WeakMap} elementsData Map shared with the insert converter.
+// @returns {Function} Remove marker converter.
+function removeMarkerAttribute( attributeCreator, elementsData ) {
+	return ( evt, data, conversionApi ) => {
+		if ( !attributeCreator( data.markerName ) ) {
+			return;
+		}
+
+		const elements = conversionApi.mapper.markerNameToElements( data.markerName );
+
+		if ( !elements ) {
+			return;
+		}
+
+		for ( const viewElement of elements ) {
+			const markersData = elementsData.get( viewElement );
+
+			conversionApi.mapper.unbindElementFromMarkerName( viewElement, data.markerName );
+
+			if ( !markersData || !markersData.has( data.markerName ) ) {
+				continue;
+			}
+
+			const attribute = markersData.get( data.markerName );
+
+			markersData.delete( data.markerName );
+
+			removeViewAttribute( attribute, Array.from( markersData.values() ), viewElement, conversionApi.writer );
+		}
+
+		evt.stop();
+	};
+}
+
+// Returns all model elements that are fully or partly covered by the given range. Partly covered elements are the elements
+// in which the range starts or ends (as long as the range covers some of their content or the range is collapsed).
+//
+// @param {module:engine/model/range~Range} range
+// @returns {Set.<module:engine/model/element~Element>}
+function getElementsCoveredByRange( range ) {
+	const elements = new Set();
+	const { start, end } = range;
+
+	if ( range.isCollapsed || start.offset < start.parent.maxOffset ) {
+		elements.add( start.parent );
+	}
+
+	for ( const item of range.getItems() ) {
+		// Tree walker returns also the elements that are only entered by the range, skip them.
+		if ( item.is( 'element' ) && range.containsRange( ModelRange._createOn( item ), true ) ) {
+			elements.add( item );
+		}
+	}
+
+	if ( !range.isCollapsed && end.offset > 0 ) {
+		elements.add( end.parent );
+	}
+
+	// Root elements are not covered by markers placed inside them.
+	for ( const element of elements ) {
+		if ( element.is( 'rootElement' ) ) {
+			elements.delete( element );
+		}
+	}
+
+	return elements;
+}
+
+// Sets the view attribute described by the `attribute` object (with `key` and `value` properties) on the view element.
+//
+// @param {Object} attribute
+// @param {module:engine/view/element~Element} viewElement
+// @param {module:engine/view/downcastwriter~DowncastWriter} viewWriter
+function setViewAttribute( attribute, viewElement, viewWriter ) {
+	if ( attribute.key == 'class' ) {
+		viewWriter.addClass( attribute.value, viewElement );
+	} else if ( attribute.key == 'style' ) {
+		for ( const key of Object.keys( attribute.value ) ) {
+			viewWriter.setStyle( key, attribute.value[ key ], viewElement );
+		}
+	} else {
+		viewWriter.setAttribute( attribute.key, attribute.value, viewElement );
+	}
+}
+
+// Removes the view attribute described by the `attribute` object from the view element. Parts of the attribute that are also
+// set by other markers (passed in `remainingAttributes`) are kept.
+//
+// @param {Object} attribute
+// @param {Array.<Object>} remainingAttributes
+// @param {module:engine/view/element~Element} viewElement
+// @param {module:engine/view/downcastwriter~DowncastWriter} viewWriter
+function removeViewAttribute( attribute, remainingAttributes, viewElement, viewWriter ) {
+	const remainingWithSameKey = remainingAttributes.filter( remaining => remaining.key == attribute.key );
+
+	if ( attribute.key == 'class' ) {
+		const remainingClasses = new Set();
+
+		for ( const remaining of remainingWithSameKey ) {
+			for ( const className of Array.isArray( remaining.value ) ? remaining.value : [ remaining.value ] ) {
+				remainingClasses.add( className );
+			}
+		}
+
+		const classes = Array.isArray( attribute.value ) ? attribute.value : [ attribute.value ];
+
+		viewWriter.removeClass( classes.filter( className => !remainingClasses.has( className ) ), viewElement );
+	} else if ( attribute.key == 'style' ) {
+		for ( const key of Object.keys( attribute.value ) ) {
+			viewWriter.removeStyle( key, viewElement );
+		}
+
+		for ( const remaining of remainingWithSameKey ) {
+			setViewAttribute( remaining, viewElement, viewWriter );
+		}
+	} else if ( remainingWithSameKey.length ) {
+		setViewAttribute( remainingWithSameKey[ remainingWithSameKey.length - 1 ], viewElement, viewWriter );
+	} else {
+		viewWriter.removeAttribute( attribute.key, viewElement );
+	}
+}
+
 // Function factory that creates a converter which converts set/change/remove attribute changes from the model to the view.
 //
 // Attributes from the model are converted to the view element attributes in the view. You may provide a custom function to generate
@@ -1070,6 +1627,9 @@ function removeHighlight( highlightDescriptor ) {
 // @param {module:engine/view/elementdefinition~ElementDefinition|Function} config.view A view element definition or a function
 // that takes the model element and {@link module:engine/view/downcastwriter~DowncastWriter view downcast writer}
 // as parameters and returns a view container element.
+// @param {Object} [config.triggerBy] Changes which trigger re-rendering of the whole view structure of the element.
+// @param {Array.<String>} [config.triggerBy.attributes] Keys of the element attributes which change triggers re-rendering.
+// @param {Array.<String>} [config.triggerBy.children] Names of the element children which insertion or removal triggers re-rendering.
 // @returns {Function} Conversion helper.
 function downcastElementToElement( config ) {
 	config = cloneDeep( config );
@@ -1078,6 +1638,43 @@ function downcastElementToElement( config ) {
 
 	return dispatcher => {
 		dispatcher.on( 'insert:' + config.model, insertElement( config.view ), { priority: config.converterPriority || 'normal' } );
+
+		if ( config.triggerBy ) {
+			dispatcher._registerReconversionTriggers( config.model, config.triggerBy );
+		}
+	};
+}
+
+// Model element to view structure conversion helper.
+//
+// See {@link ~DowncastHelpers#elementToStructure `.elementToStructure()` downcast helper} for examples.
+//
+// @param {Object} config Conversion configuration.
+// @param {String} config.model The name of the model element to convert.
+// @param {Function} config.view A function that takes the model element and view downcast writer as parameters
+// and returns a view container element with the whole structure.
+// @param {Array.<Object>} config.slots Slots definitions.
+// @param {Object} [config.triggerBy] Changes which trigger re-rendering of the whole view structure of the element.
+// @param {module:utils/priorities~PriorityString} [config.converterPriority='normal'] Converter priority.
+// @returns {Function} Conversion helper.
+function downcastElementToStructure( config ) {
+	config = cloneDeep( config );
+
+	const slotsCreator = viewElement => config.slots.map( slot => ( {
+		viewElement: slot.view( viewElement ),
+		filter: normalizeSlotFilter( slot.children )
+	} ) );
+
+	return dispatcher => {
+		dispatcher.on( 'insert:' + config.model, insertStructure( config.view, slotsCreator ), {
+			priority: config.converterPriority || 'normal'
+		} );
+
+		// Removed children cannot be mapped to their slots, so the whole structure is re-rendered instead.
+		dispatcher._registerReconversionTriggers( config.model, {
+			attributes: config.triggerBy && config.triggerBy.attributes,
+			children: true
+		} );
 	};
 }
 
@@ -1179,6 +1776,68 @@ function downcastMarkerToElement( config ) {
 	};
 }
 
+// Model marker to view data conversion helper.
+//
+// See {@link ~DowncastHelpers#markerToData `.markerToData()` downcast helper} for examples.
+//
+// @param {Object} config Conversion configuration.
+// @param {String} config.model The name of the model marker (or model marker group) to convert.
+// @param {Function} [config.view] A function that takes the model marker name as a parameter and returns an object
+// with the `group` and `name` properties.
+// @param {module:utils/priorities~PriorityString} [config.converterPriority='normal'] Converter priority.
+// @returns {Function} Conversion helper.
+function downcastMarkerToData( config ) {
+	config = cloneDeep( config );
+
+	const group = config.model;
+
+	// Default conversion.
+	if ( !config.view ) {
+		config.view = markerName => ( {
+			group,
+			name: markerName.substr( config.model.length + 1 )
+		} );
+	}
+
+	return dispatcher => {
+		dispatcher.on( 'addMarker:' + group, insertMarkerData( config.view ), { priority: config.converterPriority || 'normal' } );
+		dispatcher.on( 'removeMarker:' + group, removeMarkerData( config.view ), { priority: config.converterPriority || 'normal' } );
+	};
+}
+
+// Model marker to view attribute conversion helper.
+//
+// See {@link ~DowncastHelpers#markerToAttribute `.markerToAttribute()` downcast helper} for examples.
+//
+// @param {Object} config Conversion configuration.
+// @param {String} config.model The name of the model marker (or model marker group) to convert.
+// @param {Object|Function} config.view An object with the `key` and `value` properties or a function that takes
+// the model marker name as a parameter and returns such an object.
+// @param {module:utils/priorities~PriorityString} [config.converterPriority='normal'] Converter priority.
+// @returns {Function} Conversion helper.
+function downcastMarkerToAttribute( config ) {
+	config = cloneDeep( config );
+
+	const view = config.view;
+	const attributeCreator = typeof view == 'function' ? view : () => view;
+
+	return dispatcher => {
+		const elementsData = new WeakMap();
+
+		dispatcher.on(
+			'addMarker:' + config.model,
+			insertMarkerAttribute( attributeCreator, elementsData ),
+			{ priority: config.converterPriority || 'normal' }
+		);
+
+		dispatcher.on(
+			'removeMarker:' + config.model,
+			removeMarkerAttribute( attributeCreator, elementsData ),
+			{ priority: config.converterPriority || 'normal' }
+		);
+	};
+}
+
 // Model marker to highlight conversion helper.
 //
 // See {@link ~DowncastHelpers#markerToElement `.markerToElement()` downcast helper} for examples.
@@ -1197,6 +1856,20 @@ function downcastMarkerToHighlight( config ) {
 	};
 }
 
+// Converts the `children` option of a slot definition to a filter function used by the mapper.
+//
+// @param {String|Array.<String>|Function|undefined} children
+// @returns {Function|undefined}
+function normalizeSlotFilter( children ) {
+	if ( !children || typeof children == 'function' ) {
+		return children;
+	}
+
+	const names = Array.isArray( children ) ? children : [ children ];
+
+	return node => names.includes( node.is( 'text' ) ? '$text' : node.name );
+}
+
 // Takes `config.view`, and if it is an {@link module:engine/view/elementdefinition~ElementDefinition}, converts it
 // to a function (because lower level converters accept only element creator functions).
 //
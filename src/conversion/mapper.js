@@ -96,12 +96,36 @@ export default class Mapper {
 		 */
 		this._unboundMarkerNames = new Set();
 
+		/**
+		 * Model element to its slots mapping. See {@link #bindSlots}.
+		 *
+		 * @private
+		 * @member {WeakMap}
+		 */
+		this._modelToSlotsMapping = new WeakMap();
+
+		/**
+		 * View slot container to slot mapping. See {@link #bindSlots}.
+		 *
+		 * @private
+		 * @member {WeakMap}
+		 */
+		this._viewToSlotMapping = new WeakMap();
+
 		// Default mapper algorithm for mapping model position to view position.
 		this.on( 'modelToViewPosition', ( evt, data ) => {
 			if ( data.viewPosition ) {
 				return;
 			}
 
+			const slots = this._modelToSlotsMapping.get( data.modelPosition.parent );
+
+			if ( slots ) {
+				data.viewPosition = this._findPositionInSlots( data.modelPosition, slots );
+
+				return;
+			}
+
 			const viewContainer = this._modelToViewMapping.get( data.modelPosition.parent );
 
 			data.viewPosition = this._findPositionIn( viewContainer, data.modelPosition.offset );
@@ -114,8 +138,18 @@ export default class Mapper {
 			}
 
 			const viewBlock = this.findMappedViewAncestor( data.viewPosition );
-			const modelParent = this._viewToModelMapping.get( viewBlock );
 			const modelOffset = this._toModelOffset( data.viewPosition.parent, data.viewPosition.offset, viewBlock );
+			const slot = this._viewToSlotMapping.get( viewBlock );
+
+			if ( slot ) {
+				const slots = this._modelToSlotsMapping.get( slot.modelElement );
+
+				data.modelPosition = ModelPosition._createAt( slot.modelElement, getModelOffsetInSlot( slots, slot, modelOffset ) );
+
+				return;
+			}
+
+			const modelParent = this._viewToModelMapping.get( viewBlock );
 
 			data.modelPosition = ModelPosition._createAt( modelParent, modelOffset );
 		}, { priority: 'low' } );
@@ -135,6 +169,60 @@ export default class Mapper {
 		this._viewToModelMapping.set( viewElement, modelElement );
 	}
 
+	/**
+	 * Marks the given view elements as slots of the model element. Slots let the children of one model element be distributed
+	 * into several view containers, for example, a model `figure` element with `caption` and `paragraph` children
+	 * may be rendered as:
+	 *
+	 *		<figure>
+	 *			<div class="body"><p>...</p><p>...</p></div>
+	 *			<figcaption>...</figcaption>
+	 *		</figure>
+	 *
+	 * Each slot is an object with the `viewElement` (the view container) and the optional `filter` (a function that takes a model
+	 * node and returns `true` if the node belongs to the slot) properties. A model child belongs to the first slot which
+	 * filter accepts it. A slot without a filter accepts all remaining children. Children which are not accepted by any slot
+	 * belong to the last slot.
+	 *
+	 *		mapper.bindSlots( modelFigure, [
+	 *			{ viewElement: viewCaption, filter: node => node.is( 'caption' ) },
+	 *			{ viewElement: viewBody }
+	 *		] );
+	 *
+	 * Positions are mapped in both directions. A model position in the element is mapped to the slot of the node after it
+	 * (or, at the end of the element, of the node before it). A view position in a slot is mapped to the model element
+	 * by counting only the model children which belong to that slot. A position in an empty slot is mapped to the beginning
+	 * of the model element.
+	 *
+	 * The model element should also be {@link #bindElements bound} to the view element which contains the slots.
+	 *
+	 * @param {module:engine/model/element~Element} modelElement Model element.
+	 * @param {Array.<Object>} slots Slots definitions.
+	 */
+	bindSlots( modelElement, slots ) {
+		const slotsData = slots.map( slot => ( {
+			modelElement,
+			viewElement: slot.viewElement,
+			filter: slot.filter
+		} ) );
+
+		this._modelToSlotsMapping.set( modelElement, slotsData );
+
+		for ( const slot of slotsData ) {
+			this._viewToSlotMapping.set( slot.viewElement, slot );
+		}
+	}
+
+	/**
+	 * Returns the slots bound to the given model element by {@link #bindSlots}.
+	 *
+	 * @param {module:engine/model/element~Element} modelElement Model element.
+	 * @returns {Array.<Object>|undefined} Slots definitions or `undefined` if the element has no slots.
+	 */
+	getSlots( modelElement ) {
+		return this._modelToSlotsMapping.get( modelElement );
+	}
+
 	/**
 	 * Unbinds given {@link module:engine/view/element~Element view element} from the map.
 	 *
@@ -150,6 +238,7 @@ export default class Mapper {
 		const modelElement = this.toModelElement( viewElement );
 
 		this._viewToModelMapping.delete( viewElement );
+		this._viewToSlotMapping.delete( viewElement );
 
 		if ( this._elementToMarkerNames.has( viewElement ) ) {
 			for ( const markerName of this._elementToMarkerNames.get( viewElement ) ) {
@@ -159,6 +248,7 @@ export default class Mapper {
 
 		if ( this._modelToViewMapping.get( modelElement ) == viewElement ) {
 			this._modelToViewMapping.delete( modelElement );
+			this._modelToSlotsMapping.delete( modelElement );
 		}
 	}
 
@@ -177,6 +267,7 @@ export default class Mapper {
 		const viewElement = this.toViewElement( modelElement );
 
 		this._modelToViewMapping.delete( modelElement );
+		this._modelToSlotsMapping.delete( modelElement );
 
 		if ( this._viewToModelMapping.get( viewElement ) == modelElement ) {
 			this._viewToModelMapping.delete( viewElement );
@@ -252,6 +343,8 @@ export default class Mapper {
 		this._markerNameToElements = new Map();
 		this._elementToMarkerNames = new Map();
 		this._unboundMarkerNames = new Set();
+		this._modelToSlotsMapping = new WeakMap();
+		this._viewToSlotMapping = new WeakMap();
 	}
 
 	/**
@@ -400,7 +493,7 @@ export default class Mapper {
 
 	/**
 	 * For given `viewPosition`, finds and returns the closest ancestor of this position that has a mapping to
-	 * the model.
+	 * the model. {@link #bindSlots Slots} are also treated as mapped elements.
 	 *
 	 * @param {module:engine/view/position~Position} viewPosition Position for which mapped ancestor should be found.
 	 * @returns {module:engine/view/element~Element}
@@ -408,7 +501,7 @@ export default class Mapper {
 	findMappedViewAncestor( viewPosition ) {
 		let parent = viewPosition.parent;
 
-		while ( !this._viewToModelMapping.has( parent ) ) {
+		while ( !this._viewToModelMapping.has( parent ) && !this._viewToSlotMapping.has( parent ) ) {
 			parent = parent.parent;
 		}
 
@@ -503,6 +596,34 @@ export default class Mapper {
 		}
 	}
 
+	/**
+	 * Finds the view position for the model position placed directly in an element with {@link #bindSlots slots}.
+	 *
+	 * @private
+	 * @param {module:engine/model/position~Position} modelPosition Model position.
+	 * @param {Array.<Object>} slots Slots of the position parent.
+	 * @returns {module:engine/view/position~Position} Found position.
+	 */
+	_findPositionInSlots( modelPosition, slots ) {
+		const node = modelPosition.textNode || modelPosition.nodeAfter || modelPosition.nodeBefore;
+		const slot = node ? getSlotForNode( slots, node ) : slots[ 0 ];
+
+		// Count only these preceding nodes which are rendered in the same slot.
+		let offsetInSlot = 0;
+
+		for ( const child of modelPosition.parent.getChildren() ) {
+			if ( child.startOffset >= modelPosition.offset ) {
+				break;
+			}
+
+			if ( getSlotForNode( slots, child ) == slot ) {
+				offsetInSlot += Math.min( child.offsetSize, modelPosition.offset - child.startOffset );
+			}
+		}
+
+		return this._findPositionIn( slot.viewElement, offsetInSlot );
+	}
+
 	/**
 	 * Finds the position in the view node (or its children) with the expected model offset.
 	 *
@@ -694,3 +815,39 @@ export default class Mapper {
 }
 
 mix( Mapper, EmitterMixin );
+
+// Returns the slot in which the given model node is rendered.
+//
+// @param {Array.<Object>} slots
+// @param {module:engine/model/node~Node} node
+// @returns {Object}
+function getSlotForNode( slots, node ) {
+	return slots.find( slot => !slot.filter || slot.filter( node ) ) || slots[ slots.length - 1 ];
+}
+
+// Converts the offset in the slot (counted only for the nodes rendered in that slot) to the offset in the model element.
+//
+// @param {Array.<Object>} slots All slots of the model element.
+// @param {Object} slot
+// @param {Number} offsetInSlot
+// @returns {Number}
+function getModelOffsetInSlot( slots, slot, offsetInSlot ) {
+	let counted = 0;
+	let modelOffset = 0;
+
+	for ( const child of slot.modelElement.getChildren() ) {
+		if ( getSlotForNode( slots, child ) != slot ) {
+			continue;
+		}
+
+		// The position before the next node of the slot is preferred over the position after the previous one.
+		if ( counted + child.offsetSize > offsetInSlot ) {
+			return child.startOffset + offsetInSlot - counted;
+		}
+
+		counted += child.offsetSize;
+		modelOffset = child.endOffset;
+	}
+
+	return modelOffset;
+}
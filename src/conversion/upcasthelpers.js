@@ -9,6 +9,7 @@ import ConversionHelpers from './conversionhelpers';
 
 import { cloneDeep } from 'lodash-es';
 import ModelSelection from '../model/selection';
+import priorities from '@ckeditor/ckeditor5-utils/src/priorities';
 
 /**
  * Contains {@link module:engine/view/view view} to {@link module:engine/model/model model} converters for
@@ -332,6 +333,46 @@ export default class UpcastHelpers extends ConversionHelpers {
 	elementToMarker( config ) {
 		return this.add( upcastElementToMarker( config ) );
 	}
+
+	/**
+	 * View-to-model marker conversion helper.
+	 *
+	 * Converts view data created by the {@link module:engine/conversion/downcasthelpers~DowncastHelpers#markerToData
+	 * `markerToData()` downcast helper} back to a model marker.
+	 *
+	 * This converter looks for specific view elements and view attributes that mark marker boundaries. See the
+	 * {@link module:engine/conversion/downcasthelpers~DowncastHelpers#markerToData `markerToData()`} documentation
+	 * to learn what view data is expected by this converter.
+	 *
+	 * The `config.view` property is equal to the marker group name to look for in the view data.
+	 *
+	 * The `config.model` property is a function that takes the marker name stored in the view and returns the model marker name.
+	 * By default, the model marker name is `group:name` (or just `group` if no name was stored):
+	 *
+	 *		// Using the default conversion.
+	 *		// <comment-start name="foo"></comment-start> -> `comment:foo` marker start.
+	 *		editor.conversion.for( 'upcast' ).dataToMarker( {
+	 *			view: 'comment'
+	 *		} );
+	 *
+	 *		editor.conversion.for( 'upcast' ).dataToMarker( {
+	 *			view: 'comment',
+	 *			model: name => 'comment:' + name.split( ':' )[ 0 ]
+	 *		} );
+	 *
+	 * See {@link module:engine/conversion/conversion~Conversion#for `conversion.for()`} to learn how to add a converter
+	 * to the conversion process.
+	 *
+	 * @method #dataToMarker
+	 * @param {Object} config Conversion configuration.
+	 * @param {String} config.view The marker group name to convert.
+	 * @param {Function} [config.model] A function that takes the marker name stored in the view and returns the model marker name.
+	 * @param {module:utils/priorities~PriorityString} [config.converterPriority='normal'] Converter priority.
+	 * @returns {module:engine/conversion/upcasthelpers~UpcastHelpers}
+	 */
+	dataToMarker( config ) {
+		return this.add( upcastDataToMarker( config ) );
+	}
 }
 
 /**
@@ -517,6 +558,103 @@ function upcastElementToMarker( config ) {
 	return upcastElementToElement( config );
 }
 
+// View data to model marker conversion helper.
+//
+// See {@link ~UpcastHelpers#dataToMarker `.dataToMarker()` upcast helper} for examples.
+//
+// @param {Object} config Conversion configuration.
+// @param {String} config.view The marker group name to convert.
+// @param {Function} [config.model] A function that takes the marker name stored in the view and returns the model marker name.
+// @param {module:utils/priorities~PriorityString} [config.converterPriority='normal'] Converter priority.
+// @returns {Function} Conversion helper.
+function upcastDataToMarker( config ) {
+	config = cloneDeep( config );
+
+	// Default conversion.
+	if ( !config.model ) {
+		config.model = name => {
+			return name ? config.view + ':' + name : config.view;
+		};
+	}
+
+	const converterStart = prepareToElementConverter( normalizeDataToMarkerConfig( config, 'start' ) );
+	const converterEnd = prepareToElementConverter( normalizeDataToMarkerConfig( config, 'end' ) );
+
+	return dispatcher => {
+		dispatcher.on( 'element:' + config.view + '-start', converterStart, { priority: config.converterPriority || 'normal' } );
+		dispatcher.on( 'element:' + config.view + '-end', converterEnd, { priority: config.converterPriority || 'normal' } );
+
+		// The attribute converter needs to run after the element converters, so the element that holds the attributes is already
+		// converted and `data.modelRange` is set. Still, the relative order between attribute converters should respect
+		// `config.converterPriority`, so the priority is set slightly above or below `low`.
+		const basePriority = priorities.get( 'low' );
+		const maxPriority = priorities.get( 'highest' );
+		const priorityFactor = priorities.get( config.converterPriority ) / maxPriority; // Number in range [ -1, 1 ].
+
+		dispatcher.on( 'element', upcastAttributeToMarker( config ), { priority: basePriority + priorityFactor } );
+	};
+}
+
+// Function factory that returns a converter which creates marker boundaries from the data attributes
+// created by the `markerToData()` downcast helper.
+//
+// @param {Object} config Conversion configuration.
+// @returns {Function} View element converter.
+function upcastAttributeToMarker( config ) {
+	return ( evt, data, conversionApi ) => {
+		const attrName = `data-${ config.view }`;
+
+		// Quick check whether the element holds any marker data, to avoid converting its children needlessly.
+		if (
+			!data.viewItem.hasAttribute( attrName + '-end-after' ) &&
+			!data.viewItem.hasAttribute( attrName + '-start-after' ) &&
+			!data.viewItem.hasAttribute( attrName + '-end-before' ) &&
+			!data.viewItem.hasAttribute( attrName + '-start-before' )
+		) {
+			return;
+		}
+
+		// This converter inserts marker boundary elements before or after the converted element. To do that, `data.modelRange`
+		// is needed. If the view element has not been converted yet, convert its children first.
+		if ( !data.modelRange ) {
+			Object.assign( data, conversionApi.convertChildren( data.viewItem, data.modelCursor ) );
+		}
+
+		if ( conversionApi.consumable.consume( data.viewItem, { attributes: attrName + '-end-after' } ) ) {
+			addMarkerElements( data.modelRange.end, data.viewItem.getAttribute( attrName + '-end-after' ).split( ',' ) );
+		}
+
+		if ( conversionApi.consumable.consume( data.viewItem, { attributes: attrName + '-start-after' } ) ) {
+			addMarkerElements( data.modelRange.end, data.viewItem.getAttribute( attrName + '-start-after' ).split( ',' ) );
+		}
+
+		if ( conversionApi.consumable.consume( data.viewItem, { attributes: attrName + '-end-before' } ) ) {
+			addMarkerElements( data.modelRange.start, data.viewItem.getAttribute( attrName + '-end-before' ).split( ',' ) );
+		}
+
+		if ( conversionApi.consumable.consume( data.viewItem, { attributes: attrName + '-start-before' } ) ) {
+			addMarkerElements( data.modelRange.start, data.viewItem.getAttribute( attrName + '-start-before' ).split( ',' ) );
+		}
+
+		function addMarkerElements( position, markerViewNames ) {
+			for ( const markerViewName of markerViewNames ) {
+				const markerName = config.model( markerViewName );
+				const element = conversionApi.writer.createElement( '$marker', { 'data-name': markerName } );
+
+				conversionApi.writer.insert( element, position );
+
+				if ( data.modelCursor.isEqual( position ) ) {
+					data.modelCursor = data.modelCursor.getShiftedBy( 1 );
+				} else {
+					data.modelCursor = data.modelCursor._getTransformedByInsertion( position, 1 );
+				}
+
+				data.modelRange = data.modelRange._getTransformedByInsertion( position, 1 )[ 0 ];
+			}
+		}
+	};
+}
+
 // Helper function for from-view-element conversion. Checks if `config.view` directly specifies converted view element's name
 // and if so, returns it.
 //
@@ -768,7 +906,7 @@ function setAttributeOn( modelRange, modelAttribute, shallow, conversionApi ) {
 
 	// Set attribute on each item in range according to Schema.
 	for ( const node of Array.from( modelRange.getItems( { shallow } ) ) ) {
-		if ( conversionApi.schema.checkAttribute( node, modelAttribute.key ) ) {
+		if ( conversionApi.schema.checkAttribute( node, modelAttribute.key, modelAttribute.value ) ) {
 			conversionApi.writer.setAttribute( modelAttribute.key, modelAttribute.value, node );
 
 			result = true;
@@ -791,3 +929,21 @@ function normalizeToMarkerConfig( config ) {
 		return modelWriter.createElement( '$marker', { 'data-name': markerName } );
 	};
 }
+
+// Helper function for the `dataToMarker()` upcast helper. Creates a config for the converter of the
+// `<group-start>` or `<group-end>` boundary elements in a format supported by `prepareToElementConverter()`.
+//
+// @param {Object} config Conversion configuration.
+// @param {'start'|'end'} type Type of the boundary element.
+// @returns {Object} Normalized conversion configuration.
+function normalizeDataToMarkerConfig( config, type ) {
+	return {
+		view: config.view + '-' + type,
+		model: ( viewElement, modelWriter ) => {
+			const viewName = viewElement.getAttribute( 'name' );
+			const markerName = config.model( viewName );
+
+			return modelWriter.createElement( '$marker', { 'data-name': markerName } );
+		}
+	};
+}
@@ -0,0 +1,580 @@
+/**
+ * @license Copyright (c) 2003-2020, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/**
+ * @module engine/dev-utils/collaborationsimulator
+ */
+
+import OperationFactory from '../model/operation/operationfactory';
+import { transformSets } from '../model/operation/transform';
+
+/**
+ * Collaboration simulator is a development tool which connects several {@link module:engine/model/model~Model models}
+ * (clients) through an in-memory {@link module:engine/dev-utils/collaborationsimulator~CollaborationServer server}, so
+ * the real-time collaboration and the {@link module:engine/model/operation/transform operational transformation} can be
+ * tested without a real service.
+ *
+ * The messages between the clients and the server are delivered with a configurable latency and can be reordered.
+ * The time is simulated, so the messages are delivered only when the time is {@link #advance advanced}
+ * or all messages are {@link #flush flushed}:
+ *
+ *		const simulator = new CollaborationSimulator( {
+ *			createModel() {
+ *				const model = new Model();
+ *
+ *				model.schema.register( 'paragraph', { inheritAllFrom: '$block' } );
+ *				model.document.createRoot();
+ *
+ *				return model;
+ *			},
+ *			latency: 50
+ *		} );
+ *
+ *		const john = simulator.addClient( 'john' );
+ *		const kate = simulator.addClient( 'kate' );
+ *
+ *		john.change( writer => writer.insertElement( 'paragraph', john.model.document.getRoot(), 0 ) );
+ *		kate.change( writer => writer.insertText( 'foo', kate.model.document.getRoot(), 0 ) );
+ *
+ *		simulator.flush();
+ *
+ *		getData( john.model ) === getData( kate.model ); // The clients converged.
+ */
+export default class CollaborationSimulator {
+	/**
+	 * Creates a simulator.
+	 *
+	 * @param {Object} options
+	 * @param {Function} options.createModel A callback which creates the model of a client. It is called with the name
+	 * of the client. All models must have the same schema, roots and content.
+	 * @param {Number|Function} [options.latency=0] The time in which a message is delivered or a callback which returns it
+	 * (e.g. a random value).
+	 * @param {Boolean} [options.reorder=false] Whether the messages which should be delivered at the same time are delivered
+	 * in a random order. Otherwise, the messages are delivered in the order in which they were sent.
+	 * @param {Function} [options.random=Math.random] A function returning a random number between `0` (inclusive) and `1` (exclusive)
+	 * used to reorder the messages. A seeded function can be passed to make the simulation repeatable.
+	 * @param {module:engine/model/operation/transform~ConflictPolicy} [options.conflictPolicy] The conflict policy used
+	 * by the clients when transforming the operations.
+	 */
+	constructor( options ) {
+		/**
+		 * The server which orders the operations sent by the clients.
+		 *
+		 * It is created when the first client is {@link #addClient added}.
+		 *
+		 * @readonly
+		 * @member {module:engine/dev-utils/collaborationsimulator~CollaborationServer|null}
+		 */
+		this.server = null;
+
+		/**
+		 * The clients added to the simulator.
+		 *
+		 * @readonly
+		 * @member {Map.<String,module:engine/dev-utils/collaborationsimulator~CollaborationClient>}
+		 */
+		this.clients = new Map();
+
+		/**
+		 * The simulated time.
+		 *
+		 * @readonly
+		 * @member {Number}
+		 */
+		this.time = 0;
+
+		/**
+		 * @private
+		 * @member {Function}
+		 */
+		this._createModel = options.createModel;
+
+		/**
+		 * @private
+		 * @member {Function}
+		 */
+		this._getLatency = typeof options.latency == 'function' ? options.latency : () => options.latency || 0;
+
+		/**
+		 * @private
+		 * @member {Boolean}
+		 */
+		this._reorder = !!options.reorder;
+
+		/**
+		 * @private
+		 * @member {Function}
+		 */
+		this._random = options.random || Math.random;
+
+		/**
+		 * @private
+		 * @member {module:engine/model/operation/transform~ConflictPolicy|null}
+		 */
+		this._conflictPolicy = options.conflictPolicy || null;
+
+		/**
+		 * The messages which are not delivered yet.
+		 *
+		 * @private
+		 * @member {Array.<Object>}
+		 */
+		this._messages = [];
+	}
+
+	/**
+	 * Creates a new client connected to the server. The client receives all operations already accepted by the server.
+	 *
+	 * @param {String} name The unique name of the client.
+	 * @returns {module:engine/dev-utils/collaborationsimulator~CollaborationClient}
+	 */
+	addClient( name ) {
+		if ( this.clients.has( name ) ) {
+			throw new Error( `Client '${ name }' already exists.` );
+		}
+
+		const model = this._createModel( name );
+		const client = new CollaborationClient( name, model, message => this._send( client, null, message ), {
+			conflictPolicy: this._conflictPolicy
+		} );
+
+		if ( !this.server ) {
+			this.server = new CollaborationServer( model.document.version );
+		}
+
+		if ( model.document.version != this.server.initialVersion ) {
+			throw new Error( 'The document of the client must have the same version as the initial version of the server.' );
+		}
+
+		this.clients.set( name, client );
+
+		if ( this.server.version > this.server.initialVersion ) {
+			client.receive( {
+				type: 'operations',
+				baseVersion: this.server.initialVersion,
+				operations: this.server.getOperations()
+			} );
+		}
+
+		return client;
+	}
+
+	/**
+	 * Returns the client with the given name.
+	 *
+	 * @param {String} name
+	 * @returns {module:engine/dev-utils/collaborationsimulator~CollaborationClient|undefined}
+	 */
+	getClient( name ) {
+		return this.clients.get( name );
+	}
+
+	/**
+	 * Advances the simulated time and delivers the messages which should be delivered until that time.
+	 *
+	 * @param {Number} [time=0] The time by which the simulated time is advanced.
+	 */
+	advance( time = 0 ) {
+		this.time += time;
+
+		let message;
+
+		while ( ( message = this._takeMessage() ) ) {
+			this._deliver( message );
+		}
+	}
+
+	/**
+	 * Sends the local changes of all clients and delivers all messages, advancing the simulated time as needed,
+	 * until all clients are synchronized with the server.
+	 */
+	flush() {
+		for ( const client of this.clients.values() ) {
+			client.sync();
+		}
+
+		this.advance();
+
+		while ( this._messages.length ) {
+			this.advance( Math.max( 0, Math.min( ...this._messages.map( message => message.time ) ) - this.time ) );
+		}
+	}
+
+	/**
+	 * Checks whether there are no undelivered messages and all clients are synchronized with the server.
+	 *
+	 * @returns {Boolean}
+	 */
+	isSynchronized() {
+		return !this._messages.length && Array.from( this.clients.values() ).every( client => {
+			return !client.hasPendingOperations && client.syncedVersion == this.server.version;
+		} );
+	}
+
+	/**
+	 * Schedules a message for delivery. The message is sent to the server if `to` is `null`.
+	 *
+	 * @private
+	 * @param {module:engine/dev-utils/collaborationsimulator~CollaborationClient|null} from
+	 * @param {module:engine/dev-utils/collaborationsimulator~CollaborationClient|null} to
+	 * @param {Object} message
+	 */
+	_send( from, to, message ) {
+		// Simulate sending the message through the network.
+		message = JSON.parse( JSON.stringify( message ) );
+
+		this._messages.push( { from, to, message, time: this.time + this._getLatency() } );
+	}
+
+	/**
+	 * Removes and returns the next message which should be delivered until the current time.
+	 *
+	 * @private
+	 * @returns {Object|undefined}
+	 */
+	_takeMessage() {
+		const dueMessages = this._messages.filter( message => message.time <= this.time );
+
+		if ( !dueMessages.length ) {
+			return;
+		}
+
+		let message;
+
+		if ( this._reorder ) {
+			message = dueMessages[ Math.floor( this._random() * dueMessages.length ) ];
+		} else {
+			// Keep the order in which the messages were sent unless they were sent with different latencies.
+			message = dueMessages.reduce( ( first, item ) => item.time < first.time ? item : first );
+		}
+
+		this._messages.splice( this._messages.indexOf( message ), 1 );
+
+		return message;
+	}
+
+	/**
+	 * Delivers the message to the client or to the server.
+	 *
+	 * @private
+	 * @param {Object} item
+	 */
+	_deliver( { from, to, message } ) {
+		if ( to ) {
+			to.receive( message );
+
+			return;
+		}
+
+		if ( !this.server.commit( message.baseVersion, message.operations ) ) {
+			this._send( null, from, { type: 'reject', version: this.server.version } );
+
+			return;
+		}
+
+		this._send( null, from, { type: 'ack', baseVersion: message.baseVersion, count: message.operations.length } );
+
+		for ( const client of this.clients.values() ) {
+			if ( client != from ) {
+				this._send( null, client, { type: 'operations', baseVersion: message.baseVersion, operations: message.operations } );
+			}
+		}
+	}
+}
+
+/**
+ * An in-memory stand-in for the collaboration server.
+ *
+ * The server does not transform operations. It keeps the operations in the order of their base versions and accepts
+ * the operations sent by a client only if they base on the current version of the server. Otherwise, the client needs
+ * to receive the operations it is missing, transform its operations by them and send them again.
+ */
+export class CollaborationServer {
+	/**
+	 * Creates a server.
+	 *
+	 * @param {Number} [initialVersion=0] The version of the documents of the clients before any operation is sent.
+	 */
+	constructor( initialVersion = 0 ) {
+		/**
+		 * The version of the documents of the clients before any operation is sent.
+		 *
+		 * @readonly
+		 * @member {Number}
+		 */
+		this.initialVersion = initialVersion;
+
+		/**
+		 * The accepted operations (converted to plain objects).
+		 *
+		 * @private
+		 * @member {Array.<Object>}
+		 */
+		this._operations = [];
+	}
+
+	/**
+	 * The current version of the server, which is the base version of the next accepted operation.
+	 *
+	 * @readonly
+	 * @type {Number}
+	 */
+	get version() {
+		return this.initialVersion + this._operations.length;
+	}
+
+	/**
+	 * Returns the accepted operations (converted to plain objects) starting from the given base version.
+	 *
+	 * @param {Number} [from] The base version of the first returned operation. Defaults to the initial version.
+	 * @returns {Array.<Object>}
+	 */
+	getOperations( from = this.initialVersion ) {
+		return this._operations.slice( Math.max( 0, from - this.initialVersion ) );
+	}
+
+	/**
+	 * Accepts the operations if they base on the current version of the server.
+	 *
+	 * @param {Number} baseVersion The base version of the first operation.
+	 * @param {Array.<Object>} operations The operations converted to plain objects.
+	 * @returns {Boolean} Whether the operations were accepted.
+	 */
+	commit( baseVersion, operations ) {
+		if ( baseVersion != this.version ) {
+			return false;
+		}
+
+		this._operations.push( ...operations );
+
+		return true;
+	}
+}
+
+/**
+ * A simulated collaboration client.
+ *
+ * The client sends its local operations to the server and waits for the acknowledgement before sending the next ones.
+ * The operations received from the server are applied in the order of their base versions. Before that, they are transformed
+ * by the local operations which were not acknowledged yet (and the local operations are transformed by them).
+ */
+export class CollaborationClient {
+	/**
+	 * Creates a client.
+	 *
+	 * @param {String} name The name of the client.
+	 * @param {module:engine/model/model~Model} model The model of the client.
+	 * @param {Function} send A callback which sends a message to the server.
+	 * @param {Object} [options]
+	 * @param {module:engine/model/operation/transform~ConflictPolicy} [options.conflictPolicy] The conflict policy used
+	 * when transforming the operations.
+	 */
+	constructor( name, model, send, options = {} ) {
+		/**
+		 * The name of the client.
+		 *
+		 * @readonly
+		 * @member {String}
+		 */
+		this.name = name;
+
+		/**
+		 * The model of the client.
+		 *
+		 * @readonly
+		 * @member {module:engine/model/model~Model}
+		 */
+		this.model = model;
+
+		/**
+		 * The version of the server up to which the client received all operations.
+		 *
+		 * @readonly
+		 * @member {Number}
+		 */
+		this.syncedVersion = model.document.version;
+
+		/**
+		 * @private
+		 * @member {Function}
+		 */
+		this._send = send;
+
+		/**
+		 * @private
+		 * @member {module:engine/model/operation/transform~ConflictPolicy|null}
+		 */
+		this._conflictPolicy = options.conflictPolicy || null;
+
+		/**
+		 * The local operations which were not acknowledged by the server, transformed by the received operations.
+		 *
+		 * @private
+		 * @member {Array.<module:engine/model/operation/operation~Operation>}
+		 */
+		this._pendingOperations = [];
+
+		/**
+		 * The version of the document up to which the local operations were added to {@link #_pendingOperations}.
+		 *
+		 * @private
+		 * @member {Number}
+		 */
+		this._trackedVersion = model.document.version;
+
+		/**
+		 * Whether the client waits for the response to the sent operations.
+		 *
+		 * @private
+		 * @member {Boolean}
+		 */
+		this._isWaitingForResponse = false;
+
+		/**
+		 * The version of the server which the client needs to receive before sending the rejected operations again.
+		 *
+		 * @private
+		 * @member {Number}
+		 */
+		this._requiredVersion = 0;
+
+		/**
+		 * The received messages which cannot be processed until the messages with lower base versions are received.
+		 *
+		 * @private
+		 * @member {Array.<Object>}
+		 */
+		this._bufferedMessages = [];
+	}
+
+	/**
+	 * Whether the client has local operations which were not acknowledged by the server.
+	 *
+	 * @readonly
+	 * @type {Boolean}
+	 */
+	get hasPendingOperations() {
+		this._collectLocalOperations();
+
+		return this._pendingOperations.length > 0;
+	}
+
+	/**
+	 * Makes a local change using {@link module:engine/model/model~Model#change `Model#change()`} and sends it to the server.
+	 *
+	 * @param {Function} callback
+	 * @returns {*} The value returned by the callback.
+	 */
+	change( callback ) {
+		const result = this.model.change( callback );
+
+		this.sync();
+
+		return result;
+	}
+
+	/**
+	 * Sends the local operations to the server unless the client waits for the response to the previously sent operations.
+	 *
+	 * The changes made directly in the {@link #model} are sent, too.
+	 */
+	sync() {
+		this._collectLocalOperations();
+
+		if ( this._isWaitingForResponse || !this._pendingOperations.length || this.syncedVersion < this._requiredVersion ) {
+			return;
+		}
+
+		this._isWaitingForResponse = true;
+
+		this._send( {
+			baseVersion: this.syncedVersion,
+			operations: this._pendingOperations.map( operation => operation.toJSON() )
+		} );
+	}
+
+	/**
+	 * Handles a message sent by the server:
+	 *
+	 * * `{ type: 'operations', baseVersion, operations }` &ndash; the operations of other clients accepted by the server,
+	 * * `{ type: 'ack', baseVersion, count }` &ndash; the acknowledgement of the sent operations,
+	 * * `{ type: 'reject', version }` &ndash; the sent operations were rejected because they did not base on the server version.
+	 *
+	 * @param {Object} message
+	 */
+	receive( message ) {
+		if ( message.type == 'reject' ) {
+			this._isWaitingForResponse = false;
+			this._requiredVersion = message.version;
+		} else {
+			this._bufferedMessages.push( message );
+		}
+
+		let next;
+
+		while ( ( next = this._bufferedMessages.find( item => item.baseVersion == this.syncedVersion ) ) ) {
+			this._bufferedMessages.splice( this._bufferedMessages.indexOf( next ), 1 );
+
+			if ( next.type == 'ack' ) {
+				this._pendingOperations.splice( 0, next.count );
+				this._isWaitingForResponse = false;
+				this.syncedVersion += next.count;
+			} else {
+				this._applyRemoteOperations( next.operations );
+			}
+		}
+
+		// Messages with already received base versions are duplicates.
+		this._bufferedMessages = this._bufferedMessages.filter( item => item.baseVersion > this.syncedVersion );
+
+		this.sync();
+	}
+
+	/**
+	 * Transforms the operations received from the server by the pending local operations and applies them.
+	 *
+	 * @private
+	 * @param {Array.<Object>} operationsJson
+	 */
+	_applyRemoteOperations( operationsJson ) {
+		const model = this.model;
+		const document = model.document;
+
+		this._collectLocalOperations();
+
+		const remoteOperations = operationsJson.map( json => OperationFactory.fromJSON( json, document ) );
+
+		// The operations accepted by the server are more important than the local ones.
+		const { operationsA, operationsB } = transformSets( remoteOperations, this._pendingOperations, {
+			document,
+			useRelations: false,
+			padWithNoOps: true,
+			conflictPolicy: this._conflictPolicy
+		} );
+
+		model.enqueueChange( 'transparent', writer => {
+			for ( const operation of operationsA ) {
+				writer.batch.addOperation( operation );
+				model.applyOperation( operation );
+			}
+		} );
+
+		this._pendingOperations = operationsB;
+		this._trackedVersion = document.version;
+		this.syncedVersion += remoteOperations.length;
+	}
+
+	/**
+	 * Adds the operations applied in the model since the last check to the pending operations.
+	 *
+	 * @private
+	 */
+	_collectLocalOperations() {
+		const document = this.model.document;
+
+		this._pendingOperations.push( ...document.history.getOperations( this._trackedVersion ) );
+		this._trackedVersion = document.version;
+	}
+}
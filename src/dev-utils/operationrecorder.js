@@ -0,0 +1,137 @@
+/**
+ * @license Copyright (c) 2003-2020, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/**
+ * @module engine/dev-utils/operationrecorder
+ */
+
+/**
+ * Operation recorder is a development tool which records the operations applied on a live model and returns them
+ * in the format accepted by the {@link module:engine/dev-utils/operationreplayer~OperationReplayer operation replayer}.
+ *
+ *		const recorder = new OperationRecorder( editor.model );
+ *
+ *		recorder.start();
+ *
+ *		// Reproduce the problem...
+ *
+ *		recorder.stop();
+ *
+ *		const replayer = new OperationReplayer( otherModel, '-------', recorder.getStringifiedOperations() );
+ *
+ * The operations should be replayed on a model in the same state as the recorded model was when the recording started.
+ *
+ * Only the document operations are recorded. The operations reverted by a failed
+ * {@link module:engine/model/model~Model#change atomic change block} are removed from the record.
+ */
+export default class OperationRecorder {
+	/**
+	 * @param {module:engine/model/model~Model} model Data model.
+	 * @param {String} [logSeparator='-------'] Separator between operations.
+	 */
+	constructor( model, logSeparator = '-------' ) {
+		this._model = model;
+		this._logSeparator = logSeparator;
+
+		/**
+		 * Recorded operations.
+		 *
+		 * @private
+		 * @member {Array.<Object>}
+		 */
+		this._operations = [];
+
+		/**
+		 * Whether the recorder is recording.
+		 *
+		 * @readonly
+		 * @member {Boolean}
+		 */
+		this.isRecording = false;
+
+		this._onApplyOperation = ( evt, args ) => {
+			const operation = args[ 0 ];
+
+			// The operations reverting the changes are not recorded. The reverted operations are removed before
+			// recording the next operation, or when the record is read.
+			if ( !operation.isDocumentOperation || this._model._isRollingBack ) {
+				return;
+			}
+
+			this._removeRevertedOperations( operation.baseVersion );
+
+			// The operation is serialized right away, because the nodes it refers to may change later.
+			this._operations.push( JSON.parse( JSON.stringify( operation ) ) );
+		};
+	}
+
+	/**
+	 * Starts recording the operations applied on the model.
+	 */
+	start() {
+		if ( this.isRecording ) {
+			return;
+		}
+
+		this.isRecording = true;
+
+		// The `low` priority is used, so only the operations which were applied successfully are recorded.
+		this._model.on( 'applyOperation', this._onApplyOperation, { priority: 'low' } );
+	}
+
+	/**
+	 * Stops recording. The operations recorded so far are kept.
+	 */
+	stop() {
+		if ( !this.isRecording ) {
+			return;
+		}
+
+		this.isRecording = false;
+
+		this._model.off( 'applyOperation', this._onApplyOperation );
+	}
+
+	/**
+	 * Removes all recorded operations.
+	 */
+	clear() {
+		this._operations = [];
+	}
+
+	/**
+	 * Returns recorded operations.
+	 *
+	 * @returns {Array.<Object>}
+	 */
+	getOperations() {
+		this._removeRevertedOperations( this._model.document.version );
+
+		return this._operations;
+	}
+
+	/**
+	 * Returns recorded operations in the format accepted by the
+	 * {@link module:engine/dev-utils/operationreplayer~OperationReplayer operation replayer}.
+	 *
+	 * @returns {String}
+	 */
+	getStringifiedOperations() {
+		return this.getOperations().map( operation => JSON.stringify( operation ) ).join( this._logSeparator );
+	}
+
+	/**
+	 * Removes the recorded operations with the base version equal to or greater than the given one. Such operations
+	 * were reverted, because the document version went back.
+	 *
+	 * @private
+	 * @param {Number} version
+	 */
+	_removeRevertedOperations( version ) {
+		while ( this._operations.length && this._operations[ this._operations.length - 1 ].baseVersion >= version ) {
+			this._operations.pop();
+		}
+	}
+}
@@ -13,6 +13,21 @@ import OperationFactory from '../model/operation/operationfactory';
 
 /**
  * Operation replayer is a development tool created for easy replaying of operations on the document from stringified operations.
+ *
+ * The operations can be applied one by one, reverted (using the {@link module:engine/model/operation/operation~Operation#getReversed
+ * reversed operations}) and the replayer can {@link #seek seek} to any state between the operations. To find the operation
+ * which breaks the document, use {@link #bisect `bisect()`}:
+ *
+ *		const replayer = new OperationReplayer( model, '-------', stringifiedOperations );
+ *
+ *		replayer.bisect( model => isValid( model ) ).then( result => {
+ *			if ( result ) {
+ *				console.log( 'The document breaks after the operation', result.index, result.operation, result.error );
+ *			}
+ *		} );
+ *
+ * The stringified operations can be recorded from a live model using the
+ * {@link module:engine/dev-utils/operationrecorder~OperationRecorder operation recorder}.
  */
 export default class OperationReplayer {
 	/**
@@ -23,15 +38,21 @@ export default class OperationReplayer {
 	constructor( model, logSeparator, stringifiedOperations ) {
 		this._model = model;
 		this._logSeparator = logSeparator;
+		this._appliedOperations = [];
+		this._appliedVersions = [];
 		this.setStringifiedOperations( stringifiedOperations );
 	}
 
 	/**
 	 * Parses the given string containing stringified operations and sets parsed operations as operations to replay.
+	 * The operations applied before cannot be {@link #revertLastOperation reverted} by the replayer anymore.
 	 *
 	 * @param {String} stringifiedOperations Stringified operations to replay.
 	 */
 	setStringifiedOperations( stringifiedOperations ) {
+		this._appliedOperations = [];
+		this._appliedVersions = [];
+
 		if ( stringifiedOperations === '' ) {
 			this._operationsToReplay = [];
 
@@ -52,6 +73,15 @@ export default class OperationReplayer {
 		return this._operationsToReplay;
 	}
 
+	/**
+	 * Returns operations applied by the replayer (and not reverted).
+	 *
+	 * @returns {Array.<Object>}
+	 */
+	getAppliedOperations() {
+		return this._appliedOperations;
+	}
+
 	/**
 	 * Applies all operations with a delay between actions.
 	 *
@@ -86,7 +116,7 @@ export default class OperationReplayer {
 	 */
 	applyOperations( numberOfOperations ) {
 		if ( numberOfOperations <= 0 ) {
-			return;
+			return Promise.resolve();
 		}
 
 		return this.applyNextOperation()
@@ -115,26 +145,230 @@ export default class OperationReplayer {
 	 * Applies the next operation to replay. Returns a promise with the `isFinished` parameter that is `true` if the last
 	 * operation in the replayer has been applied, `false` otherwise.
 	 *
+	 * The operation is applied in an {@link module:engine/model/model~Model#enqueueChange `enqueueChange()`} block, so when
+	 * this method is called in another change block, the operation is applied after that block.
+	 *
+	 * If the operation cannot be applied, the promise is rejected. The operation is kept as the next operation to replay
+	 * and the model is left in the state before that operation.
+	 *
 	 * @returns {Promise.<Boolean>}
 	 */
 	applyNextOperation() {
 		const model = this._model;
 
-		return new Promise( res => {
+		return new Promise( ( res, rej ) => {
 			model.enqueueChange( writer => {
-				const operationJson = this._operationsToReplay.shift();
+				const operationJson = this._operationsToReplay[ 0 ];
 
 				if ( !operationJson ) {
 					return res( true );
 				}
 
-				const operation = OperationFactory.fromJSON( operationJson, model.document );
+				const version = model.document.version;
+
+				// The nested atomic block rolls back the operation if it cannot be applied. The error is not rethrown
+				// from the enqueued block, so the model is ready for the next changes.
+				try {
+					model.change( () => {
+						const operation = OperationFactory.fromJSON( operationJson, model.document );
 
-				writer.batch.addOperation( operation );
-				model.applyOperation( operation );
+						writer.batch.addOperation( operation );
+						model.applyOperation( operation );
+					}, { atomic: true } );
+				} catch ( err ) {
+					return rej( err );
+				}
+
+				this._appliedOperations.push( this._operationsToReplay.shift() );
+				this._appliedVersions.push( version );
 
 				res( false );
 			} );
 		} );
 	}
+
+	/**
+	 * Reverts the last operation applied by the replayer, so it becomes the next operation to replay. Returns a promise
+	 * with the `isAtStart` parameter that is `true` if there was no operation to revert, `false` otherwise.
+	 *
+	 * The operation is reverted like the changes of a failed {@link module:engine/model/model~Model#change atomic change block}
+	 * (using the protected `Model#_rollbackChanges()` method): the document version goes back to the version before
+	 * the operation and the operation is removed from the document history and from its batch. All changes done after
+	 * the operation was applied (e.g. by post-fixers) are reverted too, so the replayer should be the only source of
+	 * the model changes.
+	 *
+	 * Like {@link #applyNextOperation}, the operation is reverted in an
+	 * {@link module:engine/model/model~Model#enqueueChange `enqueueChange()`} block.
+	 *
+	 * @returns {Promise.<Boolean>}
+	 */
+	revertLastOperation() {
+		const model = this._model;
+		const document = model.document;
+
+		return new Promise( ( res, rej ) => {
+			model.enqueueChange( () => {
+				if ( !this._appliedOperations.length ) {
+					return res( true );
+				}
+
+				// The operations done by post-fixers after the replayed operation are reverted too.
+				const version = this._appliedVersions[ this._appliedVersions.length - 1 ];
+				const operation = document.history.getOperation( version );
+
+				if ( !operation ) {
+					return rej( new Error( 'The operation cannot be reverted, because it is not in the document history.' ) );
+				}
+
+				// The differ is not reset, so the reverted changes are converted like other changes.
+				model._rollbackChanges( version, operation.batch, operation.batch.operations.indexOf( operation ), false );
+
+				this._operationsToReplay.unshift( this._appliedOperations.pop() );
+				this._appliedVersions.pop();
+
+				res( false );
+			} );
+		} );
+	}
+
+	/**
+	 * Reverts `numberOfOperations` operations, beginning with the last applied operation.
+	 *
+	 * @param {Number} numberOfOperations The number of operations to revert.
+	 * @returns {Promise}
+	 */
+	revertOperations( numberOfOperations ) {
+		if ( numberOfOperations <= 0 ) {
+			return Promise.resolve();
+		}
+
+		return this.revertLastOperation()
+			.then( isAtStart => {
+				if ( !isAtStart ) {
+					return this.revertOperations( numberOfOperations - 1 );
+				}
+			} );
+	}
+
+	/**
+	 * Applies or reverts operations, so the given number of operations (counting from the first operation set in the replayer)
+	 * is applied.
+	 *
+	 *		replayer.seek( 0 ); // Reverts all applied operations.
+	 *		replayer.seek( 10 ); // Moves to the state after the first 10 operations.
+	 *
+	 * @param {Number} numberOfAppliedOperations The number of operations which should be applied.
+	 * @returns {Promise}
+	 */
+	seek( numberOfAppliedOperations ) {
+		const difference = numberOfAppliedOperations - this._appliedOperations.length;
+
+		return difference > 0 ? this.applyOperations( difference ) : this.revertOperations( -difference );
+	}
+
+	/**
+	 * Finds the first operation after which the given predicate fails, using binary search. It is assumed that once
+	 * the predicate fails, it fails for all further operations too.
+	 *
+	 * The predicate is called with the model and should return (or resolve with) `true` if the model is correct.
+	 * The predicate fails if it returns `false`, throws an error (or rejects) or if the operation cannot be applied.
+	 *
+	 *		// Finds the first operation after which the model does not match the schema.
+	 *		replayer.bisect( model => isSchemaValid( model ) );
+	 *
+	 *		// Finds the first operation after which the data cannot be read.
+	 *		replayer.bisect( () => !!editor.getData() );
+	 *
+	 * All operations set in the replayer (the applied ones and the ones to replay) are checked. The promise resolves with
+	 * `null` if the predicate does not fail after the last operation. Otherwise, it resolves with the object with the `index`
+	 * of the first failing operation (counting from the first operation set in the replayer), its JSON as `operation` and
+	 * the `error` thrown by the predicate or the operation (or `null` if the predicate returned `false`). Then, the replayer
+	 * is left in the state before that operation, so it can be {@link #applyNextOperation applied} to debug the problem.
+	 *
+	 * The promise is rejected if the predicate fails before applying any operation.
+	 *
+	 * @param {Function} predicate
+	 * @returns {Promise.<Object|null>}
+	 */
+	bisect( predicate ) {
+		const operations = this._appliedOperations.concat( this._operationsToReplay );
+		const errors = new Map();
+
+		// The number of the applied operations for which the predicate is known to pass and to fail.
+		let passing = 0;
+		let failing = operations.length;
+
+		const check = numberOfAppliedOperations => {
+			return this._checkState( numberOfAppliedOperations, predicate ).then( result => {
+				if ( result ) {
+					errors.set( result.failing, result.error );
+				}
+
+				return result && result.failing;
+			} );
+		};
+
+		const search = () => {
+			if ( failing - passing <= 1 ) {
+				return this.seek( passing ).then( () => ( {
+					index: passing,
+					operation: operations[ passing ],
+					error: errors.get( failing )
+				} ) );
+			}
+
+			const middle = Math.floor( ( passing + failing ) / 2 );
+
+			return check( middle ).then( result => {
+				if ( result === null ) {
+					passing = middle;
+				} else {
+					failing = result;
+				}
+
+				return search();
+			} );
+		};
+
+		return check( 0 )
+			.then( result => {
+				if ( result !== null ) {
+					throw new Error( 'The predicate fails before applying any operation.' );
+				}
+
+				return check( operations.length );
+			} )
+			.then( result => {
+				if ( result === null ) {
+					return null;
+				}
+
+				failing = result;
+
+				return search();
+			} );
+	}
+
+	/**
+	 * Seeks to the given state and checks the predicate. Resolves with `null` if the predicate passes. Otherwise, resolves with
+	 * the number of the applied operations for which the predicate fails (if an operation cannot be applied, it is counted
+	 * as applied) and the error.
+	 *
+	 * @private
+	 * @param {Number} numberOfAppliedOperations
+	 * @param {Function} predicate
+	 * @returns {Promise.<Object|null>}
+	 */
+	_checkState( numberOfAppliedOperations, predicate ) {
+		return this.seek( numberOfAppliedOperations )
+			.then( () => predicate( this._model ) )
+			.then( result => {
+				return result ? null : { failing: numberOfAppliedOperations, error: null };
+			}, error => {
+				// If an operation cannot be applied, the model is left in the state before that operation.
+				const failing = Math.min( numberOfAppliedOperations, this._appliedOperations.length + 1 );
+
+				return { failing, error };
+			} );
+	}
 }
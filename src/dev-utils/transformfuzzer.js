@@ -0,0 +1,647 @@
+/**
+ * @license Copyright (c) 2003-2020, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/**
+ * @module engine/dev-utils/transformfuzzer
+ */
+
+import Model from '../model/model';
+import OperationFactory from '../model/operation/operationfactory';
+import { transformSets } from '../model/operation/transform';
+
+/**
+ * Transform fuzzer is a development tool which looks for bugs in the {@link module:engine/model/operation/transform operational
+ * transformation}.
+ *
+ * For each test case, the fuzzer creates random model content and two random sequences of operations which change
+ * that content concurrently (e.g. text insertions and removals, splits, merges, moves, renames, wraps, markers and root
+ * attribute changes). Then, the sequences are transformed by each other using
+ * {@link module:engine/model/operation/transform~transformSets `transformSets()`} (once with each sequence being the stronger one)
+ * and the fuzzer checks that:
+ *
+ * * the transformation and applying the transformed operations does not throw,
+ * * applying the first sequence and then the transformed second sequence gives the same content and markers as applying
+ * the second sequence and then the transformed first sequence,
+ * * each transformed operation can be reverted using its {@link module:engine/model/operation/operation~Operation#getReversed
+ * reversed operation} (the content and the root attributes are compared, as the marker ranges are not restored).
+ *
+ * When a test case fails, the fuzzer shortens the sequences to the shortest ones which still fail and returns them
+ * in the format used by the {@link module:engine/dev-utils/operationreplayer~OperationReplayer operation replayer}:
+ *
+ *		const fuzzer = new TransformFuzzer( { seed: 1234 } );
+ *		const failure = fuzzer.run( 1000 );
+ *
+ *		if ( failure ) {
+ *			console.log( failure.message );
+ *
+ *			// Create the initial content and apply the first sequence of operations.
+ *			new OperationReplayer( model, '-------', failure.initialOperations + '-------' + failure.operationsA ).play();
+ *		}
+ *
+ * The model used by the fuzzer has the `paragraph`, `heading1` and `blockQuote` elements, the `bold` text attribute
+ * and the `lang` root attribute. The test cases are generated by a seeded random number generator, so each failure
+ * can be reproduced using {@link #runCase} with the returned seed.
+ */
+export default class TransformFuzzer {
+	/**
+	 * Creates a fuzzer.
+	 *
+	 * @param {Object} [options]
+	 * @param {Number} [options.seed=Date.now()] The seed of the first test case. The next test cases use the following numbers.
+	 * @param {Number} [options.changes=3] The number of random changes in each sequence.
+	 * @param {String} [options.logSeparator='-------'] The separator between the stringified operations in the returned failures.
+	 */
+	constructor( options = {} ) {
+		/**
+		 * The seed of the first test case.
+		 *
+		 * @readonly
+		 * @member {Number}
+		 */
+		this.seed = options.seed === undefined ? Date.now() : options.seed;
+
+		/**
+		 * The number of random changes in each sequence.
+		 *
+		 * @readonly
+		 * @member {Number}
+		 */
+		this.changes = options.changes || 3;
+
+		/**
+		 * The separator between the stringified operations in the returned failures.
+		 *
+		 * @readonly
+		 * @member {String}
+		 */
+		this.logSeparator = options.logSeparator || '-------';
+	}
+
+	/**
+	 * Runs the given number of test cases and returns the first failure.
+	 *
+	 * @param {Number} [iterations=100] The number of test cases.
+	 * @returns {module:engine/dev-utils/transformfuzzer~TransformFuzzerFailure|null} The failure or `null` if all test cases passed.
+	 */
+	run( iterations = 100 ) {
+		for ( let i = 0; i < iterations; i++ ) {
+			const failure = this.runCase( this.seed + i );
+
+			if ( failure ) {
+				return failure;
+			}
+		}
+
+		return null;
+	}
+
+	/**
+	 * Runs the test case generated from the given seed.
+	 *
+	 * @param {Number} seed
+	 * @returns {module:engine/dev-utils/transformfuzzer~TransformFuzzerFailure|null} The failure or `null` if the test case passed.
+	 */
+	runCase( seed ) {
+		const random = createRandom( seed );
+		const model = createModel();
+
+		model.change( writer => createRandomContent( writer, random ) );
+
+		const initialOperations = getOperationsJson( model, 0 );
+		const operationsA = createRandomOperations( initialOperations, this.changes, random );
+		const operationsB = createRandomOperations( initialOperations, this.changes, random );
+
+		// Look for the shortest sequences which still fail.
+		for ( let length = 2; length <= operationsA.length + operationsB.length; length++ ) {
+			for ( let lengthA = 1; lengthA < length; lengthA++ ) {
+				const lengthB = length - lengthA;
+
+				if ( lengthA > operationsA.length || lengthB > operationsB.length ) {
+					continue;
+				}
+
+				const shortenedA = operationsA.slice( 0, lengthA );
+				const shortenedB = operationsB.slice( 0, lengthB );
+				const error = checkTransformation( initialOperations, shortenedA, shortenedB );
+
+				if ( error ) {
+					return Object.assign( error, {
+						seed,
+						initialOperations: this._stringify( initialOperations ),
+						operationsA: this._stringify( shortenedA ),
+						operationsB: this._stringify( shortenedB )
+					} );
+				}
+			}
+		}
+
+		return null;
+	}
+
+	/**
+	 * Converts the operations to the format used by the operation replayer.
+	 *
+	 * @private
+	 * @param {Array.<Object>} operationsJson
+	 * @returns {String}
+	 */
+	_stringify( operationsJson ) {
+		return operationsJson.map( json => JSON.stringify( json ) ).join( this.logSeparator );
+	}
+}
+
+/**
+ * The failed test case returned by {@link module:engine/dev-utils/transformfuzzer~TransformFuzzer}.
+ *
+ * @typedef {Object} module:engine/dev-utils/transformfuzzer~TransformFuzzerFailure
+ *
+ * @property {'transformation'|'application'|'divergence'|'reversibility'} reason What failed: the transformation threw,
+ * applying the transformed operations threw, the documents did not converge or the operations could not be reverted.
+ * @property {String} message The description of the failure.
+ * @property {Number} seed The seed of the test case.
+ * @property {String} initialOperations The stringified operations which create the initial content in an empty root.
+ * @property {String} operationsA The stringified first sequence of operations applied to the initial content.
+ * @property {String} operationsB The stringified second sequence of operations applied to the initial content.
+ * @property {Boolean} isAStronger Whether the failure occurred when the first sequence was the stronger one.
+ */
+
+// The random changes made by the fuzzer. Each change returns `false` if it cannot be made in the current content.
+const changes = [
+	function insertText( writer, random ) {
+		const block = randomItem( random, getTextBlocks( writer ) );
+
+		if ( !block ) {
+			return false;
+		}
+
+		writer.insertText( randomText( random ), randomTextAttributes( random ), block, randomInt( random, 0, block.maxOffset ) );
+	},
+
+	function removeText( writer, random ) {
+		const range = randomTextRange( writer, random, false );
+
+		if ( !range ) {
+			return false;
+		}
+
+		writer.remove( range );
+	},
+
+	function changeAttribute( writer, random ) {
+		const range = randomTextRange( writer, random, false );
+
+		if ( !range ) {
+			return false;
+		}
+
+		if ( random() < 0.5 ) {
+			writer.setAttribute( 'bold', true, range );
+		} else {
+			writer.removeAttribute( 'bold', range );
+		}
+	},
+
+	function insertElement( writer, random ) {
+		const container = randomItem( random, getContainers( writer ) );
+
+		writer.insert( createRandomBlock( writer, random ), container, randomInt( random, 0, container.maxOffset ) );
+	},
+
+	function removeElement( writer, random ) {
+		const element = randomItem( random, [ ...getTextBlocks( writer ), ...getBlockQuotes( writer ) ] );
+
+		if ( !element ) {
+			return false;
+		}
+
+		writer.remove( element );
+	},
+
+	function moveElement( writer, random ) {
+		const block = randomItem( random, getTextBlocks( writer ) );
+
+		if ( !block ) {
+			return false;
+		}
+
+		const container = randomItem( random, getContainers( writer ) );
+
+		writer.move( writer.createRangeOn( block ), container, randomInt( random, 0, container.maxOffset ) );
+	},
+
+	function split( writer, random ) {
+		const block = randomItem( random, getTextBlocks( writer ) );
+
+		if ( !block ) {
+			return false;
+		}
+
+		writer.split( writer.createPositionAt( block, randomInt( random, 0, block.maxOffset ) ) );
+	},
+
+	function merge( writer, random ) {
+		const block = randomItem( random, getTextBlocks( writer ).filter( item => isTextBlock( item.nextSibling ) ) );
+
+		if ( !block ) {
+			return false;
+		}
+
+		writer.merge( writer.createPositionAfter( block ) );
+	},
+
+	function rename( writer, random ) {
+		const block = randomItem( random, getTextBlocks( writer ) );
+
+		if ( !block ) {
+			return false;
+		}
+
+		writer.rename( block, block.name == 'paragraph' ? 'heading1' : 'paragraph' );
+	},
+
+	function wrap( writer, random ) {
+		const block = randomItem( random, getTextBlocks( writer ) );
+
+		if ( !block ) {
+			return false;
+		}
+
+		writer.wrap( writer.createRangeOn( block ), 'blockQuote' );
+	},
+
+	function unwrap( writer, random ) {
+		const blockQuote = randomItem( random, getBlockQuotes( writer ) );
+
+		if ( !blockQuote ) {
+			return false;
+		}
+
+		writer.unwrap( blockQuote );
+	},
+
+	function changeMarker( writer, random ) {
+		const name = 'marker:' + randomInt( random, 1, 2 );
+		const range = randomTextRange( writer, random, true );
+
+		if ( writer.model.markers.has( name ) && ( !range || random() < 0.3 ) ) {
+			writer.removeMarker( name );
+		} else if ( !range ) {
+			return false;
+		} else if ( writer.model.markers.has( name ) ) {
+			writer.updateMarker( name, { range } );
+		} else {
+			writer.addMarker( name, { range, usingOperation: true, affectsData: false } );
+		}
+	},
+
+	function changeRootAttribute( writer, random ) {
+		const root = writer.model.document.getRoot();
+
+		if ( root.hasAttribute( 'lang' ) && random() < 0.5 ) {
+			writer.removeAttribute( 'lang', root );
+		} else {
+			writer.setAttribute( 'lang', randomItem( random, [ 'en', 'pl' ] ), root );
+		}
+	}
+];
+
+// Transforms the operations by each other (with each of them being the stronger one) and checks the results.
+//
+// @param {Array.<Object>} initialOperations
+// @param {Array.<Object>} operationsA
+// @param {Array.<Object>} operationsB
+// @returns {Object|null} The `reason` and `message` of the failure or `null`.
+function checkTransformation( initialOperations, operationsA, operationsB ) {
+	for ( const isAStronger of [ true, false ] ) {
+		const error = checkConvergence( initialOperations, operationsA, operationsB, isAStronger );
+
+		if ( error ) {
+			return Object.assign( error, { isAStronger } );
+		}
+	}
+
+	return null;
+}
+
+// @param {Array.<Object>} initialOperations
+// @param {Array.<Object>} operationsA
+// @param {Array.<Object>} operationsB
+// @param {Boolean} isAStronger
+// @returns {Object|null}
+function checkConvergence( initialOperations, operationsA, operationsB, isAStronger ) {
+	const document = createModel( initialOperations ).document;
+	const a = operationsA.map( json => OperationFactory.fromJSON( json, document ) );
+	const b = operationsB.map( json => OperationFactory.fromJSON( json, document ) );
+	const options = { document, useRelations: false, padWithNoOps: true };
+
+	let transformedA, transformedB;
+
+	try {
+		if ( isAStronger ) {
+			( { operationsA: transformedA, operationsB: transformedB } = transformSets( a, b, options ) );
+		} else {
+			( { operationsA: transformedB, operationsB: transformedA } = transformSets( b, a, options ) );
+		}
+	} catch ( error ) {
+		return { reason: 'transformation', message: 'The transformation failed: ' + error.message };
+	}
+
+	const results = [];
+
+	for ( const [ operations, transformedOperations ] of [ [ operationsA, transformedB ], [ operationsB, transformedA ] ] ) {
+		const model = createModel( initialOperations.concat( operations ) );
+		const transformedJson = getJson( transformedOperations );
+
+		try {
+			applyOperations( model, transformedJson );
+		} catch ( error ) {
+			return { reason: 'application', message: 'Applying the transformed operations failed: ' + error.message };
+		}
+
+		results.push( getState( model ) );
+
+		for ( let i = 0; i < transformedJson.length; i++ ) {
+			const error = checkReversibility( initialOperations.concat( operations, transformedJson.slice( 0, i ) ), transformedJson[ i ] );
+
+			if ( error ) {
+				return error;
+			}
+		}
+	}
+
+	if ( results[ 0 ] != results[ 1 ] ) {
+		return { reason: 'divergence', message: `The documents did not converge:\n${ results[ 0 ] }\n${ results[ 1 ] }` };
+	}
+
+	return null;
+}
+
+// Creates the model used by the fuzzer and applies the given operations to it.
+//
+// @param {Array.<Object>} [operationsJson]
+// @returns {module:engine/model/model~Model}
+function createModel( operationsJson = [] ) {
+	const model = new Model();
+
+	model.schema.register( 'paragraph', { inheritAllFrom: '$block' } );
+	model.schema.register( 'heading1', { inheritAllFrom: '$block' } );
+	model.schema.register( 'blockQuote', { allowWhere: '$block', allowContentOf: '$root' } );
+	model.schema.extend( '$text', { allowAttributes: [ 'bold' ] } );
+	model.schema.extend( '$root', { allowAttributes: [ 'lang' ] } );
+
+	model.document.createRoot();
+
+	applyOperations( model, operationsJson );
+
+	return model;
+}
+
+// Makes random changes in a model with the given initial content and returns the created operations.
+//
+// @param {Array.<Object>} initialOperations
+// @param {Number} count The number of changes.
+// @param {Function} random
+// @returns {Array.<Object>}
+function createRandomOperations( initialOperations, count, random ) {
+	const model = createModel( initialOperations );
+	const version = model.document.version;
+
+	model.change( writer => {
+		for ( let i = 0; i < count; i++ ) {
+			// Some changes cannot be made, e.g. there is no block quote to unwrap. Inserting an element is always possible.
+			let isChanged = false;
+
+			while ( !isChanged ) {
+				isChanged = randomItem( random, changes )( writer, random ) !== false;
+			}
+		}
+	} );
+
+	return getOperationsJson( model, version );
+}
+
+// @param {module:engine/model/writer~Writer} writer
+// @param {Function} random
+function createRandomContent( writer, random ) {
+	const root = writer.model.document.getRoot();
+
+	for ( let i = randomInt( random, 1, 4 ); i > 0; i-- ) {
+		if ( random() < 0.25 ) {
+			const blockQuote = writer.createElement( 'blockQuote' );
+
+			for ( let j = randomInt( random, 1, 2 ); j > 0; j-- ) {
+				writer.append( createRandomBlock( writer, random ), blockQuote );
+			}
+
+			writer.append( blockQuote, root );
+		} else {
+			writer.append( createRandomBlock( writer, random ), root );
+		}
+	}
+}
+
+// @param {module:engine/model/writer~Writer} writer
+// @param {Function} random
+// @returns {module:engine/model/element~Element}
+function createRandomBlock( writer, random ) {
+	const block = writer.createElement( random() < 0.7 ? 'paragraph' : 'heading1' );
+
+	for ( let i = randomInt( random, 0, 3 ); i > 0; i-- ) {
+		writer.appendText( randomText( random ), randomTextAttributes( random ), block );
+	}
+
+	return block;
+}
+
+// Returns a random range in a random text block or `null` if there is no text block (or no text, if the range cannot be collapsed).
+//
+// @param {module:engine/model/writer~Writer} writer
+// @param {Function} random
+// @param {Boolean} allowCollapsed
+// @returns {module:engine/model/range~Range|null}
+function randomTextRange( writer, random, allowCollapsed ) {
+	const block = randomItem( random, getTextBlocks( writer ).filter( item => allowCollapsed || item.maxOffset > 0 ) );
+
+	if ( !block ) {
+		return null;
+	}
+
+	const start = randomInt( random, 0, allowCollapsed ? block.maxOffset : block.maxOffset - 1 );
+	const end = randomInt( random, allowCollapsed ? start : start + 1, block.maxOffset );
+
+	return writer.createRange( writer.createPositionAt( block, start ), writer.createPositionAt( block, end ) );
+}
+
+// @param {module:engine/model/writer~Writer} writer
+// @returns {Array.<module:engine/model/element~Element>}
+function getTextBlocks( writer ) {
+	return getElements( writer ).filter( isTextBlock );
+}
+
+// @param {module:engine/model/writer~Writer} writer
+// @returns {Array.<module:engine/model/element~Element>}
+function getBlockQuotes( writer ) {
+	return getElements( writer ).filter( element => element.name == 'blockQuote' );
+}
+
+// Returns the elements which can contain the blocks (the root and the block quotes).
+//
+// @param {module:engine/model/writer~Writer} writer
+// @returns {Array.<module:engine/model/element~Element>}
+function getContainers( writer ) {
+	return [ writer.model.document.getRoot(), ...getBlockQuotes( writer ) ];
+}
+
+// @param {module:engine/model/writer~Writer} writer
+// @returns {Array.<module:engine/model/element~Element>}
+function getElements( writer ) {
+	const range = writer.createRangeIn( writer.model.document.getRoot() );
+
+	return Array.from( range.getItems() ).filter( item => item.is( 'element' ) );
+}
+
+// @param {module:engine/model/node~Node|null} node
+// @returns {Boolean}
+function isTextBlock( node ) {
+	return !!node && node.is( 'element' ) && ( node.name == 'paragraph' || node.name == 'heading1' );
+}
+
+// Returns the content, root attributes and markers of the model as a string, so the models can be compared.
+//
+// The positions in the graveyard depend on the order in which the nodes were removed, so only the names of the markers
+// in the graveyard are compared.
+//
+// @param {module:engine/model/model~Model} model
+// @param {Boolean} [withMarkers=true]
+// @returns {String}
+function getState( model, withMarkers = true ) {
+	const root = model.document.getRoot();
+	const markers = Array.from( model.markers, marker => {
+		const range = marker.getRange();
+
+		return [ marker.name, range.root.rootName == '$graveyard' ? '$graveyard' : range.toJSON() ];
+	} );
+
+	return JSON.stringify( {
+		attributes: Array.from( root.getAttributes() ),
+		children: Array.from( root.getChildren(), child => child.toJSON() ),
+		markers: withMarkers ? markers.sort( ( a, b ) => a[ 0 ] < b[ 0 ] ? -1 : 1 ) : []
+	} );
+}
+
+// @param {module:engine/model/model~Model} model
+// @param {Array.<Object>} operationsJson
+function applyOperations( model, operationsJson ) {
+	model.change( writer => {
+		for ( const json of operationsJson ) {
+			const operation = OperationFactory.fromJSON( json, model.document );
+
+			writer.batch.addOperation( operation );
+			model.applyOperation( operation );
+		}
+	} );
+}
+
+// Checks whether applying the operation and its reversed operation gives the content from before the operation.
+// The markers are not compared, as the marker ranges are not expanded when the removed content is reinserted.
+//
+// Each operation is checked separately because the reversed operations are correct only right after the operation
+// was applied. For example, the reversed insert operation moves the nodes to the beginning of the graveyard, which changes
+// the graveyard positions used by the reversed operations of the previous remove operations.
+//
+// @param {Array.<Object>} previousOperations The operations applied before the checked operation.
+// @param {Object} operationJson
+// @returns {Object|null}
+function checkReversibility( previousOperations, operationJson ) {
+	const model = createModel( previousOperations );
+	const stateBefore = getState( model, false );
+	const operation = OperationFactory.fromJSON( operationJson, model.document );
+
+	try {
+		model.change( writer => {
+			writer.batch.addOperation( operation );
+			model.applyOperation( operation );
+
+			const reversed = operation.getReversed();
+
+			writer.batch.addOperation( reversed );
+			model.applyOperation( reversed );
+		} );
+	} catch ( error ) {
+		return { reason: 'reversibility', message: 'Reverting the transformed operation failed: ' + error.message };
+	}
+
+	if ( getState( model, false ) != stateBefore ) {
+		return {
+			reason: 'reversibility',
+			message: `Reverting the transformed operation gave:\n${ getState( model, false ) }\ninstead of:\n${ stateBefore }`
+		};
+	}
+
+	return null;
+}
+
+// @param {module:engine/model/model~Model} model
+// @param {Number} version
+// @returns {Array.<Object>}
+function getOperationsJson( model, version ) {
+	return getJson( model.document.history.getOperations( version ) );
+}
+
+// Converts the operations to plain objects, the same as if they were sent through the network.
+//
+// @param {Array.<module:engine/model/operation/operation~Operation>} operations
+// @returns {Array.<Object>}
+function getJson( operations ) {
+	return JSON.parse( JSON.stringify( operations ) );
+}
+
+// Returns a seeded pseudo-random number generator (a linear congruential generator) which returns numbers
+// between `0` (inclusive) and `1` (exclusive).
+//
+// @param {Number} seed
+// @returns {Function}
+function createRandom( seed ) {
+	let state = Math.abs( Math.floor( seed ) ) % 2147483646 + 1;
+
+	return () => {
+		state = ( state * 16807 ) % 2147483647;
+
+		return ( state - 1 ) / 2147483646;
+	};
+}
+
+// @param {Function} random
+// @param {Number} min
+// @param {Number} max
+// @returns {Number} A random integer between `min` and `max` (inclusive).
+function randomInt( random, min, max ) {
+	return min + Math.floor( random() * ( max - min + 1 ) );
+}
+
+// @param {Function} random
+// @param {Array} items
+// @returns {*} A random item or `undefined` if there are no items.
+function randomItem( random, items ) {
+	return items[ Math.floor( random() * items.length ) ];
+}
+
+// @param {Function} random
+// @returns {String}
+function randomText( random ) {
+	let text = '';
+
+	for ( let i = randomInt( random, 1, 3 ); i > 0; i-- ) {
+		text += randomItem( random, [ 'a', 'b', 'c', 'x', 'y', 'z' ] );
+	}
+
+	return text;
+}
+
+// @param {Function} random
+// @returns {Object}
+function randomTextAttributes( random ) {
+	return random() < 0.3 ? { bold: true } : {};
+}
@@ -16,6 +16,17 @@
  *			writer.insertText( 'foo', paragraph, 'end' );
  *		} );
  *
+ * A batch can carry {@link #metadata metadata} describing the changes, like their author or origin. The metadata is
+ * passed to all operations added to the batch:
+ *
+ *		const batch = model.createBatch( 'default', { authorId: 'user-1', origin: 'paste' } );
+ *
+ *		model.enqueueChange( batch, writer => {
+ *			writer.insertText( 'foo', paragraph, 'end' );
+ *		} );
+ *
+ *		batch.operations[ 0 ].metadata; // -> { authorId: 'user-1', origin: 'paste' }
+ *
  * @see module:engine/model/model~Model#enqueueChange
  * @see module:engine/model/model~Model#change
  */
@@ -26,8 +37,9 @@ export default class Batch {
 	 * @see module:engine/model/model~Model#enqueueChange
 	 * @see module:engine/model/model~Model#change
 	 * @param {'transparent'|'default'} [type='default'] The type of the batch.
+	 * @param {Object} [metadata={}] The metadata of the batch.
 	 */
-	constructor( type = 'default' ) {
+	constructor( type = 'default', metadata = {} ) {
 		/**
 		 * An array of operations that compose this batch.
 		 *
@@ -48,6 +60,19 @@ export default class Batch {
 		 * @type {'transparent'|'default'}
 		 */
 		this.type = type;
+
+		/**
+		 * The metadata of the batch. It can contain any values describing the changes, e.g. the author identifier,
+		 * a timestamp, an origin of the changes (like `'paste'` or `'remote'`) or the name of the feature which made them.
+		 *
+		 * The metadata is copied to the {@link module:engine/model/operation/operation~Operation#metadata operation metadata}
+		 * when an operation is added to the batch, so it should be set before the changes are made. The values should be
+		 * serializable to JSON, because the operation metadata is kept in the operation JSON.
+		 *
+		 * @readonly
+		 * @type {Object}
+		 */
+		this.metadata = Object.assign( {}, metadata );
 	}
 
 	/**
@@ -70,11 +95,15 @@ export default class Batch {
 	/**
 	 * Adds an operation to the batch instance.
 	 *
+	 * The {@link #metadata batch metadata} is added to the {@link module:engine/model/operation/operation~Operation#metadata
+	 * operation metadata}. The values already set in the operation metadata (e.g. by a remote client) are kept.
+	 *
 	 * @param {module:engine/model/operation/operation~Operation} operation An operation to add.
 	 * @returns {module:engine/model/operation/operation~Operation} The added operation.
 	 */
 	addOperation( operation ) {
 		operation.batch = this;
+		operation.metadata = Object.assign( {}, this.metadata, operation.metadata );
 		this.operations.push( operation );
 
 		return operation;
@@ -66,6 +66,18 @@ export default class Differ {
 		 */
 		this._changedMarkers = new Map();
 
+		/**
+		 * A map that stores all added and detached roots.
+		 *
+		 * The keys of the map are root names.
+		 * The values of the map are objects with the `type` (`'addRoot'` or `'detachRoot'`) and `name` (root element name)
+		 * properties. Adding and then detaching the same root (or the other way round) cancels the change out.
+		 *
+		 * @private
+		 * @type {Map}
+		 */
+		this._changedRoots = new Map();
+
 		/**
 		 * Stores the number of changes that were processed. Used to order the changes chronologically. It is important
 		 * when changes are sorted.
@@ -107,7 +119,7 @@ export default class Differ {
 	 * @type {Boolean}
 	 */
 	get isEmpty() {
-		return this._changesInElement.size == 0 && this._changedMarkers.size == 0;
+		return this._changesInElement.size == 0 && this._changedMarkers.size == 0 && this._changedRoots.size == 0;
 	}
 
 	/**
@@ -255,6 +267,12 @@ export default class Differ {
 					this._markInsert( mergedIntoElement, operation.targetPosition.offset, mergedElement.maxOffset );
 				}
 
+				break;
+			}
+			case 'addRoot':
+			case 'detachRoot': {
+				this._markRootChange( operation );
+
 				break;
 			}
 		}
@@ -351,11 +369,16 @@ export default class Differ {
 	 *
 	 * * model structure changes,
 	 * * attribute changes,
+	 * * added and detached roots,
 	 * * changes of markers which were defined as `affectingData`.
 	 *
 	 * @returns {Boolean}
 	 */
 	hasDataChanges() {
+		if ( this._changedRoots.size > 0 ) {
+			return true;
+		}
+
 		for ( const [ , change ] of this._changedMarkers ) {
 			if ( change.affectsData ) {
 				return true;
@@ -374,6 +397,11 @@ export default class Differ {
 	 * the position on which the change happened. If a position {@link module:engine/model/position~Position#isBefore is before}
 	 * another one, it will be on an earlier index in the diff set.
 	 *
+	 * Roots added or detached using {@link module:engine/model/writer~Writer#addRoot `Writer#addRoot()`} and
+	 * {@link module:engine/model/writer~Writer#detachRoot `Writer#detachRoot()`} are reported at the beginning of the diff set
+	 * as items with `type` set to `'addRoot'` or `'detachRoot'`, `rootName` set to the root name and `name` set to the root
+	 * element name.
+	 *
 	 * Because calculating the diff is a costly operation, the result is cached. If no new operation was buffered since the
 	 * previous {@link #getChanges} call, the next call will return the cached value.
 	 *
@@ -534,6 +562,16 @@ export default class Differ {
 
 		this._changeCount = 0;
 
+		// Put root changes before other changes, so the roots are handled before any change that happened inside them.
+		const rootChanges = Array.from( this._changedRoots ).map( ( [ rootName, change ] ) => ( {
+			type: change.type,
+			name: change.name,
+			rootName,
+			position: Position._createAt( change.operation.root, 0 )
+		} ) );
+
+		diffSet.unshift( ...rootChanges );
+
 		// Cache changes.
 		this._cachedChangesWithGraveyard = diffSet.slice();
 		this._cachedChanges = diffSet.slice().filter( _changesInGraveyardFilter );
@@ -552,9 +590,31 @@ export default class Differ {
 		this._changesInElement.clear();
 		this._elementSnapshots.clear();
 		this._changedMarkers.clear();
+		this._changedRoots.clear();
 		this._cachedChanges = null;
 	}
 
+	/**
+	 * Saves and handles a root add or detach change.
+	 *
+	 * The operation is buffered before it is applied, so the root may not exist yet. It is taken from the operation
+	 * when the changes are read.
+	 *
+	 * @private
+	 * @param {module:engine/model/operation/rootoperation~RootOperation} operation Operation adding or detaching the root.
+	 */
+	_markRootChange( operation ) {
+		const { rootName, type } = operation;
+		const buffered = this._changedRoots.get( rootName );
+
+		// Adding a root and then detaching it (or the other way round) means that, in fact, nothing has changed.
+		if ( buffered && buffered.type != type ) {
+			this._changedRoots.delete( rootName );
+		} else {
+			this._changedRoots.set( rootName, { type, name: operation.elementName, operation } );
+		}
+	}
+
 	/**
 	 * Saves and handles an insert change.
 	 *
@@ -9,12 +9,15 @@
 
 import Differ from './differ';
 import RootElement from './rootelement';
+import Range from './range';
 import History from './history';
 import DocumentSelection from './documentselection';
+import RemoteSelectionCollection from './remoteselectioncollection';
 import Collection from '@ckeditor/ckeditor5-utils/src/collection';
 import EmitterMixin from '@ckeditor/ckeditor5-utils/src/emittermixin';
 import CKEditorError from '@ckeditor/ckeditor5-utils/src/ckeditorerror';
 import mix from '@ckeditor/ckeditor5-utils/src/mix';
+import uid from '@ckeditor/ckeditor5-utils/src/uid';
 import { isInsideSurrogatePair, isInsideCombinedSymbol } from '@ckeditor/ckeditor5-utils/src/unicode';
 import { clone } from 'lodash-es';
 
@@ -79,6 +82,14 @@ export default class Document {
 		 */
 		this.selection = new DocumentSelection( this );
 
+		/**
+		 * The selections of other users (e.g. the collaborators) in this document.
+		 *
+		 * @readonly
+		 * @type {module:engine/model/remoteselectioncollection~RemoteSelectionCollection}
+		 */
+		this.remoteSelections = new RemoteSelectionCollection( this );
+
 		/**
 		 * A list of roots that are owned and managed by this document. Use {@link #createRoot} and
 		 * {@link #getRoot} to manipulate it.
@@ -112,6 +123,15 @@ export default class Document {
 		 */
 		this._hasSelectionChangedFromTheLastChangeBlock = false;
 
+		/**
+		 * Elements with {@link module:engine/model/element~Element#id stable identifiers} by their identifiers
+		 * or `null` if the identifiers are not {@link #enableElementIds enabled}.
+		 *
+		 * @private
+		 * @type {Map.<String,module:engine/model/element~Element>|null}
+		 */
+		this._elementsById = null;
+
 		// Graveyard tree root. Document always have a graveyard root, which stores removed nodes.
 		this.createRoot( '$root', graveyardName );
 
@@ -219,6 +239,7 @@ export default class Document {
 	 */
 	destroy() {
 		this.selection.destroy();
+		this.remoteSelections.destroy();
 		this.stopListening();
 	}
 
@@ -236,10 +257,131 @@ export default class Document {
 	/**
 	 * Returns an array with names of all roots (without the {@link #graveyard}) added to the document.
 	 *
+	 * Roots detached using {@link module:engine/model/writer~Writer#detachRoot `Writer#detachRoot()`} are omitted,
+	 * unless `includeDetached` is set to `true`.
+	 *
+	 * @param {Boolean} [includeDetached=false] Specifies whether detached roots should be returned as well.
 	 * @returns {Array.<String>} Roots names.
 	 */
-	getRootNames() {
-		return Array.from( this.roots, root => root.rootName ).filter( name => name != graveyardName );
+	getRootNames( includeDetached = false ) {
+		return this.getRoots( includeDetached ).map( root => root.rootName );
+	}
+
+	/**
+	 * Returns an array with all roots (without the {@link #graveyard}) added to the document.
+	 *
+	 * Roots detached using {@link module:engine/model/writer~Writer#detachRoot `Writer#detachRoot()`} are omitted,
+	 * unless `includeDetached` is set to `true`.
+	 *
+	 * @param {Boolean} [includeDetached=false] Specifies whether detached roots should be returned as well.
+	 * @returns {Array.<module:engine/model/rootelement~RootElement>} Roots.
+	 */
+	getRoots( includeDetached = false ) {
+		return Array.from( this.roots ).filter( root => {
+			return root.rootName != graveyardName && ( includeDetached || root.isAttached() );
+		} );
+	}
+
+	/**
+	 * Enables the {@link module:engine/model/element~Element#id stable element identifiers}. The identifiers allow recognizing
+	 * "the same" element after the model changes, also on other clients in the real-time collaboration and in the saved data
+	 * (the identifiers are serialized by {@link module:engine/model/element~Element#toJSON `Element#toJSON()`}).
+	 *
+	 *		model.document.enableElementIds();
+	 *
+	 *		const paragraph = model.change( writer => writer.createElement( 'paragraph' ) );
+	 *
+	 *		model.document.getElementById( paragraph.id ); // -> paragraph (once it is inserted to the document)
+	 *
+	 * The identifiers are assigned and preserved according to the following rules:
+	 *
+	 * * An element created by {@link module:engine/model/writer~Writer#createElement `Writer#createElement()`} gets a new identifier.
+	 * * An element inserted to the document gets a new identifier if it does not have one or if its identifier is already
+	 * used by another element in the document (for example, when the same content is pasted twice).
+	 * * An element keeps its identifier when it is moved, renamed or its attributes change, also when it is
+	 * removed to the {@link #graveyard} and restored (e.g. by undo).
+	 * * When an element is {@link module:engine/model/writer~Writer#split split}, the original element keeps its identifier and
+	 * the new element gets a new one. The new identifier is stored in the
+	 * {@link module:engine/model/operation/splitoperation~SplitOperation#elementId split operation}, so it is the same on all clients.
+	 * * When two elements are {@link module:engine/model/writer~Writer#merge merged}, the element to which the content is merged
+	 * keeps its identifier. The merged element is moved to the graveyard together with its identifier, so undoing the merge
+	 * brings back the element with the same identifier.
+	 *
+	 * The elements which are already in the document get their identifiers immediately (without any operations),
+	 * so this method should be called before the editor data is loaded.
+	 */
+	enableElementIds() {
+		if ( this._elementsById ) {
+			return;
+		}
+
+		this._elementsById = new Map();
+
+		for ( const root of this.getRoots( true ) ) {
+			for ( const item of Range._createIn( root ).getItems() ) {
+				if ( item.is( 'element' ) && !item.id ) {
+					item._id = this._createElementId();
+				}
+			}
+
+			this._indexElements( Range._createIn( root ) );
+		}
+
+		// Update the index for the elements which were inserted, moved or removed by the operation (after it was applied).
+		this.listenTo( this.model, 'applyOperation', ( evt, args ) => {
+			const operation = args[ 0 ];
+
+			if ( !operation.isDocumentOperation ) {
+				return;
+			}
+
+			switch ( operation.type ) {
+				case 'insert':
+					this._indexElements( Range._createFromPositionAndShift( operation.position, operation.howMany ) );
+					break;
+				case 'move':
+				case 'remove':
+				case 'reinsert':
+					this._indexElements( Range._createFromPositionAndShift( operation.getMovedRangeStart(), operation.howMany ) );
+					break;
+				case 'split':
+					this._indexElements( Range._createFromPositionAndShift( operation.insertionPosition, 1 ) );
+					break;
+				case 'merge':
+					// The merged element is moved to the graveyard.
+					this._indexElements( Range._createFromPositionAndShift( operation.graveyardPosition, 1 ) );
+					break;
+				case 'addRoot':
+				case 'detachRoot':
+					this._indexElements( Range._createIn( operation.root ) );
+					break;
+			}
+		}, { priority: 'low' } );
+	}
+
+	/**
+	 * Returns the element with the given {@link module:engine/model/element~Element#id stable identifier}.
+	 *
+	 * Only the elements in the attached roots are returned. The elements removed to the {@link #graveyard} are omitted.
+	 *
+	 * @param {String} id
+	 * @returns {module:engine/model/element~Element|null} The element or `null` if there is no such element in the document
+	 * or the identifiers are not {@link #enableElementIds enabled}.
+	 */
+	getElementById( id ) {
+		const element = this._elementsById && this._elementsById.get( id );
+
+		if ( !element ) {
+			return null;
+		}
+
+		const root = element.root;
+
+		if ( !root.is( 'rootElement' ) || root.document !== this || root == this.graveyard || !root.isAttached() ) {
+			return null;
+		}
+
+		return element;
 	}
 
 	/**
@@ -342,7 +484,45 @@ export default class Document {
 	}
 
 	/**
-	 * Returns the default root for this document which is either the first root that was added to the document using
+	 * Returns a new element identifier or `null` if the identifiers are not {@link #enableElementIds enabled}.
+	 *
+	 * @protected
+	 * @returns {String|null}
+	 */
+	_createElementId() {
+		return this._elementsById ? uid() : null;
+	}
+
+	/**
+	 * Ensures that the elements which will be inserted to the document have unique identifiers
+	 * (if the identifiers are {@link #enableElementIds enabled}). See {@link #enableElementIds} for the rules.
+	 *
+	 * @protected
+	 * @param {module:engine/model/item~Item|module:engine/model/documentfragment~DocumentFragment} item The item to insert.
+	 */
+	_assignElementIds( item ) {
+		if ( !this._elementsById || item.is( 'text' ) ) {
+			return;
+		}
+
+		const elements = Array.from( Range._createIn( item ).getItems() ).filter( node => node.is( 'element' ) );
+		const usedIds = new Set();
+
+		if ( item.is( 'element' ) ) {
+			elements.unshift( item );
+		}
+
+		for ( const element of elements ) {
+			if ( !element.id || usedIds.has( element.id ) || this.getElementById( element.id ) ) {
+				element._id = this._createElementId();
+			}
+
+			usedIds.add( element.id );
+		}
+	}
+
+	/**
+	 * Returns the default root for this document which is either the first attached root that was added to the document using
 	 * {@link #createRoot} or the {@link #graveyard graveyard root} if no other roots were created.
 	 *
 	 * @protected
@@ -350,7 +530,7 @@ export default class Document {
 	 */
 	_getDefaultRoot() {
 		for ( const root of this.roots ) {
-			if ( root !== this.graveyard ) {
+			if ( root !== this.graveyard && root.isAttached() ) {
 				return root;
 			}
 		}
@@ -358,6 +538,31 @@ export default class Document {
 		return this.graveyard;
 	}
 
+	/**
+	 * Updates the elements index used by {@link #getElementById} for the elements in the given range. The elements are added
+	 * to the index if the range is in an attached root. Otherwise (e.g. if they were removed to the {@link #graveyard}),
+	 * they are removed from the index.
+	 *
+	 * @private
+	 * @param {module:engine/model/range~Range} range
+	 */
+	_indexElements( range ) {
+		const root = range.root;
+		const isInDocument = root.is( 'rootElement' ) && root != this.graveyard && root.isAttached();
+
+		for ( const item of range.getItems() ) {
+			if ( !item.is( 'element' ) || !item.id ) {
+				continue;
+			}
+
+			if ( isInDocument ) {
+				this._elementsById.set( item.id, item );
+			} else if ( this._elementsById.get( item.id ) == item ) {
+				this._elementsById.delete( item.id );
+			}
+		}
+	}
+
 	/**
 	 * Returns the default range for this selection. The default range is a collapsed range that starts and ends
 	 * at the beginning of this selection's document {@link #_getDefaultRoot default root}.
@@ -443,6 +648,12 @@ export default class Document {
 	 *			console.log( 'The data has changed!' );
 	 *		} );
 	 *
+	 * The {@link module:engine/model/batch~Batch#metadata metadata} of the batch tells who or what made the changes:
+	 *
+	 *		model.document.on( 'change', ( evt, batch ) => {
+	 *			console.log( 'The document was changed by', batch.metadata.authorId );
+	 *		} );
+	 *
 	 * @event change
 	 * @param {module:engine/model/batch~Batch} batch The batch that was used in the executed changes block.
 	 */
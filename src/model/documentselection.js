@@ -634,6 +634,10 @@ class LiveSelection extends Selection {
 				this._fixGraveyardSelection( liveRange, sourcePosition );
 			}
 
+			if ( operation.type == 'detachRoot' ) {
+				this._removeRangesInRoot( operation.root );
+			}
+
 			if ( this._hasChangedRange ) {
 				this._hasChangedRange = false;
 				this.fire( 'change:range', { directChange: false } );
@@ -1146,6 +1150,19 @@ class LiveSelection extends Selection {
 		}
 		// If nearest valid selection range cannot be found - just removing the old range is fine.
 	}
+
+	// Removes selection ranges which are placed in the given root. Used after the root has been detached.
+	//
+	// @private
+	// @param {module:engine/model/rootelement~RootElement} root The detached root.
+	_removeRangesInRoot( root ) {
+		for ( const liveRange of this._ranges.filter( range => range.root == root ) ) {
+			this._ranges.splice( this._ranges.indexOf( liveRange ), 1 );
+			liveRange.detach();
+
+			this._hasChangedRange = true;
+		}
+	}
 }
 
 // Helper function for {@link module:engine/model/liveselection~LiveSelection#_updateAttributes}.
@@ -55,11 +55,34 @@ export default class Element extends Node {
 		 */
 		this._children = new NodeList();
 
+		/**
+		 * The stable identifier of the element. See {@link #id}.
+		 *
+		 * @protected
+		 * @member {String|null} module:engine/model/element~Element#_id
+		 */
+		this._id = null;
+
 		if ( children ) {
 			this._insertChild( 0, children );
 		}
 	}
 
+	/**
+	 * The stable identifier of the element or `null` if the element does not have one.
+	 *
+	 * The identifiers are assigned only if they were enabled by
+	 * {@link module:engine/model/document~Document#enableElementIds `Document#enableElementIds()`}.
+	 * Unlike the element instance, the identifier is kept when the element is serialized and inserted by other clients.
+	 * See the method documentation to learn how the identifiers are preserved by the model changes.
+	 *
+	 * @readonly
+	 * @type {String|null}
+	 */
+	get id() {
+		return this._id;
+	}
+
 	/**
 	 * Number of this element's children.
 	 *
@@ -218,6 +241,10 @@ export default class Element extends Node {
 
 		json.name = this.name;
 
+		if ( this._id ) {
+			json.id = this._id;
+		}
+
 		if ( this._children.length > 0 ) {
 			json.children = [];
 
@@ -230,8 +257,8 @@ export default class Element extends Node {
 	}
 
 	/**
-	 * Creates a copy of this element and returns it. Created element has the same name and attributes as the original element.
-	 * If clone is deep, the original element's children are also cloned. If not, then empty element is removed.
+	 * Creates a copy of this element and returns it. Created element has the same name, attributes and {@link #id} as
+	 * the original element. If clone is deep, the original element's children are also cloned. If not, then empty element is removed.
 	 *
 	 * @protected
 	 * @param {Boolean} [deep=false] If set to `true` clones element and all its children recursively. When set to `false`,
@@ -239,8 +266,11 @@ export default class Element extends Node {
 	 */
 	_clone( deep = false ) {
 		const children = deep ? Array.from( this._children ).map( node => node._clone( true ) ) : null;
+		const element = new Element( this.name, this.getAttributes(), children );
 
-		return new Element( this.name, this.getAttributes(), children );
+		element._id = this._id;
+
+		return element;
 	}
 
 	/**
@@ -322,7 +352,13 @@ export default class Element extends Node {
 			}
 		}
 
-		return new Element( json.name, json.attributes, children );
+		const element = new Element( json.name, json.attributes, children );
+
+		if ( json.id ) {
+			element._id = json.id;
+		}
+
+		return element;
 	}
 
 	// @if CK_DEBUG_ENGINE // toString() {
@@ -7,8 +7,23 @@
  * @module engine/model/history
  */
 
+import Batch from './batch';
+import OperationFactory from './operation/operationfactory';
+import InsertOperation from './operation/insertoperation';
+import AttributeOperation from './operation/attributeoperation';
+import NoOperation from './operation/nooperation';
+import Text from './text';
+import { isEqual } from 'lodash-es';
+
 /**
  * `History` keeps the track of all the operations applied to the {@link module:engine/model/document~Document document}.
+ *
+ * The history can be serialized using {@link #toJSON} and restored using {@link module:engine/model/history~History.fromJSON}.
+ * See also {@link module:engine/model/model~Model#exportState `Model#exportState()`} to learn how to keep the history
+ * together with the document state.
+ *
+ * In long editing sessions, the memory used by the history can be limited by {@link #compact compacting} the history
+ * or setting the {@link #maxOperations maximum number of operations}.
  */
 export default class History {
 	/**
@@ -18,11 +33,36 @@ export default class History {
 		/**
 		 * Operations added to the history.
 		 *
+		 * The operations have consecutive base versions, so the operation with the given base version is found by its offset
+		 * from the first operation. The base versions do not have to start from `0`, for example after the oldest operations
+		 * were {@link #compact pruned} or the document state was {@link module:engine/model/model~Model#importState imported}.
+		 *
 		 * @protected
 		 * @member {Array.<module:engine/model/operation/operation~Operation>} module:engine/model/history~History#_operations
 		 */
 		this._operations = [];
 
+		/**
+		 * The operations with base versions lower than this value were {@link #compact pruned}.
+		 *
+		 * @private
+		 * @member {Number} module:engine/model/history~History#_prunedVersion
+		 */
+		this._prunedVersion = 0;
+
+		/**
+		 * The maximum number of operations kept in the history. When more operations are added, the oldest operations
+		 * are {@link #compact pruned}.
+		 *
+		 *		editor.model.document.history.maxOperations = 10000;
+		 *
+		 * **Note:** Undoing changes requires the operations which were applied after them, so the changes made before
+		 * the pruned operations cannot be undone.
+		 *
+		 * @member {Number} module:engine/model/history~History#maxOperations
+		 */
+		this.maxOperations = Number.POSITIVE_INFINITY;
+
 		/**
 		 * Holds an information which {@link module:engine/model/operation/operation~Operation operation} undoes which
 		 * {@link module:engine/model/operation/operation~Operation operation}.
@@ -36,12 +76,14 @@ export default class History {
 		this._undoPairs = new Map();
 
 		/**
-		 * Holds all undone operations.
+		 * Holds all undone operations. The values are the operations which undid them, so the undo information can be removed
+		 * together with the undone operations.
 		 *
 		 * @private
-		 * @member {Set.<module:engine/model/operation/operation~Operation>} module:engine/model/history~History#_undoneOperations
+		 * @member {Map.<module:engine/model/operation/operation~Operation,module:engine/model/operation/operation~Operation>}
+		 * module:engine/model/history~History#_undoneOperations
 		 */
-		this._undoneOperations = new Set();
+		this._undoneOperations = new Map();
 	}
 
 	/**
@@ -50,11 +92,15 @@ export default class History {
 	 * @param {module:engine/model/operation/operation~Operation} operation Operation to add.
 	 */
 	addOperation( operation ) {
-		if ( this._operations.includes( operation ) ) {
+		if ( this._hasOperation( operation ) ) {
 			return;
 		}
 
 		this._operations.push( operation );
+
+		if ( this._operations.length > this.maxOperations ) {
+			this._pruneOperations( this._operations.length - this.maxOperations );
+		}
 	}
 
 	/**
@@ -67,22 +113,271 @@ export default class History {
 	 * @returns {Iterable.<module:engine/model/operation/operation~Operation>} Operations added to the history.
 	 */
 	getOperations( from = 0, to = Number.POSITIVE_INFINITY ) {
-		if ( from < 0 ) {
+		if ( from < 0 || !this._operations.length ) {
 			return [];
 		}
 
-		return this._operations.slice( from, to );
+		const firstBaseVersion = this._operations[ 0 ].baseVersion;
+
+		return this._operations.slice( Math.max( from - firstBaseVersion, 0 ), Math.max( to - firstBaseVersion, 0 ) );
 	}
 
 	/**
 	 * Returns operation from the history that bases on given `baseVersion`.
 	 *
+	 * If the operation was {@link #isPruned pruned}, nothing is returned.
+	 *
 	 * @param {Number} baseVersion Base version of the operation to get.
-	 * @returns {module:engine/model/operation/operation~Operation|null} Operation with given base version or `null` if
+	 * @returns {module:engine/model/operation/operation~Operation|undefined} Operation with given base version or `undefined` if
 	 * there is no such operation in history.
 	 */
 	getOperation( baseVersion ) {
-		return this._operations[ baseVersion ];
+		if ( !this._operations.length ) {
+			return undefined;
+		}
+
+		return this._operations[ baseVersion - this._operations[ 0 ].baseVersion ];
+	}
+
+	/**
+	 * Checks whether the operation with the given base version was removed from the history when the history
+	 * was {@link #compact compacted}.
+	 *
+	 * @param {Number} baseVersion
+	 * @returns {Boolean}
+	 */
+	isPruned( baseVersion ) {
+		return baseVersion < this._prunedVersion;
+	}
+
+	/**
+	 * Compacts the history to limit the memory it uses.
+	 *
+	 * Merging joins the consecutive operations of the same {@link module:engine/model/batch~Batch batch} which can be
+	 * expressed as one operation:
+	 *
+	 * * insertions of text where the next insertion starts where the previous one ended (e.g. typed characters),
+	 * * attribute changes of the same attribute on the same range.
+	 *
+	 * The merged operation replaces the last of the merged operations in the history and in the batch, and the other ones
+	 * are replaced with {@link module:engine/model/operation/nooperation~NoOperation no-operations}. This way, every base version
+	 * still {@link #getOperation points} to an operation, so the merged operations can be undone (the reversed operations are
+	 * transformed by the operations with the next base versions). The operations which {@link #isUndoneOperation were undone}
+	 * or {@link #isUndoingOperation undo} other operations are not merged.
+	 *
+	 * Pruning removes the oldest operations from the history. Their base versions become {@link #isPruned pruned}.
+	 * The changes made by the pruned operations (and the changes made before them) cannot be undone anymore.
+	 *
+	 *		// Merge the operations and keep at most 1000 operations.
+	 *		history.compact( { keepOperations: 1000 } );
+	 *
+	 *		// Remove the operations applied before the checkpoint.
+	 *		history.compact( { merge: false, before: checkpointVersion } );
+	 *
+	 * **Note:** Compacting changes the operations kept in the history, so it should not be used when the operations are still
+	 * needed in their original form, for example when they are not yet sent to other clients in the collaborative editing.
+	 * The pruned operations are not removed from their batches, so the batches which were kept (e.g. by the undo feature)
+	 * should be dropped as well.
+	 *
+	 * @param {Object} [options]
+	 * @param {Boolean} [options.merge=true] Whether the consecutive operations should be merged.
+	 * @param {Number} [options.before] The operations with base versions lower than this value are pruned.
+	 * @param {Number} [options.keepOperations] The maximum number of operations to keep. The oldest operations are pruned.
+	 */
+	compact( options = {} ) {
+		if ( options.merge !== false ) {
+			this._mergeOperations();
+		}
+
+		if ( options.before !== undefined ) {
+			this._pruneOperations( this.getOperations( 0, options.before ).length );
+			this._prunedVersion = Math.max( this._prunedVersion, options.before );
+		}
+
+		if ( options.keepOperations !== undefined && this._operations.length > options.keepOperations ) {
+			this._pruneOperations( this._operations.length - options.keepOperations );
+		}
+	}
+
+	/**
+	 * Removes all operations from the history.
+	 */
+	reset() {
+		this._operations = [];
+		this._prunedVersion = 0;
+		this._undoPairs.clear();
+		this._undoneOperations.clear();
+	}
+
+	/**
+	 * Replaces the content of this history with the operations serialized by {@link #toJSON}. Unlike
+	 * {@link module:engine/model/history~History.fromJSON}, it keeps this instance and its {@link #maxOperations} setting,
+	 * so it is used when the document state is {@link module:engine/model/model~Model#importState imported}.
+	 *
+	 * If the restored history has more operations than {@link #maxOperations}, the oldest ones are {@link #compact pruned}.
+	 *
+	 * @protected
+	 * @param {Object} json Plain object created by {@link #toJSON}.
+	 * @param {module:engine/model/document~Document} document The document to which the operations were applied.
+	 */
+	_restore( json, document ) {
+		this.reset();
+
+		const operations = new Map();
+
+		for ( const operationJson of json.operations ) {
+			const operation = OperationFactory.fromJSON( operationJson, document );
+
+			this._operations.push( operation );
+			operations.set( operation.baseVersion, operation );
+		}
+
+		for ( const batchJson of json.batches ) {
+			const batch = new Batch( batchJson.type, batchJson.metadata );
+
+			for ( const baseVersion of batchJson.operations ) {
+				batch.addOperation( operations.get( baseVersion ) );
+			}
+		}
+
+		for ( const [ undoingBaseVersion, undoneBaseVersion ] of json.undoPairs ) {
+			this.setOperationAsUndone( operations.get( undoneBaseVersion ), operations.get( undoingBaseVersion ) );
+		}
+
+		this._prunedVersion = json.prunedVersion || 0;
+
+		// The operations are pruned at the end, so the undo pairs of the pruned operations are removed, too.
+		if ( this._operations.length > this.maxOperations ) {
+			this._pruneOperations( this._operations.length - this.maxOperations );
+		}
+	}
+
+	/**
+	 * Checks whether the operation is in the history.
+	 *
+	 * @private
+	 * @param {module:engine/model/operation/operation~Operation} operation
+	 * @returns {Boolean}
+	 */
+	_hasOperation( operation ) {
+		return this.getOperation( operation.baseVersion ) === operation;
+	}
+
+	/**
+	 * Removes the operations with the base version equal to or greater than the given one. It is used when
+	 * the operations are {@link module:engine/model/model~Model#addOperationFilter rolled back}.
+	 *
+	 * @protected
+	 * @param {Number} baseVersion
+	 */
+	_removeOperations( baseVersion ) {
+		if ( !this._operations.length ) {
+			return;
+		}
+
+		const index = Math.max( baseVersion - this._operations[ 0 ].baseVersion, 0 );
+
+		this._removeUndoInformation( this._operations.splice( index ) );
+	}
+
+	/**
+	 * Merges the consecutive operations which can be expressed as one operation. See {@link #compact}.
+	 *
+	 * @private
+	 */
+	_mergeOperations() {
+		const operations = this._operations;
+
+		// Maps the operations kept in the batches to the operations which replace them.
+		const replacements = new Map();
+
+		// Maps the merged operations to the batch operations they replace.
+		const replacedOperations = new Map();
+		const batches = new Set();
+
+		for ( let index = 1; index < operations.length; index++ ) {
+			const previous = operations[ index - 1 ];
+			const operation = operations[ index ];
+			const merged = this._canBeMerged( previous, operation ) ? mergeOperations( previous, operation ) : null;
+
+			if ( !merged ) {
+				continue;
+			}
+
+			const noOperation = new NoOperation( previous.baseVersion );
+
+			for ( const item of [ noOperation, merged ] ) {
+				item.batch = operation.batch;
+				item.metadata = previous.metadata;
+			}
+
+			operations[ index - 1 ] = noOperation;
+			operations[ index ] = merged;
+
+			replacements.set( replacedOperations.get( previous ) || previous, noOperation );
+			replacements.set( operation, merged );
+			replacedOperations.set( merged, operation );
+			batches.add( operation.batch );
+		}
+
+		for ( const batch of batches ) {
+			const batchOperations = batch.operations;
+
+			for ( let index = 0; index < batchOperations.length; index++ ) {
+				batchOperations[ index ] = replacements.get( batchOperations[ index ] ) || batchOperations[ index ];
+			}
+		}
+	}
+
+	/**
+	 * Checks whether the consecutive operations are operations of the same batch which are not related to undo.
+	 *
+	 * @private
+	 * @param {module:engine/model/operation/operation~Operation} previous
+	 * @param {module:engine/model/operation/operation~Operation} operation
+	 * @returns {Boolean}
+	 */
+	_canBeMerged( previous, operation ) {
+		const isUndoRelated = [ previous, operation ].some( item => this.isUndoingOperation( item ) || this.isUndoneOperation( item ) );
+
+		return !isUndoRelated && !!previous.batch && previous.batch == operation.batch;
+	}
+
+	/**
+	 * Removes the given number of the oldest operations. See {@link #compact}.
+	 *
+	 * @private
+	 * @param {Number} count
+	 */
+	_pruneOperations( count ) {
+		const removed = this._operations.splice( 0, Math.max( count, 0 ) );
+
+		if ( !removed.length ) {
+			return;
+		}
+
+		this._prunedVersion = Math.max( this._prunedVersion, removed[ removed.length - 1 ].baseVersion + 1 );
+		this._removeUndoInformation( removed );
+	}
+
+	/**
+	 * Removes the undo information of the given operations, which were removed from the history.
+	 *
+	 * @private
+	 * @param {Array.<module:engine/model/operation/operation~Operation>} operations
+	 */
+	_removeUndoInformation( operations ) {
+		for ( const operation of operations ) {
+			if ( this._undoPairs.has( operation ) ) {
+				this._undoneOperations.delete( this._undoPairs.get( operation ) );
+				this._undoPairs.delete( operation );
+			}
+
+			if ( this._undoneOperations.has( operation ) ) {
+				this._undoPairs.delete( this._undoneOperations.get( operation ) );
+				this._undoneOperations.delete( operation );
+			}
+		}
 	}
 
 	/**
@@ -94,7 +389,7 @@ export default class History {
 	 */
 	setOperationAsUndone( undoneOperation, undoingOperation ) {
 		this._undoPairs.set( undoingOperation, undoneOperation );
-		this._undoneOperations.add( undoneOperation );
+		this._undoneOperations.set( undoneOperation, undoingOperation );
 	}
 
 	/**
@@ -127,4 +422,103 @@ export default class History {
 	getUndoneOperation( undoingOperation ) {
 		return this._undoPairs.get( undoingOperation );
 	}
+
+	/**
+	 * Converts the history to a plain object and returns it.
+	 *
+	 * Besides the serialized operations, the object contains the {@link module:engine/model/batch~Batch batches} of the operations
+	 * (with their types, metadata and the base versions of the operations) and the pairs of the undoing and undone operations
+	 * (as `[ undoingOperationBaseVersion, undoneOperationBaseVersion ]`), so the restored operations are transformed
+	 * the same way as the original ones. The information about the {@link #compact pruned} base versions is kept, too.
+	 *
+	 * @returns {Object} `History` converted to a plain object.
+	 */
+	toJSON() {
+		const batches = new Map();
+
+		for ( const operation of this._operations ) {
+			const batch = operation.batch;
+
+			if ( !batch ) {
+				continue;
+			}
+
+			if ( !batches.has( batch ) ) {
+				batches.set( batch, { type: batch.type, metadata: batch.metadata, operations: [] } );
+			}
+
+			batches.get( batch ).operations.push( operation.baseVersion );
+		}
+
+		const undoPairs = Array.from( this._undoPairs )
+			.filter( ( [ undoingOperation, undoneOperation ] ) => {
+				return this._hasOperation( undoingOperation ) && this._hasOperation( undoneOperation );
+			} )
+			.map( ( [ undoingOperation, undoneOperation ] ) => [ undoingOperation.baseVersion, undoneOperation.baseVersion ] );
+
+		return {
+			operations: this._operations.map( operation => operation.toJSON() ),
+			batches: Array.from( batches.values() ),
+			undoPairs,
+			prunedVersion: this._prunedVersion
+		};
+	}
+
+	/**
+	 * Creates a `History` instance from the given plain object (i.e. parsed JSON string) created by {@link #toJSON}.
+	 *
+	 * The operations are grouped in new {@link module:engine/model/batch~Batch batches}, the same as the serialized ones.
+	 * The positions of the operations refer to the roots of the given document, so the roots must exist in the document
+	 * (see {@link module:engine/model/model~Model#importState `Model#importState()`}).
+	 *
+	 * @param {Object} json Plain object to be converted to `History`.
+	 * @param {module:engine/model/document~Document} document The document to which the operations were applied.
+	 * @returns {module:engine/model/history~History} `History` instance created using given plain object.
+	 */
+	static fromJSON( json, document ) {
+		const history = new History();
+
+		history._restore( json, document );
+
+		return history;
+	}
+}
+
+// Returns an operation which makes the same change as the given consecutive operations or `null` if they cannot be merged.
+//
+// @param {module:engine/model/operation/operation~Operation} previous
+// @param {module:engine/model/operation/operation~Operation} operation
+// @returns {module:engine/model/operation/operation~Operation|null}
+function mergeOperations( previous, operation ) {
+	if ( previous.type == 'insert' && operation.type == 'insert' ) {
+		const isText = [ previous, operation ].every( item => Array.from( item.nodes ).every( node => node instanceof Text ) );
+		const isAfter = operation.position.root == previous.position.root &&
+			isEqual( operation.position.getParentPath(), previous.position.getParentPath() ) &&
+			operation.position.offset == previous.position.offset + previous.howMany;
+
+		if ( !isText || !isAfter || previous.shouldReceiveAttributes != operation.shouldReceiveAttributes ) {
+			return null;
+		}
+
+		const nodes = [ ...previous.nodes, ...operation.nodes ].map( node => node._clone() );
+		const merged = new InsertOperation( previous.position, nodes, operation.baseVersion );
+
+		merged.shouldReceiveAttributes = previous.shouldReceiveAttributes;
+
+		return merged;
+	}
+
+	if ( previous instanceof AttributeOperation && operation instanceof AttributeOperation ) {
+		const isContinued = previous.key == operation.key && previous.range.isEqual( operation.range ) &&
+			isEqual( previous.newValue, operation.oldValue );
+
+		// The attribute operation which does not change anything is not correct.
+		if ( !isContinued || isEqual( previous.oldValue, operation.newValue ) ) {
+			return null;
+		}
+
+		return new AttributeOperation( previous.range, previous.key, previous.oldValue, operation.newValue, operation.baseVersion );
+	}
+
+	return null;
 }
@@ -18,6 +18,7 @@ import ModelElement from './element';
 import ModelRange from './range';
 import ModelPosition from './position';
 import ModelSelection from './selection';
+import Operation from './operation/operation';
 import OperationFactory from './operation/operationfactory';
 
 import insertContent from './utils/insertcontent';
@@ -25,6 +26,7 @@ import deleteContent from './utils/deletecontent';
 import modifySelection from './utils/modifyselection';
 import getSelectedContent from './utils/getselectedcontent';
 import { injectSelectionPostFixer } from './utils/selection-post-fixer';
+import { exportState, importState } from './utils/documentstate';
 import CKEditorError from '@ckeditor/ckeditor5-utils/src/ckeditorerror';
 
 // @if CK_DEBUG_ENGINE // const { dumpTrees } = require( '../dev-utils/utils' );
@@ -79,9 +81,41 @@ export default class Model {
 		 */
 		this._currentWriter = null;
 
+		/**
+		 * Operation filters added by {@link #addOperationFilter}.
+		 *
+		 * @private
+		 * @type {Array.<Function>}
+		 */
+		this._operationFilters = [];
+
+		/**
+		 * The operation rejected by an operation filter in the current change block or `null`.
+		 *
+		 * @private
+		 * @member {module:engine/model/operation/operation~Operation|null}
+		 */
+		this._rejectedOperation = null;
+
+		/**
+		 * Whether the changes are being rolled back. The operations applied at that time are not filtered.
+		 *
+		 * It is also used by the {@link module:engine/dev-utils/operationrecorder~OperationRecorder operation recorder}.
+		 *
+		 * @protected
+		 * @member {Boolean}
+		 */
+		this._isRollingBack = false;
+
 		[ 'insertContent', 'deleteContent', 'modifySelection', 'getSelectedContent', 'applyOperation' ]
 			.forEach( methodName => this.decorate( methodName ) );
 
+		// Operation filters are called before anything else, so the other listeners get the final operation.
+		// This listener is added before the validation listener, so it is called first among the `highest` priority listeners.
+		this.on( 'applyOperation', ( evt, args ) => {
+			args[ 0 ] = this._filterOperation( args[ 0 ] );
+		}, { priority: 'highest' } );
+
 		// Adding operation validation with `highest` priority, so it is called before any other feature would like
 		// to do anything with the operation. If the operation has incorrect parameters it should throw on the earliest occasion.
 		this.on( 'applyOperation', ( evt, args ) => {
@@ -113,11 +147,7 @@ export default class Model {
 		// at the end of the conversion. `UpcastDispatcher` or at least `Conversion` class looks like a
 		// better place for this registration but both know nothing about `Schema`.
 		this.schema.register( '$marker' );
-		this.schema.addChildCheck( ( context, childDefinition ) => {
-			if ( childDefinition.name === '$marker' ) {
-				return true;
-			}
-		} );
+		this.schema.addChildRule( { name: '$marker', allow: true } );
 
 		injectSelectionPostFixer( this );
 
@@ -157,17 +187,43 @@ export default class Model {
 	 *			return writer.createElement( 'img' );
 	 *		} );
 	 *
+	 * By default, if the callback throws an error, the changes done before the error stay in the model. In the atomic mode,
+	 * the change block is rolled back when the callback throws: the document operations applied in the block are reverted
+	 * (using their {@link module:engine/model/operation/operation~Operation#getReversed reversed operations}) and removed
+	 * from the batch and the {@link module:engine/model/document~Document#history history}, the
+	 * {@link module:engine/model/document~Document#differ differ} entries they produced are discarded and the
+	 * {@link module:engine/model/document~Document#version document version} is restored. Then, the error is rethrown.
+	 *
+	 *		try {
+	 *			model.change( writer => {
+	 *				writer.insertText( 'foo', paragraph, 'end' );
+	 *
+	 *				throw new Error( 'Something went wrong.' );
+	 *			}, { atomic: true } );
+	 *		} catch ( error ) {
+	 *			// The "foo" text was not inserted.
+	 *		}
+	 *
+	 * The atomic mode can be used in a nested block too. Then, only the changes done in the nested block are rolled back.
+	 * If the outermost atomic block fails, the changes {@link #enqueueChange enqueued} in it are not executed.
+	 * The changes of the selection and markers which are not
+	 * {@link module:engine/model/markercollection~Marker#managedUsingOperations managed using operations} are not reverted.
+	 *
 	 * @see #enqueueChange
 	 * @param {Function} callback Callback function which may modify the model.
+	 * @param {Object} [options]
+	 * @param {Boolean} [options.atomic=false] Whether the changes should be rolled back if the callback throws an error.
 	 * @returns {*} Value returned by the callback.
 	 */
-	change( callback ) {
+	change( callback, options = {} ) {
 		try {
 			if ( this._pendingChanges.length === 0 ) {
 				// If this is the outermost block, create a new batch and start `_runPendingChanges` execution flow.
-				this._pendingChanges.push( { batch: new Batch(), callback } );
+				this._pendingChanges.push( { batch: new Batch(), callback, isAtomic: !!options.atomic } );
 
 				return this._runPendingChanges()[ 0 ];
+			} else if ( options.atomic ) {
+				return this._runAtomicCallback( callback );
 			} else {
 				// If this is not the outermost block, just execute the callback.
 				return callback( this._currentWriter );
@@ -212,6 +268,13 @@ export default class Model {
 	 * In order to make a nested `enqueueChange()` create a single undo step together with the changes done in the outer `change()`
 	 * block, you can obtain the batch instance from the  {@link module:engine/model/writer~Writer#batch writer} of the outer block.
 	 *
+	 * To describe the changes with {@link module:engine/model/batch~Batch#metadata metadata} (e.g. their author or origin),
+	 * pass a batch created using {@link #createBatch `createBatch()`}:
+	 *
+	 *		model.enqueueChange( model.createBatch( 'transparent', { origin: 'remote' } ), writer => {
+	 *			// ...
+	 *		} );
+	 *
 	 * @param {module:engine/model/batch~Batch|'transparent'|'default'} batchOrType Batch or batch type should be used in the callback.
 	 * If not defined, a new batch will be created.
 	 * @param {Function} callback Callback function which may modify the model.
@@ -278,6 +341,47 @@ export default class Model {
 	// @if CK_DEBUG_ENGINE //	return new OperationReplayer( this, '-------', stringifiedOperations );
 	// @if CK_DEBUG_ENGINE // }
 
+	/**
+	 * Adds an operation filter. Operation filters are called for every operation {@link #applyOperation applied}
+	 * on the model, before the operation is validated and executed. They can be used to enforce rules
+	 * (like read-only parts of the document or user permissions) on the lowest level, regardless which feature changes the model.
+	 *
+	 * The filter is called with the operation and can:
+	 *
+	 * * return `false` to reject the operation,
+	 * * return another operation which will be applied instead (the original operation is replaced in its batch),
+	 * * return any other value to accept the operation.
+	 *
+	 *		model.addOperationFilter( operation => {
+	 *			if ( operation.type == 'rename' && operation.newName == 'heading1' ) {
+	 *				return false;
+	 *			}
+	 *		} );
+	 *
+	 * The filters are called in the order in which they were added. Each filter gets the operation returned by the previous one.
+	 *
+	 * When an operation is rejected inside a {@link #change `change()`} or {@link #enqueueChange `enqueueChange()`} block,
+	 * the block is aborted: the execution of the callback is stopped, the document operations already applied in the block
+	 * are reverted (using their {@link module:engine/model/operation/operation~Operation#getReversed reversed operations})
+	 * and removed from the batch and the {@link module:engine/model/document~Document#history history} and the
+	 * {@link module:engine/model/document~Document#version document version} is restored. No
+	 * {@link module:engine/model/document~Document#event:change `change` event} is fired for the aborted block and
+	 * the `change()` method returns `undefined`. The changes of the selection and markers which are not
+	 * {@link module:engine/model/markercollection~Marker#managedUsingOperations managed using operations} are not reverted.
+	 *
+	 * When an operation is rejected outside of a change block, the
+	 * {@link module:utils/ckeditorerror~CKEditorError model-applyoperation-rejected} error is thrown.
+	 *
+	 * **Note:** The values returned by the {@link module:engine/model/writer~Writer writer} methods refer to the original
+	 * operations. Returning a different operation is meant for changing the operation parameters that do not affect
+	 * the model structure, like attribute values.
+	 *
+	 * @param {Function} filter The filter callback.
+	 */
+	addOperationFilter( filter ) {
+		this._operationFilters.push( filter );
+	}
+
 	/**
 	 * Inserts content at the position in the editor specified by the selection, as one would expect the paste
 	 * functionality to work.
@@ -569,6 +673,56 @@ export default class Model {
 		return false;
 	}
 
+	/**
+	 * Exports the complete state of the {@link #document}: all roots (including the detached ones) with their attributes
+	 * and content, the markers and the document selection. The returned object can be serialized to JSON and restored
+	 * (also in another model instance) using {@link #importState}.
+	 *
+	 *		const state = editor.model.exportState();
+	 *
+	 *		localStorage.setItem( 'state', JSON.stringify( state ) );
+	 *
+	 * Unlike the editor data, the state contains the model as is, so it can be restored without the data conversion.
+	 *
+	 * With the `history` option, the {@link module:engine/model/document~Document#history document history} (including
+	 * the batches of the operations and the information which operations were undone) and the content of the graveyard
+	 * are exported too. Thanks to that, after the state is imported, the history operations can be reversed and used
+	 * to transform other operations, the same as before the export.
+	 *
+	 * **Note:** The restored batches are not registered by the undo feature, so it does not undo the changes made before
+	 * the state was imported.
+	 *
+	 *		localStorage.setItem( 'state', JSON.stringify( editor.model.exportState( { history: true } ) ) );
+	 *
+	 * @param {Object} [options]
+	 * @param {Boolean} [options.history=false] Whether the document history should be exported.
+	 * @returns {module:engine/model/utils/documentstate~DocumentState}
+	 */
+	exportState( options ) {
+		return exportState( this, options );
+	}
+
+	/**
+	 * Restores the state of the {@link #document} exported by {@link #exportState}.
+	 *
+	 * The content of the existing roots is replaced, the roots which are not a part of the state are detached and all
+	 * markers are replaced by the markers from the state. The changes are done in a `'transparent'` batch, so they
+	 * are not undoable.
+	 *
+	 * After the state is imported, the {@link module:engine/model/document~Document#version document version} is set to
+	 * the exported version and the {@link module:engine/model/document~Document#history history} is
+	 * {@link module:engine/model/history~History#reset reset}, so the operations created after the import
+	 * continue the exported version. If the state contains the history, the history and the graveyard content
+	 * are restored instead.
+	 *
+	 *		editor.model.importState( JSON.parse( localStorage.getItem( 'state' ) ) );
+	 *
+	 * @param {module:engine/model/utils/documentstate~DocumentState} state The state to import.
+	 */
+	importState( state ) {
+		importState( this, state );
+	}
+
 	/**
 	 * Creates a position from the given root and path in that root.
 	 *
@@ -757,11 +911,18 @@ export default class Model {
 	 * * {@link #change `change()`},
 	 * * {@link #enqueueChange `enqueueChange()`}.
 	 *
+	 * The batch can carry {@link module:engine/model/batch~Batch#metadata metadata} which is passed to all its operations:
+	 *
+	 *		model.enqueueChange( model.createBatch( 'default', { authorId: 'user-1', timestamp: Date.now() } ), writer => {
+	 *			writer.insertText( 'foo', paragraph, 'end' );
+	 *		} );
+	 *
 	 * @param {'transparent'|'default'} [type='default'] The type of the batch.
+	 * @param {Object} [metadata={}] The metadata of the batch.
 	 * @returns {module:engine/model/batch~Batch}
 	 */
-	createBatch( type ) {
-		return new Batch( type );
+	createBatch( type, metadata ) {
+		return new Batch( type, metadata );
 	}
 
 	/**
@@ -801,11 +962,41 @@ export default class Model {
 			const currentBatch = this._pendingChanges[ 0 ].batch;
 			this._currentWriter = new Writer( this, currentBatch );
 
-			// Execute changes callback and gather the returned value.
-			const callbackReturnValue = this._pendingChanges[ 0 ].callback( this._currentWriter );
-			ret.push( callbackReturnValue );
+			// Remember the state before the changes, so they can be rolled back if an operation is rejected.
+			const version = this.document.version;
+			const batchOperationsCount = currentBatch.operations.length;
+
+			// The differ entries buffered before the changes must be kept (see `_runAtomicCallback()`).
+			const resetDiffer = this.document.differ.isEmpty;
+
+			this._rejectedOperation = null;
+
+			try {
+				// Execute changes callback and gather the returned value.
+				const callbackReturnValue = this._pendingChanges[ 0 ].callback( this._currentWriter );
+				ret.push( callbackReturnValue );
+
+				this.document._handleChangeBlock( this._currentWriter );
+			} catch ( err ) {
+				const isRejected = !!this._rejectedOperation;
 
-			this.document._handleChangeBlock( this._currentWriter );
+				if ( !isRejected && !this._pendingChanges[ 0 ].isAtomic ) {
+					throw err;
+				}
+
+				this._rollbackChanges( version, currentBatch, batchOperationsCount, resetDiffer );
+
+				if ( !isRejected ) {
+					// The atomic change block failed. The changes enqueued in it are dropped and the model is ready for the next changes.
+					this._pendingChanges = [];
+					this._currentWriter = null;
+					this.fire( '_afterChanges' );
+
+					throw err;
+				}
+
+				ret.push( undefined );
+			}
 
 			this._pendingChanges.shift();
 			this._currentWriter = null;
@@ -816,6 +1007,136 @@ export default class Model {
 		return ret;
 	}
 
+	/**
+	 * Passes the operation through the {@link #addOperationFilter operation filters}.
+	 *
+	 * @private
+	 * @param {module:engine/model/operation/operation~Operation} operation
+	 * @returns {module:engine/model/operation/operation~Operation} The operation to apply.
+	 */
+	_filterOperation( operation ) {
+		if ( this._isRollingBack ) {
+			return operation;
+		}
+
+		for ( const filter of this._operationFilters ) {
+			const result = filter( operation );
+
+			if ( result === false ) {
+				// Inside a change block the error is caught and the block is rolled back.
+				this._rejectedOperation = operation;
+
+				/**
+				 * The operation was rejected by an {@link module:engine/model/model~Model#addOperationFilter operation filter}.
+				 *
+				 * This error is thrown only when the operation is applied outside of a
+				 * {@link module:engine/model/model~Model#change `change()`} block.
+				 *
+				 * @error model-applyoperation-rejected
+				 * @param {module:engine/model/operation/operation~Operation} operation
+				 */
+				throw new CKEditorError(
+					'model-applyoperation-rejected: The operation was rejected by an operation filter.',
+					this,
+					{ operation }
+				);
+			}
+
+			if ( result instanceof Operation && result !== operation ) {
+				if ( operation.batch ) {
+					const operations = operation.batch.operations;
+
+					operations[ operations.indexOf( operation ) ] = result;
+					result.batch = operation.batch;
+					result.metadata = Object.assign( {}, operation.metadata, result.metadata );
+				}
+
+				operation = result;
+			}
+		}
+
+		return operation;
+	}
+
+	/**
+	 * Executes the callback of a nested atomic {@link #change `change()`} block. If the callback throws an error,
+	 * the changes done in it are rolled back and the error is rethrown.
+	 *
+	 * @private
+	 * @param {Function} callback
+	 * @returns {*} Value returned by the callback.
+	 */
+	_runAtomicCallback( callback ) {
+		const writer = this._currentWriter;
+		const version = this.document.version;
+		const batchOperationsCount = writer.batch.operations.length;
+
+		// The differ entries produced by the outer block must be kept.
+		const resetDiffer = this.document.differ.isEmpty;
+
+		try {
+			return callback( writer );
+		} catch ( err ) {
+			this._rollbackChanges( version, writer.batch, batchOperationsCount, resetDiffer );
+
+			throw err;
+		}
+	}
+
+	/**
+	 * Reverts the document operations applied since the given version and removes the operations added to the batch.
+	 *
+	 * It is also used by the {@link module:engine/dev-utils/operationreplayer~OperationReplayer operation replayer} to step
+	 * back. The operations to revert must be the last ones in the document history.
+	 *
+	 * @protected
+	 * @param {Number} version The document version before the changes.
+	 * @param {module:engine/model/batch~Batch} batch The batch of the changes.
+	 * @param {Number} batchOperationsCount The number of operations in the batch before the changes.
+	 * @param {Boolean} [resetDiffer=true] Whether the differ should be reset. If not, the differ keeps the reverted operations,
+	 * which cancel out the reverted changes.
+	 */
+	_rollbackChanges( version, batch, batchOperationsCount, resetDiffer = true ) {
+		const document = this.document;
+		const operations = document.history.getOperations( version );
+
+		// The reversed operations are added to a separate `'transparent'` batch, as the `applyOperation` listeners (e.g. the undo
+		// feature) expect each document operation to have a batch and should not register the rollback as a new change.
+		const rollbackBatch = new Batch( 'transparent' );
+
+		this._isRollingBack = true;
+
+		// The flag is reset even if a reversed operation cannot be applied, so the operation filters are not disabled for good.
+		try {
+			for ( const operation of operations.reverse() ) {
+				const reversed = operation.getReversed();
+
+				// The reversed insert and split operations move the nodes to the beginning of the graveyard, which would change
+				// the graveyard positions of the nodes removed earlier in the reverted changes. Move them to the end instead.
+				if ( operation.type == 'insert' ) {
+					reversed.targetPosition = ModelPosition._createAt( document.graveyard, 'end' );
+				} else if ( operation.type == 'split' ) {
+					reversed.graveyardPosition = ModelPosition._createAt( document.graveyard, 'end' );
+				}
+
+				reversed.baseVersion = document.version;
+				rollbackBatch.addOperation( reversed );
+				this.applyOperation( reversed );
+			}
+		} finally {
+			this._isRollingBack = false;
+		}
+
+		document.history._removeOperations( version );
+		document.version = version;
+
+		if ( resetDiffer ) {
+			document.differ.reset();
+		}
+
+		batch.operations.splice( batchOperationsCount );
+	}
+
 	/**
 	 * Fired when entering the outermost {@link module:engine/model/model~Model#enqueueChange} or
 	 * {@link module:engine/model/model~Model#change} block.
@@ -189,12 +189,15 @@ export default class Node {
 	}
 
 	/**
-	 * Returns true if the node is in a tree rooted in the document (is a descendant of one of its roots).
+	 * Returns true if the node is in a tree rooted in the document (is a descendant of one of its roots)
+	 * and that root is attached to the document.
 	 *
 	 * @returns {Boolean}
 	 */
 	isAttached() {
-		return this.root.is( 'rootElement' );
+		const root = this.root;
+
+		return root.is( 'rootElement' ) && root.isAttached();
 	}
 
 	/**
@@ -46,6 +46,16 @@ export default class Operation {
 		 */
 		this.batch = null;
 
+		/**
+		 * The metadata of the operation. When the operation is added to a batch, it receives the
+		 * {@link module:engine/model/batch~Batch#metadata batch metadata}.
+		 *
+		 * The metadata is kept in the operation {@link #toJSON JSON}, so it is shared with other clients together with the operation.
+		 *
+		 * @member {Object} #metadata
+		 */
+		this.metadata = {};
+
 		/**
 		 * Operation type.
 		 *
@@ -110,6 +120,11 @@ export default class Operation {
 		// Only document operations are shared with other clients so it is not necessary to keep this information.
 		delete json.isDocumentOperation;
 
+		// Keep the JSON of operations without metadata short.
+		if ( !Object.keys( this.metadata ).length ) {
+			delete json.metadata;
+		}
+
 		return json;
 	}
 
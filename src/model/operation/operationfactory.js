@@ -15,6 +15,7 @@ import NoOperation from '../operation/nooperation';
 import Operation from '../operation/operation';
 import RenameOperation from '../operation/renameoperation';
 import RootAttributeOperation from '../operation/rootattributeoperation';
+import RootOperation from '../operation/rootoperation';
 import SplitOperation from '../operation/splitoperation';
 import MergeOperation from '../operation/mergeoperation';
 
@@ -27,6 +28,7 @@ operations[ NoOperation.className ] = NoOperation;
 operations[ Operation.className ] = Operation;
 operations[ RenameOperation.className ] = RenameOperation;
 operations[ RootAttributeOperation.className ] = RootAttributeOperation;
+operations[ RootOperation.className ] = RootOperation;
 operations[ SplitOperation.className ] = SplitOperation;
 operations[ MergeOperation.className ] = MergeOperation;
 
@@ -44,6 +46,12 @@ export default class OperationFactory {
 	 * @returns {module:engine/model/operation/operation~Operation}
 	 */
 	static fromJSON( json, document ) {
-		return operations[ json.__className ].fromJSON( json, document );
+		const operation = operations[ json.__className ].fromJSON( json, document );
+
+		if ( json.metadata ) {
+			operation.metadata = Object.assign( {}, json.metadata );
+		}
+
+		return operation;
 	}
 }
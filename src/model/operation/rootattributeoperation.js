@@ -59,7 +59,7 @@ export default class RootAttributeOperation extends Operation {
 		 * @readonly
 		 * @member {*}
 		 */
-		this.oldValue = oldValue;
+		this.oldValue = oldValue === undefined ? null : oldValue;
 
 		/**
 		 * New value to set for the attribute. If `null`, then the operation just removes the attribute.
@@ -67,7 +67,7 @@ export default class RootAttributeOperation extends Operation {
 		 * @readonly
 		 * @member {*}
 		 */
-		this.newValue = newValue;
+		this.newValue = newValue === undefined ? null : newValue;
 	}
 
 	/**
@@ -0,0 +1,205 @@
+/**
+ * @license Copyright (c) 2003-2020, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/**
+ * @module engine/model/operation/rootoperation
+ */
+
+import Operation from './operation';
+import CKEditorError from '@ckeditor/ckeditor5-utils/src/ckeditorerror';
+
+/**
+ * Operation that adds (attaches) or detaches a {@link module:engine/model/rootelement~RootElement root element}.
+ *
+ * Detached roots are not removed from the {@link module:engine/model/document~Document#roots document roots collection}.
+ * They are only marked as detached, so they can be brought back by the reversed operation (e.g. during undo).
+ *
+ * The root is created when the operation adding it is applied for the first time. When the operation adding a root is
+ * {@link module:engine/model/operation/rootoperation~RootOperation.fromJSON deserialized} and the root does not exist, the root
+ * is created as detached, so the operations done in it (e.g. received from another client together with this operation)
+ * can be deserialized before this operation is applied.
+ *
+ * Root operations are transformed only by other root operations. The operations done concurrently in a detached root
+ * are not transformed by the root operation, so they are applied in the detached root on all clients. This keeps the clients
+ * consistent, but the concurrent changes are not visible until the root is attached again.
+ *
+ * @extends module:engine/model/operation/operation~Operation
+ */
+export default class RootOperation extends Operation {
+	/**
+	 * Creates an operation that adds or detaches a root element.
+	 *
+	 * @param {String} rootName Name of the root to add or detach.
+	 * @param {String} elementName Element name of the root to add or detach.
+	 * @param {Boolean} isAdd Specifies whether the operation adds (`true`) or detaches (`false`) the root.
+	 * @param {module:engine/model/document~Document} document Document which owns the root.
+	 * @param {Number} baseVersion Document {@link module:engine/model/document~Document#version} on which operation
+	 * can be applied.
+	 */
+	constructor( rootName, elementName, isAdd, document, baseVersion ) {
+		super( baseVersion );
+
+		/**
+		 * Name of the root to add or detach.
+		 *
+		 * @readonly
+		 * @member {String}
+		 */
+		this.rootName = rootName;
+
+		/**
+		 * Element name of the root to add or detach.
+		 *
+		 * @readonly
+		 * @member {String}
+		 */
+		this.elementName = elementName;
+
+		/**
+		 * Specifies whether the operation adds (`true`) or detaches (`false`) the root.
+		 *
+		 * @readonly
+		 * @member {Boolean}
+		 */
+		this.isAdd = isAdd;
+
+		/**
+		 * Document which owns the root.
+		 *
+		 * @private
+		 * @member {module:engine/model/document~Document}
+		 */
+		this._document = document;
+	}
+
+	/**
+	 * @inheritDoc
+	 */
+	get type() {
+		return this.isAdd ? 'addRoot' : 'detachRoot';
+	}
+
+	/**
+	 * The root element which is added or detached by this operation or `null` if the root does not exist yet
+	 * (it is created when the operation adding it is applied).
+	 *
+	 * @readonly
+	 * @type {module:engine/model/rootelement~RootElement|null}
+	 */
+	get root() {
+		return this._document.getRoot( this.rootName );
+	}
+
+	/**
+	 * Creates and returns an operation that has the same parameters as this operation.
+	 *
+	 * @returns {module:engine/model/operation/rootoperation~RootOperation} Clone of this operation.
+	 */
+	clone() {
+		return new RootOperation( this.rootName, this.elementName, this.isAdd, this._document, this.baseVersion );
+	}
+
+	/**
+	 * See {@link module:engine/model/operation/operation~Operation#getReversed `Operation#getReversed()`}.
+	 *
+	 * @returns {module:engine/model/operation/rootoperation~RootOperation}
+	 */
+	getReversed() {
+		return new RootOperation( this.rootName, this.elementName, !this.isAdd, this._document, this.baseVersion + 1 );
+	}
+
+	/**
+	 * @inheritDoc
+	 */
+	_validate() {
+		const root = this.root;
+
+		if ( root && root == this._document.graveyard ) {
+			/**
+			 * The graveyard root cannot be added or detached.
+			 *
+			 * @error root-operation-graveyard
+			 */
+			throw new CKEditorError( 'root-operation-graveyard: The graveyard root cannot be added or detached.', this );
+		}
+
+		if ( this.isAdd && root && root.isAttached() ) {
+			/**
+			 * Cannot add a root which is already attached.
+			 *
+			 * @error root-operation-root-attached
+			 * @param {String} rootName
+			 */
+			throw new CKEditorError(
+				'root-operation-root-attached: Cannot add a root which is already attached.',
+				this,
+				{ rootName: this.rootName }
+			);
+		}
+
+		if ( !this.isAdd && ( !root || !root.isAttached() ) ) {
+			/**
+			 * Cannot detach a root which is already detached.
+			 *
+			 * @error root-operation-root-detached
+			 * @param {String} rootName
+			 */
+			throw new CKEditorError(
+				'root-operation-root-detached: Cannot detach a root which is already detached.',
+				this,
+				{ rootName: this.rootName }
+			);
+		}
+	}
+
+	/**
+	 * @inheritDoc
+	 */
+	_execute() {
+		const root = this.root || this._document.createRoot( this.elementName, this.rootName );
+
+		root._isAttached = this.isAdd;
+	}
+
+	/**
+	 * @inheritDoc
+	 */
+	toJSON() {
+		const json = super.toJSON();
+
+		delete json._document;
+
+		return json;
+	}
+
+	/**
+	 * @inheritDoc
+	 */
+	static get className() {
+		return 'RootOperation';
+	}
+
+	/**
+	 * Creates `RootOperation` object from deserialized object, i.e. from parsed JSON string.
+	 *
+	 * If the operation adds a root which does not exist in the document, the root is created as detached.
+	 *
+	 * @param {Object} json Deserialized JSON object.
+	 * @param {module:engine/model/document~Document} document Document on which this operation will be applied.
+	 * @returns {module:engine/model/operation/rootoperation~RootOperation}
+	 */
+	static fromJSON( json, document ) {
+		// The operations done in the added root can be deserialized only if the root exists.
+		if ( json.isAdd && !document.getRoot( json.rootName ) ) {
+			document.createRoot( json.elementName, json.rootName )._isAttached = false;
+		}
+
+		return new RootOperation( json.rootName, json.elementName, json.isAdd, document, json.baseVersion );
+	}
+
+	// @if CK_DEBUG_ENGINE // toString() {
+	// @if CK_DEBUG_ENGINE // 	return `RootOperation( ${ this.baseVersion } ): ${ this.type } "${ this.rootName }"`;
+	// @if CK_DEBUG_ENGINE // }
+}
@@ -74,6 +74,18 @@ export default class SplitOperation extends Operation {
 		if ( this.graveyardPosition ) {
 			this.graveyardPosition.stickiness = 'toNext';
 		}
+
+		/**
+		 * The {@link module:engine/model/element~Element#id stable identifier} of the element created by this operation
+		 * (a copy of the split element). It is not used if the element is taken from the graveyard.
+		 *
+		 * It is set by {@link module:engine/model/writer~Writer#split `Writer#split()`} if the identifiers are
+		 * {@link module:engine/model/document~Document#enableElementIds enabled}. It is kept when the operation is cloned,
+		 * serialized or transformed.
+		 *
+		 * @member {String|null} #elementId
+		 */
+		this.elementId = null;
 	}
 
 	/**
@@ -119,6 +131,7 @@ export default class SplitOperation extends Operation {
 	clone() {
 		const split = new this.constructor( this.splitPosition, this.howMany, this.graveyardPosition, this.baseVersion );
 		split.insertionPosition = this.insertionPosition;
+		split.elementId = this.elementId;
 
 		return split;
 	}
@@ -185,6 +198,8 @@ export default class SplitOperation extends Operation {
 		} else {
 			const newElement = splitElement._clone();
 
+			newElement._id = this.elementId;
+
 			_insert( this.insertionPosition, newElement );
 		}
 
@@ -209,6 +224,10 @@ export default class SplitOperation extends Operation {
 			json.graveyardPosition = this.graveyardPosition.toJSON();
 		}
 
+		if ( !this.elementId ) {
+			delete json.elementId;
+		}
+
 		return json;
 	}
 
@@ -247,6 +266,7 @@ export default class SplitOperation extends Operation {
 
 		const split = new this( splitPosition, json.howMany, graveyardPosition, json.baseVersion );
 		split.insertionPosition = insertionPosition;
+		split.elementId = json.elementId || null;
 
 		return split;
 	}
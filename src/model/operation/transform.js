@@ -9,6 +9,7 @@ import RenameOperation from './renameoperation';
 import MarkerOperation from './markeroperation';
 import MoveOperation from './moveoperation';
 import RootAttributeOperation from './rootattributeoperation';
+import RootOperation from './rootoperation';
 import MergeOperation from './mergeoperation';
 import SplitOperation from './splitoperation';
 import NoOperation from './nooperation';
@@ -16,6 +17,7 @@ import Range from '../range';
 import Position from '../position';
 
 import compareArrays from '@ckeditor/ckeditor5-utils/src/comparearrays';
+import { isEqual } from 'lodash-es';
 
 const transformations = new Map();
 
@@ -145,6 +147,9 @@ export function transform( a, b, context = {} ) {
  * @param {Boolean} [options.padWithNoOps=false] Whether additional {@link module:engine/model/operation/nooperation~NoOperation}s
  * should be added to the transformation results to force the same last base version for both transformed sets (in case
  * if some operations got broken into multiple operations during transformation).
+ * @param {module:engine/model/operation/transform~ConflictPolicy} [options.conflictPolicy] The policy which decides
+ * which operation wins when two operations change the same attribute, rename the same element or change the same marker.
+ * By default, `operationsA` win.
  * @returns {Object} Transformation result.
  * @returns {Array.<module:engine/model/operation/operation~Operation>} return.operationsA Transformed `operationsA`.
  * @returns {Array.<module:engine/model/operation/operation~Operation>} return.operationsB Transformed `operationsB`.
@@ -157,7 +162,9 @@ export function transformSets( operationsA, operationsB, options ) {
 	operationsA = operationsA.slice();
 	operationsB = operationsB.slice();
 
-	const contextFactory = new ContextFactory( options.document, options.useRelations, options.forceWeakRemove );
+	const contextFactory = new ContextFactory(
+		options.document, options.useRelations, options.forceWeakRemove, options.conflictPolicy
+	);
 	contextFactory.setOriginalOperations( operationsA );
 	contextFactory.setOriginalOperations( operationsB );
 
@@ -391,7 +398,9 @@ class ContextFactory {
 	// better conflict resolution).
 	// @param {Boolean} [forceWeakRemove=false] If set to `false`, remove operation will be always stronger than move operation,
 	// so the removed nodes won't end up back in the document root. When set to `true`, context data will be used.
-	constructor( document, useRelations, forceWeakRemove = false ) {
+	// @param {module:engine/model/operation/transform~ConflictPolicy|null} [conflictPolicy=null] The policy which resolves
+	// the conflicts between the operations.
+	constructor( document, useRelations, forceWeakRemove = false, conflictPolicy = null ) {
 		// For each operation that is created during transformation process, we keep a reference to the original operation
 		// which it comes from. The original operation works as a kind of "identifier". Every contextual information
 		// gathered during transformation that we want to save for given operation, is actually saved for the original operation.
@@ -407,6 +416,11 @@ class ContextFactory {
 
 		this._forceWeakRemove = !!forceWeakRemove;
 
+		this._conflictPolicy = conflictPolicy;
+
+		// The marker collection used by the marker operations created for the conflicts.
+		this._markers = document.model.markers;
+
 		// Relations is a double-map structure (maps in map) where for two operations we store how those operations were related
 		// to each other. Those relations are evaluated during transformation process. For every transformated pair of operations
 		// we keep relations between them.
@@ -595,7 +609,43 @@ class ContextFactory {
 			bWasUndone: this._wasUndone( opB ),
 			abRelation: this._useRelations ? this._getRelation( opA, opB ) : null,
 			baRelation: this._useRelations ? this._getRelation( opB, opA ) : null,
-			forceWeakRemove: this._forceWeakRemove
+			forceWeakRemove: this._forceWeakRemove,
+			resolveConflict: this._conflictPolicy ? conflict => this._resolveConflict( opA, opB, aIsStrong, conflict ) : null
+		};
+	}
+
+	// Resolves the conflict between `opA` and `opB` using the conflict policy.
+	//
+	// The policy is called with the original operations in the order of the transformed sets, so it gives the same result
+	// when `opA` is transformed by `opB` and when `opB` is transformed by `opA`.
+	//
+	// @param {module:engine/model/operation/operation~Operation} opA
+	// @param {module:engine/model/operation/operation~Operation} opB
+	// @param {Boolean} aIsStrong Whether `opA` comes from the first set of operations.
+	// @param {Object} conflict The `type` and `key` of the conflict.
+	// @returns {Object|null} Whether `opA` wins and the name of the marker to create for the conflict, or `null`
+	// if the policy did not resolve the conflict.
+	_resolveConflict( opA, opB, aIsStrong, conflict ) {
+		const originalA = this.originalOperations.get( opA );
+		const originalB = this.originalOperations.get( opB );
+
+		const result = this._conflictPolicy( {
+			type: conflict.type,
+			key: conflict.key,
+			operationA: aIsStrong ? originalA : originalB,
+			operationB: aIsStrong ? originalB : originalA
+		} );
+
+		if ( !result ) {
+			return null;
+		}
+
+		const winner = typeof result == 'string' ? result : result.winner;
+
+		return {
+			aWins: winner ? ( winner == 'a' ) == aIsStrong : aIsStrong,
+			markerName: result.marker || null,
+			markers: this._markers
 		};
 	}
 
@@ -693,7 +743,82 @@ class ContextFactory {
  * @property {Boolean} bWasUndone Whether `b` operation was undone.
  * @property {String|null} abRelation The relation between `a` operation and an operation undone by `b` operation.
  * @property {String|null} baRelation The relation between `b` operation and an operation undone by `a` operation.
+ * @property {Function|null} resolveConflict Resolves the conflict between `a` and `b` using the
+ * {@link module:engine/model/operation/transform~ConflictPolicy conflict policy} or `null` if no policy was set.
+ */
+
+/**
+ * A conflict policy decides how the conflicts between the concurrent operations are resolved during
+ * {@link module:engine/model/operation/transform~transformSets the transformation}. It is called when:
+ *
+ * * two attribute operations change the same attribute of the same nodes to different values (`type` is `'attribute'`),
+ * * two root attribute operations change the same attribute of the same root to different values (`type` is `'rootAttribute'`),
+ * * two rename operations rename the same element to different names (`type` is `'rename'`),
+ * * two marker operations change the same marker (`type` is `'marker'`).
+ *
+ * The policy is called with the conflict description and returns the winning operation: `'a'` (the operation from
+ * `operationsA`), `'b'` (the operation from `operationsB`) or nothing to use the default resolution (the operation from
+ * `operationsA` wins). Since the transformation is done on all clients, the policy must give the same result for the same operations
+ * on all clients, so it should be based on the operations only, e.g. on their
+ * {@link module:engine/model/operation/operation~Operation#metadata metadata}.
+ *
+ *		// The last writer wins (using the timestamps set in the batch metadata) for the `linkHref` attribute.
+ *		function conflictPolicy( { type, key, operationA, operationB } ) {
+ *			if ( type == 'attribute' && key == 'linkHref' ) {
+ *				return operationA.metadata.timestamp >= operationB.metadata.timestamp ? 'a' : 'b';
+ *			}
+ *		}
+ *
+ *		transformSets( operationsA, operationsB, { document, padWithNoOps: true, conflictPolicy } );
+ *
+ * Instead of the winner, the policy can return an object with the `winner` and the `marker` name. Then, besides applying
+ * the winning change, a {@link module:engine/model/markercollection~Marker marker} with the given name is added on the range
+ * of the conflict (for the attribute, root attribute and rename conflicts), so the conflict can be reviewed later:
+ *
+ *		return {
+ *			winner: operationA.metadata.role == 'editor' ? 'a' : 'b',
+ *			marker: `conflict:${ operationA.metadata.userId }:${ operationA.baseVersion }:${ operationB.metadata.userId }`
+ *		};
+ *
+ * The marker name should be unique for the conflicting operations. The marker is
+ * {@link module:engine/model/markercollection~Marker#affectsData a part of the data}.
+ *
+ * @callback module:engine/model/operation/transform~ConflictPolicy
+ * @param {Object} conflict
+ * @param {'attribute'|'rootAttribute'|'rename'|'marker'} conflict.type The type of the conflict.
+ * @param {String|undefined} conflict.key The attribute key (for the attribute conflicts) or the marker name (for the marker conflicts).
+ * @param {module:engine/model/operation/operation~Operation} conflict.operationA The original operation from `operationsA`.
+ * @param {module:engine/model/operation/operation~Operation} conflict.operationB The original operation from `operationsB`.
+ * @returns {'a'|'b'|Object|undefined}
+ */
+
+/**
+ * Resolves the conflict between `a` and `b` using the {@link module:engine/model/operation/transform~ConflictPolicy conflict policy}
+ * or, if the policy is not set or did not resolve the conflict, using `context.aIsStrong`.
+ *
+ * @private
+ * @param {module:engine/model/operation/transform~TransformationContext} context
+ * @param {'attribute'|'rootAttribute'|'rename'|'marker'} type
+ * @param {String} [key]
+ * @returns {Object} Whether `a` wins and the name of the marker to create for the conflict (or `null`).
  */
+function resolveConflict( context, type, key ) {
+	const resolution = context.resolveConflict ? context.resolveConflict( { type, key } ) : null;
+
+	return resolution || { aWins: context.aIsStrong, markerName: null };
+}
+
+/**
+ * Creates a marker operation which adds the marker for the conflict resolved by the conflict policy.
+ *
+ * @private
+ * @param {Object} resolution The conflict resolution.
+ * @param {module:engine/model/range~Range} range
+ * @returns {module:engine/model/operation/markeroperation~MarkerOperation}
+ */
+function createConflictMarkerOperation( resolution, range ) {
+	return new MarkerOperation( resolution.markerName, null, range, resolution.markers, true, 0 );
+}
 
 /**
  * An utility function that updates {@link module:engine/model/operation/operation~Operation#baseVersion base versions}
@@ -745,12 +870,22 @@ setTransformation( AttributeOperation, AttributeOperation, ( a, b, context ) =>
 		const common = a.range.getIntersection( b.range );
 
 		if ( common ) {
+			// The conflict policy is used only if the operations set different values.
+			const resolution = isEqual( a.newValue, b.newValue ) ?
+				{ aWins: context.aIsStrong } :
+				resolveConflict( context, 'attribute', a.key );
+
 			// If this operation is more important, we also want to apply change to the part of the
 			// original range that has already been changed by the other operation. Since that range
 			// got changed we also have to update `oldValue`.
-			if ( context.aIsStrong ) {
+			if ( resolution.aWins ) {
 				operations.push( new AttributeOperation( common, b.key, b.newValue, a.newValue, 0 ) );
 			}
+
+			// Both transformed operations add the marker, so it is added on all clients.
+			if ( resolution.markerName ) {
+				operations.push( createConflictMarkerOperation( resolution, common ) );
+			}
 		}
 
 		if ( operations.length == 0 ) {
@@ -1117,7 +1252,7 @@ setTransformation( MarkerOperation, InsertOperation, ( a, b ) => {
 
 setTransformation( MarkerOperation, MarkerOperation, ( a, b, context ) => {
 	if ( a.name == b.name ) {
-		if ( context.aIsStrong ) {
+		if ( resolveConflict( context, 'marker', a.name ).aWins ) {
 			a.oldRange = b.newRange ? b.newRange.clone() : null;
 		} else {
 			return [ new NoOperation( 0 ) ];
@@ -1915,11 +2050,19 @@ setTransformation( RenameOperation, MoveOperation, ( a, b ) => {
 
 setTransformation( RenameOperation, RenameOperation, ( a, b, context ) => {
 	if ( a.position.isEqual( b.position ) ) {
-		if ( context.aIsStrong ) {
+		const resolution = a.newName == b.newName ? { aWins: context.aIsStrong } : resolveConflict( context, 'rename' );
+		const operations = [];
+
+		if ( resolution.aWins ) {
 			a.oldName = b.newName;
-		} else {
-			return [ new NoOperation( 0 ) ];
+			operations.push( a );
+		}
+
+		if ( resolution.markerName ) {
+			operations.push( createConflictMarkerOperation( resolution, new Range( a.position, a.position.getShiftedBy( 1 ) ) ) );
 		}
+
+		return operations.length ? operations : [ new NoOperation( 0 ) ];
 	}
 
 	return [ a ];
@@ -1959,11 +2102,34 @@ setTransformation( RenameOperation, SplitOperation, ( a, b ) => {
 
 setTransformation( RootAttributeOperation, RootAttributeOperation, ( a, b, context ) => {
 	if ( a.root === b.root && a.key === b.key ) {
-		if ( !context.aIsStrong || a.newValue === b.newValue ) {
+		if ( a.newValue === b.newValue ) {
 			return [ new NoOperation( 0 ) ];
-		} else {
+		}
+
+		const resolution = resolveConflict( context, 'rootAttribute', a.key );
+		const operations = [];
+
+		if ( resolution.aWins ) {
 			a.oldValue = b.newValue;
+			operations.push( a );
+		}
+
+		if ( resolution.markerName ) {
+			operations.push( createConflictMarkerOperation( resolution, Range._createIn( a.root ) ) );
 		}
+
+		return operations.length ? operations : [ new NoOperation( 0 ) ];
+	}
+
+	return [ a ];
+} );
+
+// -----------------------
+
+setTransformation( RootOperation, RootOperation, ( a, b ) => {
+	// If both operations add (or both detach) the same root, the change has already been done by operation `b`.
+	if ( a.rootName == b.rootName && a.isAdd == b.isAdd ) {
+		return [ new NoOperation( 0 ) ];
 	}
 
 	return [ a ];
@@ -2047,6 +2213,9 @@ setTransformation( SplitOperation, MergeOperation, ( a, b, context ) => {
 		const additionalSplit = new SplitOperation( splitPosition, 0, null, 0 );
 		additionalSplit.insertionPosition = insertionPosition;
 
+		// The element created by the additional split is used by the transformed split, so it gets the identifier of its element.
+		additionalSplit.elementId = a.elementId;
+
 		a.splitPosition = a.splitPosition._getTransformedByMergeOperation( b );
 		a.insertionPosition = SplitOperation.getInsertionPosition( a.splitPosition );
 		a.graveyardPosition = additionalSplit.insertionPosition.clone();
@@ -0,0 +1,516 @@
+/**
+ * @license Copyright (c) 2003-2020, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/**
+ * @module engine/model/remoteselectioncollection
+ */
+
+import Range from './range';
+import EmitterMixin from '@ckeditor/ckeditor5-utils/src/emittermixin';
+import CKEditorError from '@ckeditor/ckeditor5-utils/src/ckeditorerror';
+import mix from '@ckeditor/ckeditor5-utils/src/mix';
+import toMap from '@ckeditor/ckeditor5-utils/src/tomap';
+
+const selectionGroup = 'remoteSelection';
+const caretGroup = 'remoteCaret';
+
+/**
+ * The collection of the selections of other users (e.g. the collaborators editing the same document). It is available
+ * as the {@link module:engine/model/document~Document#remoteSelections `remoteSelections`} property of the document.
+ *
+ * Each {@link module:engine/model/remoteselectioncollection~RemoteSelection remote selection} is identified by a name
+ * (e.g. the user identifier) and consists of one or more ranges, the backward flag and the attributes (e.g. the user name
+ * or color) which can be used by the converters:
+ *
+ *		document.remoteSelections.set( 'user-1', ranges, {
+ *			backward: true,
+ *			attributes: { color: '#e91e63' }
+ *		} );
+ *
+ *		document.remoteSelections.get( 'user-1' ).focus; // -> The position of the caret of the user.
+ *
+ *		document.remoteSelections.remove( 'user-1' );
+ *
+ * The ranges of the remote selections are kept up to date when the document changes. If the ranges were created for an older
+ * document version (e.g. they were sent by a collaborator before the collaborator received the local changes), that version can be
+ * passed to {@link #set `set()`}. The ranges are then transformed by the operations applied to the document since that version.
+ *
+ * The remote selections are stored as {@link module:engine/model/markercollection~Marker markers} which are not managed using
+ * operations: the `remoteSelection:<name>:<index>` marker for each range and the collapsed `remoteCaret:<name>` marker at the selection
+ * {@link module:engine/model/remoteselectioncollection~RemoteSelection#focus focus}. The
+ * {@link module:engine/controller/editingcontroller~EditingController editing controller} renders the ranges as
+ * `<span class="ck-remote-selection" data-user="<name>">` highlights and the carets as
+ * `<span class="ck-remote-caret" data-user="<name>"></span>` UI elements. The default converters can be overridden
+ * for the `remoteSelection` and `remoteCaret` marker groups:
+ *
+ *		editor.conversion.for( 'editingDowncast' ).markerToElement( {
+ *			model: 'remoteCaret',
+ *			view: ( data, viewWriter ) => {
+ *				const selection = editor.model.document.remoteSelections.getByMarkerName( data.markerName );
+ *
+ *				return viewWriter.createUIElement( 'span', {
+ *					class: 'my-caret',
+ *					style: 'border-color:' + selection.getAttribute( 'color' )
+ *				} );
+ *			},
+ *			converterPriority: 'high'
+ *		} );
+ *
+ * The caret is rendered again when the attributes of the remote selection change.
+ *
+ * @mixes module:utils/emittermixin~EmitterMixin
+ */
+export default class RemoteSelectionCollection {
+	/**
+	 * Creates a remote selections collection.
+	 *
+	 * @param {module:engine/model/document~Document} document The document which the remote selections are made in.
+	 */
+	constructor( document ) {
+		/**
+		 * The document which the remote selections are made in.
+		 *
+		 * @readonly
+		 * @member {module:engine/model/document~Document}
+		 */
+		this.document = document;
+
+		/**
+		 * The remote selections by their names.
+		 *
+		 * @private
+		 * @member {Map.<String,module:engine/model/remoteselectioncollection~RemoteSelection>}
+		 */
+		this._selections = new Map();
+	}
+
+	/**
+	 * Iterable interface.
+	 *
+	 * Iterates over all {@link ~RemoteSelection remote selections} in the collection.
+	 *
+	 * @returns {Iterable.<module:engine/model/remoteselectioncollection~RemoteSelection>}
+	 */
+	[ Symbol.iterator ]() {
+		return this._selections.values();
+	}
+
+	/**
+	 * Checks if the remote selection with the given name is in the collection.
+	 *
+	 * @param {String} name
+	 * @returns {Boolean}
+	 */
+	has( name ) {
+		return this._selections.has( name );
+	}
+
+	/**
+	 * Returns the remote selection with the given name.
+	 *
+	 * @param {String} name
+	 * @returns {module:engine/model/remoteselectioncollection~RemoteSelection|null} The remote selection or `null` if there is
+	 * no remote selection with the given name.
+	 */
+	get( name ) {
+		return this._selections.get( name ) || null;
+	}
+
+	/**
+	 * Returns the remote selection which the given {@link module:engine/model/markercollection~Marker marker} name belongs to.
+	 * It is useful in the converters of the `remoteSelection` and `remoteCaret` marker groups.
+	 *
+	 * @param {String} markerName
+	 * @returns {module:engine/model/remoteselectioncollection~RemoteSelection|null} The remote selection or `null` if the marker
+	 * does not belong to any remote selection in the collection.
+	 */
+	getByMarkerName( markerName ) {
+		for ( const selection of this._selections.values() ) {
+			if ( selection._markerNames.includes( markerName ) || selection._caretMarkerName == markerName ) {
+				return selection;
+			}
+		}
+
+		return null;
+	}
+
+	/**
+	 * Checks whether the given {@link module:engine/model/markercollection~Marker marker} is used to store a remote selection.
+	 *
+	 * @param {module:engine/model/markercollection~Marker|String} markerOrName The marker or the marker name.
+	 * @returns {Boolean}
+	 */
+	isRemoteSelectionMarker( markerOrName ) {
+		const markerName = typeof markerOrName == 'string' ? markerOrName : markerOrName.name;
+
+		return markerName.startsWith( selectionGroup + ':' ) || markerName.startsWith( caretGroup + ':' );
+	}
+
+	/**
+	 * Adds the remote selection with the given name or updates it if it is already in the collection.
+	 *
+	 *		// Sets the selection of the user on the given ranges created for the current document version.
+	 *		remoteSelections.set( 'user-1', [ range1, range2 ] );
+	 *
+	 *		// Sets the collapsed selection of the user on the range received from the user. The range was created for
+	 *		// the document version 12, so it is transformed by the operations applied since then.
+	 *		remoteSelections.set( 'user-1', Range.fromJSON( json, document ), { version: 12 } );
+	 *
+	 * The change is done in a {@link module:engine/model/model~Model#change `change()`} block, so it is rendered right away
+	 * if it is not a part of an outer `change()` block.
+	 *
+	 * @fires update
+	 * @param {String} name The remote selection name, e.g. the user identifier.
+	 * @param {module:engine/model/range~Range|Iterable.<module:engine/model/range~Range>} ranges The selection range or ranges.
+	 * @param {Object} [options]
+	 * @param {Boolean} [options.backward=false] Whether the selection is backward.
+	 * @param {Object|Iterable.<*>} [options.attributes] The selection attributes. By default, the current attributes are kept.
+	 * @param {Number} [options.version] The document version which the ranges were created for. Defaults to the current version.
+	 * @returns {module:engine/model/remoteselectioncollection~RemoteSelection} The added or updated remote selection.
+	 */
+	set( name, ranges, options = {} ) {
+		const document = this.document;
+		const version = options.version === undefined ? document.version : options.version;
+
+		if ( version > document.version || document.history.isPruned( version ) ) {
+			/**
+			 * The ranges of a remote selection cannot be transformed to the current document version, because the operations
+			 * applied to the document since the given version are not available: the version is greater than the document
+			 * version or the operations were pruned from the {@link module:engine/model/history~History history}.
+			 *
+			 * @error remoteselectioncollection-set-wrong-version
+			 * @param {String} name
+			 * @param {Number} version
+			 */
+			throw new CKEditorError(
+				'remoteselectioncollection-set-wrong-version: Cannot transform the remote selection from the given version.',
+				this,
+				{ name, version }
+			);
+		}
+
+		ranges = ranges instanceof Range ? [ ranges ] : Array.from( ranges );
+
+		if ( version < document.version ) {
+			const operations = Array.from( document.history.getOperations( version ) );
+
+			ranges = ranges.reduce( ( result, range ) => result.concat( range.getTransformedByOperations( operations ) ), [] );
+			ranges = ranges.filter( range => range.root != document.graveyard );
+		}
+
+		if ( !ranges.length ) {
+			/**
+			 * A remote selection needs at least one range (which is not in the graveyard after the transformation).
+			 *
+			 * @error remoteselectioncollection-set-no-ranges
+			 * @param {String} name
+			 */
+			throw new CKEditorError(
+				'remoteselectioncollection-set-no-ranges: A remote selection needs at least one range.',
+				this,
+				{ name }
+			);
+		}
+
+		const selection = this._selections.get( name ) || new RemoteSelection( name, document.model.markers );
+		const attributes = options.attributes ? toMap( options.attributes ) : selection._attributes;
+		const haveAttributesChanged = !isEqualMap( attributes, selection._attributes );
+
+		// The selection is updated before the markers, so it is up to date when the markers are converted.
+		selection._isBackward = !!options.backward;
+		selection._attributes = attributes;
+
+		this._selections.set( name, selection );
+
+		document.model.change( writer => {
+			setMarkers( writer, selection, ranges, haveAttributesChanged );
+		} );
+
+		this.fire( 'update:' + name, selection );
+
+		return selection;
+	}
+
+	/**
+	 * Removes the remote selection with the given name from the collection.
+	 *
+	 * @fires update
+	 * @param {String} name
+	 * @returns {Boolean} `true` if the remote selection was found and removed, `false` otherwise.
+	 */
+	remove( name ) {
+		const selection = this._selections.get( name );
+
+		if ( !selection ) {
+			return false;
+		}
+
+		this.document.model.change( writer => {
+			for ( const markerName of [ ...selection._markerNames, selection._caretMarkerName ] ) {
+				writer.removeMarker( markerName );
+			}
+		} );
+
+		this._selections.delete( name );
+		this.fire( 'update:' + name, null );
+
+		return true;
+	}
+
+	/**
+	 * Removes all event listeners set by the collection.
+	 */
+	destroy() {
+		this.stopListening();
+	}
+
+	/**
+	 * Fired whenever a remote selection is added, updated or removed from the collection.
+	 *
+	 * The event is namespaced with the name of the remote selection, so it is possible to listen to the changes of a given
+	 * remote selection:
+	 *
+	 *		remoteSelections.on( 'update:user-1', ( evt, selection ) => { ... } );
+	 *
+	 * @event update
+	 * @param {module:engine/model/remoteselectioncollection~RemoteSelection|null} selection The updated remote selection
+	 * or `null` if it was removed.
+	 */
+}
+
+mix( RemoteSelectionCollection, EmitterMixin );
+
+/**
+ * The selection of another user, stored in the {@link module:engine/model/remoteselectioncollection~RemoteSelectionCollection
+ * remote selections collection}.
+ *
+ * The ranges of the remote selection are {@link module:engine/model/liverange~LiveRange live ranges}, so they are kept up to date
+ * when the document changes. The ranges moved to the {@link module:engine/model/document~Document#graveyard graveyard}
+ * (because their content was removed) are omitted.
+ *
+ * `RemoteSelection` instances are created and updated only by the `RemoteSelectionCollection`.
+ */
+export class RemoteSelection {
+	/**
+	 * Creates a remote selection.
+	 *
+	 * @param {String} name The remote selection name.
+	 * @param {module:engine/model/markercollection~MarkerCollection} markers The markers collection which stores the ranges.
+	 */
+	constructor( name, markers ) {
+		/**
+		 * The remote selection name.
+		 *
+		 * @readonly
+		 * @member {String}
+		 */
+		this.name = name;
+
+		/**
+		 * @private
+		 * @member {module:engine/model/markercollection~MarkerCollection}
+		 */
+		this._markers = markers;
+
+		/**
+		 * The names of the markers storing the selection ranges.
+		 *
+		 * @private
+		 * @member {Array.<String>}
+		 */
+		this._markerNames = [];
+
+		/**
+		 * The name of the marker storing the caret position.
+		 *
+		 * @private
+		 * @member {String}
+		 */
+		this._caretMarkerName = caretGroup + ':' + name;
+
+		/**
+		 * @private
+		 * @member {Boolean}
+		 */
+		this._isBackward = false;
+
+		/**
+		 * @private
+		 * @member {Map.<String,*>}
+		 */
+		this._attributes = new Map();
+	}
+
+	/**
+	 * Whether the selection is backward, which means that its {@link #focus} is before its {@link #anchor}.
+	 *
+	 * @readonly
+	 * @type {Boolean}
+	 */
+	get isBackward() {
+		return this._isBackward;
+	}
+
+	/**
+	 * The selection anchor: the end of the last range for the backward selections, or the start of the first range otherwise.
+	 * It is `null` if all ranges were removed from the document.
+	 *
+	 * @readonly
+	 * @type {module:engine/model/position~Position|null}
+	 */
+	get anchor() {
+		const ranges = this.getRanges();
+
+		if ( !ranges.length ) {
+			return null;
+		}
+
+		return this._isBackward ? ranges[ ranges.length - 1 ].end : ranges[ 0 ].start;
+	}
+
+	/**
+	 * The selection focus (the position of the caret): the start of the first range for the backward selections,
+	 * or the end of the last range otherwise. It is `null` if all ranges were removed from the document.
+	 *
+	 * @readonly
+	 * @type {module:engine/model/position~Position|null}
+	 */
+	get focus() {
+		const ranges = this.getRanges();
+
+		if ( !ranges.length ) {
+			return null;
+		}
+
+		return this._isBackward ? ranges[ 0 ].start : ranges[ ranges.length - 1 ].end;
+	}
+
+	/**
+	 * Whether the selection has a single collapsed range.
+	 *
+	 * @readonly
+	 * @type {Boolean}
+	 */
+	get isCollapsed() {
+		const ranges = this.getRanges();
+
+		return ranges.length == 1 && ranges[ 0 ].isCollapsed;
+	}
+
+	/**
+	 * Returns the current selection ranges, without the ranges moved to the graveyard.
+	 *
+	 * @returns {Array.<module:engine/model/range~Range>}
+	 */
+	getRanges() {
+		return this._markerNames
+			.map( markerName => this._markers.get( markerName ).getRange() )
+			.filter( range => range.root.rootName != '$graveyard' );
+	}
+
+	/**
+	 * Returns the value of the selection attribute with the given key or `undefined` if the attribute is not set.
+	 *
+	 * @param {String} key
+	 * @returns {*}
+	 */
+	getAttribute( key ) {
+		return this._attributes.get( key );
+	}
+
+	/**
+	 * Returns an iterable of the selection attributes (`[ key, value ]` pairs).
+	 *
+	 * @returns {Iterable.<*>}
+	 */
+	getAttributes() {
+		return this._attributes.entries();
+	}
+
+	/**
+	 * Checks whether the selection has the attribute with the given key.
+	 *
+	 * @param {String} key
+	 * @returns {Boolean}
+	 */
+	hasAttribute( key ) {
+		return this._attributes.has( key );
+	}
+
+	/**
+	 * Checks whether this object is of the given type.
+	 *
+	 *		remoteSelection.is( 'remoteSelection' ); // -> true
+	 *		remoteSelection.is( 'model:remoteSelection' ); // -> true
+	 *
+	 *		remoteSelection.is( 'selection' ); // -> false
+	 *		remoteSelection.is( 'marker' ); // -> false
+	 *
+	 * @param {String} type
+	 * @returns {Boolean}
+	 */
+	is( type ) {
+		return type == 'remoteSelection' || type == 'model:remoteSelection';
+	}
+}
+
+// Updates the markers of the remote selection: one marker for each range and the collapsed caret marker at the focus.
+//
+// @param {module:engine/model/writer~Writer} writer
+// @param {module:engine/model/remoteselectioncollection~RemoteSelection} selection
+// @param {Array.<module:engine/model/range~Range>} ranges
+// @param {Boolean} refreshCaret Whether the caret should be rendered again even if it was not moved.
+function setMarkers( writer, selection, ranges, refreshCaret ) {
+	const markerNames = ranges.map( ( range, index ) => `${ selectionGroup }:${ selection.name }:${ index }` );
+
+	for ( const markerName of selection._markerNames.slice( ranges.length ) ) {
+		writer.removeMarker( markerName );
+	}
+
+	selection._markerNames = markerNames;
+
+	ranges.forEach( ( range, index ) => setMarker( writer, markerNames[ index ], range ) );
+
+	const focus = selection.isBackward ? ranges[ 0 ].start : ranges[ ranges.length - 1 ].end;
+
+	// Removing the marker and adding it again makes the differ convert it even if its range did not change.
+	if ( refreshCaret && writer.model.markers.has( selection._caretMarkerName ) ) {
+		writer.removeMarker( selection._caretMarkerName );
+	}
+
+	setMarker( writer, selection._caretMarkerName, new Range( focus ) );
+}
+
+// Adds the marker which is not managed using operations or updates its range if the marker already exists.
+//
+// @param {module:engine/model/writer~Writer} writer
+// @param {String} name
+// @param {module:engine/model/range~Range} range
+function setMarker( writer, name, range ) {
+	if ( writer.model.markers.has( name ) ) {
+		writer.updateMarker( name, { range } );
+	} else {
+		writer.addMarker( name, { range, usingOperation: false } );
+	}
+}
+
+// Checks whether two maps have the same entries.
+//
+// @param {Map} mapA
+// @param {Map} mapB
+// @returns {Boolean}
+function isEqualMap( mapA, mapB ) {
+	if ( mapA.size != mapB.size ) {
+		return false;
+	}
+
+	for ( const [ key, value ] of mapA ) {
+		if ( !mapB.has( key ) || mapB.get( key ) !== value ) {
+			return false;
+		}
+	}
+
+	return true;
+}
@@ -40,6 +40,15 @@ export default class RootElement extends Element {
 		 * @member {String}
 		 */
 		this.rootName = rootName;
+
+		/**
+		 * Informs whether the root is attached to the document. Roots are detached (and attached back) by
+		 * {@link module:engine/model/operation/rootoperation~RootOperation root operations}.
+		 *
+		 * @protected
+		 * @member {Boolean}
+		 */
+		this._isAttached = true;
 	}
 
 	/**
@@ -52,6 +61,18 @@ export default class RootElement extends Element {
 		return this._document;
 	}
 
+	/**
+	 * Checks whether the root is currently attached to its {@link #document document}.
+	 *
+	 * A root is detached using {@link module:engine/model/writer~Writer#detachRoot `Writer#detachRoot()`} and can be
+	 * attached back using {@link module:engine/model/writer~Writer#addRoot `Writer#addRoot()`}.
+	 *
+	 * @returns {Boolean}
+	 */
+	isAttached() {
+		return this._isAttached;
+	}
+
 	/**
 	 * Checks whether this object is of the given.
 	 *
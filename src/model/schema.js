@@ -10,6 +10,7 @@
 import CKEditorError from '@ckeditor/ckeditor5-utils/src/ckeditorerror';
 import ObservableMixin from '@ckeditor/ckeditor5-utils/src/observablemixin';
 import mix from '@ckeditor/ckeditor5-utils/src/mix';
+import { cloneDeep } from 'lodash-es';
 
 import Range from './range';
 import Position from './position';
@@ -47,6 +48,38 @@ export default class Schema {
 		 */
 		this._attributeProperties = {};
 
+		/**
+		 * Declarative rules added by {@link #addChildRule}.
+		 *
+		 * @private
+		 * @member {Array.<module:engine/model/schema~SchemaRule>}
+		 */
+		this._childRules = [];
+
+		/**
+		 * Declarative rules added by {@link #addAttributeRule}.
+		 *
+		 * @private
+		 * @member {Array.<module:engine/model/schema~SchemaRule>}
+		 */
+		this._attributeRules = [];
+
+		/**
+		 * Results of {@link #getAllowedChildren} cached by the context item names.
+		 *
+		 * @private
+		 * @member {Map.<String,Array.<String>>}
+		 */
+		this._allowedChildrenCache = new Map();
+
+		/**
+		 * Results of {@link #getAllowedAttributes} cached by the context item names.
+		 *
+		 * @private
+		 * @member {Map.<String,Array.<String>>}
+		 */
+		this._allowedAttributesCache = new Map();
+
 		this.decorate( 'checkChild' );
 		this.decorate( 'checkAttribute' );
 
@@ -54,6 +87,15 @@ export default class Schema {
 			args[ 0 ] = new SchemaContext( args[ 0 ] );
 		}, { priority: 'highest' } );
 
+		// The attribute value is checked before all other checks, so the callbacks allowing the attribute
+		// cannot accept a value which does not match the attribute value type.
+		this.on( 'checkAttribute', ( evt, args ) => {
+			if ( !this.checkAttributeValue( args[ 1 ], args[ 2 ] ) ) {
+				evt.stop();
+				evt.return = false;
+			}
+		}, { priority: 'highest' } );
+
 		this.on( 'checkChild', ( evt, args ) => {
 			args[ 0 ] = new SchemaContext( args[ 0 ] );
 			args[ 1 ] = this.getDefinition( args[ 1 ] );
@@ -315,9 +357,20 @@ export default class Schema {
 	 *		} );
 	 *		schema.checkAttribute( textNode, 'bold' ); // -> true
 	 *
+	 * If the attribute value is passed, it is also checked against the attribute
+	 * {@link module:engine/model/schema~AttributeProperties#valueType value type} (see {@link #checkAttributeValue}):
+	 *
+	 *		schema.setAttributeProperties( 'alignment', {
+	 *			valueType: { oneOf: [ 'left', 'right', 'center' ] }
+	 *		} );
+	 *
+	 *		schema.checkAttribute( paragraph, 'alignment', 'right' ); // -> true
+	 *		schema.checkAttribute( paragraph, 'alignment', 'bogus' ); // -> false
+	 *
 	 * @fires checkAttribute
 	 * @param {module:engine/model/schema~SchemaContextDefinition} context The context in which the attribute will be checked.
 	 * @param {String} attributeName
+	 * @param {*} [value] The attribute value to check.
 	 */
 	checkAttribute( context, attributeName ) {
 		const def = this.getDefinition( context.last );
@@ -329,6 +382,107 @@ export default class Schema {
 		return def.allowAttributes.includes( attributeName );
 	}
 
+	/**
+	 * Checks whether the given value matches the {@link module:engine/model/schema~AttributeProperties#valueType value type}
+	 * of the attribute. Returns `true` if the attribute does not have the value type defined or if the value is `undefined`
+	 * or `null` (which means that the attribute is removed).
+	 *
+	 *		schema.setAttributeProperties( 'headingLevel', {
+	 *			valueType: { type: 'number', min: 1, max: 6 }
+	 *		} );
+	 *
+	 *		schema.checkAttributeValue( 'headingLevel', 2 ); // -> true
+	 *		schema.checkAttributeValue( 'headingLevel', 7 ); // -> false
+	 *		schema.checkAttributeValue( 'headingLevel', '2' ); // -> false
+	 *
+	 * @param {String} attributeName
+	 * @param {*} value
+	 * @returns {Boolean}
+	 */
+	checkAttributeValue( attributeName, value ) {
+		const valueType = this.getAttributeProperties( attributeName ).valueType;
+
+		if ( !valueType || value === undefined || value === null ) {
+			return true;
+		}
+
+		return isValueOfType( value, valueType );
+	}
+
+	/**
+	 * Returns the names of all registered items which are {@link #checkChild allowed} as the children
+	 * of the last item of the given context.
+	 *
+	 *		schema.getAllowedChildren( editor.model.document.selection.getFirstPosition() );
+	 *		// -> [ '$text', 'softBreak', 'imageInline' ]
+	 *
+	 *		schema.getAllowedChildren( [ '$root' ] );
+	 *		// -> [ '$block', 'paragraph', 'heading1', 'blockQuote', ... ]
+	 *
+	 * Note that the generic items like `$block` or `$text` are returned too.
+	 *
+	 * The results are cached by the names of the context items. The cache is cleared when the schema items
+	 * are {@link #register registered} or {@link #extend extended} and when the {@link #addChildCheck callbacks}
+	 * or {@link #addChildRule rules} are added. Because of that, the results may be incorrect if the checks added
+	 * directly as the {@link #event:checkChild} listeners or the callbacks depend on something else than the context item names
+	 * (for example, on the attributes of the context items).
+	 *
+	 * @param {module:engine/model/schema~SchemaContextDefinition} context
+	 * @returns {Array.<String>}
+	 */
+	getAllowedChildren( context ) {
+		context = new SchemaContext( context );
+
+		const cacheKey = Array.from( context.getNames() ).join( ' ' );
+
+		if ( !this._allowedChildrenCache.has( cacheKey ) ) {
+			const allowedChildren = Object.keys( this.getDefinitions() ).filter( itemName => this.checkChild( context, itemName ) );
+
+			this._allowedChildrenCache.set( cacheKey, allowedChildren );
+		}
+
+		return this._allowedChildrenCache.get( cacheKey ).slice();
+	}
+
+	/**
+	 * Returns the names of all known attributes which are {@link #checkAttribute allowed} on the last item of the given context.
+	 *
+	 *		schema.getAllowedAttributes( [ '$root', 'paragraph', '$text' ] );
+	 *		// -> [ 'bold', 'italic', 'linkHref' ]
+	 *
+	 * The known attributes are the attributes allowed by the item definitions (`allowAttributes`), the attributes with
+	 * {@link #setAttributeProperties properties} and the attributes allowed by the {@link #addAttributeRule rules}.
+	 * The attributes allowed only by the {@link #addAttributeCheck callbacks} cannot be enumerated.
+	 *
+	 * The results are cached in the same way as the results of {@link #getAllowedChildren}.
+	 *
+	 * @param {module:engine/model/schema~SchemaContextDefinition} context
+	 * @returns {Array.<String>}
+	 */
+	getAllowedAttributes( context ) {
+		context = new SchemaContext( context );
+
+		const cacheKey = Array.from( context.getNames() ).join( ' ' );
+
+		if ( !this._allowedAttributesCache.has( cacheKey ) ) {
+			const attributeNames = new Set( Object.keys( this._attributeProperties ) );
+
+			for ( const definition of getValues( this.getDefinitions() ) ) {
+				definition.allowAttributes.forEach( attributeName => attributeNames.add( attributeName ) );
+			}
+
+			for ( const rule of this._attributeRules.filter( rule => rule.allow ) ) {
+				rule.name.forEach( attributeName => attributeNames.add( attributeName ) );
+			}
+
+			const allowedAttributes = Array.from( attributeNames ).filter( attributeName => this.checkAttribute( context, attributeName ) );
+
+			this._allowedAttributesCache.set( cacheKey, allowedAttributes );
+		}
+
+		return this._allowedAttributesCache.get( cacheKey ).slice();
+	}
+
 	/**
 	 * Checks whether the given element (`elementToMerge`) can be merged with the specified base element (`positionOrBaseElement`).
 	 *
@@ -441,6 +595,8 @@ export default class Schema {
 				evt.return = retValue;
 			}
 		}, { priority: 'high' } );
+
+		this._clearCache();
 	}
 
 	/**
@@ -491,6 +647,123 @@ export default class Schema {
 				evt.return = retValue;
 			}
 		}, { priority: 'high' } );
+
+		this._clearCache();
+	}
+
+	/**
+	 * Adds a declarative rule to the {@link #checkChild} method calls.
+	 *
+	 * Unlike the callbacks added by {@link #addChildCheck}, rules are serialized by {@link #toJSON}, so the same
+	 * checks can be used outside of the editor (see {@link module:engine/model/schema~Schema.fromJSON}).
+	 *
+	 *		// Disallow heading1 directly inside a blockQuote.
+	 *		schema.addChildRule( { context: 'blockQuote', name: 'heading1', allow: false } );
+	 *
+	 *		// Allow $marker everywhere.
+	 *		schema.addChildRule( { name: '$marker', allow: true } );
+	 *
+	 * Rules are checked in the order in which they were added and the first matching rule decides about the result.
+	 * They are checked together with the {@link #addChildCheck} callbacks.
+	 *
+	 * @param {module:engine/model/schema~SchemaRule} rule
+	 */
+	addChildRule( rule ) {
+		rule = normalizeRule( rule, this );
+
+		this._childRules.push( rule );
+
+		this.addChildCheck( ( context, childDefinition ) => matchRule( rule, context, childDefinition.name ) );
+	}
+
+	/**
+	 * Adds a declarative rule to the {@link #checkAttribute} method calls.
+	 *
+	 * Unlike the callbacks added by {@link #addAttributeCheck}, rules are serialized by {@link #toJSON}, so the same
+	 * checks can be used outside of the editor (see {@link module:engine/model/schema~Schema.fromJSON}).
+	 *
+	 *		// Disallow bold on $text inside heading1.
+	 *		schema.addAttributeRule( { context: 'heading1 $text', name: 'bold', allow: false } );
+	 *
+	 * Rules are checked in the order in which they were added and the first matching rule decides about the result.
+	 * They are checked together with the {@link #addAttributeCheck} callbacks.
+	 *
+	 * @param {module:engine/model/schema~SchemaRule} rule
+	 */
+	addAttributeRule( rule ) {
+		rule = normalizeRule( rule, this );
+
+		this._attributeRules.push( rule );
+
+		this.addAttributeCheck( ( context, attributeName ) => matchRule( rule, context, attributeName ) );
+	}
+
+	/**
+	 * Returns a JSON-serializable representation of the schema. It contains:
+	 *
+	 * * `items` &ndash; the {@link module:engine/model/schema~SchemaItemDefinition definitions} of all registered items,
+	 * as they were passed to {@link #register} and {@link #extend} (so inheritance like `inheritAllFrom` is kept),
+	 * * `childRules` and `attributeRules` &ndash; the rules added by {@link #addChildRule} and {@link #addAttributeRule},
+	 * * `attributeProperties` &ndash; the properties set by {@link #setAttributeProperties}.
+	 *
+	 * **Note:** Callbacks added by {@link #addChildCheck}, {@link #addAttributeCheck} and custom listeners
+	 * of {@link #event:checkChild} and {@link #event:checkAttribute} cannot be serialized. The same applies to
+	 * the `validate` callbacks and `RegExp` patterns of the {@link module:engine/model/schema~AttributeValueType attribute value types}
+	 * (use string patterns instead).
+	 *
+	 * @returns {Object}
+	 */
+	toJSON() {
+		const items = {};
+
+		for ( const itemName of Object.keys( this._sourceDefinitions ) ) {
+			items[ itemName ] = cloneDeep( this._sourceDefinitions[ itemName ] );
+		}
+
+		return {
+			items,
+			childRules: cloneDeep( this._childRules ),
+			attributeRules: cloneDeep( this._attributeRules ),
+			attributeProperties: cloneDeep( this._attributeProperties )
+		};
+	}
+
+	/**
+	 * Creates a schema instance from its JSON representation created by {@link #toJSON}.
+	 *
+	 *		const schema = Schema.fromJSON( JSON.parse( serializedSchema ) );
+	 *
+	 *		schema.checkChild( [ '$root', 'blockQuote' ], 'heading1' ); // -> false
+	 *
+	 * @param {Object} json Deserialized JSON object.
+	 * @returns {module:engine/model/schema~Schema}
+	 */
+	static fromJSON( json ) {
+		const schema = new Schema();
+
+		for ( const itemName of Object.keys( json.items || {} ) ) {
+			const [ definition, ...extensions ] = json.items[ itemName ];
+
+			schema.register( itemName, cloneDeep( definition ) );
+
+			for ( const extension of extensions ) {
+				schema.extend( itemName, cloneDeep( extension ) );
+			}
+		}
+
+		for ( const rule of json.childRules || [] ) {
+			schema.addChildRule( rule );
+		}
+
+		for ( const rule of json.attributeRules || [] ) {
+			schema.addAttributeRule( rule );
+		}
+
+		for ( const attributeName of Object.keys( json.attributeProperties || {} ) ) {
+			schema.setAttributeProperties( attributeName, cloneDeep( json.attributeProperties[ attributeName ] ) );
+		}
+
+		return schema;
 	}
 
 	/**
@@ -528,11 +801,25 @@ export default class Schema {
 	 *		console.log( schema.getAttributeProperties( 'blockQuote' ) );
 	 *		// Logs: { one: 1, two: 2 }
 	 *
+	 * The {@link module:engine/model/schema~AttributeProperties#valueType `valueType` property} restricts the values
+	 * which the attribute may take. It is respected by {@link #checkAttribute}, {@link #removeDisallowedAttributes}
+	 * and the upcast conversion:
+	 *
+	 *		schema.setAttributeProperties( 'alignment', {
+	 *			valueType: { oneOf: [ 'left', 'right', 'center', 'justify' ] }
+	 *		} );
+	 *
+	 *		schema.setAttributeProperties( 'fontColor', {
+	 *			valueType: { type: 'string', pattern: /^#[0-9a-f]{6}$/ }
+	 *		} );
+	 *
 	 * @param {String} attributeName A name of the attribute to receive the properties.
 	 * @param {module:engine/model/schema~AttributeProperties} properties A dictionary of properties.
 	 */
 	setAttributeProperties( attributeName, properties ) {
 		this._attributeProperties[ attributeName ] = Object.assign( this.getAttributeProperties( attributeName ), properties );
+
+		this._clearCache();
 	}
 
 	/**
@@ -736,7 +1023,8 @@ export default class Schema {
 	}
 
 	/**
-	 * Removes attributes disallowed by the schema.
+	 * Removes attributes disallowed by the schema, including the attributes which values do not match
+	 * their {@link module:engine/model/schema~AttributeProperties#valueType value types}.
 	 *
 	 * @param {Iterable.<module:engine/model/node~Node>} nodes Nodes that will be filtered.
 	 * @param {module:engine/model/writer~Writer} writer
@@ -764,6 +1052,50 @@ export default class Schema {
 		}
 	}
 
+	/**
+	 * Checks whether the whole content of the given root element or document fragment is allowed by the schema
+	 * and returns all found violations. The content is not modified, so this method can be used in tests or
+	 * outside of the editor (e.g. together with {@link module:engine/model/schema~Schema.fromJSON}).
+	 *
+	 *		const violations = schema.validate( editor.model.document.getRoot() );
+	 *
+	 *		for ( const violation of violations ) {
+	 *			console.log( violation.type, violation.name, violation.path.join( ',' ) );
+	 *		}
+	 *
+	 * Every node inside the given element is checked with {@link #checkChild} and every attribute of these nodes
+	 * with {@link #checkAttribute}. The given element itself (and its attributes) is not checked. The direct children
+	 * of a document fragment are not checked with {@link #checkChild} either, as a fragment does not define any context.
+	 *
+	 * @param {module:engine/model/element~Element|module:engine/model/documentfragment~DocumentFragment} rootOrFragment
+	 * The element or document fragment to validate.
+	 * @returns {Array.<module:engine/model/schema~SchemaViolation>} Found violations. The array is empty if the content is valid.
+	 */
+	validate( rootOrFragment ) {
+		const violations = [];
+		const walker = new TreeWalker( { boundaries: Range._createIn( rootOrFragment ), ignoreElementEnd: true } );
+
+		for ( const { item: itemOrProxy } of walker ) {
+			const item = itemOrProxy.is( 'textProxy' ) ? itemOrProxy.textNode : itemOrProxy;
+			const name = item.is( 'element' ) ? item.name : '$text';
+			const parent = item.parent;
+
+			if ( !parent.is( 'documentFragment' ) && !this.checkChild( parent, item ) ) {
+				violations.push( createViolation( 'child', item, name, this.isRegistered( name ), this._childRules, parent ) );
+			}
+
+			for ( const key of item.getAttributeKeys() ) {
+				if ( !this.checkAttribute( item, key ) ) {
+					violations.push( createViolation( 'attribute', item, key, true, this._attributeRules, item ) );
+				} else if ( !this.checkAttributeValue( key, item.getAttribute( key ) ) ) {
+					violations.push( createViolation( 'attribute', item, key, true, [], item, 'invalidValue' ) );
+				}
+			}
+		}
+
+		return violations;
+	}
+
 	/**
 	 * Creates an instance of the schema context.
 	 *
@@ -779,6 +1111,8 @@ export default class Schema {
 	 */
 	_clearCache() {
 		this._compiledDefinitions = null;
+		this._allowedChildrenCache.clear();
+		this._allowedAttributesCache.clear();
 	}
 
 	/**
@@ -1113,6 +1447,41 @@ mix( Schema, ObservableMixin );
  * @typedef {Object} module:engine/model/schema~SchemaItemDefinition
  */
 
+/**
+ * A declarative rule for the {@link module:engine/model/schema~Schema#checkChild} or
+ * {@link module:engine/model/schema~Schema#checkAttribute} checks. See {@link module:engine/model/schema~Schema#addChildRule}
+ * and {@link module:engine/model/schema~Schema#addAttributeRule}.
+ *
+ * The rule has the following properties:
+ *
+ * * `name` &ndash; A string or an array of strings. The names of the checked children (for child rules)
+ * or the checked attributes (for attribute rules).
+ * * `context` &ndash; Optional. A string with space-separated item names. The rule matches only if the checked
+ * context {@link module:engine/model/schema~SchemaContext#endsWith ends with} it. If not set, the rule matches in any context.
+ * * `allow` &ndash; A boolean value returned by the check if the rule matches.
+ *
+ *		{ context: 'blockQuote', name: [ 'heading1', 'heading2' ], allow: false }
+ *
+ * @typedef {Object} module:engine/model/schema~SchemaRule
+ */
+
+/**
+ * A violation of the schema found by {@link module:engine/model/schema~Schema#validate}.
+ *
+ * @typedef {Object} module:engine/model/schema~SchemaViolation
+ * @property {'child'|'attribute'} type Whether the node is not allowed in its parent (`'child'`) or it has a disallowed
+ * attribute (`'attribute'`).
+ * @property {module:engine/model/node~Node} item The disallowed node or the node with the disallowed attribute.
+ * @property {Array.<Number>} path The {@link module:engine/model/node~Node#getPath path} of the `item`.
+ * @property {String} name The name of the disallowed node (`'$text'` for text nodes) or the key of the disallowed attribute.
+ * @property {'notRegistered'|'rule'|'notAllowed'|'invalidValue'} reason Why the node or the attribute is disallowed: the node
+ * is not registered in the schema, it was disallowed by a {@link module:engine/model/schema~SchemaRule declarative rule},
+ * it is not allowed by the item definitions (or by the {@link module:engine/model/schema~Schema#addChildCheck callbacks})
+ * or the attribute value does not match the {@link module:engine/model/schema~AttributeProperties#valueType value type}.
+ * @property {module:engine/model/schema~SchemaRule|null} rule The declarative rule which disallowed the node or the attribute
+ * (if `reason` is `'rule'`).
+ */
+
 /**
  * A simplified version of {@link module:engine/model/schema~SchemaItemDefinition} after
  * compilation by the {@link module:engine/model/schema~Schema schema}.
@@ -1400,6 +1769,25 @@ export class SchemaContext {
  * @property {Boolean} [isFormatting] Indicates that the attribute should be considered as a visual formatting, like `bold`, `italic` or
  * `fontSize` rather than semantic attribute (such as `src`, `listType`, etc.). For example, it is used by the "Remove format" feature.
  * @property {Boolean} [copyOnEnter] Indicates that given text attribute should be copied to the next block when enter is pressed.
+ * @property {module:engine/model/schema~AttributeValueType|String} [valueType] Restricts the values which the attribute may take.
+ * See {@link module:engine/model/schema~Schema#checkAttributeValue}.
+ */
+
+/**
+ * The type of the values which the attribute may take. It is set as the
+ * {@link module:engine/model/schema~AttributeProperties#valueType `valueType` attribute property}.
+ *
+ * All defined constraints must be met by the value. Instead of the object, the `type` can be passed as a string:
+ *
+ *		schema.setAttributeProperties( 'checked', { valueType: 'boolean' } );
+ *
+ * @typedef {Object} module:engine/model/schema~AttributeValueType
+ * @property {'string'|'number'|'boolean'} [type] The type of the value.
+ * @property {Array} [oneOf] The list of allowed values.
+ * @property {Number} [min] The minimum value of a number.
+ * @property {Number} [max] The maximum value of a number.
+ * @property {RegExp|String} [pattern] The pattern which a string value must match.
+ * @property {Function} [validate] A callback called with the value. It should return `true` if the value is allowed.
  */
 
 function compileBaseItemRule( sourceItemRules, itemName ) {
@@ -1631,8 +2019,123 @@ function* convertToMinimalFlatRanges( ranges ) {
 
 function removeDisallowedAttributeFromNode( schema, node, writer ) {
 	for ( const attribute of node.getAttributeKeys() ) {
-		if ( !schema.checkAttribute( node, attribute ) ) {
+		if ( !schema.checkAttribute( node, attribute, node.getAttribute( attribute ) ) ) {
 			writer.removeAttribute( attribute, node );
 		}
 	}
 }
+
+// Validates and normalizes a declarative schema rule.
+//
+// @param {module:engine/model/schema~SchemaRule} rule
+// @param {module:engine/model/schema~Schema} schema
+// @returns {module:engine/model/schema~SchemaRule}
+function normalizeRule( rule, schema ) {
+	if ( !rule || !rule.name || typeof rule.allow != 'boolean' ) {
+		/**
+		 * A schema rule must define the `name` and the boolean `allow` properties.
+		 *
+		 * @error schema-invalid-rule
+		 * @param {Object} rule The invalid rule.
+		 */
+		throw new CKEditorError(
+			'schema-invalid-rule: A schema rule must define the name and the boolean allow properties.',
+			schema,
+			{ rule }
+		);
+	}
+
+	const normalized = {
+		name: Array.isArray( rule.name ) ? rule.name.slice() : [ rule.name ],
+		allow: rule.allow
+	};
+
+	if ( rule.context ) {
+		normalized.context = rule.context;
+	}
+
+	return normalized;
+}
+
+// Returns the `allow` value of the rule if it matches the checked context and name. Returns `undefined` otherwise.
+//
+// @param {module:engine/model/schema~SchemaRule} rule
+// @param {module:engine/model/schema~SchemaContext} context
+// @param {String} name
+// @returns {Boolean|undefined}
+function matchRule( rule, context, name ) {
+	if ( !rule.name.includes( name ) ) {
+		return;
+	}
+
+	if ( rule.context && !context.endsWith( rule.context ) ) {
+		return;
+	}
+
+	return rule.allow;
+}
+
+// Creates a schema violation object for the `Schema#validate()` method.
+//
+// @param {'child'|'attribute'} type
+// @param {module:engine/model/node~Node} item
+// @param {String} name The name of the disallowed child or attribute.
+// @param {Boolean} isRegistered
+// @param {Array.<module:engine/model/schema~SchemaRule>} rules Declarative rules for the checks of the given type.
+// @param {module:engine/model/node~Node} contextNode The node which is the last item of the checked context.
+// @param {String} [reason] The reason of the violation if it is not caused by an unregistered item or a rule.
+// @returns {module:engine/model/schema~SchemaViolation}
+function createViolation( type, item, name, isRegistered, rules, contextNode, reason = 'notAllowed' ) {
+	const context = new SchemaContext( contextNode );
+	const rule = rules.find( rule => matchRule( rule, context, name ) !== undefined );
+
+	if ( !isRegistered ) {
+		reason = 'notRegistered';
+	} else if ( rule && !rule.allow ) {
+		reason = 'rule';
+	}
+
+	return {
+		type,
+		item,
+		path: item.getPath(),
+		name,
+		reason,
+		rule: reason == 'rule' ? rule : null
+	};
+}
+
+// Checks whether the value matches the attribute value type.
+//
+// @param {*} value
+// @param {module:engine/model/schema~AttributeValueType|String} valueType
+// @returns {Boolean}
+function isValueOfType( value, valueType ) {
+	if ( typeof valueType == 'string' ) {
+		valueType = { type: valueType };
+	}
+
+	if ( valueType.type && typeof value != valueType.type ) {
+		return false;
+	}
+
+	if ( valueType.oneOf && !valueType.oneOf.includes( value ) ) {
+		return false;
+	}
+
+	if ( valueType.min !== undefined || valueType.max !== undefined ) {
+		if ( typeof value != 'number' || value < valueType.min || value > valueType.max ) {
+			return false;
+		}
+	}
+
+	if ( valueType.pattern && ( typeof value != 'string' || !new RegExp( valueType.pattern ).test( value ) ) ) {
+		return false;
+	}
+
+	if ( valueType.validate && !valueType.validate( value ) ) {
+		return false;
+	}
+
+	return true;
+}
@@ -0,0 +1,189 @@
+/**
+ * @license Copyright (c) 2003-2020, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/**
+ * @module engine/model/utils/diffmodel
+ */
+
+import Model from '../model';
+import DocumentFragment from '../documentfragment';
+import Position from '../position';
+import Range from '../range';
+import AttributeOperation from '../operation/attributeoperation';
+import DetachOperation from '../operation/detachoperation';
+import InsertOperation from '../operation/insertoperation';
+import MoveOperation from '../operation/moveoperation';
+import RenameOperation from '../operation/renameoperation';
+import RootAttributeOperation from '../operation/rootattributeoperation';
+import reconcileContent from './reconcilecontent';
+
+/**
+ * Compares two model trees and returns the operations which change the first tree into the second one.
+ *
+ * The trees do not have to share the operation history. They can be two versions of a document loaded from different
+ * sources, a document and its snapshot or two detached document fragments. Neither of the trees is changed.
+ *
+ *		const operations = diffModel( editor.model.document.getRoot(), editor.data.parse( '<p>New data</p>' ) );
+ *
+ *		editor.model.change( writer => {
+ *			for ( const operation of operations ) {
+ *				writer.batch.addOperation( operation );
+ *				editor.model.applyOperation( operation );
+ *			}
+ *		} );
+ *
+ * What is compared depends on the type of the `from` parameter:
+ *
+ * * For a root element or a document fragment, the children are compared. If both parameters are elements, the changes of
+ * the root attributes are returned as well.
+ * * For an element which has a parent, the element itself is compared with the `to` element, so it can be renamed
+ * and get the attributes of the `to` element.
+ *
+ * The operations are the same as the ones created by
+ * {@link module:engine/model/utils/reconcilecontent~reconcileContent `reconcileContent()`}: insertions, removals,
+ * attribute changes and renames. They must be applied in the returned order, before any other change of the `from` tree.
+ * If `from` is in a document, the operations have subsequent base versions, starting from the current
+ * {@link module:engine/model/document~Document#version document version}.
+ * Otherwise, they are not document operations and their base versions are `null`.
+ *
+ * @param {module:engine/model/element~Element|module:engine/model/documentfragment~DocumentFragment} from The tree to change.
+ * @param {module:engine/model/element~Element|module:engine/model/documentfragment~DocumentFragment} to The expected tree.
+ * @returns {Array.<module:engine/model/operation/operation~Operation>}
+ */
+export default function diffModel( from, to ) {
+	const compareElements = from.is( 'element' ) && !from.is( 'rootElement' ) && !!from.parent && to.is( 'element' );
+	const document = from.root.document || null;
+	const operations = [];
+
+	// Returns the base version for the next operation.
+	const getBaseVersion = () => document ? document.version + operations.length : null;
+
+	if ( from.is( 'rootElement' ) && to.is( 'element' ) ) {
+		for ( const [ key, oldValue, newValue ] of getAttributeChanges( from, to ) ) {
+			operations.push( new RootAttributeOperation( from, key, oldValue, newValue, getBaseVersion() ) );
+		}
+	}
+
+	// The content is reconciled on a copy of both trees. Then, the recorded operations are moved to the `from` tree.
+	const scratchModel = new Model();
+	const scratchFrom = new DocumentFragment( compareElements ? from._clone( true ) : cloneChildren( from ) );
+	const scratchTo = new DocumentFragment( compareElements ? to._clone( true ) : cloneChildren( to ) );
+	const mapPosition = getPositionMapper( from, compareElements );
+
+	scratchModel.change( writer => {
+		reconcileContent( writer, scratchFrom, scratchTo );
+
+		for ( const operation of writer.batch.operations ) {
+			// Skip the operations which removed the inserted nodes from the copy of the `to` tree.
+			if ( getOperationPosition( operation ).root == scratchFrom ) {
+				operations.push( mapOperation( operation, mapPosition, document, getBaseVersion() ) );
+			}
+		}
+	} );
+
+	scratchModel.destroy();
+
+	return operations;
+}
+
+// Creates the operation equal to the given operation done on the scratch tree, but done on the `from` tree.
+//
+// @param {module:engine/model/operation/operation~Operation} operation
+// @param {Function} mapPosition
+// @param {module:engine/model/document~Document|null} document The document of the `from` tree.
+// @param {Number|null} baseVersion
+// @returns {module:engine/model/operation/operation~Operation}
+function mapOperation( operation, mapPosition, document, baseVersion ) {
+	switch ( operation.type ) {
+		case 'insert': {
+			const result = new InsertOperation( mapPosition( operation.position ), operation.nodes, baseVersion );
+
+			result.shouldReceiveAttributes = operation.shouldReceiveAttributes;
+
+			return result;
+		}
+		case 'detach':
+			if ( document ) {
+				const graveyardPosition = new Position( document.graveyard, [ 0 ] );
+
+				return new MoveOperation( mapPosition( operation.sourcePosition ), operation.howMany, graveyardPosition, baseVersion );
+			}
+
+			return new DetachOperation( mapPosition( operation.sourcePosition ), operation.howMany );
+		case 'rename':
+			return new RenameOperation( mapPosition( operation.position ), operation.oldName, operation.newName, baseVersion );
+		default: {
+			const range = new Range( mapPosition( operation.range.start ), mapPosition( operation.range.end ) );
+
+			return new AttributeOperation( range, operation.key, operation.oldValue, operation.newValue, baseVersion );
+		}
+	}
+}
+
+// Returns the position at which the operation changes the tree.
+//
+// @param {module:engine/model/operation/operation~Operation} operation
+// @returns {module:engine/model/position~Position}
+function getOperationPosition( operation ) {
+	switch ( operation.type ) {
+		case 'insert':
+		case 'rename':
+			return operation.position;
+		case 'detach':
+			return operation.sourcePosition;
+		default:
+			return operation.range.start;
+	}
+}
+
+// Returns the function mapping the positions in the scratch tree to the positions in the `from` tree.
+//
+// @param {module:engine/model/element~Element|module:engine/model/documentfragment~DocumentFragment} from
+// @param {Boolean} compareElements Whether the scratch tree contains the copy of the `from` element or its children.
+// @returns {Function}
+function getPositionMapper( from, compareElements ) {
+	if ( compareElements ) {
+		const parentPath = from.parent.getPath();
+
+		return position => new Position(
+			from.root,
+			[ ...parentPath, position.path[ 0 ] + from.startOffset, ...position.path.slice( 1 ) ],
+			position.stickiness
+		);
+	}
+
+	const path = from.getPath();
+
+	return position => new Position( from.root, [ ...path, ...position.path ], position.stickiness );
+}
+
+// Returns the changed attributes as `[ key, oldValue, newValue ]` entries.
+//
+// @param {module:engine/model/element~Element} from
+// @param {module:engine/model/element~Element} to
+// @returns {Array.<Array>}
+function getAttributeChanges( from, to ) {
+	const changes = [];
+
+	for ( const [ key, value ] of from.getAttributes() ) {
+		if ( !to.hasAttribute( key ) ) {
+			changes.push( [ key, value, null ] );
+		}
+	}
+
+	for ( const [ key, value ] of to.getAttributes() ) {
+		if ( from.getAttribute( key ) !== value ) {
+			changes.push( [ key, from.hasAttribute( key ) ? from.getAttribute( key ) : null, value ] );
+		}
+	}
+
+	return changes;
+}
+
+// @param {module:engine/model/element~Element|module:engine/model/documentfragment~DocumentFragment} element
+// @returns {Array.<module:engine/model/node~Node>}
+function cloneChildren( element ) {
+	return Array.from( element.getChildren(), child => child._clone( true ) );
+}
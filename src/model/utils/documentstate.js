@@ -0,0 +1,195 @@
+/**
+ * @license Copyright (c) 2003-2020, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/**
+ * @module engine/model/utils/documentstate
+ */
+
+import DocumentFragment from '../documentfragment';
+import Range from '../range';
+
+/**
+ * Exports the complete state of the model document. See {@link module:engine/model/model~Model#exportState `Model#exportState()`}.
+ *
+ * @param {module:engine/model/model~Model} model The model to export.
+ * @param {Object} [options]
+ * @param {Boolean} [options.history=false] Whether the document history and the graveyard content should be exported.
+ * @returns {module:engine/model/utils/documentstate~DocumentState}
+ */
+export function exportState( model, options = {} ) {
+	const document = model.document;
+	// The remote selections are not a part of the document state.
+	const markers = Array.from( model.markers ).filter( marker => {
+		return marker.getRange().root != document.graveyard && !document.remoteSelections.isRemoteSelectionMarker( marker );
+	} );
+
+	const state = {
+		version: document.version,
+		roots: document.getRoots( true ).map( root => ( {
+			rootName: root.rootName,
+			elementName: root.name,
+			isAttached: root.isAttached(),
+			attributes: attributesToObject( root.getAttributes() ),
+			children: Array.from( root.getChildren() ).map( node => node.toJSON() )
+		} ) ),
+		markers: markers.map( marker => ( {
+			name: marker.name,
+			range: marker.getRange().toJSON(),
+			usingOperation: marker.managedUsingOperations,
+			affectsData: marker.affectsData
+		} ) ),
+		selection: {
+			ranges: Array.from( document.selection.getRanges() ).map( range => range.toJSON() ),
+			isBackward: document.selection.isBackward,
+			attributes: attributesToObject( document.selection.getAttributes() )
+		}
+	};
+
+	// The history operations refer to the removed nodes, so the graveyard content is needed to undo them.
+	if ( options.history ) {
+		state.history = document.history.toJSON();
+		state.graveyard = Array.from( document.graveyard.getChildren() ).map( node => node.toJSON() );
+	}
+
+	return state;
+}
+
+/**
+ * Restores the model document state. See {@link module:engine/model/model~Model#importState `Model#importState()`}.
+ *
+ * @param {module:engine/model/model~Model} model The model to which the state is imported.
+ * @param {module:engine/model/utils/documentstate~DocumentState} state The state to import.
+ */
+export function importState( model, state ) {
+	const document = model.document;
+
+	model.enqueueChange( 'transparent', writer => {
+		for ( const marker of Array.from( model.markers ) ) {
+			if ( !document.remoteSelections.isRemoteSelectionMarker( marker ) ) {
+				writer.removeMarker( marker );
+			}
+		}
+
+		const rootNames = state.roots.map( rootState => rootState.rootName );
+
+		for ( const root of document.getRoots() ) {
+			if ( !rootNames.includes( root.rootName ) ) {
+				writer.detachRoot( root );
+			}
+		}
+
+		for ( const rootState of state.roots ) {
+			importRoot( writer, rootState );
+		}
+
+		for ( const markerState of state.markers ) {
+			writer.addMarker( markerState.name, {
+				range: Range.fromJSON( markerState.range, document ),
+				usingOperation: markerState.usingOperation,
+				affectsData: markerState.affectsData
+			} );
+		}
+
+		const ranges = state.selection.ranges.map( range => Range.fromJSON( range, document ) );
+
+		writer.setSelection( ranges, { backward: state.selection.isBackward } );
+
+		for ( const key of Object.keys( state.selection.attributes ) ) {
+			writer.setSelectionAttribute( key, state.selection.attributes[ key ] );
+		}
+
+		// The operations applied above are not a part of the imported document history.
+		document.version = state.version;
+
+		if ( state.history ) {
+			importGraveyard( document, state.graveyard );
+
+			document.history._restore( state.history, document );
+		} else {
+			document.history.reset();
+		}
+	} );
+}
+
+/**
+ * The complete state of the model document created by {@link module:engine/model/model~Model#exportState `Model#exportState()`}.
+ * It is a JSON-serializable object.
+ *
+ * @typedef {Object} module:engine/model/utils/documentstate~DocumentState
+ * @property {Number} version The {@link module:engine/model/document~Document#version document version}.
+ * @property {Array.<Object>} roots All roots of the document (except the graveyard) with their `rootName`, `elementName`,
+ * `isAttached` flag, `attributes` and serialized `children`.
+ * @property {Array.<Object>} markers All markers (except the ones in the graveyard) with their `name`, serialized `range`
+ * and the `usingOperation` and `affectsData` flags.
+ * @property {Object} selection The document selection with its serialized `ranges`, `isBackward` flag and `attributes`.
+ * @property {Object} [history] The serialized {@link module:engine/model/history~History document history}.
+ * Only exported with the `history` option.
+ * @property {Array.<Object>} [graveyard] The serialized children of the graveyard root. Only exported with the `history` option.
+ */
+
+// Restores the root with its attributes and children. Roots which do not exist are added.
+//
+// Detached roots have no content, so they are only added (if needed) and detached.
+//
+// @param {module:engine/model/writer~Writer} writer
+// @param {Object} rootState
+function importRoot( writer, rootState ) {
+	let root = writer.model.document.getRoot( rootState.rootName );
+
+	if ( !rootState.isAttached ) {
+		if ( !root ) {
+			root = writer.addRoot( rootState.rootName, rootState.elementName );
+		}
+
+		if ( root.isAttached() ) {
+			writer.detachRoot( root );
+		}
+
+		return;
+	}
+
+	if ( !root || !root.isAttached() ) {
+		root = writer.addRoot( rootState.rootName, rootState.elementName );
+	}
+
+	if ( !root.isEmpty ) {
+		writer.remove( writer.createRangeIn( root ) );
+	}
+
+	writer.clearAttributes( root );
+	writer.setAttributes( rootState.attributes, root );
+
+	if ( rootState.children.length ) {
+		writer.insert( DocumentFragment.fromJSON( rootState.children ), root );
+	}
+}
+
+// Replaces the graveyard content, so the positions in the history operations point to the same nodes as in the exported document.
+//
+// The graveyard is not converted and the changes in it are not a part of the history, so it is changed without operations.
+//
+// @param {module:engine/model/document~Document} document
+// @param {Array.<Object>} children
+function importGraveyard( document, children ) {
+	const graveyard = document.graveyard;
+	const fragment = DocumentFragment.fromJSON( children );
+
+	graveyard._removeChildren( 0, graveyard.childCount );
+	graveyard._appendChild( fragment._removeChildren( 0, fragment.childCount ) );
+}
+
+// Converts attributes to a plain object.
+//
+// @param {Iterable.<*>} attributes
+// @returns {Object}
+function attributesToObject( attributes ) {
+	const result = {};
+
+	for ( const [ key, value ] of attributes ) {
+		result[ key ] = value;
+	}
+
+	return result;
+}
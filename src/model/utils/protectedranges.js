@@ -0,0 +1,258 @@
+/**
+ * @license Copyright (c) 2003-2020, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/**
+ * @module engine/model/utils/protectedranges
+ */
+
+import Range from '../range';
+import DocumentSelection from '../documentselection';
+
+/**
+ * Injects the protected ranges handling to the model.
+ *
+ * The protected ranges are not injected by default. Use this function for a headless model or
+ * {@link module:engine/controller/editingcontroller~EditingController#enableProtectedRanges} in an editor,
+ * which also renders the protected ranges.
+ *
+ * A protected range is a {@link module:engine/model/markercollection~Marker marker} which name starts with `protected:`
+ * (e.g. `protected:legal-notice`). The content inside a protected range cannot be changed:
+ *
+ * * An {@link module:engine/model/model~Model#addOperationFilter operation filter} rejects the document operations which
+ * insert, remove, move, rename, split, merge or change attributes of the content inside (or partially inside) a protected range.
+ * This way the content is protected from the local {@link module:engine/model/writer~Writer writer} changes and the
+ * {@link module:engine/model/model~Model#change `change()`} block which tries to modify it is reverted.
+ * The operations from the `'transparent'` batches and the batches with the `'remote'`
+ * {@link module:engine/model/batch~Batch#metadata origin} are not filtered. These changes were already accepted by other clients,
+ * so rejecting them on one client only would make the documents diverge.
+ * * {@link module:engine/model/model~Model#insertContent `insertContent()`} and
+ * {@link module:engine/model/model~Model#deleteContent `deleteContent()`} do nothing if the selection is inside a protected range
+ * or intersects it.
+ * * {@link module:engine/model/model~Model#modifySelection `modifySelection()`} moves the selection focus over
+ * a protected range instead of placing it inside that range.
+ * * A post-fixer moves the collapsed document selection placed inside a protected range after that range
+ * (or before it, if there is no correct selection position after it).
+ *
+ * The content can still be inserted at the boundaries of a protected range, but it does not become a part of the range.
+ * The protected ranges are added and removed like other markers:
+ *
+ *		model.change( writer => {
+ *			writer.addMarker( 'protected:legal-notice', { range, usingOperation: true, affectsData: true } );
+ *		} );
+ *
+ * @param {module:engine/model/model~Model} model
+ */
+export function injectProtectedRanges( model ) {
+	model.addOperationFilter( operation => {
+		if ( !operation.isDocumentOperation || !isLocal( operation ) ) {
+			return;
+		}
+
+		const protectedRanges = getProtectedRanges( model );
+
+		if ( protectedRanges.length && isChangingProtectedContent( operation, protectedRanges ) ) {
+			return false;
+		}
+	} );
+
+	model.on( 'insertContent', ( evt, [ , selectable, placeOrOffset ] ) => {
+		const selection = getSelection( model, selectable, placeOrOffset );
+
+		if ( isProtected( model, selection ) ) {
+			evt.return = model.createRange( selection.getFirstPosition() );
+			evt.stop();
+		}
+	}, { priority: 'high' } );
+
+	model.on( 'deleteContent', ( evt, [ selection ] ) => {
+		if ( isProtected( model, selection ) ) {
+			evt.stop();
+		}
+	}, { priority: 'high' } );
+
+	// The selection is modified by the default listener, so the focus is fixed after that.
+	model.on( 'modifySelection', ( evt, [ selection, options = {} ] ) => {
+		if ( !isProtected( model, selection.focus ) ) {
+			return;
+		}
+
+		const position = findPositionOutside( model, selection.focus, options.direction != 'backward' );
+
+		if ( !position ) {
+			return;
+		}
+
+		if ( selection instanceof DocumentSelection ) {
+			model.change( writer => {
+				writer.setSelectionFocus( position );
+			} );
+		} else {
+			selection.setFocus( position );
+		}
+	}, { priority: 'low' } );
+
+	model.document.registerPostFixer( writer => protectedRangesPostFixer( writer, model ) );
+}
+
+/**
+ * Checks whether the given position, range or selection is inside a protected range or intersects it.
+ *
+ * A position (or a collapsed range) is protected if it is inside a protected range. The boundaries of a protected range
+ * are not protected. A non-collapsed range is protected if any part of it is inside a protected range.
+ * A selection is protected if any of its ranges is protected.
+ *
+ * See {@link module:engine/model/utils/protectedranges~injectProtectedRanges} to learn more about the protected ranges.
+ *
+ * @param {module:engine/model/model~Model} model
+ * @param {module:engine/model/position~Position|module:engine/model/range~Range|module:engine/model/selection~Selection|
+ * module:engine/model/documentselection~DocumentSelection} target
+ * @returns {Boolean}
+ */
+export function isProtected( model, target ) {
+	const protectedRanges = getProtectedRanges( model );
+
+	if ( !protectedRanges.length ) {
+		return false;
+	}
+
+	if ( target.is( 'position' ) ) {
+		return isInside( target, protectedRanges );
+	}
+
+	const ranges = target.is( 'range' ) ? [ target ] : Array.from( target.getRanges() );
+
+	return ranges.some( range => range.isCollapsed ? isInside( range.start, protectedRanges ) : intersects( range, protectedRanges ) );
+}
+
+// The protected ranges post-fixer.
+//
+// @param {module:engine/model/writer~Writer} writer
+// @param {module:engine/model/model~Model} model
+function protectedRangesPostFixer( writer, model ) {
+	const selection = model.document.selection;
+
+	if ( !selection.isCollapsed || !isProtected( model, selection ) ) {
+		return;
+	}
+
+	const position = selection.getFirstPosition();
+	const fixedPosition = findPositionOutside( model, position, true ) || findPositionOutside( model, position, false );
+
+	if ( fixedPosition ) {
+		writer.setSelection( fixedPosition );
+	}
+}
+
+// Returns the nearest correct selection position which is not inside a protected range, looking in the given direction.
+//
+// @param {module:engine/model/model~Model} model
+// @param {module:engine/model/position~Position} position
+// @param {Boolean} isForward
+// @returns {module:engine/model/position~Position|null}
+function findPositionOutside( model, position, isForward ) {
+	let protectedRange;
+
+	while ( ( protectedRange = getProtectedRanges( model ).find( range => range.containsPosition( position ) ) ) ) {
+		const boundary = isForward ? protectedRange.end : protectedRange.start;
+		const range = model.schema.getNearestSelectionRange( boundary, isForward ? 'forward' : 'backward' );
+
+		if ( !range ) {
+			return null;
+		}
+
+		position = isForward ? range.start : range.end;
+	}
+
+	return position;
+}
+
+// Checks whether the operation changes the content inside the protected ranges.
+//
+// @param {module:engine/model/operation/operation~Operation} operation
+// @param {Array.<module:engine/model/range~Range>} protectedRanges
+// @returns {Boolean}
+function isChangingProtectedContent( operation, protectedRanges ) {
+	switch ( operation.type ) {
+		case 'insert':
+			return isInside( operation.position, protectedRanges );
+		case 'move':
+		case 'remove':
+		case 'reinsert': {
+			const sourceRange = Range._createFromPositionAndShift( operation.sourcePosition, operation.howMany );
+
+			return intersects( sourceRange, protectedRanges ) || isInside( operation.targetPosition, protectedRanges );
+		}
+		case 'addAttribute':
+		case 'removeAttribute':
+		case 'changeAttribute':
+			return intersects( operation.range, protectedRanges );
+		case 'rename': {
+			const element = operation.position.nodeAfter;
+
+			return !!element && intersects( Range._createOn( element ), protectedRanges );
+		}
+		case 'split':
+			return isInside( operation.splitPosition, protectedRanges );
+		case 'merge': {
+			const mergedElement = operation.sourcePosition.parent;
+
+			return intersects( Range._createOn( mergedElement ), protectedRanges ) || isInside( operation.targetPosition, protectedRanges );
+		}
+	}
+
+	// Marker, root and root attribute operations do not change the content.
+	return false;
+}
+
+// Checks whether the operation comes from a local change, which should be filtered.
+//
+// @param {module:engine/model/operation/operation~Operation} operation
+// @returns {Boolean}
+function isLocal( operation ) {
+	const batch = operation.batch;
+
+	return !batch || ( batch.type != 'transparent' && batch.metadata.origin != 'remote' );
+}
+
+// Returns the non-collapsed ranges of the protected range markers.
+//
+// @param {module:engine/model/model~Model} model
+// @returns {Array.<module:engine/model/range~Range>}
+function getProtectedRanges( model ) {
+	return Array.from( model.markers.getMarkersGroup( 'protected' ), marker => marker.getRange() )
+		.filter( range => !range.isCollapsed );
+}
+
+// Returns the selection to which the content would be inserted by `Model#insertContent()`.
+//
+// @param {module:engine/model/model~Model} model
+// @param {module:engine/model/selection~Selectable} selectable
+// @param {Number|'before'|'end'|'after'|'on'|'in'} [placeOrOffset]
+// @returns {module:engine/model/selection~Selection|module:engine/model/documentselection~DocumentSelection}
+function getSelection( model, selectable, placeOrOffset ) {
+	if ( !selectable ) {
+		return model.document.selection;
+	}
+
+	if ( selectable.is && selectable.is( 'selection' ) ) {
+		return selectable;
+	}
+
+	return model.createSelection( selectable, placeOrOffset );
+}
+
+// @param {module:engine/model/position~Position} position
+// @param {Array.<module:engine/model/range~Range>} protectedRanges
+// @returns {Boolean}
+function isInside( position, protectedRanges ) {
+	return protectedRanges.some( protectedRange => protectedRange.containsPosition( position ) );
+}
+
+// @param {module:engine/model/range~Range} range
+// @param {Array.<module:engine/model/range~Range>} protectedRanges
+// @returns {Boolean}
+function intersects( range, protectedRanges ) {
+	return protectedRanges.some( protectedRange => protectedRange.isIntersecting( range ) );
+}
@@ -0,0 +1,374 @@
+/**
+ * @license Copyright (c) 2003-2020, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/**
+ * @module engine/model/utils/reconcilecontent
+ */
+
+import diff from '@ckeditor/ckeditor5-utils/src/diff';
+
+/**
+ * Changes the content of the element so it is the same as the given content, using as few operations as possible.
+ *
+ * Unlike replacing the whole content, the nodes which did not change are kept in the element. Thanks to that, the
+ * {@link module:engine/model/documentselection~DocumentSelection document selection}, markers and other
+ * {@link module:engine/model/liverange~LiveRange live ranges} stay in place, element identifiers are preserved and
+ * the operations which were done before can still be undone.
+ *
+ * The children of the element are compared with the new content using {@link module:utils/diff~diff `diff()`}.
+ * The nodes which are exactly the same are kept untouched. In the changed parts of the content, the characters are
+ * matched by their data and the elements are matched by their names and text. Then:
+ *
+ * * the matched elements get the attributes of the new elements and their children are reconciled recursively,
+ * * the matched characters get the attributes of the new characters,
+ * * the elements which were replaced by other elements at the same place are renamed and reconciled,
+ * * the remaining old nodes are removed and the remaining new nodes are inserted.
+ *
+ * **Note:** Use {@link module:engine/controller/datacontroller~DataController#set `DataController#set()`} with the
+ * `diff` option instead of this function. This function is only exposed to be reusable in algorithms which set
+ * the content of the model.
+ *
+ * @param {module:engine/model/writer~Writer} writer The model writer.
+ * @param {module:engine/model/element~Element} element The element which content should be changed.
+ * @param {module:engine/model/element~Element|module:engine/model/documentfragment~DocumentFragment} content The new content.
+ * The nodes of the content may be moved to the element.
+ */
+export default function reconcileContent( writer, element, content ) {
+	reconcileChildren( writer, element, getItems( content ) );
+}
+
+// Reconciles the children of the element with the new items.
+//
+// First, the items which are exactly the same are found. They stay untouched. Then, the remaining (changed) parts
+// of the content are reconciled by `reconcileChangedItems()`.
+//
+// @param {module:engine/model/writer~Writer} writer
+// @param {module:engine/model/element~Element} element
+// @param {Array.<Object>} newItems Items returned by `getItems()`.
+function reconcileChildren( writer, element, newItems ) {
+	const oldItems = getItems( element );
+	const changes = diff( oldItems, newItems, areEqual );
+
+	let offset = 0;
+	let oldIndex = 0;
+	let newIndex = 0;
+	let i = 0;
+
+	while ( i < changes.length ) {
+		if ( changes[ i ] == 'equal' ) {
+			offset++;
+			oldIndex++;
+			newIndex++;
+			i++;
+
+			continue;
+		}
+
+		const removed = [];
+		const inserted = [];
+
+		for ( ; i < changes.length && changes[ i ] != 'equal'; i++ ) {
+			if ( changes[ i ] == 'delete' ) {
+				removed.push( oldItems[ oldIndex++ ] );
+			} else {
+				inserted.push( newItems[ newIndex++ ] );
+			}
+		}
+
+		offset = reconcileChangedItems( writer, element, offset, removed, inserted );
+	}
+}
+
+// Reconciles the part of the element content which changed. The items are compared once again, this time
+// the characters are matched by their data and the elements are matched by their names.
+//
+// @param {module:engine/model/writer~Writer} writer
+// @param {module:engine/model/element~Element} element
+// @param {Number} offset The offset at which the changed items start.
+// @param {Array.<Object>} oldItems The changed old items.
+// @param {Array.<Object>} newItems The changed new items.
+// @returns {Number} The offset after the reconciled items.
+function reconcileChangedItems( writer, element, offset, oldItems, newItems ) {
+	const changes = diff( oldItems, newItems, areMatching );
+
+	// The matched characters are collected in runs, so their attributes can be changed using ranges.
+	let textRun = [];
+	let oldIndex = 0;
+	let newIndex = 0;
+	let i = 0;
+
+	while ( i < changes.length ) {
+		if ( changes[ i ] == 'equal' ) {
+			const oldItem = oldItems[ oldIndex++ ];
+			const newItem = newItems[ newIndex++ ];
+
+			if ( oldItem.element ) {
+				updateTextAttributes( writer, element, textRun );
+				textRun = [];
+
+				reconcileElement( writer, oldItem.element, newItem.element );
+			} else {
+				textRun.push( { offset, oldAttributes: oldItem.attributes, attributes: newItem.attributes } );
+			}
+
+			offset++;
+			i++;
+
+			continue;
+		}
+
+		updateTextAttributes( writer, element, textRun );
+		textRun = [];
+
+		const removed = [];
+		const inserted = [];
+
+		for ( ; i < changes.length && changes[ i ] != 'equal'; i++ ) {
+			if ( changes[ i ] == 'delete' ) {
+				removed.push( oldItems[ oldIndex++ ] );
+			} else {
+				inserted.push( newItems[ newIndex++ ] );
+			}
+		}
+
+		// An element replaced by another element is renamed instead of being removed and inserted again.
+		let renamed = 0;
+
+		while ( renamed < removed.length && renamed < inserted.length && removed[ renamed ].element && inserted[ renamed ].element ) {
+			const oldElement = removed[ renamed ].element;
+			const newElement = inserted[ renamed ].element;
+
+			if ( oldElement.name != newElement.name ) {
+				writer.rename( oldElement, newElement.name );
+			}
+
+			reconcileElement( writer, oldElement, newElement );
+
+			renamed++;
+			offset++;
+		}
+
+		if ( removed.length > renamed ) {
+			const start = writer.createPositionAt( element, offset );
+			const end = writer.createPositionAt( element, offset + removed.length - renamed );
+
+			writer.remove( writer.createRange( start, end ) );
+		}
+
+		offset = insertItems( writer, element, offset, inserted.slice( renamed ) );
+	}
+
+	updateTextAttributes( writer, element, textRun );
+
+	return offset;
+}
+
+// Reconciles the attributes and the children of the element with the new element.
+//
+// @param {module:engine/model/writer~Writer} writer
+// @param {module:engine/model/element~Element} element
+// @param {module:engine/model/element~Element} newElement
+function reconcileElement( writer, element, newElement ) {
+	for ( const key of Array.from( element.getAttributeKeys() ) ) {
+		if ( !newElement.hasAttribute( key ) ) {
+			writer.removeAttribute( key, element );
+		}
+	}
+
+	for ( const [ key, value ] of newElement.getAttributes() ) {
+		if ( element.getAttribute( key ) !== value ) {
+			writer.setAttribute( key, value, element );
+		}
+	}
+
+	reconcileChildren( writer, element, getItems( newElement ) );
+}
+
+// Sets the new attributes on the run of matched characters. The writer changes only the characters
+// which attributes are different, so the characters are grouped by the new attribute values only.
+//
+// @param {module:engine/model/writer~Writer} writer
+// @param {module:engine/model/element~Element} element
+// @param {Array.<Object>} textRun Offsets of the consecutive matched characters with their old and new attributes.
+function updateTextAttributes( writer, element, textRun ) {
+	const start = textRun.length ? textRun[ 0 ].offset : 0;
+	const keys = new Set();
+
+	for ( const { oldAttributes, attributes } of textRun ) {
+		for ( const key of [ ...oldAttributes.keys(), ...attributes.keys() ] ) {
+			keys.add( key );
+		}
+	}
+
+	for ( const key of keys ) {
+		let segmentStart = 0;
+
+		for ( let index = 1; index <= textRun.length; index++ ) {
+			const value = textRun[ segmentStart ].attributes.get( key );
+
+			if ( index < textRun.length && textRun[ index ].attributes.get( key ) === value ) {
+				continue;
+			}
+
+			const range = writer.createRange(
+				writer.createPositionAt( element, start + segmentStart ),
+				writer.createPositionAt( element, start + index )
+			);
+
+			if ( value === undefined ) {
+				writer.removeAttribute( key, range );
+			} else {
+				writer.setAttribute( key, value, range );
+			}
+
+			segmentStart = index;
+		}
+	}
+}
+
+// Inserts the new items at the given offset. Consecutive characters with the same attributes are inserted as one text node.
+//
+// @param {module:engine/model/writer~Writer} writer
+// @param {module:engine/model/element~Element} element
+// @param {Number} offset
+// @param {Array.<Object>} items Items returned by `getItems()`.
+// @returns {Number} The offset after the inserted items.
+function insertItems( writer, element, offset, items ) {
+	let i = 0;
+
+	while ( i < items.length ) {
+		const item = items[ i ];
+
+		if ( item.element ) {
+			writer.insert( item.element, element, offset );
+
+			offset++;
+			i++;
+
+			continue;
+		}
+
+		let data = '';
+
+		for ( ; i < items.length && !items[ i ].element && areAttributesEqual( items[ i ].attributes, item.attributes ); i++ ) {
+			data += items[ i ].char;
+		}
+
+		writer.insert( writer.createText( data, item.attributes ), element, offset );
+
+		offset += data.length;
+	}
+
+	return offset;
+}
+
+// Returns the children of the element as a flat list of items. Each character of the text nodes is a separate item,
+// so the items correspond to the offsets in the element.
+//
+// @param {module:engine/model/element~Element|module:engine/model/documentfragment~DocumentFragment} element
+// @returns {Array.<Object>}
+function getItems( element ) {
+	const items = [];
+
+	for ( const node of element.getChildren() ) {
+		if ( node.is( 'text' ) ) {
+			const attributes = new Map( node.getAttributes() );
+
+			for ( let i = 0; i < node.data.length; i++ ) {
+				items.push( { char: node.data[ i ], attributes } );
+			}
+		} else {
+			items.push( { element: node } );
+		}
+	}
+
+	return items;
+}
+
+// Checks whether the items are exactly the same (including the attributes and the content of elements).
+//
+// @param {Object} itemA
+// @param {Object} itemB
+// @returns {Boolean}
+function areEqual( itemA, itemB ) {
+	if ( itemA.element && itemB.element ) {
+		return getSignature( itemA ) == getSignature( itemB );
+	}
+
+	return !itemA.element && !itemB.element && itemA.char == itemB.char && areAttributesEqual( itemA.attributes, itemB.attributes );
+}
+
+// Returns the string representing the element with its attributes and content. It is cached in the item.
+//
+// @param {Object} item
+// @returns {String}
+function getSignature( item ) {
+	if ( !item.signature ) {
+		item.signature = JSON.stringify( serializeNode( item.element ) );
+	}
+
+	return item.signature;
+}
+
+// Returns the text of the element. It is cached in the item.
+//
+// @param {Object} item
+// @returns {String}
+function getText( item ) {
+	if ( item.text === undefined ) {
+		item.text = Array.from( item.element.getChildren(), getNodeText ).join( '' );
+	}
+
+	return item.text;
+}
+
+// @param {module:engine/model/node~Node} node
+// @returns {String}
+function getNodeText( node ) {
+	return node.is( 'text' ) ? node.data : Array.from( node.getChildren(), getNodeText ).join( '' );
+}
+
+// @param {module:engine/model/node~Node} node
+// @returns {Array}
+function serializeNode( node ) {
+	const attributes = Array.from( node.getAttributes() ).sort( ( a, b ) => a[ 0 ] < b[ 0 ] ? -1 : 1 );
+
+	if ( node.is( 'text' ) ) {
+		return [ node.data, attributes ];
+	}
+
+	return [ node.name, attributes, Array.from( node.getChildren(), serializeNode ) ];
+}
+
+// Checks whether the items can be kept when the changed content is reconciled. The elements are matched if they
+// have the same name and text. Their attributes and the structure of their content may be different.
+//
+// @param {Object} itemA
+// @param {Object} itemB
+// @returns {Boolean}
+function areMatching( itemA, itemB ) {
+	if ( itemA.element && itemB.element ) {
+		return itemA.element.name == itemB.element.name && getText( itemA ) == getText( itemB );
+	}
+
+	return !itemA.element && !itemB.element && itemA.char == itemB.char;
+}
+
+// @param {Map} attributesA
+// @param {Map} attributesB
+// @returns {Boolean}
+function areAttributesEqual( attributesA, attributesB ) {
+	if ( attributesA.size != attributesB.size ) {
+		return false;
+	}
+
+	for ( const [ key, value ] of attributesA ) {
+		if ( attributesB.get( key ) !== value ) {
+			return false;
+		}
+	}
+
+	return true;
+}
@@ -0,0 +1,263 @@
+/**
+ * @license Copyright (c) 2003-2020, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/**
+ * @module engine/model/utils/schema-post-fixer
+ */
+
+import Range from '../range';
+import Position from '../position';
+
+/**
+ * Injects the schema post-fixer to the model.
+ *
+ * The role of the schema post-fixer is to ensure that the content changed in a
+ * {@link module:engine/model/model~Model#change `change()`} block is allowed by the {@link module:engine/model/schema~Schema}.
+ * It is not injected by default. It is meant for editors which content may be changed in a way that does not respect the schema,
+ * for example by raw {@link module:engine/model/writer~Writer#insert `Writer#insert()`} calls or by remote operations.
+ *
+ * The post-fixer uses the {@link module:engine/model/differ~Differ#getChanges differ changes} to find inserted nodes
+ * and nodes with changed attributes. Then, it checks these nodes (and their content) and repairs the ones which
+ * are not allowed in their parents:
+ *
+ * * `'split'` &ndash; The node is moved to the closest {@link module:engine/model/schema~Schema#findAllowedParent allowed ancestor}
+ * of its parent. The ancestors are split at the node position.
+ * * `'unwrap'` &ndash; The element is replaced with its children.
+ * * `'remove'` &ndash; The node is removed.
+ *
+ * By default, the node is split out of its parent if possible. Otherwise, elements which are not
+ * {@link module:engine/model/schema~Schema#isObject objects} are unwrapped and other nodes are removed.
+ * Disallowed attributes are always removed.
+ *
+ * The repair strategy can be changed for each element (or `$text`) by the `options.strategies` object. Its values can be
+ * the strategy name, a `{ rename: 'newName' }` object (to {@link module:engine/model/writer~Writer#rename rename} the element)
+ * or a callback. The callback is called with the invalid node, the model writer and the schema. If it returns `false`,
+ * the default strategy is used. The default strategy is also used if the node is still not allowed in its parent
+ * after it was renamed or after the callback was called.
+ *
+ *		injectSchemaPostFixer( editor.model, {
+ *			strategies: {
+ *				image: 'remove',
+ *				heading1: { rename: 'paragraph' },
+ *				blockQuote: ( element, writer, schema ) => {
+ *					if ( element.isEmpty ) {
+ *						writer.remove( element );
+ *
+ *						return true;
+ *					}
+ *
+ *					return false;
+ *				}
+ *			}
+ *		} );
+ *
+ * @param {module:engine/model/model~Model} model
+ * @param {Object} [options]
+ * @param {Object.<String,String|Object|Function>} [options.strategies] Repair strategies for particular elements.
+ */
+export function injectSchemaPostFixer( model, options = {} ) {
+	const strategies = options.strategies || {};
+
+	model.document.registerPostFixer( writer => schemaPostFixer( writer, model, strategies ) );
+}
+
+// The schema post-fixer.
+//
+// @param {module:engine/model/writer~Writer} writer
+// @param {module:engine/model/model~Model} model
+// @param {Object} strategies
+// @returns {Boolean} Whether the model was fixed.
+function schemaPostFixer( writer, model, strategies ) {
+	const changes = model.document.differ.getChanges();
+	const insertedNodes = new Set();
+	const changedNodes = new Set();
+
+	for ( const entry of changes ) {
+		if ( entry.type == 'insert' ) {
+			const range = Range._createFromPositionAndShift( entry.position, entry.length );
+
+			for ( const item of range.getItems( { shallow: true } ) ) {
+				insertedNodes.add( getNode( item ) );
+			}
+		} else if ( entry.type == 'attribute' ) {
+			for ( const item of entry.range.getItems( { shallow: true } ) ) {
+				changedNodes.add( getNode( item ) );
+			}
+		}
+	}
+
+	let wasFixed = false;
+
+	// Repairs may move nodes around, so every node is checked only if it is still in the document.
+	for ( const node of insertedNodes ) {
+		if ( isInDocument( node ) ) {
+			wasFixed = fixNode( node, writer, model.schema, strategies ) || wasFixed;
+		}
+	}
+
+	for ( const node of changedNodes ) {
+		if ( isInDocument( node ) && !insertedNodes.has( node ) ) {
+			wasFixed = fixAttributes( node, writer, model.schema ) || wasFixed;
+		}
+	}
+
+	return wasFixed;
+}
+
+// Checks the node, its attributes and its content and repairs found problems.
+//
+// @param {module:engine/model/node~Node} node
+// @param {module:engine/model/writer~Writer} writer
+// @param {module:engine/model/schema~Schema} schema
+// @param {Object} strategies
+// @returns {Boolean} Whether the node was fixed.
+function fixNode( node, writer, schema, strategies ) {
+	// The node will be checked again after the repair (as an inserted node) in the next post-fixer call.
+	if ( !schema.checkChild( node.parent, node ) ) {
+		repairNode( node, writer, schema, strategies );
+
+		return true;
+	}
+
+	let wasFixed = fixAttributes( node, writer, schema );
+
+	if ( node.is( 'element' ) ) {
+		for ( const child of Array.from( node.getChildren() ) ) {
+			if ( isInDocument( child ) ) {
+				wasFixed = fixNode( child, writer, schema, strategies ) || wasFixed;
+			}
+		}
+	}
+
+	return wasFixed;
+}
+
+// Removes attributes of the node which are not allowed by the schema or which values are not valid.
+//
+// @param {module:engine/model/node~Node} node
+// @param {module:engine/model/writer~Writer} writer
+// @param {module:engine/model/schema~Schema} schema
+// @returns {Boolean} Whether any attribute was removed.
+function fixAttributes( node, writer, schema ) {
+	let wasFixed = false;
+
+	for ( const key of Array.from( node.getAttributeKeys() ) ) {
+		if ( !schema.checkAttribute( node, key, node.getAttribute( key ) ) ) {
+			writer.removeAttribute( key, node );
+			wasFixed = true;
+		}
+	}
+
+	return wasFixed;
+}
+
+// Repairs the node which is not allowed in its parent using the configured or the default strategy.
+//
+// @param {module:engine/model/node~Node} node
+// @param {module:engine/model/writer~Writer} writer
+// @param {module:engine/model/schema~Schema} schema
+// @param {Object} strategies
+function repairNode( node, writer, schema, strategies ) {
+	const strategy = strategies[ node.is( 'element' ) ? node.name : '$text' ];
+
+	// The rename and callback strategies may leave the node invalid. Then the default strategy is used, so the post-fixer
+	// does not report a fix on every call (which would make the model call it infinitely).
+	if ( typeof strategy == 'function' ) {
+		if ( strategy( node, writer, schema ) !== false && isRepaired( node, schema ) ) {
+			return;
+		}
+	} else if ( strategy && strategy.rename ) {
+		writer.rename( node, strategy.rename );
+
+		if ( isRepaired( node, schema ) ) {
+			return;
+		}
+	} else if ( strategy == 'split' && splitNodeOut( node, writer, schema ) ) {
+		return;
+	} else if ( strategy == 'unwrap' && node.is( 'element' ) ) {
+		writer.unwrap( node );
+
+		return;
+	} else if ( strategy == 'remove' ) {
+		writer.remove( node );
+
+		return;
+	}
+
+	// The default strategy.
+	if ( splitNodeOut( node, writer, schema ) ) {
+		return;
+	}
+
+	if ( node.is( 'element' ) && !schema.isObject( node ) ) {
+		writer.unwrap( node );
+	} else {
+		writer.remove( node );
+	}
+}
+
+// Checks whether the node was repaired, that is, it was removed from the document or it is allowed in its parent now.
+//
+// @param {module:engine/model/node~Node} node
+// @param {module:engine/model/schema~Schema} schema
+// @returns {Boolean}
+function isRepaired( node, schema ) {
+	return !isInDocument( node ) || schema.checkChild( node.parent, node );
+}
+
+// Moves the node to the closest ancestor in which it is allowed. Ancestors are split at the node position.
+// Elements left empty by the split are removed.
+//
+// @param {module:engine/model/node~Node} node
+// @param {module:engine/model/writer~Writer} writer
+// @param {module:engine/model/schema~Schema} schema
+// @returns {Boolean} Whether the node was moved.
+function splitNodeOut( node, writer, schema ) {
+	const allowedParent = schema.findAllowedParent( Position._createBefore( node ), node );
+
+	if ( !allowedParent ) {
+		return false;
+	}
+
+	// The returned position is placed between the split parts, directly in the allowed parent.
+	const { position } = writer.split( Position._createBefore( node ), allowedParent );
+	const firstPart = position.nodeBefore;
+
+	writer.move( Range._createOn( node ), position );
+
+	const secondPart = Position._createAfter( node ).nodeAfter;
+
+	for ( const part of [ firstPart, secondPart ] ) {
+		if ( part && isEmptyStructure( part ) ) {
+			writer.remove( part );
+		}
+	}
+
+	return true;
+}
+
+// Checks whether the element has no other content than empty elements.
+//
+// @param {module:engine/model/element~Element} element
+// @returns {Boolean}
+function isEmptyStructure( element ) {
+	return Array.from( element.getChildren() ).every( child => child.is( 'element' ) && isEmptyStructure( child ) );
+}
+
+// Returns the text node for a text proxy, or the given node otherwise.
+//
+// @param {module:engine/model/item~Item} item
+// @returns {module:engine/model/node~Node}
+function getNode( item ) {
+	return item.is( 'textProxy' ) ? item.textNode : item;
+}
+
+// Checks whether the node is still in the document (was not removed or moved to the graveyard by a repair).
+//
+// @param {module:engine/model/node~Node} node
+// @returns {Boolean}
+function isInDocument( node ) {
+	return !!node.parent && node.root.rootName != '$graveyard' && node.root.is( 'rootElement' );
+}
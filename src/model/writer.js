@@ -14,6 +14,7 @@ import MarkerOperation from './operation/markeroperation';
 import MoveOperation from './operation/moveoperation';
 import RenameOperation from './operation/renameoperation';
 import RootAttributeOperation from './operation/rootattributeoperation';
+import RootOperation from './operation/rootoperation';
 import SplitOperation from './operation/splitoperation';
 import MergeOperation from './operation/mergeoperation';
 
@@ -104,7 +105,11 @@ export default class Writer {
 	 * @returns {module:engine/model/element~Element} Created element.
 	 */
 	createElement( name, attributes ) {
-		return new Element( name, attributes );
+		const element = new Element( name, attributes );
+
+		element._id = this.model.document._createElementId();
+
+		return element;
 	}
 
 	/**
@@ -199,6 +204,10 @@ export default class Writer {
 
 		const version = position.root.document ? position.root.document.version : null;
 
+		if ( position.root.document ) {
+			position.root.document._assignElementIds( item );
+		}
+
 		const insert = new InsertOperation( position, item, version );
 
 		if ( item instanceof Text ) {
@@ -352,6 +361,9 @@ export default class Writer {
 	 * Sets value of the attribute with given key on a {@link module:engine/model/item~Item model item}
 	 * or on a {@link module:engine/model/range~Range range}.
 	 *
+	 * In the debug mode, the value is checked against the attribute
+	 * {@link module:engine/model/schema~AttributeProperties#valueType value type} defined in the schema.
+	 *
 	 * @param {String} key Attribute key.
 	 * @param {*} value Attribute new value.
 	 * @param {module:engine/model/item~Item|module:engine/model/range~Range} itemOrRange
@@ -360,6 +372,24 @@ export default class Writer {
 	setAttribute( key, value, itemOrRange ) {
 		this._assertWriterUsedCorrectly();
 
+		/**
+		 * The attribute value does not match the attribute
+		 * {@link module:engine/model/schema~AttributeProperties#valueType value type} defined in the schema.
+		 *
+		 * This error is thrown only in the debug mode.
+		 *
+		 * @error writer-setattribute-invalid-value
+		 * @param {String} key The attribute key.
+		 * @param {*} value The invalid value.
+		 */
+		// @if CK_DEBUG // if ( !this.model.schema.checkAttributeValue( key, value ) ) {
+		// @if CK_DEBUG // 	throw new CKEditorError(
+		// @if CK_DEBUG // 		'writer-setattribute-invalid-value: The attribute value does not match its value type.',
+		// @if CK_DEBUG // 		this,
+		// @if CK_DEBUG // 		{ key, value }
+		// @if CK_DEBUG // 	);
+		// @if CK_DEBUG // }
+
 		if ( itemOrRange instanceof Range ) {
 			const ranges = itemOrRange.getMinimalFlatRanges();
 
@@ -771,6 +801,8 @@ export default class Writer {
 			const howMany = splitElement.maxOffset - position.offset;
 			const split = new SplitOperation( position, howMany, null, version );
 
+			split.elementId = this.model.document._createElementId();
+
 			this.batch.addOperation( split );
 			this.model.applyOperation( split );
 
@@ -1120,6 +1152,91 @@ export default class Writer {
 		applyMarkerOperation( this, name, oldRange, null, marker.affectsData );
 	}
 
+	/**
+	 * Adds a new root to the document or re-attaches a root which was previously detached using {@link #detachRoot}.
+	 *
+	 *		const root = writer.addRoot( 'footer' );
+	 *		writer.insertText( 'Foo', root, 0 );
+	 *
+	 * Adding a root is done using an operation, so it is recorded in the {@link module:engine/model/history~History history}
+	 * and can be undone. Added roots are reported by {@link module:engine/model/differ~Differ#getChanges `Differ#getChanges()`}.
+	 *
+	 * @param {String} rootName Name of the root to add.
+	 * @param {String} [elementName='$root'] Element name of the root.
+	 * @returns {module:engine/model/rootelement~RootElement} The added root.
+	 */
+	addRoot( rootName, elementName = '$root' ) {
+		this._assertWriterUsedCorrectly();
+
+		const document = this.model.document;
+		const root = document.getRoot( rootName );
+
+		if ( root && root.isAttached() ) {
+			/**
+			 * Trying to add a root which already exists and is attached.
+			 *
+			 * @error writer-addroot-root-exists
+			 * @param {String} rootName
+			 */
+			throw new CKEditorError(
+				'writer-addroot-root-exists: Trying to add a root which already exists.',
+				this,
+				{ rootName }
+			);
+		}
+
+		const operation = new RootOperation( rootName, elementName, true, document, document.version );
+
+		this.batch.addOperation( operation );
+		this.model.applyOperation( operation );
+
+		return operation.root;
+	}
+
+	/**
+	 * Detaches a root from the document.
+	 *
+	 * Before the root is detached, all its contents, attributes and markers placed in it are removed. Detached roots are
+	 * not returned by {@link module:engine/model/document~Document#getRootNames `Document#getRootNames()`} and are not
+	 * processed by the data pipeline. The root can be brought back using {@link #addRoot} or by undoing the change.
+	 *
+	 * @param {module:engine/model/rootelement~RootElement|String} rootOrName Root or name of the root to detach.
+	 */
+	detachRoot( rootOrName ) {
+		this._assertWriterUsedCorrectly();
+
+		const root = typeof rootOrName == 'string' ? this.model.document.getRoot( rootOrName ) : rootOrName;
+
+		if ( !root || !root.is( 'rootElement' ) || !root.isAttached() || root.rootName == '$graveyard' ) {
+			/**
+			 * Trying to detach a root which does not exist or is already detached.
+			 *
+			 * @error writer-detachroot-no-root
+			 */
+			throw new CKEditorError(
+				'writer-detachroot-no-root: Trying to detach a root which does not exist or is already detached.',
+				this
+			);
+		}
+
+		for ( const marker of Array.from( this.model.markers ) ) {
+			if ( marker.getRange().root == root ) {
+				this.removeMarker( marker );
+			}
+		}
+
+		for ( const key of Array.from( root.getAttributeKeys() ) ) {
+			this.removeAttribute( key, root );
+		}
+
+		this.remove( this.createRangeIn( root ) );
+
+		const operation = new RootOperation( root.rootName, root.name, false, this.model.document, this.model.document.version );
+
+		this.batch.addOperation( operation );
+		this.model.applyOperation( operation );
+	}
+
 	/**
 	 * Sets the document's selection (ranges and direction) to the specified location based on the given
 	 * {@link module:engine/model/selection~Selectable selectable} or creates an empty selection if no arguments were passed.
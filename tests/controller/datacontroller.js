@@ -336,6 +336,179 @@ describe( 'DataController', () => {
 			expect( getData( model, { withoutSelection: true } ) ).to.equal( 'foo' );
 		} );
 
+		it( 'should set data on a root added using the writer', () => {
+			schema.extend( '$text', { allowIn: '$root' } );
+
+			model.change( writer => writer.addRoot( 'footer' ) );
+
+			data.set( { footer: 'foo' } );
+
+			expect( getData( model, { withoutSelection: true, rootName: 'footer' } ) ).to.equal( 'foo' );
+		} );
+
+		it( 'should throw an error when detached root is used', () => {
+			model.change( writer => writer.detachRoot( 'title' ) );
+
+			expectToThrowCKEditorError( () => {
+				data.set( { title: 'foo' } );
+			}, /datacontroller-set-non-existent-root:/, model );
+		} );
+
+		describe( 'with the diff option', () => {
+			beforeEach( () => {
+				schema.register( 'paragraph', { inheritAllFrom: '$block' } );
+				schema.register( 'heading1', { inheritAllFrom: '$block' } );
+				schema.extend( '$text', { allowAttributes: 'bold' } );
+
+				upcastHelpers.elementToElement( { view: 'p', model: 'paragraph' } );
+				upcastHelpers.elementToElement( { view: 'h1', model: 'heading1' } );
+				upcastHelpers.elementToAttribute( { view: 'strong', model: 'bold' } );
+			} );
+
+			it( 'should apply only the differences', () => {
+				setData( model, '<paragraph>foo</paragraph><paragraph>bar</paragraph>' );
+
+				const paragraph = modelDocument.getRoot().getChild( 1 );
+
+				data.set( '<h1>foo</h1><p>b<strong>a</strong>r</p><p>baz</p>', { diff: true } );
+
+				expect( getData( model, { withoutSelection: true } ) ).to.equal(
+					'<heading1>foo</heading1><paragraph>b<$text bold="true">a</$text>r</paragraph><paragraph>baz</paragraph>'
+				);
+				expect( modelDocument.getRoot().getChild( 1 ) ).to.equal( paragraph );
+				expect( modelDocument.history.getOperations().map( operation => operation.type ) ).to.deep.equal(
+					[ 'insert', 'rename', 'addAttribute', 'insert' ]
+				);
+			} );
+
+			it( 'should keep the selection and its attributes', () => {
+				setData( model, '<paragraph>foo</paragraph><paragraph>b[a]r</paragraph>', { selectionAttributes: { bold: true } } );
+
+				data.set( '<p>xyz</p><p>bar</p>', { diff: true } );
+
+				expect( getData( model ) ).to.equal( '<paragraph>xyz</paragraph><paragraph>b[a]r</paragraph>' );
+				expect( modelDocument.selection.getAttribute( 'bold' ) ).to.be.true;
+			} );
+
+			it( 'should keep markers', () => {
+				setData( model, '<paragraph>foo</paragraph><paragraph>bar</paragraph>' );
+
+				const root = modelDocument.getRoot();
+
+				model.change( writer => {
+					writer.addMarker( 'comment', { range: writer.createRangeIn( root.getChild( 1 ) ), usingOperation: true } );
+				} );
+
+				data.set( '<p>bar</p>', { diff: true } );
+
+				expect( model.markers.get( 'comment' ).getRange().isEqual( model.createRangeIn( root.getChild( 0 ) ) ) ).to.be.true;
+			} );
+
+			it( 'should add, update and remove the markers contained in the data', () => {
+				downcastHelpers.elementToElement( { model: 'paragraph', view: 'p' } );
+				downcastHelpers.markerToData( { model: 'comment' } );
+				upcastHelpers.dataToMarker( { view: 'comment' } );
+
+				setData( model, '<paragraph>foo</paragraph><paragraph>bar</paragraph>' );
+
+				const root = modelDocument.getRoot();
+				const paragraph = root.getChild( 1 );
+
+				model.change( writer => {
+					writer.addMarker( 'other', { range: writer.createRangeIn( root.getChild( 0 ) ), usingOperation: true } );
+				} );
+
+				data.set( '<p>f<comment-start name="a"></comment-start>oo</p><p data-comment-end-after="a">bar</p>', { diff: true } );
+
+				expect( model.markers.get( 'comment:a' ).getRange().isEqual( rangeOf( [ 0, 1 ], [ 2 ] ) ) ).to.be.true;
+				expect( model.markers.get( 'comment:a' ).affectsData ).to.be.true;
+				expect( root.getChild( 1 ) ).to.equal( paragraph );
+
+				data.set( '<p>foo</p><p data-comment-start-before="a" data-comment-end-after="a">bar</p>', { diff: true } );
+
+				expect( model.markers.get( 'comment:a' ).getRange().isEqual( rangeOf( [ 1 ], [ 2 ] ) ) ).to.be.true;
+
+				data.set( '<p>foo</p><p>bar</p>', { diff: true } );
+
+				expect( model.markers.has( 'comment:a' ) ).to.be.false;
+				expect( model.markers.has( 'other' ) ).to.be.true;
+				expect( root.getChild( 1 ) ).to.equal( paragraph );
+
+				function rangeOf( startPath, endPath ) {
+					return model.createRange(
+						model.createPositionFromPath( root, startPath ),
+						model.createPositionFromPath( root, endPath )
+					);
+				}
+			} );
+
+			it( 'should not update the markers contained in the data which did not change', () => {
+				downcastHelpers.markerToData( { model: 'comment' } );
+				upcastHelpers.dataToMarker( { view: 'comment' } );
+
+				data.set( '<p data-comment-start-before="a" data-comment-end-after="a">foo</p>', { diff: true } );
+
+				const version = modelDocument.version;
+
+				data.set( '<p data-comment-start-before="a" data-comment-end-after="a">foo</p>', { diff: true } );
+
+				expect( modelDocument.version ).to.equal( version );
+				expect( model.markers.has( 'comment:a' ) ).to.be.true;
+			} );
+
+			it( 'should set data on multiple roots', () => {
+				schema.extend( '$text', { allowIn: '$title' } );
+
+				data.set( { main: '<p>foo</p>', title: 'bar' }, { diff: true } );
+
+				expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>foo</paragraph>' );
+				expect( getData( model, { withoutSelection: true, rootName: 'title' } ) ).to.equal( 'bar' );
+			} );
+		} );
+
+		it( 'should restore markers saved using markerToData() and dataToMarker() helpers', () => {
+			schema.register( 'paragraph', { inheritAllFrom: '$block' } );
+
+			downcastHelpers.elementToElement( { model: 'paragraph', view: 'p' } );
+			downcastHelpers.markerToData( { model: 'comment' } );
+			upcastHelpers.elementToElement( { view: 'p', model: 'paragraph' } );
+			upcastHelpers.dataToMarker( { view: 'comment' } );
+
+			setData( model, '<paragraph>foo</paragraph><paragraph>bar</paragraph>' );
+
+			const root = modelDocument.getRoot();
+
+			model.change( writer => {
+				const rangeA = writer.createRange( writer.createPositionAt( root.getChild( 0 ), 1 ), writer.createPositionAt( root, 2 ) );
+				const rangeB = writer.createRangeOn( root.getChild( 1 ) );
+
+				writer.addMarker( 'comment:a', { range: rangeA, usingOperation: true, affectsData: true } );
+				writer.addMarker( 'comment:b', { range: rangeB, usingOperation: true, affectsData: true } );
+			} );
+
+			const output = data.get();
+
+			expect( output ).to.equal(
+				'<p>f<comment-start name="a"></comment-start>oo</p>' +
+				'<p data-comment-end-after="b,a" data-comment-start-before="b">bar</p>'
+			);
+
+			model.change( writer => {
+				writer.removeMarker( 'comment:a' );
+				writer.removeMarker( 'comment:b' );
+			} );
+
+			data.set( output );
+
+			expect( model.markers.get( 'comment:a' ).getRange().isEqual( rangeOf( [ 0, 1 ], [ 2 ] ) ) ).to.be.true;
+			expect( model.markers.get( 'comment:b' ).getRange().isEqual( rangeOf( [ 1 ], [ 2 ] ) ) ).to.be.true;
+			expect( data.get() ).to.equal( output );
+
+			function rangeOf( startPath, endPath ) {
+				return model.createRange( model.createPositionFromPath( root, startPath ), model.createPositionFromPath( root, endPath ) );
+			}
+		} );
+
 		// https://github.com/ckeditor/ckeditor5-engine/issues/1721.
 		it( 'should not throw when setting the data with markers that already exist in the editor', () => {
 			schema.extend( '$text', { allowIn: '$root' } );
@@ -444,6 +617,26 @@ describe( 'DataController', () => {
 				data.get( { rootName: 'nonexistent' } );
 			}, /datacontroller-get-non-existent-root:/ );
 		} );
+
+		it( 'should get data from a root added using the writer', () => {
+			schema.extend( '$text', { allowIn: '$root' } );
+
+			model.change( writer => {
+				const root = writer.addRoot( 'footer' );
+
+				writer.insertText( 'Foo', root, 0 );
+			} );
+
+			expect( data.get( { rootName: 'footer' } ) ).to.equal( 'Foo' );
+		} );
+
+		it( 'should throw an error when detached root is used', () => {
+			model.change( writer => writer.detachRoot( 'title' ) );
+
+			expectToThrowCKEditorError( () => {
+				data.get( { rootName: 'title' } );
+			}, /datacontroller-get-non-existent-root:/ );
+		} );
 	} );
 
 	describe( 'stringify()', () => {
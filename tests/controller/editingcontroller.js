@@ -349,6 +349,117 @@ describe( 'EditingController', () => {
 				.to.equal( '<p></p><p>f<span>oo</span></p><p>bar</p>' );
 		} );
 
+		it( 'should not convert protected ranges by default', () => {
+			const range = new ModelRange( new ModelPosition( modelRoot, [ 2, 0 ] ), new ModelPosition( modelRoot, [ 2, 2 ] ) );
+
+			model.change( writer => {
+				writer.addMarker( 'protected:1', { range, usingOperation: false } );
+			} );
+
+			expect( getViewData( editing.view, { withoutSelection: true } ) ).to.equal( '<p>foo</p><p></p><p>bar</p>' );
+		} );
+
+		it( 'should convert protected ranges to non-editable elements', () => {
+			const range = new ModelRange( new ModelPosition( modelRoot, [ 2, 0 ] ), new ModelPosition( modelRoot, [ 2, 2 ] ) );
+
+			editing.enableProtectedRanges();
+			editing.enableProtectedRanges();
+
+			model.change( writer => {
+				writer.addMarker( 'protected:1', { range, usingOperation: false } );
+			} );
+
+			expect( getViewData( editing.view, { withoutSelection: true } ) )
+				.to.equal( '<p>foo</p><p></p><p><span class="ck-protected" contenteditable="false">ba</span>r</p>' );
+
+			model.change( writer => {
+				writer.removeMarker( 'protected:1' );
+			} );
+
+			expect( getViewData( editing.view, { withoutSelection: true } ) ).to.equal( '<p>foo</p><p></p><p>bar</p>' );
+		} );
+
+		it( 'should enable the protected ranges in the model', () => {
+			const range = new ModelRange( new ModelPosition( modelRoot, [ 2, 0 ] ), new ModelPosition( modelRoot, [ 2, 2 ] ) );
+
+			editing.enableProtectedRanges();
+
+			model.change( writer => {
+				writer.addMarker( 'protected:1', { range, usingOperation: false } );
+			} );
+
+			model.change( writer => {
+				writer.insertText( 'x', modelRoot.getChild( 2 ), 1 );
+			} );
+
+			expect( getViewData( editing.view, { withoutSelection: true } ) )
+				.to.equal( '<p>foo</p><p></p><p><span class="ck-protected" contenteditable="false">ba</span>r</p>' );
+		} );
+
+		it( 'should convert remote selections to highlights and carets', () => {
+			const range = new ModelRange( new ModelPosition( modelRoot, [ 0, 1 ] ), new ModelPosition( modelRoot, [ 0, 3 ] ) );
+
+			model.document.remoteSelections.set( 'john', range );
+
+			expect( getViewData( editing.view, { withoutSelection: true } ) ).to.equal(
+				'<p>f<span class="ck-remote-selection" data-user="john">oo</span>' +
+				'<span class="ck-remote-caret" data-user="john"></span></p><p></p><p>bar</p>'
+			);
+
+			model.document.remoteSelections.set( 'john', new ModelRange( new ModelPosition( modelRoot, [ 2, 1 ] ) ) );
+
+			expect( getViewData( editing.view, { withoutSelection: true } ) )
+				.to.equal( '<p>foo</p><p></p><p>b<span class="ck-remote-caret" data-user="john"></span>ar</p>' );
+
+			model.document.remoteSelections.remove( 'john' );
+
+			expect( getViewData( editing.view, { withoutSelection: true } ) ).to.equal( '<p>foo</p><p></p><p>bar</p>' );
+		} );
+
+		it( 'should convert remote selections with names containing the marker name separator', () => {
+			const range = new ModelRange( new ModelPosition( modelRoot, [ 0, 1 ] ), new ModelPosition( modelRoot, [ 0, 3 ] ) );
+
+			model.document.remoteSelections.set( 'user:1', range, { backward: true } );
+
+			expect( getViewData( editing.view, { withoutSelection: true } ) ).to.equal(
+				'<p>f<span class="ck-remote-caret" data-user="user:1"></span>' +
+				'<span class="ck-remote-selection" data-user="user:1">oo</span></p><p></p><p>bar</p>'
+			);
+		} );
+
+		it( 'should keep the remote selections rendered when the document changes', () => {
+			const range = new ModelRange( new ModelPosition( modelRoot, [ 0, 1 ] ), new ModelPosition( modelRoot, [ 0, 3 ] ) );
+
+			model.document.remoteSelections.set( 'john', range );
+
+			model.change( writer => {
+				writer.insertText( 'xy', modelRoot.getChild( 0 ), 2 );
+			} );
+
+			expect( getViewData( editing.view, { withoutSelection: true } ) ).to.equal(
+				'<p>f<span class="ck-remote-selection" data-user="john">oxyo</span>' +
+				'<span class="ck-remote-caret" data-user="john"></span></p><p></p><p>bar</p>'
+			);
+		} );
+
+		it( 'should render the remote caret again when the remote selection attributes change', () => {
+			const position = new ModelPosition( modelRoot, [ 2, 1 ] );
+
+			new DowncastHelpers( [ editing.downcastDispatcher ] ).markerToElement( {
+				model: 'remoteCaret',
+				view: ( data, viewWriter ) => viewWriter.createUIElement( 'span', {
+					class: 'ck-remote-caret',
+					'data-color': model.document.remoteSelections.getByMarkerName( data.markerName ).getAttribute( 'color' )
+				} )
+			} );
+
+			model.document.remoteSelections.set( 'john', new ModelRange( position ), { attributes: { color: 'red' } } );
+			model.document.remoteSelections.set( 'john', new ModelRange( position ), { attributes: { color: 'blue' } } );
+
+			expect( getViewData( editing.view, { withoutSelection: true } ) )
+				.to.equal( '<p>foo</p><p></p><p>b<span class="ck-remote-caret" data-color="blue"></span>ar</p>' );
+		} );
+
 		describe( 'preventing rendering while in the model.change() block', () => {
 			let renderSpy;
 
@@ -90,6 +90,27 @@ describe( 'DowncastDispatcher', () => {
 			expect( dispatcher.convertAttribute.calledWith( range, 'key', null, 'foo' ) ).to.be.true;
 		} );
 
+		it( 'should not convert root changes as tree changes', () => {
+			sinon.stub( dispatcher, 'convertInsert' );
+			sinon.stub( dispatcher, 'convertRemove' );
+			sinon.stub( dispatcher, 'convertAttribute' );
+
+			const position = model.createPositionFromPath( root, [ 0 ] );
+
+			differStub.getChanges = () => [
+				{ type: 'addRoot', name: '$root', rootName: 'new', position },
+				{ type: 'detachRoot', name: '$root', rootName: 'old', position }
+			];
+
+			view.change( writer => {
+				dispatcher.convertChanges( differStub, model.markers, writer );
+			} );
+
+			expect( dispatcher.convertInsert.called ).to.be.false;
+			expect( dispatcher.convertRemove.called ).to.be.false;
+			expect( dispatcher.convertAttribute.called ).to.be.false;
+		} );
+
 		it( 'should handle multiple changes', () => {
 			sinon.stub( dispatcher, 'convertInsert' );
 			sinon.stub( dispatcher, 'convertRemove' );
@@ -176,6 +197,113 @@ describe( 'DowncastDispatcher', () => {
 		} );
 	} );
 
+	describe( 'convertChanges with reconversion triggers', () => {
+		let element;
+
+		beforeEach( () => {
+			element = new ModelElement( 'complex', { type: 'a' }, [ new ModelElement( 'slot' ) ] );
+			root._appendChild( element );
+
+			dispatcher._registerReconversionTriggers( 'complex', { attributes: [ 'type' ], children: [ 'slot' ] } );
+
+			sinon.stub( dispatcher, 'reconvertElement' );
+			sinon.stub( dispatcher, 'convertInsert' );
+			sinon.stub( dispatcher, 'convertRemove' );
+			sinon.stub( dispatcher, 'convertAttribute' );
+
+			doc.on( 'change', () => {
+				view.change( writer => {
+					dispatcher.convertChanges( doc.differ, model.markers, writer );
+				} );
+			} );
+		} );
+
+		it( 'should reconvert the element when its trigger attribute changes', () => {
+			model.change( writer => {
+				writer.setAttribute( 'type', 'b', element );
+			} );
+
+			sinon.assert.calledOnce( dispatcher.reconvertElement );
+			sinon.assert.calledWith( dispatcher.reconvertElement, element );
+			sinon.assert.notCalled( dispatcher.convertInsert );
+			sinon.assert.notCalled( dispatcher.convertRemove );
+			sinon.assert.notCalled( dispatcher.convertAttribute );
+		} );
+
+		it( 'should reconvert the element when its trigger child is inserted or removed', () => {
+			model.change( writer => {
+				writer.insertElement( 'slot', element, 0 );
+			} );
+
+			model.change( writer => {
+				writer.remove( element.getChild( 0 ) );
+			} );
+
+			sinon.assert.calledTwice( dispatcher.reconvertElement );
+			sinon.assert.notCalled( dispatcher.convertInsert );
+			sinon.assert.notCalled( dispatcher.convertRemove );
+		} );
+
+		it( 'should reconvert the element when any child is inserted if all children are triggers', () => {
+			dispatcher._registerReconversionTriggers( 'complex', { children: true } );
+
+			model.change( writer => {
+				writer.insertText( 'foo', element, 0 );
+			} );
+
+			sinon.assert.calledOnce( dispatcher.reconvertElement );
+			sinon.assert.notCalled( dispatcher.convertInsert );
+		} );
+
+		it( 'should not reconvert the element for other changes', () => {
+			model.change( writer => {
+				writer.setAttribute( 'other', 'b', element );
+				writer.insertElement( 'paragraph', element, 0 );
+			} );
+
+			sinon.assert.notCalled( dispatcher.reconvertElement );
+			sinon.assert.calledOnce( dispatcher.convertInsert );
+			sinon.assert.calledOnce( dispatcher.convertAttribute );
+		} );
+
+		it( 'should convert other changes in the same change block', () => {
+			model.change( writer => {
+				writer.setAttribute( 'type', 'b', element );
+				writer.insertElement( 'paragraph', root, 0 );
+			} );
+
+			sinon.assert.calledOnce( dispatcher.reconvertElement );
+			sinon.assert.calledOnce( dispatcher.convertInsert );
+		} );
+
+		it( 'should not refresh root elements', () => {
+			dispatcher._registerReconversionTriggers( '$root', { children: [ 'slot' ] } );
+
+			model.change( writer => {
+				writer.insertElement( 'slot', root, 0 );
+			} );
+
+			sinon.assert.notCalled( dispatcher.reconvertElement );
+			sinon.assert.calledOnce( dispatcher.convertInsert );
+		} );
+	} );
+
+	describe( 'reconvertElement', () => {
+		it( 'should convert the element when it was not converted before', () => {
+			const element = new ModelElement( 'paragraph' );
+			root._appendChild( element );
+
+			sinon.stub( dispatcher, 'convertInsert' );
+
+			view.change( writer => {
+				dispatcher.reconvertElement( element, writer );
+			} );
+
+			sinon.assert.calledOnce( dispatcher.convertInsert );
+			expect( dispatcher.convertInsert.firstCall.args[ 0 ].isEqual( ModelRange._createOn( element ) ) ).to.be.true;
+		} );
+	} );
+
 	describe( 'convertInsert', () => {
 		it( 'should fire event with correct parameters for every item in passed range', () => {
 			root._appendChild( [
@@ -113,6 +113,372 @@ describe( 'DowncastHelpers', () => {
 
 			expectResult( '<h2></h2>' );
 		} );
+
+		describe( 'config.triggerBy', () => {
+			let complex, slot, paragraph;
+
+			beforeEach( () => {
+				downcastHelpers.elementToElement( {
+					model: 'complex',
+					view: ( modelElement, viewWriter ) => viewWriter.createContainerElement( 'div', {
+						class: `complex-${ modelElement.getAttribute( 'type' ) }-${ modelElement.childCount }`
+					} ),
+					triggerBy: {
+						attributes: [ 'type' ],
+						children: [ 'slot' ]
+					}
+				} );
+
+				downcastHelpers.elementToElement( {
+					model: 'slot',
+					view: ( modelElement, viewWriter ) => viewWriter.createEditableElement( 'div', { class: 'slot' } )
+				} );
+
+				downcastHelpers.elementToElement( { model: 'paragraph', view: 'p' } );
+
+				model.change( writer => {
+					complex = writer.createElement( 'complex', { type: 'a' } );
+					slot = writer.createElement( 'slot' );
+					paragraph = writer.createElement( 'paragraph' );
+
+					writer.insertText( 'foo', paragraph, 0 );
+					writer.insert( paragraph, slot, 0 );
+					writer.insert( slot, complex, 0 );
+					writer.insert( complex, modelRoot, 0 );
+				} );
+			} );
+
+			it( 'should re-render the element when one of the listed attributes changes', () => {
+				const viewComplex = viewRoot.getChild( 0 );
+
+				model.change( writer => {
+					writer.setAttribute( 'type', 'b', complex );
+				} );
+
+				expectResult( '<div class="complex-b-1"><div class="slot"><p>foo</p></div></div>' );
+				expect( viewRoot.getChild( 0 ) ).not.to.equal( viewComplex );
+			} );
+
+			it( 'should not re-render the element when other attribute changes', () => {
+				const viewComplex = viewRoot.getChild( 0 );
+
+				model.change( writer => {
+					writer.setAttribute( 'other', 'b', complex );
+				} );
+
+				expectResult( '<div class="complex-a-1"><div class="slot"><p>foo</p></div></div>' );
+				expect( viewRoot.getChild( 0 ) ).to.equal( viewComplex );
+			} );
+
+			it( 'should re-render the element when one of the listed children is inserted', () => {
+				model.change( writer => {
+					writer.insertElement( 'slot', complex, 'end' );
+				} );
+
+				expectResult( '<div class="complex-a-2"><div class="slot"><p>foo</p></div><div class="slot"></div></div>' );
+			} );
+
+			it( 'should re-render the element when one of the listed children is removed', () => {
+				model.change( writer => {
+					writer.insertElement( 'slot', complex, 'end' );
+				} );
+
+				model.change( writer => {
+					writer.remove( slot );
+				} );
+
+				expectResult( '<div class="complex-a-1"><div class="slot"></div></div>' );
+			} );
+
+			it( 'should not re-render the element when other child is inserted', () => {
+				const viewComplex = viewRoot.getChild( 0 );
+
+				model.change( writer => {
+					writer.insertElement( 'paragraph', complex, 'end' );
+				} );
+
+				expectResult( '<div class="complex-a-1"><div class="slot"><p>foo</p></div><p></p></div>' );
+				expect( viewRoot.getChild( 0 ) ).to.equal( viewComplex );
+			} );
+
+			it( 'should re-render the element only once when multiple triggers happen', () => {
+				const spy = sinon.spy( controller.downcastDispatcher, 'reconvertElement' );
+
+				model.change( writer => {
+					writer.setAttribute( 'type', 'b', complex );
+					writer.insertElement( 'slot', complex, 'end' );
+				} );
+
+				expectResult( '<div class="complex-b-2"><div class="slot"><p>foo</p></div><div class="slot"></div></div>' );
+				sinon.assert.calledOnce( spy );
+			} );
+
+			it( 'should preserve nested editables', () => {
+				const viewSlot = viewRoot.getChild( 0 ).getChild( 0 );
+
+				model.change( writer => {
+					writer.setAttribute( 'type', 'b', complex );
+				} );
+
+				expect( viewRoot.getChild( 0 ).getChild( 0 ) ).to.equal( viewSlot );
+				expect( controller.mapper.toViewElement( slot ) ).to.equal( viewSlot );
+				expect( controller.mapper.toModelElement( viewSlot ) ).to.equal( slot );
+			} );
+
+			it( 'should update attributes of preserved nested editables', () => {
+				downcastHelpers.attributeToAttribute( { model: { name: 'slot', key: 'lang' }, view: 'lang' } );
+
+				model.change( writer => {
+					writer.setAttribute( 'type', 'b', complex );
+					writer.setAttribute( 'lang', 'en', slot );
+				} );
+
+				expectResult( '<div class="complex-b-1"><div class="slot" lang="en"><p>foo</p></div></div>' );
+			} );
+
+			it( 'should convert changes done inside the element in the same change block', () => {
+				model.change( writer => {
+					writer.setAttribute( 'type', 'b', complex );
+					writer.insertText( 'bar', paragraph, 'end' );
+					writer.insertElement( 'paragraph', slot, 'end' );
+				} );
+
+				expectResult( '<div class="complex-b-1"><div class="slot"><p>foobar</p><p></p></div></div>' );
+			} );
+
+			it( 'should unbind the old view elements', () => {
+				const viewComplex = viewRoot.getChild( 0 );
+				const viewParagraph = viewComplex.getChild( 0 ).getChild( 0 );
+
+				model.change( writer => {
+					writer.setAttribute( 'type', 'b', complex );
+				} );
+
+				expect( controller.mapper.toModelElement( viewComplex ) ).to.be.undefined;
+				expect( controller.mapper.toModelElement( viewParagraph ) ).to.be.undefined;
+				expect( controller.mapper.toViewElement( complex ) ).to.equal( viewRoot.getChild( 0 ) );
+				expect( controller.mapper.toViewElement( paragraph ) ).to.equal( viewRoot.getChild( 0 ).getChild( 0 ).getChild( 0 ) );
+			} );
+
+			it( 'should re-convert markers inside the re-rendered element', () => {
+				downcastHelpers.markerToElement( { model: 'search', view: 'marker' } );
+
+				model.change( writer => {
+					writer.addMarker( 'search', {
+						range: writer.createRange( writer.createPositionAt( paragraph, 1 ), writer.createPositionAt( paragraph, 2 ) ),
+						usingOperation: false
+					} );
+				} );
+
+				model.change( writer => {
+					writer.setAttribute( 'type', 'b', complex );
+				} );
+
+				expectResult( '<div class="complex-b-1"><div class="slot"><p>f<marker></marker>o<marker></marker>o</p></div></div>' );
+			} );
+
+			it( 'should re-render nested elements with triggers', () => {
+				let innerComplex;
+
+				model.change( writer => {
+					innerComplex = writer.createElement( 'complex', { type: 'x' } );
+
+					writer.insertElement( 'slot', innerComplex, 0 );
+					writer.insert( innerComplex, slot, 'end' );
+				} );
+
+				model.change( writer => {
+					writer.setAttribute( 'type', 'b', complex );
+					writer.setAttribute( 'type', 'y', innerComplex );
+				} );
+
+				expectResult(
+					'<div class="complex-b-1">' +
+						'<div class="slot"><p>foo</p><div class="complex-y-1"><div class="slot"></div></div></div>' +
+					'</div>'
+				);
+			} );
+
+			it( 'should not re-render the element that was removed', () => {
+				const spy = sinon.spy( controller.downcastDispatcher, 'reconvertElement' );
+
+				model.change( writer => {
+					writer.setAttribute( 'type', 'b', complex );
+					writer.remove( complex );
+				} );
+
+				expectResult( '' );
+				sinon.assert.notCalled( spy );
+			} );
+		} );
+	} );
+
+	describe( 'elementToStructure()', () => {
+		let figure;
+
+		beforeEach( () => {
+			downcastHelpers.elementToElement( { model: 'paragraph', view: 'p' } );
+			downcastHelpers.elementToElement( { model: 'caption', view: 'caption' } );
+		} );
+
+		it( 'should be chainable', () => {
+			expect( downcastHelpers.elementToStructure( getFigureConfig() ) ).to.equal( downcastHelpers );
+		} );
+
+		describe( 'with figure', () => {
+			beforeEach( () => {
+				downcastHelpers.elementToStructure( getFigureConfig() );
+
+				model.change( writer => {
+					figure = writer.createElement( 'figure' );
+
+					writer.insertElement( 'paragraph', figure, 'end' );
+					writer.insertElement( 'caption', figure, 'end' );
+					writer.insertElement( 'paragraph', figure, 'end' );
+					writer.insertText( 'foo', figure.getChild( 0 ), 0 );
+					writer.insertText( 'cap', figure.getChild( 1 ), 0 );
+					writer.insertText( 'bar', figure.getChild( 2 ), 0 );
+					writer.insert( figure, modelRoot, 0 );
+				} );
+			} );
+
+			it( 'should distribute children into slots', () => {
+				expectResult(
+					'<figure><div class="body"><p>foo</p><p>bar</p></div><div class="captions"><caption>cap</caption></div></figure>'
+				);
+			} );
+
+			it( 'should convert a child inserted into the element', () => {
+				model.change( writer => {
+					writer.insertElement( 'caption', figure, 0 );
+					writer.insertElement( 'paragraph', figure, 2 );
+				} );
+
+				expectResult(
+					'<figure>' +
+						'<div class="body"><p>foo</p><p></p><p>bar</p></div>' +
+						'<div class="captions"><caption></caption><caption>cap</caption></div>' +
+					'</figure>'
+				);
+			} );
+
+			it( 'should convert a child removed from the element', () => {
+				model.change( writer => {
+					writer.remove( figure.getChild( 1 ) );
+				} );
+
+				expectResult( '<figure><div class="body"><p>foo</p><p>bar</p></div><div class="captions"></div></figure>' );
+
+				model.change( writer => {
+					writer.remove( figure.getChild( 0 ) );
+				} );
+
+				expectResult( '<figure><div class="body"><p>bar</p></div><div class="captions"></div></figure>' );
+			} );
+
+			it( 'should convert changes inside the children without re-rendering the element', () => {
+				const spy = sinon.spy( controller.downcastDispatcher, 'reconvertElement' );
+
+				model.change( writer => {
+					writer.insertText( 'tion', figure.getChild( 1 ), 'end' );
+					writer.insertText( 'baz', figure.getChild( 2 ), 0 );
+				} );
+
+				expectResult(
+					'<figure><div class="body"><p>foo</p><p>bazbar</p></div><div class="captions"><caption>caption</caption></div></figure>'
+				);
+				sinon.assert.notCalled( spy );
+			} );
+
+			it( 'should map positions between the element and slots', () => {
+				const viewBody = viewRoot.getChild( 0 ).getChild( 0 );
+				const viewCaptions = viewRoot.getChild( 0 ).getChild( 1 );
+
+				const bodyPosition = controller.mapper.toModelPosition( controller.view.createPositionAt( viewBody, 1 ) );
+				const captionsPosition = controller.mapper.toModelPosition( controller.view.createPositionAt( viewCaptions, 0 ) );
+
+				expect( bodyPosition.path ).to.deep.equal( [ 0, 2 ] );
+				expect( captionsPosition.path ).to.deep.equal( [ 0, 1 ] );
+
+				const viewPosition = controller.mapper.toViewPosition( model.createPositionAt( figure, 2 ) );
+
+				expect( viewPosition.parent ).to.equal( viewBody );
+				expect( viewPosition.offset ).to.equal( 1 );
+			} );
+
+			it( 'should convert the selection inside the slots', () => {
+				model.change( writer => {
+					writer.setSelection( figure.getChild( 1 ), 1 );
+				} );
+
+				expect( stringifyView( viewRoot, controller.view.document.selection, { ignoreRoot: true } ) ).to.equal(
+					'<figure><div class="body"><p>foo</p><p>bar</p></div><div class="captions"><caption>c{}ap</caption></div></figure>'
+				);
+			} );
+		} );
+
+		it( 'should accept an array of names and a function as the children filter', () => {
+			downcastHelpers.elementToStructure( getFigureConfig( {
+				captions: [ 'caption', 'title' ],
+				body: node => node.is( 'element', 'paragraph' )
+			} ) );
+			downcastHelpers.elementToElement( { model: 'title', view: 'h2' } );
+			downcastHelpers.elementToElement( { model: 'other', view: 'other' } );
+
+			model.change( writer => {
+				figure = writer.createElement( 'figure' );
+
+				writer.insertElement( 'other', figure, 'end' );
+				writer.insertElement( 'paragraph', figure, 'end' );
+				writer.insertElement( 'title', figure, 'end' );
+				writer.insert( figure, modelRoot, 0 );
+			} );
+
+			expectResult( '<figure><div class="body"><other></other><p></p></div><div class="captions"><h2></h2></div></figure>' );
+		} );
+
+		it( 'should re-render the element when one of the listed attributes changes', () => {
+			downcastHelpers.elementToStructure( getFigureConfig( {
+				view: ( modelElement, viewWriter ) => createFigure( viewWriter, { class: modelElement.getAttribute( 'type' ) } ),
+				triggerBy: { attributes: [ 'type' ] }
+			} ) );
+
+			model.change( writer => {
+				figure = writer.createElement( 'figure', { type: 'a' } );
+
+				writer.insertElement( 'caption', figure, 'end' );
+				writer.insert( figure, modelRoot, 0 );
+			} );
+
+			model.change( writer => {
+				writer.setAttribute( 'type', 'b', figure );
+			} );
+
+			expectResult( '<figure class="b"><div class="body"></div><div class="captions"><caption></caption></div></figure>' );
+		} );
+
+		function getFigureConfig( options = {} ) {
+			return {
+				model: 'figure',
+				view: options.view || ( ( modelElement, viewWriter ) => createFigure( viewWriter ) ),
+				slots: [
+					{ view: viewFigure => viewFigure.getChild( 1 ), children: options.captions || 'caption' },
+					{ view: viewFigure => viewFigure.getChild( 0 ), children: options.body }
+				],
+				triggerBy: options.triggerBy
+			};
+		}
+
+		function createFigure( viewWriter, attributes ) {
+			const viewFigure = viewWriter.createContainerElement( 'figure', attributes );
+
+			viewWriter.insert( viewWriter.createPositionAt( viewFigure, 0 ), [
+				viewWriter.createContainerElement( 'div', { class: 'body' } ),
+				viewWriter.createContainerElement( 'div', { class: 'captions' } )
+			] );
+
+			return viewFigure;
+		}
 	} );
 
 	describe( 'attributeToElement()', () => {
@@ -996,6 +1362,413 @@ describe( 'DowncastHelpers', () => {
 		} );
 	} );
 
+	describe( 'markerToData()', () => {
+		beforeEach( () => {
+			downcastHelpers.elementToElement( { model: 'paragraph', view: 'p' } );
+		} );
+
+		it( 'should be chainable', () => {
+			expect( downcastHelpers.markerToData( { model: 'search' } ) ).to.equal( downcastHelpers );
+		} );
+
+		it( 'should insert boundary elements if the marker boundaries are inside text', () => {
+			downcastHelpers.markerToData( { model: 'search' } );
+
+			model.change( writer => {
+				writer.insertText( 'foo', modelRoot, 0 );
+				const range = writer.createRange( writer.createPositionAt( modelRoot, 1 ), writer.createPositionAt( modelRoot, 2 ) );
+				writer.addMarker( 'search:abc', { range, usingOperation: false } );
+			} );
+
+			expectResult( 'f<search-start name="abc"></search-start>o<search-end name="abc"></search-end>o' );
+		} );
+
+		it( 'should not set the name attribute if the marker name has no name part', () => {
+			downcastHelpers.markerToData( { model: 'search' } );
+
+			model.change( writer => {
+				writer.insertText( 'foo', modelRoot, 0 );
+				const range = writer.createRange( writer.createPositionAt( modelRoot, 1 ), writer.createPositionAt( modelRoot, 2 ) );
+				writer.addMarker( 'search', { range, usingOperation: false } );
+			} );
+
+			expectResult( 'f<search-start></search-start>o<search-end></search-end>o' );
+		} );
+
+		it( 'should set attributes on the elements next to the marker boundaries', () => {
+			downcastHelpers.markerToData( { model: 'search' } );
+
+			model.change( writer => {
+				writer.insertElement( 'paragraph', modelRoot, 0 );
+				writer.insertElement( 'paragraph', modelRoot, 1 );
+
+				const range = writer.createRange( writer.createPositionAt( modelRoot, 0 ), writer.createPositionAt( modelRoot, 2 ) );
+				writer.addMarker( 'search:abc', { range, usingOperation: false } );
+			} );
+
+			expectResult( '<p data-search-start-before="abc"></p><p data-search-end-after="abc"></p>' );
+		} );
+
+		it( 'should use the element before the start boundary if there is no element after it', () => {
+			downcastHelpers.markerToData( { model: 'search' } );
+
+			model.change( writer => {
+				writer.insertElement( 'paragraph', modelRoot, 0 );
+				writer.insertText( 'foo', modelRoot, 1 );
+
+				const range = writer.createRange( writer.createPositionAt( modelRoot, 1 ), writer.createPositionAt( modelRoot, 3 ) );
+				writer.addMarker( 'search:abc', { range, usingOperation: false } );
+			} );
+
+			expectResult( '<p data-search-start-after="abc"></p>fo<search-end name="abc"></search-end>o' );
+		} );
+
+		it( 'should store multiple marker names in one attribute', () => {
+			downcastHelpers.markerToData( { model: 'search' } );
+
+			model.change( writer => {
+				writer.insertElement( 'paragraph', modelRoot, 0 );
+
+				const range = writer.createRangeOn( modelRoot.getChild( 0 ) );
+				writer.addMarker( 'search:abc', { range, usingOperation: false } );
+				writer.addMarker( 'search:xyz', { range, usingOperation: false } );
+			} );
+
+			expectResult( '<p data-search-end-after="xyz,abc" data-search-start-before="xyz,abc"></p>' );
+		} );
+
+		it( 'should use config.view function', () => {
+			downcastHelpers.markerToData( {
+				model: 'search',
+				view: markerName => ( {
+					group: 'found',
+					name: markerName.split( ':' )[ 1 ]
+				} )
+			} );
+
+			model.change( writer => {
+				writer.insertText( 'foo', modelRoot, 0 );
+				const range = writer.createRange( writer.createPositionAt( modelRoot, 1 ), writer.createPositionAt( modelRoot, 2 ) );
+				writer.addMarker( 'search:abc', { range, usingOperation: false } );
+			} );
+
+			expectResult( 'f<found-start name="abc"></found-start>o<found-end name="abc"></found-end>o' );
+		} );
+
+		it( 'should not convert the marker if config.view function returns a falsy value', () => {
+			downcastHelpers.markerToData( { model: 'search', view: () => null } );
+
+			model.change( writer => {
+				writer.insertText( 'foo', modelRoot, 0 );
+				const range = writer.createRange( writer.createPositionAt( modelRoot, 1 ), writer.createPositionAt( modelRoot, 2 ) );
+				writer.addMarker( 'search:abc', { range, usingOperation: false } );
+			} );
+
+			expectResult( 'foo' );
+
+			model.change( writer => {
+				writer.removeMarker( 'search:abc' );
+			} );
+
+			expectResult( 'foo' );
+		} );
+
+		it( 'should remove boundary elements and attributes when the marker is removed', () => {
+			downcastHelpers.markerToData( { model: 'search' } );
+
+			model.change( writer => {
+				writer.insertElement( 'paragraph', modelRoot, 0 );
+				writer.insertText( 'foo', modelRoot, 1 );
+
+				const rangeA = writer.createRange( writer.createPositionAt( modelRoot, 0 ), writer.createPositionAt( modelRoot, 2 ) );
+				const rangeB = writer.createRangeOn( modelRoot.getChild( 0 ) );
+
+				writer.addMarker( 'search:abc', { range: rangeA, usingOperation: false } );
+				writer.addMarker( 'search:xyz', { range: rangeB, usingOperation: false } );
+			} );
+
+			expectResult(
+				'<p data-search-end-after="xyz" data-search-start-before="xyz,abc"></p>f<search-end name="abc"></search-end>oo'
+			);
+
+			model.change( writer => {
+				writer.removeMarker( 'search:abc' );
+			} );
+
+			expectResult( '<p data-search-end-after="xyz" data-search-start-before="xyz"></p>foo' );
+
+			model.change( writer => {
+				writer.removeMarker( 'search:xyz' );
+			} );
+
+			expectResult( '<p></p>foo' );
+		} );
+
+		it( 'can be overwritten using converterPriority', () => {
+			downcastHelpers.markerToData( { model: 'search' } );
+			downcastHelpers.markerToData( {
+				model: 'search',
+				view: () => ( { group: 'found', name: 'abc' } ),
+				converterPriority: 'high'
+			} );
+
+			model.change( writer => {
+				writer.insertText( 'foo', modelRoot, 0 );
+				const range = writer.createRange( writer.createPositionAt( modelRoot, 1 ), writer.createPositionAt( modelRoot, 2 ) );
+				writer.addMarker( 'search:abc', { range, usingOperation: false } );
+			} );
+
+			expectResult( 'f<found-start name="abc"></found-start>o<found-end name="abc"></found-end>o' );
+		} );
+	} );
+
+	describe( 'markerToAttribute()', () => {
+		beforeEach( () => {
+			downcastHelpers.elementToElement( { model: 'paragraph', view: 'p' } );
+			downcastHelpers.elementToElement( { model: 'blockQuote', view: 'blockquote' } );
+
+			model.schema.register( 'paragraph', { inheritAllFrom: '$block' } );
+			model.schema.register( 'blockQuote', { allowWhere: '$block', allowContentOf: '$root' } );
+		} );
+
+		it( 'should be chainable', () => {
+			expect( downcastHelpers.markerToAttribute( { model: 'comment', view: { key: 'class', value: 'comment' } } ) )
+				.to.equal( downcastHelpers );
+		} );
+
+		it( 'should set the attribute on the elements fully and partly covered by the marker', () => {
+			downcastHelpers.markerToAttribute( { model: 'comment', view: { key: 'data-comment', value: 'true' } } );
+
+			setModelData( model,
+				'<paragraph>foo</paragraph><paragraph>bar</paragraph><paragraph>baz</paragraph><paragraph>xyz</paragraph>'
+			);
+
+			model.change( writer => {
+				const range = writer.createRange(
+					writer.createPositionAt( modelRoot.getChild( 0 ), 1 ),
+					writer.createPositionAt( modelRoot.getChild( 2 ), 1 )
+				);
+
+				writer.addMarker( 'comment:1', { range, usingOperation: false } );
+			} );
+
+			expectResult(
+				'<p data-comment="true">foo</p><p data-comment="true">bar</p><p data-comment="true">baz</p><p>xyz</p>'
+			);
+		} );
+
+		it( 'should set the attribute on the element if the marker is inside it', () => {
+			downcastHelpers.markerToAttribute( { model: 'comment', view: { key: 'class', value: 'comment' } } );
+
+			setModelData( model, '<paragraph>foo</paragraph><paragraph>bar</paragraph>' );
+
+			model.change( writer => {
+				const range = writer.createRange(
+					writer.createPositionAt( modelRoot.getChild( 1 ), 1 ),
+					writer.createPositionAt( modelRoot.getChild( 1 ), 1 )
+				);
+
+				writer.addMarker( 'comment:1', { range, usingOperation: false } );
+			} );
+
+			expectResult( '<p>foo</p><p class="comment">bar</p>' );
+		} );
+
+		it( 'should not set the attribute on elements whose content is not covered by the marker', () => {
+			downcastHelpers.markerToAttribute( { model: 'comment', view: { key: 'class', value: 'comment' } } );
+
+			setModelData( model, '<paragraph>foo</paragraph><paragraph>bar</paragraph><paragraph>baz</paragraph>' );
+
+			model.change( writer => {
+				const range = writer.createRange(
+					writer.createPositionAt( modelRoot.getChild( 0 ), 3 ),
+					writer.createPositionAt( modelRoot.getChild( 2 ), 0 )
+				);
+
+				writer.addMarker( 'comment:1', { range, usingOperation: false } );
+			} );
+
+			expectResult( '<p>foo</p><p class="comment">bar</p><p>baz</p>' );
+		} );
+
+		it( 'should set the attribute on nested elements', () => {
+			downcastHelpers.markerToAttribute( { model: 'comment', view: { key: 'class', value: [ 'comment', 'active' ] } } );
+
+			setModelData( model, '<blockQuote><paragraph>foo</paragraph></blockQuote><paragraph>bar</paragraph>' );
+
+			model.change( writer => {
+				writer.addMarker( 'comment:1', { range: writer.createRangeOn( modelRoot.getChild( 0 ) ), usingOperation: false } );
+			} );
+
+			expectResult( '<blockquote class="active comment"><p class="active comment">foo</p></blockquote><p>bar</p>' );
+		} );
+
+		it( 'should use the config.view function', () => {
+			downcastHelpers.markerToAttribute( {
+				model: 'comment',
+				view: markerName => ( { key: 'data-comment', value: markerName.split( ':' )[ 1 ] } )
+			} );
+
+			setModelData( model, '<paragraph>foo</paragraph>' );
+
+			model.change( writer => {
+				writer.addMarker( 'comment:abc', { range: writer.createRangeIn( modelRoot.getChild( 0 ) ), usingOperation: false } );
+			} );
+
+			expectResult( '<p data-comment="abc">foo</p>' );
+		} );
+
+		it( 'should set styles', () => {
+			downcastHelpers.markerToAttribute( { model: 'comment', view: { key: 'style', value: { color: 'red' } } } );
+
+			setModelData( model, '<paragraph>foo</paragraph>' );
+
+			model.change( writer => {
+				writer.addMarker( 'comment:1', { range: writer.createRangeIn( modelRoot.getChild( 0 ) ), usingOperation: false } );
+			} );
+
+			expectResult( '<p style="color:red">foo</p>' );
+
+			model.change( writer => {
+				writer.removeMarker( 'comment:1' );
+			} );
+
+			expectResult( '<p>foo</p>' );
+		} );
+
+		it( 'should not convert the marker if config.view function returns a falsy value', () => {
+			downcastHelpers.markerToAttribute( { model: 'comment', view: () => null } );
+
+			setModelData( model, '<paragraph>foo</paragraph>' );
+
+			model.change( writer => {
+				writer.addMarker( 'comment:1', { range: writer.createRangeIn( modelRoot.getChild( 0 ) ), usingOperation: false } );
+			} );
+
+			expectResult( '<p>foo</p>' );
+
+			model.change( writer => {
+				writer.removeMarker( 'comment:1' );
+			} );
+
+			expectResult( '<p>foo</p>' );
+		} );
+
+		it( 'should remove the attribute when the marker is removed', () => {
+			downcastHelpers.markerToAttribute( { model: 'comment', view: { key: 'class', value: 'comment' } } );
+
+			setModelData( model, '<paragraph>foo</paragraph><paragraph>bar</paragraph>' );
+
+			model.change( writer => {
+				writer.addMarker( 'comment:1', { range: writer.createRangeIn( modelRoot ), usingOperation: false } );
+			} );
+
+			expectResult( '<p class="comment">foo</p><p class="comment">bar</p>' );
+
+			model.change( writer => {
+				writer.removeMarker( 'comment:1' );
+			} );
+
+			expectResult( '<p>foo</p><p>bar</p>' );
+		} );
+
+		it( 'should update the attributes when the marker range changes', () => {
+			downcastHelpers.markerToAttribute( { model: 'comment', view: { key: 'class', value: 'comment' } } );
+
+			setModelData( model, '<paragraph>foo</paragraph><paragraph>bar</paragraph>' );
+
+			model.change( writer => {
+				writer.addMarker( 'comment:1', { range: writer.createRangeIn( modelRoot.getChild( 0 ) ), usingOperation: false } );
+			} );
+
+			expectResult( '<p class="comment">foo</p><p>bar</p>' );
+
+			model.change( writer => {
+				writer.updateMarker( 'comment:1', { range: writer.createRangeIn( modelRoot.getChild( 1 ) ) } );
+			} );
+
+			expectResult( '<p>foo</p><p class="comment">bar</p>' );
+		} );
+
+		it( 'should keep the attribute while other markers still cover the element', () => {
+			downcastHelpers.markerToAttribute( {
+				model: 'comment',
+				view: markerName => markerName == 'comment:2' ?
+					{ key: 'class', value: [ 'comment', 'second' ] } :
+					{ key: 'class', value: 'comment' }
+			} );
+			downcastHelpers.markerToAttribute( {
+				model: 'suggestion',
+				view: markerName => ( { key: 'data-suggestion', value: markerName } )
+			} );
+
+			setModelData( model, '<paragraph>foo</paragraph>' );
+
+			const paragraph = modelRoot.getChild( 0 );
+
+			model.change( writer => {
+				writer.addMarker( 'comment:1', { range: writer.createRangeIn( paragraph ), usingOperation: false } );
+				writer.addMarker( 'comment:2', {
+					range: writer.createRange( writer.createPositionAt( paragraph, 1 ) ),
+					usingOperation: false
+				} );
+				writer.addMarker( 'suggestion:1', { range: writer.createRangeIn( paragraph ), usingOperation: false } );
+				writer.addMarker( 'suggestion:2', { range: writer.createRangeIn( paragraph ), usingOperation: false } );
+			} );
+
+			expectResult( '<p class="comment second" data-suggestion="suggestion:2">foo</p>' );
+
+			model.change( writer => {
+				writer.removeMarker( 'comment:1' );
+				writer.removeMarker( 'suggestion:2' );
+			} );
+
+			expectResult( '<p class="comment second" data-suggestion="suggestion:1">foo</p>' );
+
+			model.change( writer => {
+				writer.removeMarker( 'comment:2' );
+				writer.removeMarker( 'suggestion:1' );
+			} );
+
+			expectResult( '<p>foo</p>' );
+		} );
+
+		it( 'should re-apply the attribute when the marked element is re-rendered', () => {
+			downcastHelpers.markerToAttribute( { model: 'comment', view: { key: 'class', value: 'comment' } } );
+
+			setModelData( model, '<paragraph>foo</paragraph><paragraph>bar</paragraph>' );
+
+			model.change( writer => {
+				writer.addMarker( 'comment:1', { range: writer.createRangeIn( modelRoot ), usingOperation: true } );
+			} );
+
+			model.change( writer => {
+				writer.move( writer.createRangeOn( modelRoot.getChild( 1 ) ), modelRoot, 0 );
+			} );
+
+			expectResult( '<p class="comment">bar</p><p class="comment">foo</p>' );
+		} );
+
+		it( 'can be overwritten using converterPriority', () => {
+			downcastHelpers.markerToAttribute( { model: 'comment', view: { key: 'class', value: 'comment' } } );
+			downcastHelpers.markerToAttribute( { model: 'comment', view: { key: 'class', value: 'note' }, converterPriority: 'high' } );
+
+			setModelData( model, '<paragraph>foo</paragraph>' );
+
+			model.change( writer => {
+				writer.addMarker( 'comment:1', { range: writer.createRangeIn( modelRoot.getChild( 0 ) ), usingOperation: false } );
+			} );
+
+			expectResult( '<p class="note">foo</p>' );
+
+			model.change( writer => {
+				writer.removeMarker( 'comment:1' );
+			} );
+
+			expectResult( '<p>foo</p>' );
+		} );
+	} );
+
 	describe( 'markerToHighlight()', () => {
 		it( 'should be chainable', () => {
 			expect( downcastHelpers.markerToHighlight( { model: 'comment', view: { classes: 'comment' } } ) ).to.equal( downcastHelpers );
@@ -566,6 +566,182 @@ describe( 'Mapper', () => {
 		}
 	} );
 
+	describe( 'Slots mapping', () => {
+		let modelRoot, modelFigure, modelParagraphA, modelParagraphB, modelCaption,
+			viewRoot, viewFigure, viewBody, viewFigcaption, viewParagraphA, viewParagraphB, viewCaption, viewTextXY,
+			mapper;
+
+		beforeEach( () => {
+			// Tree Model:
+			//
+			// <root>                  ---> modelRoot
+			//   └─ <figure>           ---> modelFigure
+			//       ├─ <paragraph>    ---> modelParagraphA
+			//       ├─ <caption>      ---> modelCaption
+			//       ├─ <paragraph>    ---> modelParagraphB
+			//       ├─ x
+			//       └─ y
+			//
+			// Tree View:
+			//
+			// <root>                  ---> viewRoot
+			//   └─ <figure>           ---> viewFigure
+			//       ├─ <div>          ---> viewBody (slot for all other children)
+			//       │   ├─ <p>        ---> viewParagraphA
+			//       │   ├─ <p>        ---> viewParagraphB
+			//       │   └─ xy         ---> viewTextXY
+			//       └─ <figcaption>   ---> viewFigcaption (slot for captions)
+			//           └─ <caption>  ---> viewCaption
+
+			modelParagraphA = new ModelElement( 'paragraph' );
+			modelParagraphB = new ModelElement( 'paragraph' );
+			modelCaption = new ModelElement( 'caption' );
+			modelFigure = new ModelElement( 'figure', null, [ modelParagraphA, modelCaption, modelParagraphB, new ModelText( 'xy' ) ] );
+			modelRoot = new ModelRootElement();
+			modelRoot._appendChild( modelFigure );
+
+			viewParagraphA = new ViewElement( viewDocument, 'p' );
+			viewParagraphB = new ViewElement( viewDocument, 'p' );
+			viewCaption = new ViewElement( viewDocument, 'caption' );
+			viewTextXY = new ViewText( viewDocument, 'xy' );
+			viewBody = new ViewElement( viewDocument, 'div', null, [ viewParagraphA, viewParagraphB, viewTextXY ] );
+			viewFigcaption = new ViewElement( viewDocument, 'figcaption', null, [ viewCaption ] );
+			viewFigure = new ViewElement( viewDocument, 'figure', null, [ viewBody, viewFigcaption ] );
+			viewRoot = new ViewElement( viewDocument, 'div', null, [ viewFigure ] );
+
+			mapper = new Mapper();
+			mapper.bindElements( modelRoot, viewRoot );
+			mapper.bindElements( modelFigure, viewFigure );
+			mapper.bindElements( modelParagraphA, viewParagraphA );
+			mapper.bindElements( modelParagraphB, viewParagraphB );
+			mapper.bindElements( modelCaption, viewCaption );
+
+			mapper.bindSlots( modelFigure, [
+				{ viewElement: viewFigcaption, filter: node => node.is( 'element', 'caption' ) },
+				{ viewElement: viewBody }
+			] );
+		} );
+
+		describe( 'getSlots', () => {
+			it( 'should return slots bound to the model element', () => {
+				const slots = mapper.getSlots( modelFigure );
+
+				expect( slots.length ).to.equal( 2 );
+				expect( slots[ 0 ].viewElement ).to.equal( viewFigcaption );
+				expect( slots[ 0 ].modelElement ).to.equal( modelFigure );
+				expect( slots[ 1 ].viewElement ).to.equal( viewBody );
+			} );
+
+			it( 'should return undefined for an element without slots', () => {
+				expect( mapper.getSlots( modelParagraphA ) ).to.be.undefined;
+			} );
+		} );
+
+		describe( 'toViewPosition', () => {
+			it( 'should transform modelFigure 0', () => createToViewTest( modelFigure, 0, viewBody, 0 ) );
+			it( 'should transform modelFigure 1', () => createToViewTest( modelFigure, 1, viewFigcaption, 0 ) );
+			it( 'should transform modelFigure 2', () => createToViewTest( modelFigure, 2, viewBody, 1 ) );
+			it( 'should transform modelFigure 3', () => createToViewTest( modelFigure, 3, viewTextXY, 0 ) );
+			it( 'should transform modelFigure 4', () => createToViewTest( modelFigure, 4, viewTextXY, 1 ) );
+			it( 'should transform modelFigure 5', () => createToViewTest( modelFigure, 5, viewTextXY, 2 ) );
+
+			it( 'should transform position in an empty element to the first slot', () => {
+				modelFigure._removeChildren( 0, modelFigure.childCount );
+
+				createToViewTest( modelFigure, 0, viewFigcaption, 0 );
+			} );
+
+			it( 'should put children not accepted by any slot in the last slot', () => {
+				mapper.bindSlots( modelFigure, [
+					{ viewElement: viewFigcaption, filter: node => node.is( 'element', 'caption' ) },
+					{ viewElement: viewBody, filter: node => node.is( 'element', 'paragraph' ) }
+				] );
+
+				createToViewTest( modelFigure, 4, viewTextXY, 1 );
+			} );
+
+			it( 'should not affect positions outside the element', () => {
+				createToViewTest( modelRoot, 1, viewRoot, 1 );
+			} );
+		} );
+
+		describe( 'toModelPosition', () => {
+			it( 'should transform viewBody 0', () => createToModelTest( viewBody, 0, modelFigure, 0 ) );
+			it( 'should transform viewBody 1', () => createToModelTest( viewBody, 1, modelFigure, 2 ) );
+			it( 'should transform viewBody 2', () => createToModelTest( viewBody, 2, modelFigure, 3 ) );
+			it( 'should transform viewBody 3', () => createToModelTest( viewBody, 3, modelFigure, 5 ) );
+			it( 'should transform viewTextXY 1', () => createToModelTest( viewTextXY, 1, modelFigure, 4 ) );
+			it( 'should transform viewFigcaption 0', () => createToModelTest( viewFigcaption, 0, modelFigure, 1 ) );
+			it( 'should transform viewFigcaption 1', () => createToModelTest( viewFigcaption, 1, modelFigure, 2 ) );
+			it( 'should transform viewCaption 0', () => createToModelTest( viewCaption, 0, modelCaption, 0 ) );
+
+			it( 'should transform position in an empty slot to the beginning of the element', () => {
+				mapper.bindSlots( modelFigure, [
+					{ viewElement: viewFigcaption, filter: () => false },
+					{ viewElement: viewBody }
+				] );
+
+				createToModelTest( viewFigcaption, 0, modelFigure, 0 );
+			} );
+		} );
+
+		describe( 'findMappedViewAncestor', () => {
+			it( 'should treat slots as mapped elements', () => {
+				expect( mapper.findMappedViewAncestor( new ViewPosition( viewTextXY, 1 ) ) ).to.equal( viewBody );
+			} );
+		} );
+
+		describe( 'unbinding', () => {
+			it( 'should remove slots when the view slot is unbound', () => {
+				mapper.unbindViewElement( viewBody );
+
+				expect( mapper.findMappedViewAncestor( new ViewPosition( viewTextXY, 1 ) ) ).to.equal( viewFigure );
+			} );
+
+			it( 'should remove slots when the model element is unbound', () => {
+				mapper.unbindModelElement( modelFigure );
+
+				expect( mapper.getSlots( modelFigure ) ).to.be.undefined;
+			} );
+
+			it( 'should remove slots when the model element view is unbound', () => {
+				mapper.unbindViewElement( viewFigure );
+
+				expect( mapper.getSlots( modelFigure ) ).to.be.undefined;
+			} );
+
+			it( 'should keep slots when the model element was bound to other view element', () => {
+				mapper.bindElements( modelFigure, new ViewElement( viewDocument, 'figure' ) );
+				mapper.unbindViewElement( viewFigure );
+
+				expect( mapper.getSlots( modelFigure ) ).not.to.be.undefined;
+			} );
+
+			it( 'should remove slots when bindings are cleared', () => {
+				mapper.clearBindings();
+
+				mapper.bindElements( modelFigure, viewFigure );
+
+				expect( mapper.getSlots( modelFigure ) ).to.be.undefined;
+				expect( mapper.findMappedViewAncestor( new ViewPosition( viewTextXY, 1 ) ) ).to.equal( viewFigure );
+			} );
+		} );
+
+		function createToViewTest( modelElement, modelOffset, viewElement, viewOffset ) {
+			const modelPosition = ModelPosition._createAt( modelElement, modelOffset );
+			const viewPosition = mapper.toViewPosition( modelPosition );
+			expect( viewPosition.parent ).to.equal( viewElement );
+			expect( viewPosition.offset ).to.equal( viewOffset );
+		}
+
+		function createToModelTest( viewElement, viewOffset, modelElement, modelOffset ) {
+			const viewPosition = new ViewPosition( viewElement, viewOffset );
+			const modelPosition = mapper.toModelPosition( viewPosition );
+			expect( modelPosition.parent ).to.equal( modelElement );
+			expect( modelPosition.offset ).to.equal( modelOffset );
+		}
+	} );
+
 	describe( 'List mapping (test registerViewToModelLength)', () => {
 		let mapper, modelRoot, viewRoot,
 			modelListItem1, modelListItem2,
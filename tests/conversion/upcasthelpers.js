@@ -454,6 +454,26 @@ describe( 'UpcastHelpers', () => {
 			);
 		} );
 
+		it( 'should not set an attribute if its value does not match the value type defined in the schema', () => {
+			schema.extend( 'image', {
+				allowAttributes: [ 'styled' ]
+			} );
+
+			schema.setAttributeProperties( 'styled', { valueType: { oneOf: [ 'dark', 'light' ] } } );
+
+			upcastHelpers.attributeToAttribute( { view: 'data-style', model: 'styled' } );
+
+			expectResult(
+				new ViewAttributeElement( viewDocument, 'img', { 'data-style': 'light' } ),
+				'<image styled="light"></image>'
+			);
+
+			expectResult(
+				new ViewAttributeElement( viewDocument, 'img', { 'data-style': 'bogus' } ),
+				'<image></image>'
+			);
+		} );
+
 		it( 'model attribute value is a string', () => {
 			schema.extend( 'image', {
 				allowAttributes: [ 'styled' ]
@@ -682,6 +702,149 @@ describe( 'UpcastHelpers', () => {
 		} );
 	} );
 
+	describe( '.dataToMarker()', () => {
+		beforeEach( () => {
+			upcastHelpers.elementToElement( { view: 'p', model: 'paragraph' } );
+		} );
+
+		it( 'should be chainable', () => {
+			expect( upcastHelpers.dataToMarker( { view: 'search' } ) ).to.equal( upcastHelpers );
+		} );
+
+		it( 'default conversion, inside text', () => {
+			upcastHelpers.dataToMarker( { view: 'search' } );
+
+			const frag = new ViewDocumentFragment( viewDocument, [
+				new ViewText( viewDocument, 'fo' ),
+				new ViewUIElement( viewDocument, 'search-start', { name: 'abc' } ),
+				new ViewText( viewDocument, 'oba' ),
+				new ViewUIElement( viewDocument, 'search-end', { name: 'abc' } ),
+				new ViewText( viewDocument, 'r' )
+			] );
+
+			const marker = { name: 'search:abc', start: [ 2 ], end: [ 5 ] };
+
+			expectResult( frag, 'foobar', marker );
+		} );
+
+		it( 'default conversion, without name', () => {
+			upcastHelpers.dataToMarker( { view: 'search' } );
+
+			const frag = new ViewDocumentFragment( viewDocument, [
+				new ViewText( viewDocument, 'f' ),
+				new ViewUIElement( viewDocument, 'search-start' ),
+				new ViewText( viewDocument, 'o' ),
+				new ViewUIElement( viewDocument, 'search-end' ),
+				new ViewText( viewDocument, 'o' )
+			] );
+
+			const marker = { name: 'search', start: [ 1 ], end: [ 2 ] };
+
+			expectResult( frag, 'foo', marker );
+		} );
+
+		it( 'attributes on elements', () => {
+			upcastHelpers.dataToMarker( { view: 'search' } );
+
+			const frag = new ViewDocumentFragment( viewDocument, [
+				new ViewContainerElement( viewDocument, 'p', { 'data-search-start-before': 'abc' }, new ViewText( viewDocument, 'foo' ) ),
+				new ViewContainerElement( viewDocument, 'p', { 'data-search-end-after': 'abc' }, new ViewText( viewDocument, 'bar' ) )
+			] );
+
+			const marker = { name: 'search:abc', start: [ 0 ], end: [ 2 ] };
+
+			expectResult( frag, '<paragraph>foo</paragraph><paragraph>bar</paragraph>', marker );
+		} );
+
+		it( 'attributes after and before elements', () => {
+			upcastHelpers.dataToMarker( { view: 'search' } );
+
+			const frag = new ViewDocumentFragment( viewDocument, [
+				new ViewContainerElement( viewDocument, 'p', { 'data-search-start-after': 'abc' }, new ViewText( viewDocument, 'foo' ) ),
+				new ViewContainerElement( viewDocument, 'p', null, new ViewText( viewDocument, 'bar' ) ),
+				new ViewContainerElement( viewDocument, 'p', { 'data-search-end-before': 'abc' }, new ViewText( viewDocument, 'xyz' ) )
+			] );
+
+			const marker = { name: 'search:abc', start: [ 1 ], end: [ 2 ] };
+
+			expectResult( frag, '<paragraph>foo</paragraph><paragraph>bar</paragraph><paragraph>xyz</paragraph>', marker );
+		} );
+
+		it( 'multiple markers in one attribute', () => {
+			upcastHelpers.dataToMarker( { view: 'search' } );
+
+			const frag = new ViewDocumentFragment( viewDocument, [
+				new ViewContainerElement( viewDocument, 'p', {
+					'data-search-start-before': 'abc,xyz',
+					'data-search-end-after': 'abc,xyz'
+				}, new ViewText( viewDocument, 'foo' ) )
+			] );
+
+			const conversionResult = model.change( writer => upcastDispatcher.convert( frag, writer ) );
+
+			expect( stringify( conversionResult ) ).to.equal( '<paragraph>foo</paragraph>' );
+
+			for ( const name of [ 'search:abc', 'search:xyz' ] ) {
+				const range = conversionResult.markers.get( name );
+
+				expect( range.start.path ).to.deep.equal( [ 0 ] );
+				expect( range.end.path ).to.deep.equal( [ 1 ] );
+			}
+		} );
+
+		it( 'attributes on an element without its own converter', () => {
+			upcastHelpers.dataToMarker( { view: 'search' } );
+
+			const frag = new ViewDocumentFragment( viewDocument, [
+				new ViewContainerElement( viewDocument, 'div', {
+					'data-search-start-before': 'abc',
+					'data-search-end-after': 'abc'
+				}, new ViewText( viewDocument, 'foo' ) )
+			] );
+
+			const marker = { name: 'search:abc', start: [ 0 ], end: [ 3 ] };
+
+			expectResult( frag, 'foo', marker );
+		} );
+
+		it( 'config.model is a function', () => {
+			upcastHelpers.dataToMarker( {
+				view: 'comment',
+				model: name => 'comment:' + name.split( ':' )[ 0 ]
+			} );
+
+			const frag = new ViewDocumentFragment( viewDocument, [
+				new ViewText( viewDocument, 'foo' ),
+				new ViewUIElement( viewDocument, 'comment-start', { name: '4:user' } ),
+				new ViewText( viewDocument, 'b' ),
+				new ViewUIElement( viewDocument, 'comment-end', { name: '4:user' } ),
+				new ViewText( viewDocument, 'ar' )
+			] );
+
+			const marker = { name: 'comment:4', start: [ 3 ], end: [ 4 ] };
+
+			expectResult( frag, 'foobar', marker );
+		} );
+
+		it( 'should not consume other attributes', () => {
+			upcastHelpers.dataToMarker( { view: 'search' } );
+			upcastHelpers.attributeToAttribute( { view: 'data-foo', model: 'foo' } );
+			schema.extend( 'paragraph', { allowAttributes: 'foo' } );
+
+			const frag = new ViewDocumentFragment( viewDocument, [
+				new ViewContainerElement( viewDocument, 'p', {
+					'data-foo': 'bar',
+					'data-search-start-before': 'abc',
+					'data-search-end-after': 'abc'
+				}, new ViewText( viewDocument, 'foo' ) )
+			] );
+
+			const marker = { name: 'search:abc', start: [ 0 ], end: [ 1 ] };
+
+			expectResult( frag, '<paragraph foo="bar">foo</paragraph>', marker );
+		} );
+	} );
+
 	function expectResult( viewToConvert, modelString, marker ) {
 		const conversionResult = model.change( writer => upcastDispatcher.convert( viewToConvert, writer ) );
 
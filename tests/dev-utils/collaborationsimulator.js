@@ -0,0 +1,261 @@
+/**
+ * @license Copyright (c) 2003-2020, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+import CollaborationSimulator, { CollaborationServer } from '../../src/dev-utils/collaborationsimulator';
+import Model from '../../src/model/model';
+import { getData } from '../../src/dev-utils/model';
+
+describe( 'CollaborationSimulator', () => {
+	let simulator;
+
+	beforeEach( () => {
+		simulator = new CollaborationSimulator( { createModel, latency: 10 } );
+	} );
+
+	describe( 'addClient()', () => {
+		it( 'should create a client with the model created by the callback', () => {
+			const client = simulator.addClient( 'john' );
+
+			expect( client.name ).to.equal( 'john' );
+			expect( client.model ).to.be.instanceof( Model );
+			expect( simulator.getClient( 'john' ) ).to.equal( client );
+			expect( simulator.server.version ).to.equal( 0 );
+		} );
+
+		it( 'should throw if the client already exists', () => {
+			simulator.addClient( 'john' );
+
+			expect( () => simulator.addClient( 'john' ) ).to.throw( Error, 'Client \'john\' already exists.' );
+		} );
+
+		it( 'should throw if the document of the client has a different version than the server', () => {
+			simulator.addClient( 'john' );
+
+			simulator = new CollaborationSimulator( {
+				createModel: name => {
+					const model = createModel();
+
+					if ( name == 'kate' ) {
+						model.change( writer => writer.insertElement( 'paragraph', model.document.getRoot(), 0 ) );
+					}
+
+					return model;
+				}
+			} );
+
+			simulator.addClient( 'john' );
+
+			expect( () => simulator.addClient( 'kate' ) ).to.throw( Error, /same version/ );
+		} );
+
+		it( 'should apply the operations accepted by the server to the new client', () => {
+			const john = simulator.addClient( 'john' );
+
+			john.change( writer => insertParagraph( writer, 'foo' ) );
+			simulator.flush();
+
+			const kate = simulator.addClient( 'kate' );
+
+			expect( getData( kate.model, { withoutSelection: true } ) ).to.equal( '<paragraph>foo</paragraph>' );
+			expect( kate.syncedVersion ).to.equal( simulator.server.version );
+		} );
+	} );
+
+	describe( 'advance()', () => {
+		it( 'should deliver the messages after the latency', () => {
+			const john = simulator.addClient( 'john' );
+			const kate = simulator.addClient( 'kate' );
+
+			john.change( writer => insertParagraph( writer, 'foo' ) );
+
+			simulator.advance( 9 );
+
+			expect( simulator.server.version ).to.equal( 0 );
+
+			simulator.advance( 1 );
+
+			expect( simulator.server.version ).to.equal( 1 );
+			expect( getData( kate.model, { withoutSelection: true } ) ).to.equal( '' );
+
+			simulator.advance( 10 );
+
+			expect( getData( kate.model, { withoutSelection: true } ) ).to.equal( '<paragraph>foo</paragraph>' );
+			expect( simulator.isSynchronized() ).to.be.true;
+		} );
+
+		it( 'should use the latency returned by the callback', () => {
+			simulator = new CollaborationSimulator( { createModel, latency: () => 5 } );
+
+			const john = simulator.addClient( 'john' );
+
+			john.change( writer => insertParagraph( writer, 'foo' ) );
+			simulator.advance( 5 );
+
+			expect( simulator.server.version ).to.equal( 1 );
+		} );
+	} );
+
+	describe( 'flush()', () => {
+		it( 'should make the clients converge after concurrent changes', () => {
+			const john = simulator.addClient( 'john' );
+			const kate = simulator.addClient( 'kate' );
+
+			john.change( writer => insertParagraph( writer, 'foo' ) );
+			simulator.flush();
+
+			john.change( writer => writer.insertText( 'abc', john.model.document.getRoot().getChild( 0 ), 0 ) );
+			kate.change( writer => writer.insertText( 'xyz', kate.model.document.getRoot().getChild( 0 ), 3 ) );
+			kate.change( writer => writer.remove( writer.createRange(
+				writer.createPositionFromPath( kate.model.document.getRoot(), [ 0, 0 ] ),
+				writer.createPositionFromPath( kate.model.document.getRoot(), [ 0, 1 ] )
+			) ) );
+
+			simulator.flush();
+
+			expectConverged( '<paragraph>abcooxyz</paragraph>' );
+		} );
+
+		it( 'should send the changes made directly in the models', () => {
+			const john = simulator.addClient( 'john' );
+			const kate = simulator.addClient( 'kate' );
+
+			john.model.change( writer => insertParagraph( writer, 'foo' ) );
+			kate.model.change( writer => insertParagraph( writer, 'bar' ) );
+
+			expect( john.hasPendingOperations ).to.be.true;
+
+			simulator.flush();
+
+			expectConverged( '<paragraph>foo</paragraph><paragraph>bar</paragraph>' );
+			expect( john.hasPendingOperations ).to.be.false;
+		} );
+
+		it( 'should send the operations rejected by the server again', () => {
+			const john = simulator.addClient( 'john' );
+			const kate = simulator.addClient( 'kate' );
+			const commitSpy = sinon.spy( simulator.server, 'commit' );
+
+			john.change( writer => insertParagraph( writer, 'foo' ) );
+			kate.change( writer => insertParagraph( writer, 'bar' ) );
+
+			simulator.flush();
+
+			expect( commitSpy.returnValues ).to.deep.equal( [ true, false, true ] );
+			expectConverged( '<paragraph>foo</paragraph><paragraph>bar</paragraph>' );
+		} );
+
+		it( 'should make the clients converge when the messages are reordered', () => {
+			const random = createRandom( 7 );
+
+			simulator = new CollaborationSimulator( { createModel, latency: () => Math.floor( random() * 20 ), reorder: true, random } );
+
+			const clients = [ simulator.addClient( 'john' ), simulator.addClient( 'kate' ), simulator.addClient( 'mike' ) ];
+
+			clients[ 0 ].change( writer => insertParagraph( writer, 'foobar' ) );
+			simulator.flush();
+
+			for ( let i = 0; i < 20; i++ ) {
+				const client = clients[ i % 3 ];
+
+				client.change( writer => {
+					const paragraph = client.model.document.getRoot().getChild( 0 );
+
+					writer.insertText( String( i % 10 ), paragraph, i % ( paragraph.maxOffset + 1 ) );
+				} );
+
+				simulator.advance( 3 );
+			}
+
+			simulator.flush();
+
+			const data = getData( clients[ 0 ].model, { withoutSelection: true } );
+
+			expect( data.length ).to.equal( '<paragraph>foobar</paragraph>'.length + 20 );
+			expectConverged( data );
+		} );
+
+		it( 'should resolve the conflicts using the conflict policy', () => {
+			simulator = new CollaborationSimulator( {
+				createModel,
+				latency: 10,
+				conflictPolicy: ( { operationA } ) => operationA.metadata.role == 'owner' ? 'a' : 'b'
+			} );
+
+			const john = simulator.addClient( 'john' );
+			const kate = simulator.addClient( 'kate' );
+
+			john.change( writer => insertParagraph( writer, 'foo' ) );
+			simulator.flush();
+
+			// The change of the reader reaches the server first, but the change of the owner wins.
+			john.model.enqueueChange( john.model.createBatch( 'default', { role: 'reader' } ), writer => {
+				writer.rename( john.model.document.getRoot().getChild( 0 ), 'heading2' );
+			} );
+
+			kate.model.enqueueChange( kate.model.createBatch( 'default', { role: 'owner' } ), writer => {
+				writer.rename( kate.model.document.getRoot().getChild( 0 ), 'heading1' );
+			} );
+
+			simulator.flush();
+
+			expectConverged( '<heading1>foo</heading1>' );
+		} );
+	} );
+
+	describe( 'CollaborationServer', () => {
+		let server;
+
+		beforeEach( () => {
+			server = new CollaborationServer( 5 );
+		} );
+
+		it( 'should accept the operations basing on the server version', () => {
+			expect( server.commit( 5, [ { baseVersion: 5 }, { baseVersion: 6 } ] ) ).to.be.true;
+			expect( server.version ).to.equal( 7 );
+			expect( server.getOperations( 6 ) ).to.deep.equal( [ { baseVersion: 6 } ] );
+			expect( server.getOperations() ).to.have.length( 2 );
+		} );
+
+		it( 'should reject the operations not basing on the server version', () => {
+			expect( server.commit( 4, [ { baseVersion: 4 } ] ) ).to.be.false;
+			expect( server.version ).to.equal( 5 );
+		} );
+	} );
+
+	function createModel() {
+		const model = new Model();
+
+		model.schema.register( 'paragraph', { inheritAllFrom: '$block' } );
+		model.schema.register( 'heading1', { inheritAllFrom: '$block' } );
+		model.schema.register( 'heading2', { inheritAllFrom: '$block' } );
+		model.document.createRoot();
+
+		return model;
+	}
+
+	function insertParagraph( writer, text ) {
+		const paragraph = writer.createElement( 'paragraph' );
+
+		writer.insertText( text, paragraph );
+		writer.insert( paragraph, writer.model.document.getRoot(), 'end' );
+	}
+
+	function expectConverged( data ) {
+		expect( simulator.isSynchronized() ).to.be.true;
+
+		for ( const client of simulator.clients.values() ) {
+			expect( getData( client.model, { withoutSelection: true } ), client.name ).to.equal( data );
+		}
+	}
+
+	// A simple seeded pseudo-random number generator.
+	function createRandom( seed ) {
+		return () => {
+			seed = ( seed * 16807 ) % 2147483647;
+
+			return ( seed - 1 ) / 2147483646;
+		};
+	}
+} );
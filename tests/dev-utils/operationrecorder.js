@@ -0,0 +1,242 @@
+/**
+ * @license Copyright (c) 2003-2020, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+import OperationRecorder from '../../src/dev-utils/operationrecorder';
+import OperationReplayer from '../../src/dev-utils/operationreplayer';
+import Model from '../../src/model/model';
+import { getData } from '../../src/dev-utils/model';
+
+describe( 'OperationRecorder', () => {
+	let model, root, recorder;
+
+	beforeEach( () => {
+		model = getModel();
+		root = model.document.getRoot();
+		recorder = new OperationRecorder( model );
+	} );
+
+	afterEach( () => {
+		recorder.stop();
+	} );
+
+	describe( 'constructor()', () => {
+		it( 'should not record until started', () => {
+			model.change( writer => {
+				writer.insertElement( 'paragraph', root, 0 );
+			} );
+
+			expect( recorder.isRecording ).to.be.false;
+			expect( recorder.getOperations() ).to.deep.equal( [] );
+		} );
+	} );
+
+	describe( 'start()', () => {
+		it( 'should record the applied operations', () => {
+			recorder.start();
+
+			model.change( writer => {
+				writer.insertElement( 'paragraph', root, 0 );
+				writer.insertText( 'foo', root.getChild( 0 ), 0 );
+			} );
+
+			const operations = recorder.getOperations();
+
+			expect( recorder.isRecording ).to.be.true;
+			expect( operations.length ).to.equal( 2 );
+			expect( operations[ 0 ] ).to.include( { __className: 'InsertOperation', baseVersion: 0 } );
+			expect( operations[ 1 ] ).to.include( { __className: 'InsertOperation', baseVersion: 1 } );
+		} );
+
+		it( 'should record the operations as they were applied', () => {
+			recorder.start();
+
+			model.change( writer => {
+				writer.insertElement( 'paragraph', root, 0 );
+				writer.insertText( 'foo', root.getChild( 0 ), 0 );
+				writer.insertText( 'bar', root.getChild( 0 ), 3 );
+			} );
+
+			expect( recorder.getOperations()[ 1 ].nodes ).to.deep.equal( [ { data: 'foo' } ] );
+		} );
+
+		it( 'should not record the operations on detached elements', () => {
+			recorder.start();
+
+			model.change( writer => {
+				const paragraph = writer.createElement( 'paragraph' );
+
+				writer.insertText( 'foo', paragraph, 0 );
+			} );
+
+			expect( recorder.getOperations() ).to.deep.equal( [] );
+		} );
+
+		it( 'should not record the operations which cannot be applied', () => {
+			recorder.start();
+
+			expect( () => {
+				model.change( writer => {
+					writer.insertElement( 'paragraph', root, 5 );
+				} );
+			} ).to.throw();
+
+			expect( recorder.getOperations() ).to.deep.equal( [] );
+		} );
+
+		it( 'should not record the operations reverted by an atomic change block', () => {
+			recorder.start();
+
+			model.change( writer => {
+				writer.insertElement( 'paragraph', root, 0 );
+			} );
+
+			expect( () => {
+				model.change( writer => {
+					writer.insertText( 'foo', root.getChild( 0 ), 0 );
+
+					throw new Error( 'Foo.' );
+				}, { atomic: true } );
+			} ).to.throw( 'Foo.' );
+
+			expect( recorder.getOperations().length ).to.equal( 1 );
+
+			model.change( writer => {
+				writer.insertText( 'bar', root.getChild( 0 ), 0 );
+			} );
+
+			const operations = recorder.getOperations();
+
+			expect( operations.length ).to.equal( 2 );
+			expect( operations[ 1 ] ).to.include( { baseVersion: 1 } );
+			expect( operations[ 1 ].nodes ).to.deep.equal( [ { data: 'bar' } ] );
+		} );
+
+		it( 'should do nothing if the recorder is already recording', () => {
+			recorder.start();
+			recorder.start();
+
+			model.change( writer => {
+				writer.insertElement( 'paragraph', root, 0 );
+			} );
+
+			expect( recorder.getOperations().length ).to.equal( 1 );
+		} );
+	} );
+
+	describe( 'stop()', () => {
+		it( 'should stop recording and keep the recorded operations', () => {
+			recorder.start();
+
+			model.change( writer => {
+				writer.insertElement( 'paragraph', root, 0 );
+			} );
+
+			recorder.stop();
+
+			model.change( writer => {
+				writer.insertElement( 'paragraph', root, 0 );
+			} );
+
+			expect( recorder.isRecording ).to.be.false;
+			expect( recorder.getOperations().length ).to.equal( 1 );
+		} );
+
+		it( 'should do nothing if the recorder is not recording', () => {
+			expect( () => {
+				recorder.stop();
+			} ).to.not.throw();
+		} );
+	} );
+
+	describe( 'clear()', () => {
+		it( 'should remove the recorded operations', () => {
+			recorder.start();
+
+			model.change( writer => {
+				writer.insertElement( 'paragraph', root, 0 );
+			} );
+
+			recorder.clear();
+
+			expect( recorder.getOperations() ).to.deep.equal( [] );
+		} );
+	} );
+
+	describe( 'getStringifiedOperations()', () => {
+		it( 'should use the default separator', () => {
+			recorder.start();
+
+			model.change( writer => {
+				writer.insertElement( 'paragraph', root, 0 );
+				writer.insertElement( 'paragraph', root, 0 );
+			} );
+
+			const operations = recorder.getOperations();
+
+			expect( recorder.getStringifiedOperations() ).to.equal(
+				JSON.stringify( operations[ 0 ] ) + '-------' + JSON.stringify( operations[ 1 ] )
+			);
+		} );
+
+		it( 'should use the given separator', () => {
+			recorder = new OperationRecorder( model, '---' );
+			recorder.start();
+
+			model.change( writer => {
+				writer.insertElement( 'paragraph', root, 0 );
+				writer.insertElement( 'paragraph', root, 0 );
+			} );
+
+			expect( recorder.getStringifiedOperations().split( '---' ).length ).to.equal( 2 );
+		} );
+
+		it( 'should produce operations which can be replayed', () => {
+			recorder.start();
+
+			model.change( writer => {
+				writer.insertElement( 'paragraph', root, 0 );
+				writer.insertElement( 'paragraph', root, 1 );
+				writer.insertText( 'foobar', { bold: true }, root.getChild( 0 ), 0 );
+				writer.insertText( 'baz', root.getChild( 1 ), 0 );
+			} );
+
+			model.change( writer => {
+				writer.split( writer.createPositionAt( root.getChild( 0 ), 3 ) );
+				writer.removeAttribute( 'bold', writer.createRangeIn( root.getChild( 1 ) ) );
+				writer.rename( root.getChild( 2 ), 'heading1' );
+				writer.merge( writer.createPositionAfter( root.getChild( 0 ) ) );
+				writer.setSelection( root.getChild( 0 ), 0 );
+			} );
+
+			model.change( writer => {
+				writer.remove( root.getChild( 0 ) );
+				writer.setAttribute( 'title', 'Foo', root );
+			} );
+
+			const otherModel = getModel();
+			const replayer = new OperationReplayer( otherModel, '-------', recorder.getStringifiedOperations() );
+
+			return replayer.applyAllOperations().then( () => {
+				expect( getData( otherModel, { withoutSelection: true } ) ).to.equal(
+					getData( model, { withoutSelection: true } )
+				);
+				expect( otherModel.document.getRoot().getAttribute( 'title' ) ).to.equal( 'Foo' );
+				expect( otherModel.document.version ).to.equal( model.document.version );
+			} );
+		} );
+	} );
+} );
+
+function getModel() {
+	const model = new Model();
+
+	model.document.createRoot();
+
+	model.schema.register( 'paragraph', { inheritAllFrom: '$block' } );
+	model.schema.register( 'heading1', { inheritAllFrom: '$block' } );
+	model.schema.extend( '$text', { allowAttributes: 'bold' } );
+
+	return model;
+}
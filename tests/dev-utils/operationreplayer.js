@@ -5,6 +5,8 @@
 
 import OperationReplayer from '../../src/dev-utils/operationreplayer';
 import Model from '../../src/model/model';
+import ModelTestEditor from '@ckeditor/ckeditor5-core/tests/_utils/modeltesteditor';
+import UndoEditing from '@ckeditor/ckeditor5-undo/src/undoediting';
 
 describe( 'OperationReplayer', () => {
 	describe( 'constructor()', () => {
@@ -50,6 +52,25 @@ describe( 'OperationReplayer', () => {
 			} );
 		} );
 
+		it( 'should apply the operation after the change block in which it is called', () => {
+			const model = getModel();
+			const operationReplayer = new OperationReplayer( model, '---', getStringifiedOperations() );
+			let promise;
+
+			model.change( () => {
+				promise = operationReplayer.applyNextOperation();
+
+				expect( model.document.version ).to.equal( 0 );
+			} );
+
+			expect( model.document.version ).to.equal( 1 );
+
+			return promise.then( isFinished => {
+				expect( isFinished ).to.equal( false );
+				expect( operationReplayer.getAppliedOperations() ).to.deep.equal( [ getFirstOperation() ] );
+			} );
+		} );
+
 		it( 'should resolve with true if 0 operations are provided', () => {
 			const model = getModel();
 			const operationReplayer = new OperationReplayer( model, '---', '' );
@@ -152,6 +173,393 @@ describe( 'OperationReplayer', () => {
 				} );
 		} );
 	} );
+
+	describe( 'applyNextOperation() with an invalid operation', () => {
+		it( 'should keep the operation to replay and leave the model usable', () => {
+			const model = getModel();
+
+			const invalidOperation = getSecondOperation();
+			invalidOperation.baseVersion = 3;
+
+			const operationReplayer = new OperationReplayer( model, '---', JSON.stringify( invalidOperation ) );
+
+			return operationReplayer.applyNextOperation()
+				.then( () => {
+					throw new Error( 'It should throw an error' );
+				}, err => {
+					expect( err.message ).to.match( /^model-document-applyOperation-wrong-version/ );
+					expect( operationReplayer.getOperationsToReplay() ).to.deep.equal( [ invalidOperation ] );
+					expect( operationReplayer.getAppliedOperations() ).to.deep.equal( [] );
+
+					model.change( writer => {
+						writer.insertElement( 'paragraph', model.document.getRoot(), 0 );
+					} );
+
+					expect( model.document.getRoot().childCount ).to.equal( 1 );
+				} );
+		} );
+	} );
+
+	describe( 'getAppliedOperations()', () => {
+		it( 'should return applied operations', () => {
+			const model = getModel();
+
+			const operationReplayer = new OperationReplayer( model, '---', getStringifiedOperations() );
+
+			return operationReplayer.applyOperations( 1 ).then( () => {
+				expect( operationReplayer.getAppliedOperations() ).to.deep.equal( [ getFirstOperation() ] );
+			} );
+		} );
+
+		it( 'should be cleared when new operations are set', () => {
+			const model = getModel();
+
+			const operationReplayer = new OperationReplayer( model, '---', getStringifiedOperations() );
+
+			return operationReplayer.applyOperations( 1 ).then( () => {
+				operationReplayer.setStringifiedOperations( '' );
+
+				expect( operationReplayer.getAppliedOperations() ).to.deep.equal( [] );
+			} );
+		} );
+	} );
+
+	describe( 'revertLastOperation()', () => {
+		it( 'should revert the last applied operation', () => {
+			const model = getModel();
+
+			const operationReplayer = new OperationReplayer( model, '---', getStringifiedOperations() );
+
+			return operationReplayer.applyAllOperations()
+				.then( () => operationReplayer.revertLastOperation() )
+				.then( isAtStart => {
+					expect( isAtStart ).to.equal( false );
+					expect( model.document.getRoot().childCount ).to.equal( 1 );
+					expect( model.document.version ).to.equal( 1 );
+					expect( model.document.history.getOperations().length ).to.equal( 1 );
+					expect( operationReplayer.getAppliedOperations() ).to.deep.equal( [ getFirstOperation() ] );
+					expect( operationReplayer.getOperationsToReplay() ).to.deep.equal( [ getSecondOperation() ] );
+				} );
+		} );
+
+		it( 'should remove the reverted operation from its batch', () => {
+			const model = getModel();
+
+			const operationReplayer = new OperationReplayer( model, '---', getStringifiedOperations() );
+
+			return operationReplayer.applyNextOperation()
+				.then( () => {
+					const operation = model.document.history.getOperation( 0 );
+
+					return operationReplayer.revertLastOperation().then( () => {
+						expect( operation.batch.operations ).to.deep.equal( [] );
+					} );
+				} );
+		} );
+
+		it( 'should revert the operations done by post-fixers after the replayed operation', () => {
+			const model = getModel();
+
+			model.document.registerPostFixer( writer => {
+				const heading = model.document.getRoot().getChild( 0 );
+
+				if ( heading && !heading.hasAttribute( 'fixed' ) ) {
+					writer.setAttribute( 'fixed', true, heading );
+
+					return true;
+				}
+			} );
+
+			const operationReplayer = new OperationReplayer( model, '---', getStringifiedOperations() );
+
+			return operationReplayer.applyNextOperation()
+				.then( () => {
+					expect( model.document.version ).to.equal( 2 );
+
+					return operationReplayer.revertLastOperation();
+				} )
+				.then( () => {
+					expect( model.document.getRoot().childCount ).to.equal( 0 );
+					expect( model.document.version ).to.equal( 0 );
+					expect( model.document.history.getOperations().length ).to.equal( 0 );
+					expect( operationReplayer.getAppliedOperations().length ).to.equal( 0 );
+					expect( operationReplayer.getOperationsToReplay().length ).to.equal( 2 );
+				} );
+		} );
+
+		it( 'should revert the operation after the change block in which it is called', () => {
+			const model = getModel();
+			const operationReplayer = new OperationReplayer( model, '---', getStringifiedOperations() );
+
+			return operationReplayer.applyNextOperation()
+				.then( () => {
+					let promise;
+
+					model.change( () => {
+						promise = operationReplayer.revertLastOperation();
+
+						expect( model.document.version ).to.equal( 1 );
+					} );
+
+					expect( model.document.version ).to.equal( 0 );
+
+					return promise;
+				} );
+		} );
+
+		it( 'should revert the operation in an editor with the undo feature', () => {
+			return ModelTestEditor.create( { plugins: [ UndoEditing ] } ).then( editor => {
+				const model = editor.model;
+				const operationReplayer = new OperationReplayer( model, '---', getStringifiedOperations() );
+
+				return operationReplayer.applyAllOperations()
+					.then( () => operationReplayer.revertLastOperation() )
+					.then( () => {
+						expect( model.document.getRoot().childCount ).to.equal( 1 );
+						expect( model.document.version ).to.equal( 1 );
+
+						return editor.destroy();
+					} );
+			} );
+		} );
+
+		it( 'should allow applying the reverted operation again', () => {
+			const model = getModel();
+
+			const operationReplayer = new OperationReplayer( model, '---', getStringifiedOperations() );
+
+			return operationReplayer.applyAllOperations()
+				.then( () => operationReplayer.revertLastOperation() )
+				.then( () => operationReplayer.applyNextOperation() )
+				.then( () => {
+					expect( model.document.getRoot().childCount ).to.equal( 2 );
+					expect( model.document.version ).to.equal( 2 );
+				} );
+		} );
+
+		it( 'should resolve with true if there is no operation to revert', () => {
+			const model = getModel();
+
+			const operationReplayer = new OperationReplayer( model, '---', getStringifiedOperations() );
+
+			return operationReplayer.revertLastOperation().then( isAtStart => {
+				expect( isAtStart ).to.equal( true );
+				expect( operationReplayer.getOperationsToReplay().length ).to.equal( 2 );
+			} );
+		} );
+
+		it( 'should fire the change event so the reverted changes can be converted', () => {
+			const model = getModel();
+			const spy = sinon.spy();
+
+			const operationReplayer = new OperationReplayer( model, '---', getStringifiedOperations() );
+
+			return operationReplayer.applyNextOperation()
+				.then( () => {
+					model.document.on( 'change', () => {
+						spy( model.document.differ.getChanges() );
+					} );
+
+					return operationReplayer.revertLastOperation();
+				} )
+				.then( () => {
+					sinon.assert.calledOnce( spy );
+					expect( spy.firstCall.args[ 0 ] ).to.have.length( 1 );
+					expect( spy.firstCall.args[ 0 ][ 0 ] ).to.include( { type: 'remove', name: 'heading1' } );
+				} );
+		} );
+
+		it( 'should throw if the operation is not in the document history', () => {
+			const model = getModel();
+
+			const operationReplayer = new OperationReplayer( model, '---', getStringifiedOperations() );
+
+			return operationReplayer.applyNextOperation()
+				.then( () => {
+					model.document.history._removeOperations( 0 );
+
+					return operationReplayer.revertLastOperation();
+				} )
+				.then( () => {
+					throw new Error( 'It should throw an error' );
+				}, err => {
+					expect( err.message ).to.match( /^The operation cannot be reverted/ );
+				} );
+		} );
+	} );
+
+	describe( 'revertOperations()', () => {
+		it( 'should revert certain number of operations', () => {
+			const model = getModel();
+
+			const operationReplayer = new OperationReplayer( model, '---', getStringifiedOperations() );
+
+			return operationReplayer.applyAllOperations()
+				.then( () => operationReplayer.revertOperations( 2 ) )
+				.then( () => {
+					expect( model.document.getRoot().childCount ).to.equal( 0 );
+					expect( model.document.version ).to.equal( 0 );
+					expect( operationReplayer.getOperationsToReplay().length ).to.equal( 2 );
+				} );
+		} );
+
+		it( 'should not throw an error if the number of operations is greater than the number of applied operations', () => {
+			const model = getModel();
+
+			const operationReplayer = new OperationReplayer( model, '---', getStringifiedOperations() );
+
+			return operationReplayer.applyOperations( 1 )
+				.then( () => operationReplayer.revertOperations( 3 ) )
+				.then( () => {
+					expect( model.document.getRoot().childCount ).to.equal( 0 );
+					expect( operationReplayer.getAppliedOperations().length ).to.equal( 0 );
+				} );
+		} );
+	} );
+
+	describe( 'seek()', () => {
+		it( 'should apply operations to reach the given state', () => {
+			const model = getModel();
+
+			const operationReplayer = new OperationReplayer( model, '---', getStringifiedOperations() );
+
+			return operationReplayer.seek( 2 ).then( () => {
+				expect( model.document.getRoot().childCount ).to.equal( 2 );
+			} );
+		} );
+
+		it( 'should revert operations to reach the given state', () => {
+			const model = getModel();
+
+			const operationReplayer = new OperationReplayer( model, '---', getStringifiedOperations() );
+
+			return operationReplayer.seek( 2 )
+				.then( () => operationReplayer.seek( 1 ) )
+				.then( () => {
+					expect( model.document.getRoot().childCount ).to.equal( 1 );
+					expect( operationReplayer.getAppliedOperations().length ).to.equal( 1 );
+				} );
+		} );
+
+		it( 'should do nothing if the replayer is in the given state', () => {
+			const model = getModel();
+
+			const operationReplayer = new OperationReplayer( model, '---', getStringifiedOperations() );
+
+			return operationReplayer.seek( 1 )
+				.then( () => operationReplayer.seek( 1 ) )
+				.then( () => {
+					expect( model.document.version ).to.equal( 1 );
+				} );
+		} );
+	} );
+
+	describe( 'bisect()', () => {
+		let model, operationReplayer;
+
+		beforeEach( () => {
+			model = getModel();
+
+			const operations = [];
+
+			for ( let i = 0; i < 10; i++ ) {
+				operations.push( getInsertOperation( i ) );
+			}
+
+			operationReplayer = new OperationReplayer( model, '---', operations.map( d => JSON.stringify( d ) ).join( '---' ) );
+		} );
+
+		it( 'should find the first operation after which the predicate fails', () => {
+			return operationReplayer.bisect( model => model.document.getRoot().childCount < 7 ).then( result => {
+				expect( result ).to.deep.equal( { index: 6, operation: getInsertOperation( 6 ), error: null } );
+
+				expect( model.document.getRoot().childCount ).to.equal( 6 );
+				expect( operationReplayer.getAppliedOperations().length ).to.equal( 6 );
+				expect( operationReplayer.getOperationsToReplay()[ 0 ] ).to.deep.equal( getInsertOperation( 6 ) );
+			} );
+		} );
+
+		it( 'should find the first operation if it breaks the model', () => {
+			return operationReplayer.bisect( model => model.document.getRoot().childCount < 1 ).then( result => {
+				expect( result.index ).to.equal( 0 );
+				expect( model.document.getRoot().childCount ).to.equal( 0 );
+			} );
+		} );
+
+		it( 'should find the last operation if it breaks the model', () => {
+			return operationReplayer.bisect( model => model.document.getRoot().childCount < 10 ).then( result => {
+				expect( result.index ).to.equal( 9 );
+				expect( model.document.getRoot().childCount ).to.equal( 9 );
+			} );
+		} );
+
+		it( 'should check the operations applied before', () => {
+			return operationReplayer.applyAllOperations()
+				.then( () => operationReplayer.bisect( model => model.document.getRoot().childCount < 4 ) )
+				.then( result => {
+					expect( result.index ).to.equal( 3 );
+					expect( model.document.getRoot().childCount ).to.equal( 3 );
+				} );
+		} );
+
+		it( 'should resolve with the error thrown by the predicate', () => {
+			const error = new Error( 'Broken.' );
+
+			return operationReplayer
+				.bisect( model => {
+					if ( model.document.getRoot().childCount > 2 ) {
+						throw error;
+					}
+
+					return true;
+				} )
+				.then( result => {
+					expect( result.index ).to.equal( 2 );
+					expect( result.error ).to.equal( error );
+				} );
+		} );
+
+		it( 'should accept a predicate returning a promise', () => {
+			return operationReplayer.bisect( model => Promise.resolve( model.document.getRoot().childCount < 5 ) ).then( result => {
+				expect( result.index ).to.equal( 4 );
+			} );
+		} );
+
+		it( 'should find the operation which cannot be applied', () => {
+			const operations = [];
+
+			for ( let i = 0; i < 10; i++ ) {
+				operations.push( getInsertOperation( i ) );
+			}
+
+			operations[ 5 ].baseVersion = 100;
+
+			operationReplayer.setStringifiedOperations( operations.map( d => JSON.stringify( d ) ).join( '---' ) );
+
+			return operationReplayer.bisect( () => true ).then( result => {
+				expect( result.index ).to.equal( 5 );
+				expect( result.operation ).to.deep.equal( operations[ 5 ] );
+				expect( result.error.message ).to.match( /^model-document-applyOperation-wrong-version/ );
+				expect( model.document.getRoot().childCount ).to.equal( 5 );
+			} );
+		} );
+
+		it( 'should resolve with null if the predicate does not fail', () => {
+			return operationReplayer.bisect( () => true ).then( result => {
+				expect( result ).to.be.null;
+				expect( model.document.getRoot().childCount ).to.equal( 10 );
+			} );
+		} );
+
+		it( 'should reject if the predicate fails before applying any operation', () => {
+			return operationReplayer.bisect( () => false )
+				.then( () => {
+					throw new Error( 'It should throw an error' );
+				}, err => {
+					expect( err.message ).to.equal( 'The predicate fails before applying any operation.' );
+				} );
+		} );
+	} );
 } );
 
 function getModel() {
@@ -162,6 +570,29 @@ function getModel() {
 	return model;
 }
 
+function getStringifiedOperations() {
+	return [ getFirstOperation(), getSecondOperation() ]
+		.map( d => JSON.stringify( d ) )
+		.join( '---' );
+}
+
+function getInsertOperation( index ) {
+	return {
+		baseVersion: index,
+		position: {
+			root: 'main',
+			path: [ index ]
+		},
+		nodes: [ {
+			name: 'paragraph',
+			children: [ {
+				data: 'Paragraph ' + index
+			} ]
+		} ],
+		__className: 'InsertOperation'
+	};
+}
+
 function getFirstOperation() {
 	return {
 		baseVersion: 0,
@@ -0,0 +1,135 @@
+/**
+ * @license Copyright (c) 2003-2020, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+import TransformFuzzer from '../../src/dev-utils/transformfuzzer';
+import OperationReplayer from '../../src/dev-utils/operationreplayer';
+import Model from '../../src/model/model';
+
+import InsertOperation from '../../src/model/operation/insertoperation';
+import MoveOperation from '../../src/model/operation/moveoperation';
+import AttributeOperation from '../../src/model/operation/attributeoperation';
+import MarkerOperation from '../../src/model/operation/markeroperation';
+import MergeOperation from '../../src/model/operation/mergeoperation';
+import SplitOperation from '../../src/model/operation/splitoperation';
+import RenameOperation from '../../src/model/operation/renameoperation';
+import RootAttributeOperation from '../../src/model/operation/rootattributeoperation';
+import NoOperation from '../../src/model/operation/nooperation';
+
+/* global console */
+
+const operationClasses = [
+	InsertOperation, MoveOperation, AttributeOperation, MarkerOperation, MergeOperation, SplitOperation, RenameOperation,
+	RootAttributeOperation
+];
+
+describe( 'TransformFuzzer', () => {
+	describe( 'constructor()', () => {
+		it( 'should set the default options', () => {
+			const fuzzer = new TransformFuzzer();
+
+			expect( fuzzer.seed ).to.be.a( 'number' );
+			expect( fuzzer.changes ).to.equal( 3 );
+			expect( fuzzer.logSeparator ).to.equal( '-------' );
+		} );
+
+		it( 'should set the given options', () => {
+			const fuzzer = new TransformFuzzer( { seed: 0, changes: 5, logSeparator: '---' } );
+
+			expect( fuzzer.seed ).to.equal( 0 );
+			expect( fuzzer.changes ).to.equal( 5 );
+			expect( fuzzer.logSeparator ).to.equal( '---' );
+		} );
+	} );
+
+	describe( 'run()', () => {
+		it( 'should run the test cases with the following seeds', () => {
+			const fuzzer = new TransformFuzzer( { seed: 2, changes: 1 } );
+			const spy = sinon.spy( fuzzer, 'runCase' );
+
+			expect( fuzzer.run( 5 ) ).to.be.null;
+			expect( spy.args.map( args => args[ 0 ] ) ).to.deep.equal( [ 2, 3, 4, 5, 6 ] );
+		} );
+
+		it( 'should stop at the first failure', () => {
+			const fuzzer = new TransformFuzzer( { seed: 100 } );
+			const failure = {};
+
+			sinon.stub( fuzzer, 'runCase' ).onSecondCall().returns( failure );
+
+			expect( fuzzer.run( 5 ) ).to.equal( failure );
+			expect( fuzzer.runCase.calledTwice ).to.be.true;
+		} );
+	} );
+
+	describe( 'runCase()', () => {
+		beforeEach( () => {
+			// The failed transformations are logged in the debug mode.
+			sinon.stub( console, 'warn' );
+		} );
+
+		afterEach( () => {
+			sinon.restore();
+		} );
+
+		it( 'should report a failed transformation with the shortest failing sequences', () => {
+			for ( const OperationClass of [ ...operationClasses, NoOperation ] ) {
+				sinon.stub( OperationClass.prototype, 'clone' ).throws( new Error( 'Clone failed.' ) );
+			}
+
+			const failure = new TransformFuzzer( { seed: 7 } ).runCase( 7 );
+
+			expect( failure.reason ).to.equal( 'transformation' );
+			expect( failure.message ).to.equal( 'The transformation failed: Clone failed.' );
+			expect( failure.seed ).to.equal( 7 );
+			expect( failure.isAStronger ).to.be.true;
+			expect( failure.operationsA.split( '-------' ) ).to.have.length( 1 );
+			expect( failure.operationsB.split( '-------' ) ).to.have.length( 1 );
+		} );
+
+		it( 'should report the operations which cannot be reverted', () => {
+			for ( const OperationClass of operationClasses ) {
+				sinon.stub( OperationClass.prototype, 'getReversed' ).callsFake( function() {
+					return new NoOperation( this.baseVersion + 1 );
+				} );
+			}
+
+			const failure = new TransformFuzzer().runCase( 3 );
+
+			expect( failure.reason ).to.equal( 'reversibility' );
+			expect( failure.message ).to.match( /^Reverting the transformed operation gave:/ );
+		} );
+
+		it( 'should return the operations which can be replayed', () => {
+			for ( const OperationClass of [ ...operationClasses, NoOperation ] ) {
+				sinon.stub( OperationClass.prototype, 'clone' ).throws( new Error( 'Clone failed.' ) );
+			}
+
+			const failure = new TransformFuzzer( { logSeparator: '---' } ).runCase( 7 );
+
+			sinon.restore();
+
+			const model = new Model();
+			const root = model.document.createRoot();
+			const replayer = new OperationReplayer( model, '---', failure.initialOperations + '---' + failure.operationsA );
+
+			return replayer.play( 0 ).then( () => {
+				expect( root.childCount ).to.be.above( 0 );
+				expect( model.document.version ).to.equal( failure.initialOperations.split( '---' ).length + 1 );
+			} );
+		} );
+
+		it( 'should generate the same test case for the same seed', () => {
+			const fuzzer = new TransformFuzzer();
+			const cloneSpy = sinon.spy( InsertOperation.prototype, 'clone' );
+
+			fuzzer.runCase( 11 );
+			const callCount = cloneSpy.callCount;
+
+			fuzzer.runCase( 11 );
+
+			expect( cloneSpy.callCount ).to.equal( callCount * 2 );
+		} );
+	} );
+} );
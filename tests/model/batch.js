@@ -21,6 +21,22 @@ describe( 'Batch', () => {
 		} );
 	} );
 
+	describe( 'metadata', () => {
+		it( 'should default to an empty object', () => {
+			const batch = new Batch();
+
+			expect( batch.metadata ).to.deep.equal( {} );
+		} );
+
+		it( 'should be a copy of the metadata set in constructor', () => {
+			const metadata = { authorId: 'user-1', timestamp: 1000 };
+			const batch = new Batch( 'default', metadata );
+
+			expect( batch.metadata ).to.deep.equal( { authorId: 'user-1', timestamp: 1000 } );
+			expect( batch.metadata ).to.not.equal( metadata );
+		} );
+	} );
+
 	describe( 'addOperation()', () => {
 		it( 'should add operation to the batch', () => {
 			const batch = new Batch();
@@ -31,6 +47,27 @@ describe( 'Batch', () => {
 			expect( batch.operations.length ).to.equal( 1 );
 			expect( batch.operations[ 0 ] ).to.equal( op );
 		} );
+
+		it( 'should add the batch metadata to the operation', () => {
+			const batch = new Batch( 'default', { authorId: 'user-1', origin: 'paste' } );
+			const op = new Operation( 0 );
+
+			batch.addOperation( op );
+
+			expect( op.metadata ).to.deep.equal( { authorId: 'user-1', origin: 'paste' } );
+			expect( op.metadata ).to.not.equal( batch.metadata );
+		} );
+
+		it( 'should keep the metadata already set in the operation', () => {
+			const batch = new Batch( 'transparent', { authorId: 'user-1', origin: 'remote' } );
+			const op = new Operation( 0 );
+
+			op.metadata = { authorId: 'user-2' };
+
+			batch.addOperation( op );
+
+			expect( op.metadata ).to.deep.equal( { authorId: 'user-2', origin: 'remote' } );
+		} );
 	} );
 
 	describe( 'baseVersion', () => {
@@ -15,6 +15,7 @@ import RenameOperation from '../../src/model/operation/renameoperation';
 import AttributeOperation from '../../src/model/operation/attributeoperation';
 import SplitOperation from '../../src/model/operation/splitoperation';
 import MergeOperation from '../../src/model/operation/mergeoperation';
+import RootOperation from '../../src/model/operation/rootoperation';
 
 describe( 'Differ', () => {
 	let doc, differ, root, model;
@@ -1676,6 +1677,86 @@ describe( 'Differ', () => {
 		} );
 	} );
 
+	describe( 'roots', () => {
+		it( 'add root', () => {
+			model.change( () => {
+				addRoot( 'new', 'div' );
+
+				const newRoot = doc.getRoot( 'new' );
+
+				expectChanges( [
+					{ type: 'addRoot', name: 'div', rootName: 'new', position: new Position( newRoot, [ 0 ] ) }
+				] );
+			} );
+		} );
+
+		it( 'detach root', () => {
+			model.change( () => {
+				detachRoot( 'main' );
+
+				expectChanges( [
+					{ type: 'detachRoot', name: '$root', rootName: 'main', position: new Position( root, [ 0 ] ) }
+				] );
+			} );
+		} );
+
+		it( 'add and detach the same root', () => {
+			model.change( () => {
+				addRoot( 'new', '$root' );
+				detachRoot( 'new' );
+
+				expectChanges( [] );
+				expect( differ.isEmpty ).to.be.true;
+			} );
+		} );
+
+		it( 'detach and re-add the same root', () => {
+			model.change( () => {
+				detachRoot( 'main' );
+				addRoot( 'main', '$root' );
+
+				expectChanges( [] );
+			} );
+		} );
+
+		it( 'root changes are placed before other changes', () => {
+			model.change( () => {
+				addRoot( 'new', '$root' );
+
+				const newRoot = doc.getRoot( 'new' );
+
+				insert( new Element( 'paragraph' ), new Position( newRoot, [ 0 ] ) );
+				remove( new Position( root, [ 0 ] ), 1 );
+
+				expectChanges( [
+					{ type: 'addRoot', rootName: 'new' },
+					{ type: 'remove', name: 'paragraph', length: 1, position: new Position( root, [ 0 ] ) },
+					{ type: 'insert', name: 'paragraph', length: 1, position: new Position( newRoot, [ 0 ] ) }
+				] );
+			} );
+		} );
+
+		it( 'should be treated as a data change', () => {
+			model.change( () => {
+				addRoot( 'new', '$root' );
+
+				expect( differ.isEmpty ).to.be.false;
+				expect( differ.hasDataChanges() ).to.be.true;
+			} );
+		} );
+
+		it( 'should be cleared after reset', () => {
+			model.change( () => {
+				addRoot( 'new', '$root' );
+
+				differ.reset();
+
+				expect( differ.isEmpty ).to.be.true;
+				expectChanges( [] );
+			} );
+		} );
+	} );
+
 	describe( 'other cases', () => {
 		// #1309.
 		it( 'multiple inserts and removes in one element', () => {
@@ -2028,6 +2109,19 @@ describe( 'Differ', () => {
 		model.applyOperation( operation );
 	}
 
+	function addRoot( rootName, elementName ) {
+		const operation = new RootOperation( rootName, elementName, true, doc, doc.version );
+
+		model.applyOperation( operation );
+	}
+
+	function detachRoot( rootName ) {
+		const rootElement = doc.getRoot( rootName );
+		const operation = new RootOperation( rootName, rootElement.name, false, doc, doc.version );
+
+		model.applyOperation( operation );
+	}
+
 	function expectChanges( expected, includeChangesInGraveyard = false ) {
 		const changes = differ.getChanges( { includeChangesInGraveyard } );
 
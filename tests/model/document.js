@@ -7,7 +7,9 @@ import Model from '../../src/model/model';
 import Document from '../../src/model/document';
 import RootElement from '../../src/model/rootelement';
 import Text from '../../src/model/text';
+import Element from '../../src/model/element';
 import Batch from '../../src/model/batch';
+import InsertOperation from '../../src/model/operation/insertoperation';
 import Collection from '@ckeditor/ckeditor5-utils/src/collection';
 import count from '@ckeditor/ckeditor5-utils/src/count';
 import { expectToThrowCKEditorError } from '@ckeditor/ckeditor5-utils/tests/_utils/utils';
@@ -102,6 +104,43 @@ describe( 'Document', () => {
 
 			expect( Array.from( doc.getRootNames() ) ).to.deep.equal( [ 'a', 'b' ] );
 		} );
+
+		it( 'should not return detached roots by default', () => {
+			doc.createRoot( '$root', 'a' );
+			doc.createRoot( '$root', 'b' );
+
+			model.change( writer => writer.detachRoot( 'a' ) );
+
+			expect( doc.getRootNames() ).to.deep.equal( [ 'b' ] );
+		} );
+
+		it( 'should return detached roots if includeDetached is set to true', () => {
+			doc.createRoot( '$root', 'a' );
+			doc.createRoot( '$root', 'b' );
+
+			model.change( writer => writer.detachRoot( 'a' ) );
+
+			expect( doc.getRootNames( true ) ).to.deep.equal( [ 'a', 'b' ] );
+		} );
+	} );
+
+	describe( 'getRoots()', () => {
+		it( 'should return all roots without the graveyard', () => {
+			const rootA = doc.createRoot( '$root', 'a' );
+			const rootB = doc.createRoot( '$root', 'b' );
+
+			expect( doc.getRoots() ).to.deep.equal( [ rootA, rootB ] );
+		} );
+
+		it( 'should not return detached roots unless includeDetached is set to true', () => {
+			const rootA = doc.createRoot( '$root', 'a' );
+			const rootB = doc.createRoot( '$root', 'b' );
+
+			model.change( writer => writer.detachRoot( rootA ) );
+
+			expect( doc.getRoots() ).to.deep.equal( [ rootB ] );
+			expect( doc.getRoots( true ) ).to.deep.equal( [ rootA, rootB ] );
+		} );
 	} );
 
 	describe( 'createRoot()', () => {
@@ -164,6 +203,15 @@ describe( 'Document', () => {
 
 			expect( doc._getDefaultRoot() ).to.equal( rootA );
 		} );
+
+		it( 'should omit detached roots', () => {
+			const rootA = doc.createRoot( '$root', 'rootA' );
+			const rootB = doc.createRoot( '$root', 'rootB' );
+
+			model.change( writer => writer.detachRoot( rootA ) );
+
+			expect( doc._getDefaultRoot() ).to.equal( rootB );
+		} );
 	} );
 
 	describe( 'destroy()', () => {
@@ -293,6 +341,292 @@ describe( 'Document', () => {
 		} );
 	} );
 
+	describe( 'element identifiers', () => {
+		let root;
+
+		beforeEach( () => {
+			root = doc.createRoot();
+		} );
+
+		function undoBatch( batch ) {
+			for ( const operation of batch.operations.slice().reverse() ) {
+				const reversed = operation.getReversed();
+
+				reversed.baseVersion = doc.version;
+				model.applyOperation( reversed );
+			}
+		}
+
+		it( 'should not be assigned if they are not enabled', () => {
+			model.change( writer => {
+				const paragraph = writer.createElement( 'paragraph' );
+
+				writer.insert( paragraph, root );
+				writer.split( writer.createPositionAt( paragraph, 0 ) );
+			} );
+
+			expect( root.getChild( 0 ).id ).to.be.null;
+			expect( root.getChild( 1 ).id ).to.be.null;
+			expect( doc.getElementById( 'foo' ) ).to.be.null;
+		} );
+
+		describe( 'enableElementIds()', () => {
+			it( 'should assign identifiers to the elements already in the document', () => {
+				const paragraph = new Element( 'paragraph' );
+				const image = new Element( 'image' );
+
+				image._id = 'foo';
+				root._appendChild( [ new Element( 'blockQuote', null, paragraph ), image ] );
+
+				doc.enableElementIds();
+
+				expect( paragraph.id ).to.be.a( 'string' );
+				expect( root.getChild( 0 ).id ).to.be.a( 'string' ).and.not.equal( paragraph.id );
+				expect( image.id ).to.equal( 'foo' );
+				expect( root.id ).to.be.null;
+
+				expect( doc.getElementById( paragraph.id ) ).to.equal( paragraph );
+				expect( doc.getElementById( 'foo' ) ).to.equal( image );
+			} );
+
+			it( 'should do nothing when called again', () => {
+				doc.enableElementIds();
+
+				const paragraph = model.change( writer => writer.createElement( 'paragraph' ) );
+
+				model.change( writer => writer.insert( paragraph, root ) );
+				doc.enableElementIds();
+
+				expect( doc.getElementById( paragraph.id ) ).to.equal( paragraph );
+			} );
+		} );
+
+		describe( 'with enabled identifiers', () => {
+			beforeEach( () => {
+				doc.enableElementIds();
+			} );
+
+			it( 'should assign unique identifiers to created elements', () => {
+				model.change( writer => {
+					const first = writer.createElement( 'paragraph' );
+					const second = writer.createElement( 'paragraph' );
+
+					expect( first.id ).to.be.a( 'string' );
+					expect( second.id ).to.be.a( 'string' ).and.not.equal( first.id );
+				} );
+			} );
+
+			it( 'should find inserted elements', () => {
+				const paragraph = model.change( writer => {
+					const blockQuote = writer.createElement( 'blockQuote' );
+
+					writer.insertElement( 'paragraph', blockQuote );
+					writer.insert( blockQuote, root );
+
+					return blockQuote.getChild( 0 );
+				} );
+
+				expect( doc.getElementById( paragraph.id ) ).to.equal( paragraph );
+				expect( doc.getElementById( paragraph.parent.id ) ).to.equal( paragraph.parent );
+				expect( doc.getElementById( 'foo' ) ).to.be.null;
+			} );
+
+			it( 'should not find elements in the graveyard', () => {
+				model.change( writer => writer.insertElement( 'paragraph', root ) );
+
+				const paragraph = root.getChild( 0 );
+
+				model.change( writer => writer.remove( paragraph ) );
+
+				expect( doc.getElementById( paragraph.id ) ).to.be.null;
+			} );
+
+			it( 'should not find elements in detached roots', () => {
+				model.change( writer => writer.insertElement( 'paragraph', root ) );
+
+				const paragraph = root.getChild( 0 );
+
+				model.change( writer => writer.detachRoot( 'main' ) );
+
+				expect( doc.getElementById( paragraph.id ) ).to.be.null;
+			} );
+
+			it( 'should remove elements which left the document from the index', () => {
+				model.change( writer => {
+					writer.insertElement( 'paragraph', root );
+					writer.insertElement( 'paragraph', root, 'end' );
+					writer.insertElement( 'paragraph', root, 'end' );
+				} );
+
+				const [ first, second, third ] = Array.from( root.getChildren() );
+
+				model.change( writer => writer.remove( first ) );
+
+				expect( doc._elementsById.has( first.id ) ).to.be.false;
+
+				model.change( writer => writer.merge( writer.createPositionAt( root, 1 ) ) );
+
+				expect( doc._elementsById.has( third.id ) ).to.be.false;
+				expect( doc._elementsById.get( second.id ) ).to.equal( second );
+
+				model.change( writer => writer.detachRoot( 'main' ) );
+
+				expect( doc._elementsById.size ).to.equal( 0 );
+			} );
+
+			it( 'should index elements again when they are brought back to the document', () => {
+				model.change( writer => writer.insertElement( 'paragraph', root ) );
+
+				const paragraph = root.getChild( 0 );
+				const batch = model.createBatch();
+
+				model.enqueueChange( batch, writer => writer.detachRoot( 'main' ) );
+				undoBatch( batch );
+
+				expect( doc._elementsById.get( paragraph.id ) ).to.equal( paragraph );
+				expect( doc.getElementById( paragraph.id ) ).to.equal( paragraph );
+			} );
+
+			it( 'should keep the identifier of a removed element when it is restored', () => {
+				model.change( writer => writer.insertElement( 'paragraph', root ) );
+
+				const paragraph = root.getChild( 0 );
+				const id = paragraph.id;
+				const batch = model.createBatch();
+
+				model.enqueueChange( batch, writer => writer.remove( paragraph ) );
+				undoBatch( batch );
+
+				expect( root.getChild( 0 ).id ).to.equal( id );
+				expect( doc.getElementById( id ) ).to.equal( root.getChild( 0 ) );
+			} );
+
+			it( 'should assign identifiers to inserted elements which do not have them', () => {
+				const paragraph = new Element( 'paragraph' );
+
+				model.change( writer => writer.insert( paragraph, root ) );
+
+				expect( root.getChild( 0 ).id ).to.be.a( 'string' );
+				expect( doc.getElementById( root.getChild( 0 ).id ) ).to.equal( root.getChild( 0 ) );
+			} );
+
+			it( 'should assign new identifiers to inserted elements if their identifiers are already used', () => {
+				model.change( writer => writer.insertElement( 'paragraph', root ) );
+
+				const original = root.getChild( 0 );
+				const fragment = model.change( writer => {
+					const fragment = writer.createDocumentFragment();
+
+					writer.append( original._clone(), fragment );
+					writer.append( original._clone(), fragment );
+
+					return fragment;
+				} );
+
+				model.change( writer => writer.insert( fragment, root, 'end' ) );
+
+				const ids = Array.from( root.getChildren() ).map( element => element.id );
+
+				expect( ids[ 0 ] ).to.equal( original.id );
+				expect( new Set( ids ).size ).to.equal( 3 );
+				expect( doc.getElementById( original.id ) ).to.equal( original );
+			} );
+
+			it( 'should keep identifiers of inserted elements', () => {
+				const paragraph = model.change( writer => writer.createElement( 'paragraph' ) );
+				const id = paragraph.id;
+
+				model.change( writer => writer.insert( paragraph, root ) );
+
+				expect( root.getChild( 0 ).id ).to.equal( id );
+			} );
+
+			it( 'should keep identifiers of elements inserted by remote operations', () => {
+				const element = new Element( 'paragraph' );
+
+				element._id = 'remote';
+
+				const json = new InsertOperation( model.createPositionAt( root, 0 ), element, 0 ).toJSON();
+
+				model.applyOperation( InsertOperation.fromJSON( json, doc ) );
+
+				expect( doc.getElementById( 'remote' ) ).to.equal( root.getChild( 0 ) );
+			} );
+
+			it( 'should keep the identifier of the split element and assign a new one to the created element', () => {
+				model.change( writer => {
+					writer.insertElement( 'paragraph', root );
+					writer.insertText( 'foobar', root.getChild( 0 ) );
+				} );
+
+				const paragraph = root.getChild( 0 );
+				const id = paragraph.id;
+
+				model.change( writer => writer.split( writer.createPositionAt( paragraph, 3 ) ) );
+
+				expect( root.getChild( 0 ) ).to.equal( paragraph );
+				expect( paragraph.id ).to.equal( id );
+				expect( root.getChild( 1 ).id ).to.be.a( 'string' ).and.not.equal( id );
+				expect( doc.getElementById( root.getChild( 1 ).id ) ).to.equal( root.getChild( 1 ) );
+			} );
+
+			it( 'should keep identifiers of merged elements after the merge is undone', () => {
+				model.change( writer => {
+					writer.insertElement( 'paragraph', root );
+					writer.insertElement( 'paragraph', root, 'end' );
+				} );
+
+				const [ firstId, secondId ] = Array.from( root.getChildren() ).map( element => element.id );
+				const batch = model.createBatch();
+
+				model.enqueueChange( batch, writer => writer.merge( writer.createPositionAt( root, 1 ) ) );
+
+				expect( root.childCount ).to.equal( 1 );
+				expect( root.getChild( 0 ).id ).to.equal( firstId );
+				expect( doc.getElementById( secondId ) ).to.be.null;
+
+				undoBatch( batch );
+
+				expect( root.getChild( 0 ).id ).to.equal( firstId );
+				expect( root.getChild( 1 ).id ).to.equal( secondId );
+				expect( doc.getElementById( secondId ) ).to.equal( root.getChild( 1 ) );
+			} );
+
+			it( 'should keep the identifier of a renamed element', () => {
+				model.change( writer => writer.insertElement( 'paragraph', root ) );
+
+				const id = root.getChild( 0 ).id;
+
+				model.change( writer => writer.rename( root.getChild( 0 ), 'heading1' ) );
+
+				expect( root.getChild( 0 ).id ).to.equal( id );
+			} );
+
+			it( 'should use the same identifiers for the split on other clients', () => {
+				const remoteModel = new Model();
+				const remoteRoot = remoteModel.document.createRoot();
+
+				remoteModel.document.enableElementIds();
+
+				const batch = model.createBatch();
+
+				model.enqueueChange( batch, writer => {
+					writer.insertElement( 'paragraph', root );
+					writer.split( writer.createPositionAt( root.getChild( 0 ), 0 ) );
+				} );
+
+				for ( const operation of batch.operations ) {
+					const json = JSON.parse( JSON.stringify( operation ) );
+
+					remoteModel.applyOperation( operation.constructor.fromJSON( json, remoteModel.document ) );
+				}
+
+				expect( remoteRoot.getChild( 0 ).id ).to.equal( root.getChild( 0 ).id );
+				expect( remoteRoot.getChild( 1 ).id ).to.equal( root.getChild( 1 ).id );
+			} );
+		} );
+	} );
+
 	describe( 'event change', () => {
 		it( 'should be fired if there was a change in a document tree in a change block and have a batch as a param', () => {
 			doc.createRoot();
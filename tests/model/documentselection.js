@@ -1780,6 +1780,24 @@ describe( 'DocumentSelection', () => {
 			} );
 		} );
 
+		describe( 'RootOperation', () => {
+			it( 'should remove ranges from the detached root', () => {
+				const otherRoot = doc.createRoot( '$root', 'other' );
+				otherRoot._appendChild( new Element( 'p', [], new Text( 'xyz' ) ) );
+
+				selection._setTo( new Position( root, [ 1, 3 ] ) );
+
+				spyRange.resetHistory();
+
+				model.change( writer => writer.detachRoot( root ) );
+
+				expect( selection.rangeCount ).to.equal( 1 );
+				expect( selection.getFirstPosition().root ).to.equal( otherRoot );
+				expect( selection.getFirstPosition().path ).to.deep.equal( [ 0, 0 ] );
+				expect( spyRange.called ).to.be.true;
+			} );
+		} );
+
 		it( '`DocumentSelection#change:range` event should be fire once even if selection contains multi-ranges', () => {
 			root._removeChildren( 0, root.childCount );
 			root._insertChild( 0, [
@@ -36,6 +36,12 @@ describe( 'Element', () => {
 			expect( element.maxOffset ).to.equal( 3 );
 			expect( element.getChild( 0 ).data ).to.equal( 'foo' );
 		} );
+
+		it( 'should create element without an identifier', () => {
+			const element = new Element( 'elem' );
+
+			expect( element.id ).to.be.null;
+		} );
 	} );
 
 	describe( 'is()', () => {
@@ -106,6 +112,19 @@ describe( 'Element', () => {
 			expect( copy.getChild( 0 ).getChild( 0 ).data ).to.equal( 'bar' );
 			expect( copy.getChild( 1 ).data ).to.equal( 'foo' );
 		} );
+
+		it( 'should keep identifiers of the element and its children', () => {
+			const p = new Element( 'p' );
+			const element = new Element( 'elem', null, [ p ] );
+
+			element._id = 'foo';
+			p._id = 'bar';
+
+			const copy = element._clone( true );
+
+			expect( copy.id ).to.equal( 'foo' );
+			expect( copy.getChild( 0 ).id ).to.equal( 'bar' );
+		} );
 	} );
 
 	describe( '_insertChild', () => {
@@ -369,6 +388,14 @@ describe( 'Element', () => {
 				name: null
 			} );
 		} );
+
+		it( 'should serialize element with identifier', () => {
+			const element = new Element( 'one' );
+
+			element._id = 'foo';
+
+			expect( element.toJSON() ).to.deep.equal( { name: 'one', id: 'foo' } );
+		} );
 	} );
 
 	describe( 'fromJSON', () => {
@@ -417,5 +444,18 @@ describe( 'Element', () => {
 			expect( deserialized.getChild( 1 ).data ).to.equal( 'foo' );
 			expect( deserialized.getChild( 1 ).parent ).to.equal( deserialized );
 		} );
+
+		it( 'should create element with identifier', () => {
+			const p = new Element( 'p' );
+			const el = new Element( 'el', null, [ p ] );
+
+			el._id = 'foo';
+			p._id = 'bar';
+
+			const deserialized = Element.fromJSON( el.toJSON() );
+
+			expect( deserialized.id ).to.equal( 'foo' );
+			expect( deserialized.getChild( 0 ).id ).to.equal( 'bar' );
+		} );
 	} );
 } );
@@ -4,7 +4,14 @@
  */
 
 import History from '../../src/model/history';
+import Model from '../../src/model/model';
+import Batch from '../../src/model/batch';
 import Operation from '../../src/model/operation/operation';
+import InsertOperation from '../../src/model/operation/insertoperation';
+import NoOperation from '../../src/model/operation/nooperation';
+import ModelTestEditor from '@ckeditor/ckeditor5-core/tests/_utils/modeltesteditor';
+import UndoEditing from '@ckeditor/ckeditor5-undo/src/undoediting';
+import { getData } from '../../src/dev-utils/model';
 
 describe( 'History', () => {
 	let history;
@@ -75,6 +82,17 @@ describe( 'History', () => {
 			expect( history.getOperation( -1 ) ).to.be.undefined;
 			expect( history.getOperation( 10 ) ).to.be.undefined;
 		} );
+
+		it( 'should return operation with given base version if base versions do not start from 0', () => {
+			const op5 = new Operation( 5 );
+			const op6 = new Operation( 6 );
+
+			history.addOperation( op5 );
+			history.addOperation( op6 );
+
+			expect( history.getOperation( 6 ) ).to.equal( op6 );
+			expect( history.getOperation( 0 ) ).to.be.undefined;
+		} );
 	} );
 
 	describe( 'getOperations', () => {
@@ -104,6 +122,579 @@ describe( 'History', () => {
 			expect( Array.from( history.getOperations( 20 ) ).length ).to.equal( 0 );
 			expect( Array.from( history.getOperations( -1 ) ).length ).to.equal( 0 );
 		} );
+
+		it( 'should return operations by their base versions if base versions do not start from 0', () => {
+			const op3 = new Operation( 3 );
+			const op4 = new Operation( 4 );
+
+			history.reset();
+			history.addOperation( op3 );
+			history.addOperation( op4 );
+
+			expect( history.getOperations( 4 ) ).to.deep.equal( [ op4 ] );
+			expect( history.getOperations( 0, 4 ) ).to.deep.equal( [ op3 ] );
+		} );
+	} );
+
+	describe( 'reset()', () => {
+		it( 'should remove all operations and undo information', () => {
+			const undone = new Operation( 0 );
+			const undoing = new Operation( 1 );
+
+			history.addOperation( undone );
+			history.addOperation( undoing );
+			history.setOperationAsUndone( undone, undoing );
+
+			history.reset();
+
+			expect( history.getOperations() ).to.deep.equal( [] );
+			expect( history.getOperation( 0 ) ).to.be.undefined;
+			expect( history.isUndoingOperation( undoing ) ).to.be.false;
+			expect( history.isUndoneOperation( undone ) ).to.be.false;
+		} );
+
+		it( 'should allow adding operations again', () => {
+			const op = new Operation( 0 );
+
+			history.addOperation( op );
+			history.reset();
+			history.addOperation( op );
+
+			expect( history.getOperations() ).to.deep.equal( [ op ] );
+		} );
+	} );
+
+	describe( '_removeOperations()', () => {
+		it( 'should remove operations from the given base version', () => {
+			const ops = getOperations();
+
+			for ( const op of ops ) {
+				history.addOperation( op );
+			}
+
+			history._removeOperations( 1 );
+
+			expect( history.getOperations() ).to.deep.equal( [ ops[ 0 ] ] );
+			expect( history.getOperation( 0 ) ).to.equal( ops[ 0 ] );
+			expect( history.getOperation( 1 ) ).to.be.undefined;
+		} );
+
+		it( 'should remove undo information of removed undoing operations', () => {
+			const ops = getOperations();
+
+			for ( const op of ops ) {
+				history.addOperation( op );
+			}
+
+			history.setOperationAsUndone( ops[ 0 ], ops[ 1 ] );
+			history._removeOperations( 2 );
+
+			expect( history.isUndoneOperation( ops[ 0 ] ) ).to.be.true;
+
+			history._removeOperations( 1 );
+
+			expect( history.isUndoneOperation( ops[ 0 ] ) ).to.be.false;
+			expect( history.isUndoingOperation( ops[ 1 ] ) ).to.be.false;
+		} );
+	} );
+
+	describe( 'compact()', () => {
+		let model, doc, root;
+
+		beforeEach( () => {
+			model = new Model();
+			doc = model.document;
+			root = doc.createRoot();
+			history = doc.history;
+
+			model.schema.register( 'paragraph', { inheritAllFrom: '$block' } );
+			model.schema.extend( '$text', { allowAttributes: [ 'bold' ] } );
+
+			model.change( writer => {
+				writer.insertElement( 'paragraph', root, 0 );
+			} );
+		} );
+
+		it( 'should merge consecutive text insertions of the same batch', () => {
+			const batch = model.createBatch();
+
+			for ( const character of 'foo' ) {
+				model.enqueueChange( batch, writer => {
+					writer.insertText( character, root.getChild( 0 ), 'end' );
+				} );
+			}
+
+			history.compact();
+
+			const operations = history.getOperations();
+
+			expect( operations.length ).to.equal( 4 );
+			expect( operations[ 3 ].baseVersion ).to.equal( 3 );
+			expect( operations[ 3 ].howMany ).to.equal( 3 );
+			expect( operations[ 3 ].nodes.getNode( 0 ).data ).to.equal( 'foo' );
+			expect( batch.operations ).to.deep.equal( operations.slice( 1 ) );
+			expect( operations[ 3 ].batch ).to.equal( batch );
+		} );
+
+		it( 'should replace the merged operations with no-operations to keep the base versions', () => {
+			const batch = model.createBatch();
+
+			for ( const character of 'foo' ) {
+				model.enqueueChange( batch, writer => {
+					writer.insertText( character, root.getChild( 0 ), 'end' );
+				} );
+			}
+
+			history.compact();
+
+			const merged = history.getOperations()[ 3 ];
+
+			expect( history.getOperation( 1 ) ).to.be.instanceof( NoOperation );
+			expect( history.getOperation( 1 ).baseVersion ).to.equal( 1 );
+			expect( history.getOperation( 2 ) ).to.be.instanceof( NoOperation );
+			expect( history.getOperation( 2 ).baseVersion ).to.equal( 2 );
+			expect( history.getOperation( 2 ).batch ).to.equal( merged.batch );
+			expect( history.getOperation( 3 ) ).to.equal( merged );
+			expect( history.isPruned( 2 ) ).to.be.false;
+		} );
+
+		it( 'should not merge text insertions which are not next to each other', () => {
+			const batch = model.createBatch();
+
+			model.enqueueChange( batch, writer => {
+				writer.insertText( 'foo', root.getChild( 0 ), 0 );
+				writer.insertText( 'bar', root.getChild( 0 ), 0 );
+			} );
+
+			history.compact();
+
+			expect( history.getOperations().length ).to.equal( 3 );
+		} );
+
+		it( 'should not merge operations of different batches', () => {
+			model.change( writer => {
+				writer.insertText( 'foo', root.getChild( 0 ), 0 );
+			} );
+
+			model.change( writer => {
+				writer.insertText( 'bar', root.getChild( 0 ), 3 );
+			} );
+
+			history.compact();
+
+			expect( history.getOperations().length ).to.equal( 3 );
+		} );
+
+		it( 'should merge attribute changes of the same range', () => {
+			model.change( writer => {
+				writer.insertText( 'foo', root.getChild( 0 ), 0 );
+			} );
+
+			const range = model.createRangeIn( root.getChild( 0 ) );
+			const batch = model.createBatch();
+
+			model.enqueueChange( batch, writer => {
+				writer.setAttribute( 'bold', 1, range );
+				writer.setAttribute( 'bold', 2, range );
+				writer.setAttribute( 'bold', 3, range );
+			} );
+
+			history.compact();
+
+			const operations = history.getOperations();
+
+			expect( operations.length ).to.equal( 5 );
+			expect( operations[ 4 ].type ).to.equal( 'addAttribute' );
+			expect( operations[ 4 ].oldValue ).to.be.null;
+			expect( operations[ 4 ].newValue ).to.equal( 3 );
+			expect( operations[ 4 ].baseVersion ).to.equal( 4 );
+			expect( history.getOperation( 4 ) ).to.equal( operations[ 4 ] );
+		} );
+
+		it( 'should not merge attribute changes which revert each other', () => {
+			model.change( writer => {
+				writer.insertText( 'foo', root.getChild( 0 ), 0 );
+			} );
+
+			const range = model.createRangeIn( root.getChild( 0 ) );
+
+			model.change( writer => {
+				writer.setAttribute( 'bold', true, range );
+				writer.removeAttribute( 'bold', range );
+			} );
+
+			history.compact();
+
+			expect( history.getOperations().length ).to.equal( 4 );
+		} );
+
+		it( 'should not merge undone and undoing operations', () => {
+			const batch = model.createBatch();
+
+			model.enqueueChange( batch, writer => {
+				writer.insertText( 'foo', root.getChild( 0 ), 0 );
+				writer.insertText( 'bar', root.getChild( 0 ), 3 );
+			} );
+
+			const operations = history.getOperations();
+
+			history.setOperationAsUndone( operations[ 1 ], new Operation( 10 ) );
+			history.compact();
+
+			expect( history.getOperations().length ).to.equal( 3 );
+		} );
+
+		it( 'should not change the document when the merged operations are applied', () => {
+			const batch = model.createBatch();
+
+			for ( const character of 'foo' ) {
+				model.enqueueChange( batch, writer => {
+					writer.insertText( character, { bold: true }, root.getChild( 0 ), 'end' );
+				} );
+			}
+
+			history.compact();
+
+			const otherModel = new Model();
+			const otherRoot = otherModel.document.createRoot();
+
+			otherModel.change( () => {
+				for ( const operation of history.getOperations() ) {
+					otherModel.applyOperation( otherModel.createOperationFromJSON( JSON.parse( JSON.stringify( operation ) ) ) );
+				}
+			} );
+
+			expect( JSON.stringify( otherRoot.getChild( 0 ) ) ).to.equal( JSON.stringify( root.getChild( 0 ) ) );
+		} );
+
+		it( 'should allow undoing the merged operations', () => {
+			return ModelTestEditor.create( { plugins: [ UndoEditing ] } ).then( editor => {
+				const model = editor.model;
+				const root = model.document.getRoot();
+
+				model.schema.register( 'paragraph', { inheritAllFrom: '$block' } );
+
+				model.change( writer => {
+					writer.insertElement( 'paragraph', root, 0 );
+				} );
+
+				model.change( writer => {
+					writer.insertText( 'foo', root.getChild( 0 ), 0 );
+					writer.insertText( 'bar', root.getChild( 0 ), 3 );
+				} );
+
+				model.document.history.compact();
+				editor.execute( 'undo' );
+
+				expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph></paragraph>' );
+
+				editor.execute( 'redo' );
+
+				expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>foobar</paragraph>' );
+
+				return editor.destroy();
+			} );
+		} );
+
+		it( 'should prune operations before the given base version', () => {
+			model.change( writer => {
+				writer.insertText( 'foo', root.getChild( 0 ), 0 );
+				writer.insertText( 'bar', root.getChild( 0 ), 0 );
+			} );
+
+			const operations = history.getOperations();
+
+			history.compact( { before: 2 } );
+
+			expect( history.getOperations() ).to.deep.equal( [ operations[ 2 ] ] );
+			expect( history.getOperation( 1 ) ).to.be.undefined;
+			expect( history.getOperation( 2 ) ).to.equal( operations[ 2 ] );
+			expect( history.isPruned( 1 ) ).to.be.true;
+			expect( history.isPruned( 2 ) ).to.be.false;
+		} );
+
+		it( 'should keep the given number of the newest operations', () => {
+			model.change( writer => {
+				writer.insertText( 'foo', root.getChild( 0 ), 0 );
+				writer.insertText( 'bar', root.getChild( 0 ), 0 );
+			} );
+
+			const operations = history.getOperations();
+
+			history.compact( { keepOperations: 1 } );
+
+			expect( history.getOperations() ).to.deep.equal( [ operations[ 2 ] ] );
+			expect( history.isPruned( 1 ) ).to.be.true;
+		} );
+
+		it( 'should mark all base versions of a pruned merged operation as pruned', () => {
+			const batch = model.createBatch();
+
+			for ( const character of 'foo' ) {
+				model.enqueueChange( batch, writer => {
+					writer.insertText( character, root.getChild( 0 ), 'end' );
+				} );
+			}
+
+			history.compact( { keepOperations: 0 } );
+
+			expect( history.getOperations() ).to.deep.equal( [] );
+			expect( history.getOperation( 3 ) ).to.be.undefined;
+			expect( history.isPruned( 3 ) ).to.be.true;
+			expect( history.isPruned( 4 ) ).to.be.false;
+		} );
+
+		it( 'should remove the undo information of the pruned operations', () => {
+			model.change( writer => {
+				writer.insertText( 'foo', root.getChild( 0 ), 0 );
+			} );
+
+			const operations = history.getOperations();
+
+			history.setOperationAsUndone( operations[ 0 ], operations[ 1 ] );
+			history.compact( { before: 1 } );
+
+			expect( history.isUndoingOperation( operations[ 1 ] ) ).to.be.false;
+		} );
+
+		it( 'should not merge operations if merging is disabled', () => {
+			const batch = model.createBatch();
+
+			for ( const character of 'foo' ) {
+				model.enqueueChange( batch, writer => {
+					writer.insertText( character, root.getChild( 0 ), 'end' );
+				} );
+			}
+
+			history.compact( { merge: false } );
+
+			expect( history.getOperations().length ).to.equal( 4 );
+		} );
+	} );
+
+	describe( 'maxOperations', () => {
+		it( 'should be unlimited by default', () => {
+			expect( history.maxOperations ).to.equal( Number.POSITIVE_INFINITY );
+		} );
+
+		it( 'should prune the oldest operations when the limit is exceeded', () => {
+			const ops = getOperations();
+
+			history.maxOperations = 2;
+
+			for ( const op of ops ) {
+				history.addOperation( op );
+			}
+
+			expect( history.getOperations() ).to.deep.equal( [ ops[ 1 ], ops[ 2 ] ] );
+			expect( history.getOperation( 0 ) ).to.be.undefined;
+			expect( history.getOperation( 2 ) ).to.equal( ops[ 2 ] );
+			expect( history.isPruned( 0 ) ).to.be.true;
+			expect( history.isPruned( 1 ) ).to.be.false;
+		} );
+
+		it( 'should not be reset by reset()', () => {
+			history.maxOperations = 2;
+			history.addOperation( new Operation( 0 ) );
+			history.compact( { before: 1 } );
+			history.reset();
+
+			expect( history.maxOperations ).to.equal( 2 );
+			expect( history.isPruned( 0 ) ).to.be.false;
+		} );
+	} );
+
+	describe( 'toJSON()', () => {
+		it( 'should serialize operations, batches and undo pairs', () => {
+			const ops = getOperations();
+			const batch = new Batch( 'default', { authorId: 'user-1' } );
+
+			batch.addOperation( ops[ 0 ] );
+			batch.addOperation( ops[ 1 ] );
+
+			for ( const op of ops ) {
+				history.addOperation( op );
+			}
+
+			history.setOperationAsUndone( ops[ 0 ], ops[ 2 ] );
+
+			expect( JSON.parse( JSON.stringify( history ) ) ).to.deep.equal( {
+				operations: [
+					{ __className: 'Operation', baseVersion: 0, metadata: { authorId: 'user-1' } },
+					{ __className: 'Operation', baseVersion: 1, metadata: { authorId: 'user-1' } },
+					{ __className: 'Operation', baseVersion: 2 }
+				],
+				batches: [
+					{ type: 'default', metadata: { authorId: 'user-1' }, operations: [ 0, 1 ] }
+				],
+				undoPairs: [ [ 2, 0 ] ],
+				prunedVersion: 0
+			} );
+		} );
+
+		it( 'should group the operations of interleaved batches', () => {
+			const ops = getOperations();
+			const batchA = new Batch();
+			const batchB = new Batch( 'transparent' );
+
+			batchA.addOperation( ops[ 0 ] );
+			batchB.addOperation( ops[ 1 ] );
+			batchA.addOperation( ops[ 2 ] );
+
+			for ( const op of ops ) {
+				history.addOperation( op );
+			}
+
+			expect( history.toJSON().batches ).to.deep.equal( [
+				{ type: 'default', metadata: {}, operations: [ 0, 2 ] },
+				{ type: 'transparent', metadata: {}, operations: [ 1 ] }
+			] );
+		} );
+
+		it( 'should skip undo pairs of operations which are not in the history', () => {
+			const ops = getOperations();
+
+			history.addOperation( ops[ 0 ] );
+			history.setOperationAsUndone( ops[ 1 ], ops[ 2 ] );
+
+			expect( history.toJSON().undoPairs ).to.deep.equal( [] );
+		} );
+	} );
+
+	describe( 'fromJSON()', () => {
+		let model, root;
+
+		beforeEach( () => {
+			model = new Model();
+			root = model.document.createRoot();
+
+			model.schema.register( 'paragraph', { inheritAllFrom: '$block' } );
+		} );
+
+		it( 'should restore operations', () => {
+			model.change( writer => {
+				writer.insertElement( 'paragraph', root, 0 );
+				writer.insertText( 'foo', root.getChild( 0 ), 0 );
+			} );
+
+			const json = JSON.parse( JSON.stringify( model.document.history ) );
+			const restored = History.fromJSON( json, model.document );
+			const operations = restored.getOperations();
+
+			expect( operations.length ).to.equal( 2 );
+			expect( operations[ 0 ] ).to.be.instanceof( InsertOperation );
+			expect( operations[ 1 ].position.root ).to.equal( root );
+			expect( restored.getOperation( 1 ) ).to.equal( operations[ 1 ] );
+			expect( operations.map( op => JSON.stringify( op ) ) ).to.deep.equal( json.operations.map( op => JSON.stringify( op ) ) );
+		} );
+
+		it( 'should restore batches', () => {
+			model.enqueueChange( model.createBatch( 'transparent', { origin: 'remote' } ), writer => {
+				writer.insertElement( 'paragraph', root, 0 );
+				writer.insertText( 'foo', root.getChild( 0 ), 0 );
+			} );
+
+			model.change( writer => {
+				writer.insertText( 'bar', root.getChild( 0 ), 0 );
+			} );
+
+			const operations = History.fromJSON( model.document.history.toJSON(), model.document ).getOperations();
+
+			expect( operations[ 0 ].batch ).to.equal( operations[ 1 ].batch );
+			expect( operations[ 0 ].batch.operations ).to.deep.equal( [ operations[ 0 ], operations[ 1 ] ] );
+			expect( operations[ 0 ].batch.type ).to.equal( 'transparent' );
+			expect( operations[ 0 ].batch.metadata ).to.deep.equal( { origin: 'remote' } );
+			expect( operations[ 2 ].batch ).to.not.equal( operations[ 0 ].batch );
+			expect( operations[ 2 ].batch.type ).to.equal( 'default' );
+		} );
+
+		it( 'should restore merged and pruned base versions', () => {
+			const batch = model.createBatch();
+
+			model.change( writer => {
+				writer.insertElement( 'paragraph', root, 0 );
+			} );
+
+			for ( const character of 'foo' ) {
+				model.enqueueChange( batch, writer => {
+					writer.insertText( character, root.getChild( 0 ), 'end' );
+				} );
+			}
+
+			model.document.history.compact( { before: 1 } );
+
+			const restored = History.fromJSON( JSON.parse( JSON.stringify( model.document.history ) ), model.document );
+			const merged = restored.getOperations()[ 2 ];
+
+			expect( restored.getOperations().length ).to.equal( 3 );
+			expect( restored.getOperation( 2 ) ).to.be.instanceof( NoOperation );
+			expect( restored.getOperation( 3 ) ).to.equal( merged );
+			expect( merged.howMany ).to.equal( 3 );
+			expect( restored.isPruned( 0 ) ).to.be.true;
+			expect( restored.isPruned( 1 ) ).to.be.false;
+		} );
+
+		it( 'should restore undo pairs', () => {
+			const ops = getOperations();
+
+			for ( const op of ops ) {
+				history.addOperation( op );
+			}
+
+			history.setOperationAsUndone( ops[ 1 ], ops[ 2 ] );
+
+			const restored = History.fromJSON( history.toJSON(), model.document );
+			const undone = restored.getOperation( 1 );
+			const undoing = restored.getOperation( 2 );
+
+			expect( restored.isUndoneOperation( undone ) ).to.be.true;
+			expect( restored.isUndoingOperation( undoing ) ).to.be.true;
+			expect( restored.getUndoneOperation( undoing ) ).to.equal( undone );
+		} );
+	} );
+
+	describe( '_restore()', () => {
+		let model, root;
+
+		beforeEach( () => {
+			model = new Model();
+			root = model.document.createRoot();
+
+			model.schema.register( 'paragraph', { inheritAllFrom: '$block' } );
+
+			model.change( writer => {
+				writer.insertElement( 'paragraph', root, 0 );
+				writer.insertText( 'foo', root.getChild( 0 ), 0 );
+				writer.insertText( 'bar', root.getChild( 0 ), 0 );
+			} );
+		} );
+
+		it( 'should replace the operations of the history', () => {
+			const ops = getOperations();
+
+			history.addOperation( ops[ 0 ] );
+			history.addOperation( ops[ 1 ] );
+			history.setOperationAsUndone( ops[ 0 ], ops[ 1 ] );
+
+			history._restore( model.document.history.toJSON(), model.document );
+
+			const operations = history.getOperations();
+
+			expect( operations.length ).to.equal( 3 );
+			expect( operations[ 0 ] ).to.be.instanceof( InsertOperation );
+			expect( history.getOperation( 0 ) ).to.equal( operations[ 0 ] );
+			expect( history.isUndoneOperation( ops[ 0 ] ) ).to.be.false;
+		} );
+
+		it( 'should keep the maximum number of operations and prune the oldest restored operations', () => {
+			history.maxOperations = 2;
+
+			history._restore( model.document.history.toJSON(), model.document );
+
+			expect( history.maxOperations ).to.equal( 2 );
+			expect( history.getOperations().map( operation => operation.baseVersion ) ).to.deep.equal( [ 1, 2 ] );
+			expect( history.isPruned( 0 ) ).to.be.true;
+		} );
 	} );
 
 	describe( 'isUndoingOperation', () => {
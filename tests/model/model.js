@@ -12,9 +12,12 @@ import ModelSelection from '../../src/model/selection';
 import ModelDocumentFragment from '../../src/model/documentfragment';
 import Batch from '../../src/model/batch';
 import NoOperation from '../../src/model/operation/nooperation';
+import RenameOperation from '../../src/model/operation/renameoperation';
 import { getData, setData, stringify } from '../../src/dev-utils/model';
 import { expectToThrowCKEditorError } from '@ckeditor/ckeditor5-utils/tests/_utils/utils';
 import CKEditorError from '@ckeditor/ckeditor5-utils/src/ckeditorerror';
+import ModelTestEditor from '@ckeditor/ckeditor5-core/tests/_utils/modeltesteditor';
+import UndoEditing from '@ckeditor/ckeditor5-undo/src/undoediting';
 
 describe( 'Model', () => {
 	let model, schema, changes;
@@ -362,6 +365,232 @@ describe( 'Model', () => {
 				} );
 			}, /foo/, null, { foo: 1 } );
 		} );
+
+		describe( 'atomic mode', () => {
+			let root;
+
+			beforeEach( () => {
+				schema.register( 'paragraph', { inheritAllFrom: '$block' } );
+				schema.register( 'heading1', { inheritAllFrom: '$block' } );
+
+				root = model.document.getRoot();
+
+				setData( model, '<paragraph>foo</paragraph>' );
+			} );
+
+			it( 'should return the value returned by the callback', () => {
+				const result = model.change( writer => {
+					writer.insertText( 'bar', root.getChild( 0 ), 'end' );
+
+					return 'baz';
+				}, { atomic: true } );
+
+				expect( result ).to.equal( 'baz' );
+				expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>foobar</paragraph>' );
+			} );
+
+			it( 'should roll back removals followed by insertions and splits', () => {
+				setData( model, '<paragraph>foo</paragraph><paragraph>bar</paragraph>' );
+
+				expectToThrowCKEditorError( () => {
+					model.change( writer => {
+						writer.remove( root.getChild( 1 ) );
+						writer.insertElement( 'paragraph', root, 0 );
+						writer.split( model.createPositionAt( root.getChild( 1 ), 1 ) );
+
+						throw new CKEditorError( 'foo', null );
+					}, { atomic: true } );
+				}, /^foo/ );
+
+				expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>foo</paragraph><paragraph>bar</paragraph>' );
+			} );
+
+			it( 'should roll back the changes and rethrow the error', () => {
+				const version = model.document.version;
+				const historyLength = model.document.history.getOperations().length;
+				const changeSpy = sinon.spy();
+				let batch;
+
+				model.document.on( 'change', changeSpy );
+
+				expectToThrowCKEditorError( () => {
+					model.change( writer => {
+						batch = writer.batch;
+
+						writer.insertText( 'bar', root.getChild( 0 ), 'end' );
+						writer.setAttribute( 'foo', 'bar', root.getChild( 0 ) );
+						writer.rename( root.getChild( 0 ), 'heading1' );
+
+						throw new CKEditorError( 'foo', null );
+					}, { atomic: true } );
+				}, /foo/, null );
+
+				expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>foo</paragraph>' );
+				expect( root.getChild( 0 ).hasAttribute( 'foo' ) ).to.be.false;
+				expect( model.document.version ).to.equal( version );
+				expect( model.document.history.getOperations().length ).to.equal( historyLength );
+				expect( model.document.differ.isEmpty ).to.be.true;
+				expect( batch.operations ).to.deep.equal( [] );
+
+				sinon.assert.notCalled( changeSpy );
+			} );
+
+			it( 'should roll back the changes in an editor with the undo feature', () => {
+				return ModelTestEditor.create( { plugins: [ UndoEditing ] } ).then( editor => {
+					const model = editor.model;
+					const root = model.document.getRoot();
+
+					model.schema.register( 'paragraph', { inheritAllFrom: '$block' } );
+					setData( model, '<paragraph>foo</paragraph>' );
+
+					const version = model.document.version;
+					const historyLength = model.document.history.getOperations().length;
+
+					expectToThrowCKEditorError( () => {
+						model.change( writer => {
+							writer.insertText( 'bar', root.getChild( 0 ), 0 );
+
+							throw new CKEditorError( 'foo', null );
+						}, { atomic: true } );
+					}, /^foo/ );
+
+					expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>foo</paragraph>' );
+					expect( model.document.version ).to.equal( version );
+					expect( model.document.history.getOperations().length ).to.equal( historyLength );
+
+					return editor.destroy();
+				} );
+			} );
+
+			it( 'should roll back the changes done by post-fixers which throw an error', () => {
+				model.document.registerPostFixer( writer => {
+					if ( root.getChild( 0 ).is( 'paragraph' ) ) {
+						writer.rename( root.getChild( 0 ), 'heading1' );
+
+						throw new CKEditorError( 'foo', null );
+					}
+				} );
+
+				expectToThrowCKEditorError( () => {
+					model.change( writer => {
+						writer.insertText( 'bar', root.getChild( 0 ), 'end' );
+					}, { atomic: true } );
+				}, /foo/, null );
+
+				expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>foo</paragraph>' );
+			} );
+
+			it( 'should not execute the changes enqueued in the failed block', () => {
+				const spy = sinon.spy();
+
+				expectToThrowCKEditorError( () => {
+					model.change( writer => {
+						model.enqueueChange( spy );
+						writer.insertText( 'bar', root.getChild( 0 ), 'end' );
+
+						throw new CKEditorError( 'foo', null );
+					}, { atomic: true } );
+				}, /foo/, null );
+
+				sinon.assert.notCalled( spy );
+			} );
+
+			it( 'should leave the model ready for next changes', () => {
+				const afterChangesSpy = sinon.spy();
+				const changeSpy = sinon.spy();
+
+				model.on( '_afterChanges', afterChangesSpy );
+
+				expectToThrowCKEditorError( () => {
+					model.change( writer => {
+						writer.insertText( 'bar', root.getChild( 0 ), 'end' );
+
+						throw new CKEditorError( 'foo', null );
+					}, { atomic: true } );
+				}, /foo/, null );
+
+				sinon.assert.calledOnce( afterChangesSpy );
+
+				model.document.on( 'change', changeSpy );
+
+				model.change( writer => {
+					writer.insertText( 'x', root.getChild( 0 ), 0 );
+				} );
+
+				sinon.assert.calledOnce( changeSpy );
+				expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>xfoo</paragraph>' );
+				expect( model.document.history.getOperation( model.document.version - 1 ).type ).to.equal( 'insert' );
+			} );
+
+			it( 'should roll back only the changes of a nested block', () => {
+				let batch;
+
+				model.change( writer => {
+					batch = writer.batch;
+
+					writer.insertText( 'bar', root.getChild( 0 ), 'end' );
+
+					try {
+						model.change( writer => {
+							writer.rename( root.getChild( 0 ), 'heading1' );
+							writer.insertText( 'baz', root.getChild( 0 ), 'end' );
+
+							throw new CKEditorError( 'foo', null );
+						}, { atomic: true } );
+					} catch ( err ) {
+						// Ignore the error.
+					}
+
+					writer.insertText( 'x', root.getChild( 0 ), 0 );
+				} );
+
+				expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>xfoobar</paragraph>' );
+				expect( batch.operations.map( operation => operation.type ) ).to.deep.equal( [ 'insert', 'insert' ] );
+				expect( model.document.history.getOperations().slice( -2 ).map( operation => operation.baseVersion ) ).to.deep.equal( [
+					model.document.version - 2,
+					model.document.version - 1
+				] );
+			} );
+
+			it( 'should keep the changes of the outer block in the differ when a nested block fails', () => {
+				const changedItems = [];
+
+				model.document.on( 'change', () => {
+					for ( const change of model.document.differ.getChanges() ) {
+						changedItems.push( change.type + ':' + change.name );
+					}
+				} );
+
+				model.change( writer => {
+					writer.insertText( 'bar', root.getChild( 0 ), 'end' );
+
+					try {
+						model.change( writer => {
+							writer.insertElement( 'paragraph', root, 'end' );
+
+							throw new CKEditorError( 'foo', null );
+						}, { atomic: true } );
+					} catch ( err ) {
+						// Ignore the error.
+					}
+				} );
+
+				expect( changedItems ).to.deep.equal( [ 'insert:$text' ] );
+				expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>foobar</paragraph>' );
+			} );
+
+			it( 'should not roll back the changes if the callback does not throw', () => {
+				model.change( writer => {
+					writer.insertText( 'bar', root.getChild( 0 ), 'end' );
+
+					model.change( writer => {
+						writer.rename( root.getChild( 0 ), 'heading1' );
+					}, { atomic: true } );
+				} );
+
+				expect( getData( model, { withoutSelection: true } ) ).to.equal( '<heading1>foobar</heading1>' );
+			} );
+		} );
 	} );
 
 	describe( 'applyOperation()', () => {
@@ -377,6 +606,315 @@ describe( 'Model', () => {
 		} );
 	} );
 
+	describe( 'addOperationFilter()', () => {
+		let root;
+
+		beforeEach( () => {
+			schema.register( 'paragraph', { inheritAllFrom: '$block' } );
+			schema.register( 'heading1', { inheritAllFrom: '$block' } );
+
+			root = model.document.getRoot();
+
+			setData( model, '<paragraph>foo</paragraph>' );
+		} );
+
+		it( 'should call the filter with every operation before it is applied', () => {
+			const versions = [];
+
+			model.addOperationFilter( operation => {
+				versions.push( [ operation.type, operation.baseVersion, model.document.version ] );
+			} );
+
+			model.change( writer => {
+				writer.insertText( 'bar', root.getChild( 0 ), 'end' );
+				writer.rename( root.getChild( 0 ), 'heading1' );
+			} );
+
+			const version = model.document.version;
+
+			expect( versions ).to.deep.equal( [ [ 'insert', version - 2, version - 2 ], [ 'rename', version - 1, version - 1 ] ] );
+			expect( getData( model, { withoutSelection: true } ) ).to.equal( '<heading1>foobar</heading1>' );
+		} );
+
+		it( 'should abort the change block when an operation is rejected', () => {
+			const version = model.document.version;
+			const historyLength = model.document.history.getOperations().length;
+			const changeSpy = sinon.spy();
+			const afterSpy = sinon.spy();
+
+			model.document.on( 'change', changeSpy );
+			model.addOperationFilter( operation => operation.type != 'rename' );
+
+			const result = model.change( writer => {
+				writer.insertText( 'bar', root.getChild( 0 ), 'end' );
+				writer.setAttribute( 'foo', 'bar', root.getChild( 0 ) );
+				writer.rename( root.getChild( 0 ), 'heading1' );
+
+				afterSpy();
+
+				return true;
+			} );
+
+			expect( result ).to.be.undefined;
+			expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>foo</paragraph>' );
+			expect( root.getChild( 0 ).hasAttribute( 'foo' ) ).to.be.false;
+			expect( model.document.version ).to.equal( version );
+			expect( model.document.history.getOperations().length ).to.equal( historyLength );
+			expect( model.document.differ.isEmpty ).to.be.true;
+
+			sinon.assert.notCalled( afterSpy );
+			sinon.assert.notCalled( changeSpy );
+		} );
+
+		it( 'should remove the operations of the aborted block from the batch', () => {
+			const batch = model.createBatch();
+
+			model.enqueueChange( batch, writer => {
+				writer.insertText( 'bar', root.getChild( 0 ), 'end' );
+			} );
+
+			model.addOperationFilter( operation => operation.type != 'rename' );
+
+			model.enqueueChange( batch, writer => {
+				writer.insertText( 'baz', root.getChild( 0 ), 'end' );
+				writer.rename( root.getChild( 0 ), 'heading1' );
+			} );
+
+			expect( batch.operations.map( operation => operation.type ) ).to.deep.equal( [ 'insert' ] );
+			expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>foobar</paragraph>' );
+		} );
+
+		it( 'should abort the change block when an operation done by a post-fixer is rejected', () => {
+			model.document.registerPostFixer( writer => {
+				const paragraph = root.getChild( 0 );
+
+				if ( paragraph.name == 'paragraph' ) {
+					writer.rename( paragraph, 'heading1' );
+
+					return true;
+				}
+			} );
+
+			model.addOperationFilter( operation => operation.type != 'rename' );
+
+			model.change( writer => {
+				writer.insertText( 'bar', root.getChild( 0 ), 'end' );
+			} );
+
+			expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>foo</paragraph>' );
+		} );
+
+		it( 'should allow further changes after the block was aborted', () => {
+			const changeSpy = sinon.spy();
+
+			model.document.on( 'change', changeSpy );
+			model.addOperationFilter( operation => operation.type != 'rename' );
+
+			model.change( writer => {
+				writer.insertText( 'bar', root.getChild( 0 ), 'end' );
+
+				model.enqueueChange( writer => {
+					writer.insertText( 'baz', root.getChild( 0 ), 'end' );
+				} );
+
+				writer.rename( root.getChild( 0 ), 'heading1' );
+			} );
+
+			model.change( writer => {
+				writer.insertText( 'xyz', root.getChild( 0 ), 0 );
+			} );
+
+			expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>xyzfoobaz</paragraph>' );
+			sinon.assert.calledTwice( changeSpy );
+		} );
+
+		it( 'should abort the change block when an operation is rejected in a nested change block', () => {
+			model.addOperationFilter( operation => operation.type != 'rename' );
+
+			model.change( writer => {
+				writer.insertText( 'bar', root.getChild( 0 ), 'end' );
+
+				model.change( writer => {
+					writer.rename( root.getChild( 0 ), 'heading1' );
+				} );
+			} );
+
+			expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>foo</paragraph>' );
+		} );
+
+		it( 'should roll back removals followed by insertions and splits', () => {
+			setData( model, '<paragraph>foo</paragraph><paragraph>bar</paragraph>' );
+
+			model.addOperationFilter( operation => operation.type != 'rename' );
+
+			model.change( writer => {
+				writer.remove( root.getChild( 1 ) );
+				writer.insertElement( 'paragraph', root, 0 );
+				writer.split( model.createPositionAt( root.getChild( 1 ), 1 ) );
+				writer.rename( root.getChild( 0 ), 'heading1' );
+			} );
+
+			expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>foo</paragraph><paragraph>bar</paragraph>' );
+		} );
+
+		it( 'should abort the change block in an editor with the undo feature', () => {
+			return ModelTestEditor.create( { plugins: [ UndoEditing ] } ).then( editor => {
+				const model = editor.model;
+				const root = model.document.getRoot();
+
+				model.schema.register( 'paragraph', { inheritAllFrom: '$block' } );
+				setData( model, '<paragraph>foo</paragraph>' );
+
+				const version = model.document.version;
+
+				model.addOperationFilter( operation => operation.type != 'addAttribute' );
+
+				model.change( writer => {
+					writer.insertText( 'bar', root.getChild( 0 ), 0 );
+					writer.setAttribute( 'foo', 'bar', root.getChild( 0 ) );
+				} );
+
+				expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>foo</paragraph>' );
+				expect( model.document.version ).to.equal( version );
+
+				return editor.destroy();
+			} );
+		} );
+
+		it( 'should keep the differ entries buffered before the aborted change block', () => {
+			model.addOperationFilter( operation => operation.type != 'rename' );
+
+			// The marker is set outside of a change block, so its change stays buffered in the differ.
+			model.markers._set( 'foo', model.createRangeIn( root.getChild( 0 ) ) );
+
+			model.change( writer => {
+				writer.insertText( 'bar', root.getChild( 0 ), 'end' );
+				writer.rename( root.getChild( 0 ), 'heading1' );
+			} );
+
+			expect( model.document.differ.getMarkersToAdd().map( marker => marker.name ) ).to.deep.equal( [ 'foo' ] );
+			expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>foo</paragraph>' );
+		} );
+
+		it( 'should pass the filtered operation to the other highest priority listeners', () => {
+			const spy = sinon.spy();
+
+			model.on( 'applyOperation', ( evt, args ) => spy( args[ 0 ].newValue ), { priority: 'highest' } );
+
+			model.addOperationFilter( operation => {
+				const replacement = operation.clone();
+
+				replacement.newValue = 'blue';
+
+				return replacement;
+			} );
+
+			model.change( writer => {
+				writer.setAttribute( 'color', 'red', root.getChild( 0 ) );
+			} );
+
+			sinon.assert.calledWithExactly( spy, 'blue' );
+		} );
+
+		it( 'should apply the operation returned by the filter instead of the original one', () => {
+			model.addOperationFilter( operation => {
+				if ( operation.type == 'addAttribute' && operation.newValue == 'red' ) {
+					const replacement = operation.clone();
+
+					replacement.newValue = 'blue';
+
+					return replacement;
+				}
+			} );
+
+			let batch;
+
+			model.change( writer => {
+				writer.setAttribute( 'color', 'red', root.getChild( 0 ) );
+
+				batch = writer.batch;
+			} );
+
+			expect( root.getChild( 0 ).getAttribute( 'color' ) ).to.equal( 'blue' );
+			expect( batch.operations[ 0 ].newValue ).to.equal( 'blue' );
+			expect( batch.operations[ 0 ].batch ).to.equal( batch );
+			expect( model.document.history.getOperation( model.document.version - 1 ) ).to.equal( batch.operations[ 0 ] );
+		} );
+
+		it( 'should pass the operation returned by a filter to the next filter', () => {
+			const spy = sinon.spy();
+
+			model.addOperationFilter( operation => {
+				const replacement = operation.clone();
+
+				replacement.newValue = 'blue';
+
+				return replacement;
+			} );
+
+			model.addOperationFilter( operation => spy( operation.newValue ) );
+
+			model.change( writer => {
+				writer.setAttribute( 'color', 'red', root.getChild( 0 ) );
+			} );
+
+			sinon.assert.calledWithExactly( spy, 'blue' );
+		} );
+
+		it( 'should throw when an operation applied outside of a change block is rejected', () => {
+			model.addOperationFilter( () => false );
+
+			const operation = new NoOperation( model.document.version );
+
+			expectToThrowCKEditorError( () => {
+				model.applyOperation( operation );
+			}, /model-applyoperation-rejected/, model, { operation } );
+		} );
+
+		it( 'should not disable the filters when a reversed operation cannot be applied', () => {
+			const error = new CKEditorError( 'foo', null );
+
+			model.addOperationFilter( operation => operation.type != 'rename' );
+
+			model.on( 'applyOperation', () => {
+				if ( model._isRollingBack ) {
+					throw error;
+				}
+			}, { priority: 'high' } );
+
+			expect( () => {
+				model.change( writer => {
+					writer.insertText( 'bar', root.getChild( 0 ), 'end' );
+					writer.rename( root.getChild( 0 ), 'heading1' );
+				} );
+			} ).to.throw( error );
+
+			expect( model._isRollingBack ).to.be.false;
+
+			const operation = new RenameOperation( model.createPositionAt( root, 0 ), 'paragraph', 'heading1', model.document.version );
+
+			expectToThrowCKEditorError( () => {
+				model.applyOperation( operation );
+			}, /model-applyoperation-rejected/, model, { operation } );
+		} );
+
+		it( 'should rethrow other errors without rolling back the changes', () => {
+			const error = new Error( 'foo' );
+
+			model.addOperationFilter( () => {} );
+
+			expect( () => {
+				model.change( writer => {
+					writer.insertText( 'bar', root.getChild( 0 ), 'end' );
+
+					throw error;
+				} );
+			} ).to.throw( Error, 'foo' );
+
+			expect( root.getChild( 0 ).getChild( 0 ).data ).to.equal( 'foobar' );
+		} );
+	} );
+
 	describe( 'insertContent()', () => {
 		it( 'should be decorated', () => {
 			schema.extend( '$text', { allowIn: '$root' } ); // To surpress warnings.
@@ -525,6 +1063,43 @@ describe( 'Model', () => {
 		} );
 	} );
 
+	describe( 'exportState() and importState()', () => {
+		it( 'should export the document state and import it to another model', () => {
+			schema.register( 'paragraph', { inheritAllFrom: '$block' } );
+
+			setData( model, '<paragraph>f[o]o</paragraph>' );
+
+			const otherModel = new Model();
+
+			otherModel.schema.register( 'paragraph', { inheritAllFrom: '$block' } );
+			otherModel.document.createRoot();
+
+			otherModel.importState( model.exportState() );
+
+			expect( getData( otherModel ) ).to.equal( '<paragraph>f[o]o</paragraph>' );
+			expect( otherModel.document.getRootNames() ).to.deep.equal( [ 'main', 'title' ] );
+			expect( otherModel.document.version ).to.equal( model.document.version );
+		} );
+
+		it( 'should export and import the history with the history option', () => {
+			schema.register( 'paragraph', { inheritAllFrom: '$block' } );
+
+			setData( model, '<paragraph>foo</paragraph>' );
+
+			const otherModel = new Model();
+
+			otherModel.schema.register( 'paragraph', { inheritAllFrom: '$block' } );
+			otherModel.document.createRoot();
+
+			otherModel.importState( model.exportState( { history: true } ) );
+
+			const operations = otherModel.document.history.getOperations();
+
+			expect( operations.length ).to.equal( model.document.history.getOperations().length );
+			expect( operations.map( op => op.type ) ).to.deep.equal( model.document.history.getOperations().map( op => op.type ) );
+		} );
+	} );
+
 	describe( 'hasContent()', () => {
 		let root;
 
@@ -825,6 +1400,29 @@ describe( 'Model', () => {
 			expect( batch ).to.be.instanceof( Batch );
 			expect( batch.type ).to.equal( 'transparent' );
 		} );
+
+		it( 'should allow to define metadata of Batch', () => {
+			const batch = model.createBatch( 'default', { authorId: 'user-1' } );
+
+			expect( batch.metadata ).to.deep.equal( { authorId: 'user-1' } );
+		} );
+
+		it( 'should pass the metadata to the operations and the change event', () => {
+			const batch = model.createBatch( 'default', { authorId: 'user-1', origin: 'paste' } );
+			const spy = sinon.spy();
+
+			model.document.on( 'change', ( evt, batch ) => spy( batch.metadata ) );
+
+			model.enqueueChange( batch, writer => {
+				writer.insertText( 'foo', model.document.getRoot(), 0 );
+			} );
+
+			const operation = model.document.history.getOperation( model.document.version - 1 );
+
+			expect( operation.metadata ).to.deep.equal( { authorId: 'user-1', origin: 'paste' } );
+			expect( JSON.parse( JSON.stringify( operation ) ).metadata ).to.deep.equal( { authorId: 'user-1', origin: 'paste' } );
+			sinon.assert.calledWithExactly( spy, { authorId: 'user-1', origin: 'paste' } );
+		} );
 	} );
 
 	describe( 'createOperationFromJson()', () => {
@@ -9,6 +9,7 @@ import Node from '../../src/model/node';
 import Element from '../../src/model/element';
 import Text from '../../src/model/text';
 import RootElement from '../../src/model/rootelement';
+import RootOperation from '../../src/model/operation/rootoperation';
 import count from '@ckeditor/ckeditor5-utils/src/count';
 import { expectToThrowCKEditorError } from '@ckeditor/ckeditor5-utils/tests/_utils/utils';
 import ModelTestEditor from '@ckeditor/ckeditor5-core/tests/_utils/modeltesteditor';
@@ -435,6 +436,18 @@ describe( 'Node', () => {
 					return editor.destroy();
 				} );
 		} );
+
+		it( 'returns false for a node in a detached root', () => {
+			const model = new Model();
+			const root = model.document.createRoot();
+			const foo = new Text( 'foo' );
+
+			root._appendChild( foo );
+
+			model.applyOperation( new RootOperation( 'main', '$root', false, model.document, model.document.version ) );
+
+			expect( foo.isAttached() ).to.equal( false );
+		} );
 	} );
 
 	describe( 'attributes interface', () => {
@@ -51,6 +51,20 @@ describe( 'Operation', () => {
 				baseVersion: 4
 			} );
 		} );
+
+		it( 'should keep the metadata', () => {
+			const op = new Operation( 4 );
+			const batch = new Batch( 'default', { authorId: 'user-1' } );
+			batch.addOperation( op );
+
+			const serialized = op.toJSON();
+
+			expect( serialized ).to.deep.equal( {
+				__className: 'Operation',
+				baseVersion: 4,
+				metadata: { authorId: 'user-1' }
+			} );
+		} );
 	} );
 
 	describe( 'fromJSON', () => {
@@ -6,6 +6,7 @@
 import Model from '../../../src/model/model';
 import NoOperation from '../../../src/model/operation/nooperation';
 import OperationFactory from '../../../src/model/operation/operationfactory';
+import RootOperation from '../../../src/model/operation/rootoperation';
 
 describe( 'OperationFactory', () => {
 	let model;
@@ -23,4 +24,36 @@ describe( 'OperationFactory', () => {
 		expect( operation ).to.instanceof( NoOperation );
 		expect( operation.baseVersion ).to.equal( 0 );
 	} );
+
+	it( 'should create RootOperation from JSON', () => {
+		const operation = OperationFactory.fromJSON( {
+			__className: 'RootOperation',
+			baseVersion: 0,
+			rootName: 'new',
+			elementName: '$root',
+			isAdd: true
+		}, model.document );
+
+		expect( operation ).to.instanceof( RootOperation );
+		expect( operation.root ).to.equal( model.document.getRoot( 'new' ) );
+	} );
+
+	it( 'should restore the operation metadata', () => {
+		const operation = OperationFactory.fromJSON( {
+			__className: 'NoOperation',
+			baseVersion: 0,
+			metadata: { authorId: 'user-1' }
+		}, model.document );
+
+		expect( operation.metadata ).to.deep.equal( { authorId: 'user-1' } );
+	} );
+
+	it( 'should create operation with empty metadata if the JSON does not contain it', () => {
+		const operation = OperationFactory.fromJSON( {
+			__className: 'NoOperation',
+			baseVersion: 0
+		}, model.document );
+
+		expect( operation.metadata ).to.deep.equal( {} );
+	} );
 } );
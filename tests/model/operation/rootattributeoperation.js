@@ -117,6 +117,20 @@ describe( 'RootAttributeOperation', () => {
 		expect( reverse.newValue ).to.equal( 'old' );
 	} );
 
+	it( 'should use null instead of undefined values, so the reverse removes the attribute after being serialized', () => {
+		const operation = new RootAttributeOperation( root, 'x', undefined, 'new', doc.version );
+
+		expect( operation.oldValue ).to.be.null;
+
+		model.applyOperation( operation );
+
+		const reverse = RootAttributeOperation.fromJSON( JSON.parse( JSON.stringify( operation.getReversed() ) ), doc );
+
+		model.applyOperation( reverse );
+
+		expect( root.hasAttribute( 'x' ) ).to.be.false;
+	} );
+
 	it( 'should undo adding attribute by applying reverse operation', () => {
 		const operation = new RootAttributeOperation(
 			root,
@@ -0,0 +1,229 @@
+/**
+ * @license Copyright (c) 2003-2020, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+import Model from '../../../src/model/model';
+import RootOperation from '../../../src/model/operation/rootoperation';
+import OperationFactory from '../../../src/model/operation/operationfactory';
+import { getData } from '../../../src/dev-utils/model';
+
+import { expectToThrowCKEditorError } from '@ckeditor/ckeditor5-utils/tests/_utils/utils';
+
+describe( 'RootOperation', () => {
+	let model, doc;
+
+	beforeEach( () => {
+		model = new Model();
+		doc = model.document;
+	} );
+
+	it( 'should have type equal to addRoot when adding a root', () => {
+		const op = new RootOperation( 'new', '$root', true, doc, doc.version );
+
+		expect( op.type ).to.equal( 'addRoot' );
+	} );
+
+	it( 'should have type equal to detachRoot when detaching a root', () => {
+		const op = new RootOperation( 'new', '$root', false, doc, doc.version );
+
+		expect( op.type ).to.equal( 'detachRoot' );
+	} );
+
+	it( 'should not create the root when the operation is created', () => {
+		const op = new RootOperation( 'new', 'div', true, doc, doc.version );
+
+		op.clone();
+		op.getReversed();
+
+		expect( doc.getRoot( 'new' ) ).to.be.null;
+		expect( op.root ).to.be.null;
+	} );
+
+	it( 'should create the root when it is added for the first time', () => {
+		const op = new RootOperation( 'new', 'div', true, doc, doc.version );
+
+		model.applyOperation( op );
+
+		const root = doc.getRoot( 'new' );
+
+		expect( root ).not.to.be.null;
+		expect( root.name ).to.equal( 'div' );
+		expect( root.isAttached() ).to.be.true;
+		expect( op.root ).to.equal( root );
+	} );
+
+	it( 'should not create a new root if it already exists', () => {
+		const root = doc.createRoot( '$root', 'new' );
+		const op = new RootOperation( 'new', '$root', false, doc, doc.version );
+
+		expect( op.root ).to.equal( root );
+	} );
+
+	it( 'should attach the root', () => {
+		const op = new RootOperation( 'new', '$root', true, doc, doc.version );
+
+		model.applyOperation( op );
+
+		expect( op.root.isAttached() ).to.be.true;
+		expect( doc.getRootNames() ).to.deep.equal( [ 'new' ] );
+		expect( doc.version ).to.equal( 1 );
+	} );
+
+	it( 'should detach the root', () => {
+		const root = doc.createRoot( '$root', 'new' );
+
+		model.applyOperation( new RootOperation( 'new', '$root', false, doc, doc.version ) );
+
+		expect( root.isAttached() ).to.be.false;
+		expect( doc.getRootNames() ).to.deep.equal( [] );
+		expect( doc.getRootNames( true ) ).to.deep.equal( [ 'new' ] );
+	} );
+
+	it( 'should create a RootOperation as a reverse', () => {
+		const op = new RootOperation( 'new', 'div', true, doc, doc.version );
+		const reverse = op.getReversed();
+
+		expect( reverse ).to.be.an.instanceof( RootOperation );
+		expect( reverse.baseVersion ).to.equal( 1 );
+		expect( reverse.rootName ).to.equal( 'new' );
+		expect( reverse.elementName ).to.equal( 'div' );
+		expect( reverse.isAdd ).to.be.false;
+	} );
+
+	it( 'should undo adding a root by applying reverse operation', () => {
+		const op = new RootOperation( 'new', '$root', true, doc, doc.version );
+		const reverse = op.getReversed();
+
+		model.applyOperation( op );
+		model.applyOperation( reverse );
+
+		expect( doc.version ).to.equal( 2 );
+		expect( op.root.isAttached() ).to.be.false;
+	} );
+
+	describe( '_validate()', () => {
+		it( 'should throw an error when adding a root which is attached', () => {
+			doc.createRoot( '$root', 'new' );
+
+			const op = new RootOperation( 'new', '$root', true, doc, doc.version );
+
+			expectToThrowCKEditorError( () => {
+				op._validate();
+			}, /root-operation-root-attached/, model );
+		} );
+
+		it( 'should throw an error when detaching a root which is detached', () => {
+			const op = new RootOperation( 'new', '$root', false, doc, doc.version );
+
+			expectToThrowCKEditorError( () => {
+				op._validate();
+			}, /root-operation-root-detached/, model );
+		} );
+
+		it( 'should throw an error when adding or detaching the graveyard root', () => {
+			const op = new RootOperation( '$graveyard', '$root', false, doc, doc.version );
+
+			expectToThrowCKEditorError( () => {
+				op._validate();
+			}, /root-operation-graveyard/, model );
+		} );
+	} );
+
+	it( 'should create a RootOperation with the same parameters when cloned', () => {
+		const op = new RootOperation( 'new', 'div', true, doc, doc.version );
+		const clone = op.clone();
+
+		// New instance rather than a pointer to the old instance.
+		expect( clone ).not.to.be.equal( op );
+
+		expect( clone ).to.be.instanceof( RootOperation );
+		expect( clone.baseVersion ).to.equal( op.baseVersion );
+		expect( clone.rootName ).to.equal( 'new' );
+		expect( clone.elementName ).to.equal( 'div' );
+		expect( clone.isAdd ).to.be.true;
+		expect( clone.root ).to.equal( op.root );
+	} );
+
+	describe( 'toJSON', () => {
+		it( 'should create proper serialized object', () => {
+			const op = new RootOperation( 'new', 'div', true, doc, doc.version );
+			const serialized = op.toJSON();
+
+			expect( serialized ).to.deep.equal( {
+				__className: 'RootOperation',
+				baseVersion: 0,
+				rootName: 'new',
+				elementName: 'div',
+				isAdd: true
+			} );
+		} );
+	} );
+
+	describe( 'fromJSON', () => {
+		it( 'should create proper RootOperation from json object', () => {
+			const op = new RootOperation( 'new', 'div', true, doc, doc.version );
+
+			const serialized = op.toJSON();
+			const deserialized = RootOperation.fromJSON( serialized, doc );
+
+			expect( deserialized ).to.deep.equal( op );
+		} );
+
+		it( 'should create the root on the other document', () => {
+			const op = new RootOperation( 'new', 'div', true, doc, doc.version );
+			const otherModel = new Model();
+
+			const deserialized = RootOperation.fromJSON( op.toJSON(), otherModel.document );
+
+			otherModel.applyOperation( deserialized );
+
+			expect( otherModel.document.getRoot( 'new' ).name ).to.equal( 'div' );
+			expect( otherModel.document.getRootNames() ).to.deep.equal( [ 'new' ] );
+		} );
+
+		it( 'should create the added root as detached if it does not exist', () => {
+			const op = new RootOperation( 'new', 'div', true, doc, doc.version );
+
+			RootOperation.fromJSON( op.toJSON(), doc );
+
+			expect( doc.getRoot( 'new' ).name ).to.equal( 'div' );
+			expect( doc.getRoot( 'new' ).isAttached() ).to.be.false;
+		} );
+
+		it( 'should not create the root if the operation detaches it', () => {
+			const op = new RootOperation( 'new', 'div', false, doc, doc.version );
+
+			RootOperation.fromJSON( op.toJSON(), doc );
+
+			expect( doc.getRoot( 'new' ) ).to.be.null;
+		} );
+
+		it( 'should allow deserializing the operations done in the added root before applying them', () => {
+			model.schema.register( 'paragraph', { inheritAllFrom: '$block' } );
+
+			model.change( writer => {
+				const root = writer.addRoot( 'footer' );
+
+				writer.insertElement( 'paragraph', root );
+				writer.insertText( 'foo', root.getChild( 0 ) );
+			} );
+
+			const otherModel = new Model();
+			const otherDoc = otherModel.document;
+			const operationsJson = JSON.parse( JSON.stringify( doc.history.getOperations() ) );
+
+			const operations = operationsJson.map( json => OperationFactory.fromJSON( json, otherDoc ) );
+
+			otherModel.change( writer => {
+				for ( const operation of operations ) {
+					writer.batch.addOperation( operation );
+					otherModel.applyOperation( operation );
+				}
+			} );
+
+			expect( otherDoc.getRoot( 'footer' ).isAttached() ).to.be.true;
+			expect( getData( otherModel, { rootName: 'footer', withoutSelection: true } ) ).to.equal( '<paragraph>foo</paragraph>' );
+		} );
+	} );
+} );
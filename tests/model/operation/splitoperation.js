@@ -67,6 +67,32 @@ describe( 'SplitOperation', () => {
 		expect( root.getChild( 1 ).getChild( 0 ).data ).to.equal( 'bar' );
 	} );
 
+	it( 'should set the element identifier on the created element', () => {
+		const p1 = new Element( 'p1', null, new Text( 'Foobar' ) );
+
+		p1._id = 'foo';
+		root._insertChild( 0, [ p1 ] );
+
+		const operation = new SplitOperation( new Position( root, [ 0, 3 ] ), 3, null, doc.version );
+
+		operation.elementId = 'bar';
+		model.applyOperation( operation );
+
+		expect( root.getChild( 0 ).id ).to.equal( 'foo' );
+		expect( root.getChild( 1 ).id ).to.equal( 'bar' );
+	} );
+
+	it( 'should not copy the element identifier to the created element if the operation has no identifier', () => {
+		const p1 = new Element( 'p1', null, new Text( 'Foobar' ) );
+
+		p1._id = 'foo';
+		root._insertChild( 0, [ p1 ] );
+
+		model.applyOperation( new SplitOperation( new Position( root, [ 0, 3 ] ), 3, null, doc.version ) );
+
+		expect( root.getChild( 1 ).id ).to.be.null;
+	} );
+
 	it( 'should split an element using graveyard element', () => {
 		const p1 = new Element( 'p1', null, new Text( 'Foobar' ) );
 		const p2 = new Element( 'p2' );
@@ -181,6 +207,14 @@ describe( 'SplitOperation', () => {
 		expect( clone.baseVersion ).to.equal( baseVersion );
 	} );
 
+	it( 'should copy the element identifier when cloned', () => {
+		const op = new SplitOperation( new Position( root, [ 1, 2 ] ), 4, null, doc.version );
+
+		op.elementId = 'foo';
+
+		expect( op.clone().elementId ).to.equal( 'foo' );
+	} );
+
 	it( 'should create SplitOperation with the same parameters when cloned #2', () => {
 		const position = new Position( root, [ 1, 2 ] );
 		const howMany = 4;
@@ -233,6 +267,14 @@ describe( 'SplitOperation', () => {
 				graveyardPosition: op.graveyardPosition.toJSON()
 			} );
 		} );
+
+		it( 'should create proper json object with the element identifier', () => {
+			const op = new SplitOperation( new Position( root, [ 0, 3 ] ), 2, null, doc.version );
+
+			op.elementId = 'foo';
+
+			expect( op.toJSON().elementId ).to.equal( 'foo' );
+		} );
 	} );
 
 	describe( 'fromJSON', () => {
@@ -257,5 +299,15 @@ describe( 'SplitOperation', () => {
 
 			expect( deserialized ).to.deep.equal( op );
 		} );
+
+		it( 'should create proper SplitOperation with the element identifier from json object', () => {
+			const op = new SplitOperation( new Position( root, [ 0, 3 ] ), 2, null, doc.version );
+
+			op.elementId = 'foo';
+
+			const deserialized = SplitOperation.fromJSON( op.toJSON(), doc );
+
+			expect( deserialized ).to.deep.equal( op );
+		} );
 	} );
 } );
@@ -12,14 +12,18 @@ import RootElement from '../../../src/model/rootelement';
 import Node from '../../../src/model/node';
 import Position from '../../../src/model/position';
 import Range from '../../../src/model/range';
+import Element from '../../../src/model/element';
+import Text from '../../../src/model/text';
 
 import InsertOperation from '../../../src/model/operation/insertoperation';
 import AttributeOperation from '../../../src/model/operation/attributeoperation';
 import RootAttributeOperation from '../../../src/model/operation/rootattributeoperation';
+import RootOperation from '../../../src/model/operation/rootoperation';
 import MarkerOperation from '../../../src/model/operation/markeroperation';
 import MoveOperation from '../../../src/model/operation/moveoperation';
 import RenameOperation from '../../../src/model/operation/renameoperation';
 import NoOperation from '../../../src/model/operation/nooperation';
+import OperationFactory from '../../../src/model/operation/operationfactory';
 
 describe( 'transform', () => {
 	let model, doc, root, op, nodeA, nodeB, expected;
@@ -907,6 +911,82 @@ describe( 'transform', () => {
 		} );
 	} );
 
+	describe( 'RootOperation', () => {
+		beforeEach( () => {
+			expected = {
+				type: RootOperation,
+				rootName: 'new',
+				isAdd: true
+			};
+
+			op = new RootOperation( 'new', '$root', true, doc, 0 );
+		} );
+
+		describe( 'by RootOperation', () => {
+			it( 'adds different root: no operation update', () => {
+				const transformBy = new RootOperation( 'other', '$root', true, doc, 0 );
+
+				const transOp = transform( op, transformBy );
+
+				expect( transOp.length ).to.equal( 1 );
+				expectOperation( transOp[ 0 ], expected );
+			} );
+
+			it( 'adds the same root: convert to NoOperation', () => {
+				const transformBy = new RootOperation( 'new', '$root', true, doc, 0 );
+
+				const transOp = transform( op, transformBy );
+
+				expect( transOp.length ).to.equal( 1 );
+				expectOperation( transOp[ 0 ], {
+					type: NoOperation
+				} );
+			} );
+
+			it( 'detaches the same root: convert to NoOperation', () => {
+				op = new RootOperation( 'main', '$root', false, doc, 0 );
+
+				const transformBy = new RootOperation( 'main', '$root', false, doc, 0 );
+
+				const transOp = transform( op, transformBy );
+
+				expect( transOp.length ).to.equal( 1 );
+				expectOperation( transOp[ 0 ], {
+					type: NoOperation
+				} );
+			} );
+		} );
+
+		describe( 'by InsertOperation', () => {
+			it( 'no operation update', () => {
+				const transformBy = new InsertOperation( new Position( root, [ 0 ] ), 'a', 0 );
+
+				const transOp = transform( op, transformBy );
+
+				expect( transOp.length ).to.equal( 1 );
+				expectOperation( transOp[ 0 ], expected );
+			} );
+		} );
+
+		// The operations done concurrently in a detached root are not supported: they are applied in the detached root.
+		describe( 'operation in the detached root', () => {
+			it( 'no operation update', () => {
+				op = new InsertOperation( new Position( root, [ 0 ] ), 'a', 0 );
+
+				const transformBy = new RootOperation( 'main', '$root', false, doc, 0 );
+
+				const transOp = transform( op, transformBy );
+
+				expect( transOp.length ).to.equal( 1 );
+				expectOperation( transOp[ 0 ], {
+					type: InsertOperation,
+					position: new Position( root, [ 0 ] ),
+					howMany: 1
+				} );
+			} );
+		} );
+	} );
+
 	describe( 'MoveOperation', () => {
 		let sourcePosition, targetPosition, rangeEnd, howMany;
 
@@ -2677,4 +2757,227 @@ describe( 'transformSets', () => {
 		expect( originalOperations.get( operationsB[ 0 ] ) ).to.equal( b );
 		expect( originalOperations.get( operationsB[ 1 ] ) ).to.equal( b );
 	} );
+
+	describe( 'conflictPolicy', () => {
+		let range, shiftedRange;
+
+		beforeEach( () => {
+			root._appendChild( new Element( 'paragraph' ) );
+			root._appendChild( new Text( 'foobar' ) );
+
+			range = new Range( new Position( root, [ 1 ] ), new Position( root, [ 4 ] ) );
+			shiftedRange = new Range( new Position( root, [ 2 ] ), new Position( root, [ 5 ] ) );
+		} );
+
+		it( 'should not change the default conflict resolution', () => {
+			const a = new AttributeOperation( range, 'bold', null, 'a', 0 );
+			const b = new AttributeOperation( range, 'bold', null, 'b', 0 );
+
+			const { operationsA, operationsB } = transformSets( [ a ], [ b ], {
+				document: doc,
+				padWithNoOps: true,
+				conflictPolicy: () => {}
+			} );
+
+			expectOperation( operationsA[ 0 ], { type: AttributeOperation, oldValue: 'b', newValue: 'a' } );
+			expectOperation( operationsB[ 0 ], { type: NoOperation } );
+		} );
+
+		it( 'should be called with the original operations in the order of the sets', () => {
+			const a = new AttributeOperation( range, 'bold', null, 'a', 0 );
+			const b = new AttributeOperation( range, 'bold', null, 'b', 0 );
+			const conflictPolicy = sinon.spy();
+
+			transformSets( [ a ], [ b ], { document: doc, conflictPolicy } );
+
+			expect( conflictPolicy.callCount ).to.equal( 2 );
+
+			for ( const call of conflictPolicy.getCalls() ) {
+				expect( call.args[ 0 ] ).to.deep.equal( { type: 'attribute', key: 'bold', operationA: a, operationB: b } );
+			}
+		} );
+
+		it( 'should not be called if the operations set the same value', () => {
+			const a = new AttributeOperation( range, 'bold', null, true, 0 );
+			const b = new AttributeOperation( range, 'bold', null, true, 0 );
+			const conflictPolicy = sinon.spy();
+
+			transformSets( [ a ], [ b ], { document: doc, conflictPolicy } );
+
+			expect( conflictPolicy.called ).to.be.false;
+		} );
+
+		it( 'should let the operation from the second set win the attribute conflict', () => {
+			const a = new AttributeOperation( range, 'bold', null, 'a', 0 );
+			const b = new AttributeOperation( range, 'bold', null, 'b', 0 );
+
+			const { operationsA, operationsB } = transformSets( [ a ], [ b ], {
+				document: doc,
+				padWithNoOps: true,
+				conflictPolicy: () => 'b'
+			} );
+
+			expectOperation( operationsA[ 0 ], { type: NoOperation } );
+			expectOperation( operationsB[ 0 ], { type: AttributeOperation, oldValue: 'a', newValue: 'b' } );
+		} );
+
+		it( 'should resolve the conflict using the operation metadata', () => {
+			const a = new AttributeOperation( range, 'bold', null, 'a', 0 );
+			const b = new AttributeOperation( range, 'bold', null, 'b', 0 );
+
+			a.metadata = { timestamp: 2 };
+			b.metadata = { timestamp: 1 };
+
+			const { operationsA, operationsB } = transformSets( [ b ], [ a ], {
+				document: doc,
+				padWithNoOps: true,
+				conflictPolicy: ( { operationA, operationB } ) => {
+					return operationA.metadata.timestamp > operationB.metadata.timestamp ? 'a' : 'b';
+				}
+			} );
+
+			expectOperation( operationsA[ 0 ], { type: NoOperation } );
+			expectOperation( operationsB[ 0 ], { type: AttributeOperation, oldValue: 'b', newValue: 'a' } );
+		} );
+
+		it( 'should let the operation from the second set win the root attribute conflict', () => {
+			const a = new RootAttributeOperation( root, 'lang', null, 'en', 0 );
+			const b = new RootAttributeOperation( root, 'lang', null, 'pl', 0 );
+			const conflictPolicy = sinon.stub().returns( 'b' );
+
+			const { operationsA, operationsB } = transformSets( [ a ], [ b ], { document: doc, padWithNoOps: true, conflictPolicy } );
+
+			expect( conflictPolicy.firstCall.args[ 0 ] ).to.deep.equal( {
+				type: 'rootAttribute',
+				key: 'lang',
+				operationA: a,
+				operationB: b
+			} );
+			expectOperation( operationsA[ 0 ], { type: NoOperation } );
+			expectOperation( operationsB[ 0 ], { type: RootAttributeOperation, oldValue: 'en', newValue: 'pl' } );
+		} );
+
+		it( 'should let the operation from the second set win the rename conflict', () => {
+			const position = new Position( root, [ 0 ] );
+			const a = new RenameOperation( position, 'paragraph', 'heading1', 0 );
+			const b = new RenameOperation( position, 'paragraph', 'heading2', 0 );
+			const conflictPolicy = sinon.stub().returns( 'b' );
+
+			const { operationsA, operationsB } = transformSets( [ a ], [ b ], { document: doc, padWithNoOps: true, conflictPolicy } );
+
+			expect( conflictPolicy.firstCall.args[ 0 ] ).to.deep.equal( { type: 'rename', key: undefined, operationA: a, operationB: b } );
+			expectOperation( operationsA[ 0 ], { type: NoOperation } );
+			expectOperation( operationsB[ 0 ], { type: RenameOperation, oldName: 'heading1', newName: 'heading2' } );
+		} );
+
+		it( 'should let the operation from the second set win the marker conflict', () => {
+			const a = new MarkerOperation( 'comment', null, range, model.markers, true, 0 );
+			const b = new MarkerOperation( 'comment', null, shiftedRange, model.markers, true, 0 );
+			const conflictPolicy = sinon.stub().returns( 'b' );
+
+			const { operationsA, operationsB } = transformSets( [ a ], [ b ], { document: doc, padWithNoOps: true, conflictPolicy } );
+
+			expect( conflictPolicy.firstCall.args[ 0 ] ).to.deep.equal( { type: 'marker', key: 'comment', operationA: a, operationB: b } );
+			expectOperation( operationsA[ 0 ], { type: NoOperation } );
+			expectOperation( operationsB[ 0 ], { type: MarkerOperation, oldRange: range, newRange: shiftedRange } );
+		} );
+
+		it( 'should add the marker for the conflict to both transformed sets', () => {
+			const a = new AttributeOperation( range, 'bold', null, 'a', 0 );
+			const b = new AttributeOperation( shiftedRange, 'bold', null, 'b', 0 );
+
+			const { operationsA, operationsB } = transformSets( [ a ], [ b ], {
+				document: doc,
+				padWithNoOps: true,
+				conflictPolicy: () => ( { winner: 'b', marker: 'conflict:1' } )
+			} );
+
+			const common = new Range( new Position( root, [ 2 ] ), new Position( root, [ 4 ] ) );
+
+			// The transformed sets are padded to the same length.
+			expect( operationsA.length ).to.equal( 3 );
+			expectOperation( operationsA[ 2 ], { type: NoOperation } );
+			expectOperation( operationsA[ 0 ], {
+				type: AttributeOperation,
+				range: new Range( new Position( root, [ 1 ] ), new Position( root, [ 2 ] ) ),
+				oldValue: null,
+				newValue: 'a'
+			} );
+			expectOperation( operationsA[ 1 ], { type: MarkerOperation, name: 'conflict:1', oldRange: null, newRange: common } );
+			expect( operationsA[ 1 ].affectsData ).to.be.true;
+
+			expect( operationsB.length ).to.equal( 3 );
+			expectOperation( operationsB[ 0 ], { type: AttributeOperation, oldValue: null, newValue: 'b' } );
+			expectOperation( operationsB[ 1 ], { type: AttributeOperation, range: common, oldValue: 'a', newValue: 'b' } );
+			expectOperation( operationsB[ 2 ], { type: MarkerOperation, name: 'conflict:1', oldRange: null, newRange: common } );
+		} );
+
+		it( 'should add the marker for the rename conflict to both transformed sets', () => {
+			const position = new Position( root, [ 0 ] );
+			const a = new RenameOperation( position, 'paragraph', 'heading1', 0 );
+			const b = new RenameOperation( position, 'paragraph', 'heading2', 0 );
+
+			const { operationsA, operationsB } = transformSets( [ a ], [ b ], {
+				document: doc,
+				padWithNoOps: true,
+				conflictPolicy: () => ( { marker: 'conflict:1' } )
+			} );
+
+			const elementRange = new Range( position, new Position( root, [ 1 ] ) );
+
+			expectOperation( operationsA[ 0 ], { type: RenameOperation, oldName: 'heading2', newName: 'heading1' } );
+			expectOperation( operationsA[ 1 ], { type: MarkerOperation, name: 'conflict:1', newRange: elementRange } );
+			expectOperation( operationsB[ 0 ], { type: MarkerOperation, name: 'conflict:1', newRange: elementRange } );
+			expectOperation( operationsB[ 1 ], { type: NoOperation } );
+		} );
+
+		it( 'should make the documents converge when the marker for the conflict is added', () => {
+			const modelB = new Model();
+			const rootB = modelB.document.createRoot();
+
+			rootB._appendChild( new Element( 'paragraph' ) );
+			rootB._appendChild( new Text( 'foobar' ) );
+
+			const a = new RootAttributeOperation( root, 'lang', null, 'en', 0 );
+			const b = new RootAttributeOperation( rootB, 'lang', null, 'pl', 0 );
+			const conflictPolicy = () => ( { winner: 'b', marker: 'conflict:1' } );
+
+			// Operations of the second client are transformed on the first client and the other way round.
+			const bOnA = transformSets( [ a ], [ clone( b, doc ) ], { document: doc, padWithNoOps: true, conflictPolicy } ).operationsB;
+			const aOnB = transformSets( [ clone( a, modelB.document ) ], [ b ], {
+				document: modelB.document,
+				padWithNoOps: true,
+				conflictPolicy
+			} ).operationsA;
+
+			model.applyOperation( a );
+			bOnA.forEach( operation => model.applyOperation( operation ) );
+
+			modelB.applyOperation( b );
+			aOnB.forEach( operation => modelB.applyOperation( operation ) );
+
+			for ( const [ editorModel, editorRoot ] of [ [ model, root ], [ modelB, rootB ] ] ) {
+				expect( editorRoot.getAttribute( 'lang' ) ).to.equal( 'pl' );
+				expect( editorModel.markers.get( 'conflict:1' ).getRange().isEqual( editorModel.createRangeIn( editorRoot ) ) ).to.be.true;
+			}
+
+			expect( model.document.version ).to.equal( modelB.document.version );
+		} );
+
+		function expectOperation( operation, params ) {
+			for ( const key in params ) {
+				if ( key == 'type' ) {
+					expect( operation, key ).to.be.instanceof( params[ key ] );
+				} else if ( params[ key ] instanceof Range ) {
+					expect( operation[ key ].isEqual( params[ key ] ), key ).to.be.true;
+				} else {
+					expect( operation[ key ], key ).to.equal( params[ key ] );
+				}
+			}
+		}
+
+		function clone( operation, document ) {
+			return OperationFactory.fromJSON( JSON.parse( JSON.stringify( operation ) ), document );
+		}
+	} );
 } );
@@ -364,6 +364,27 @@ describe( 'transform', () => {
 		} );
 
 		describe( 'by merge', () => {
+			it( 'element into paragraph, keeping the identifier of the created element', () => {
+				john.document.enableElementIds();
+				kate.document.enableElementIds();
+
+				john.setData( '<paragraph>Foo</paragraph><paragraph>B[]ar</paragraph>' );
+				kate.setData( '<paragraph>Foo</paragraph>[]<paragraph>Bar</paragraph>' );
+
+				john.split();
+				kate.merge();
+
+				syncClients();
+
+				expectClients( '<paragraph>FooB</paragraph><paragraph>ar</paragraph>' );
+
+				const id = john.document.getRoot().getChild( 1 ).id;
+
+				expect( id ).to.be.a( 'string' );
+				expect( kate.document.getRoot().getChild( 1 ).id ).to.equal( id );
+				expect( kate.document.getElementById( id ) ).to.equal( kate.document.getRoot().getChild( 1 ) );
+			} );
+
 			it( 'element into paragraph #1', () => {
 				john.setData( '<paragraph>Fo[]o</paragraph><paragraph>Bar</paragraph>' );
 				kate.setData( '<paragraph>Foo</paragraph>[]<paragraph>Bar</paragraph>' );
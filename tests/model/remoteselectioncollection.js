@@ -0,0 +1,273 @@
+/**
+ * @license Copyright (c) 2003-2020, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+import Model from '../../src/model/model';
+import Range from '../../src/model/range';
+import RemoteSelectionCollection, { RemoteSelection } from '../../src/model/remoteselectioncollection';
+import { setData } from '../../src/dev-utils/model';
+import { expectToThrowCKEditorError } from '@ckeditor/ckeditor5-utils/tests/_utils/utils';
+
+describe( 'RemoteSelectionCollection', () => {
+	let model, doc, root, remoteSelections, version;
+
+	beforeEach( () => {
+		model = new Model();
+		doc = model.document;
+		root = doc.createRoot();
+		remoteSelections = doc.remoteSelections;
+
+		model.schema.register( 'paragraph', { inheritAllFrom: '$block' } );
+
+		setData( model, '<paragraph>foobar</paragraph><paragraph>xyz</paragraph>' );
+
+		version = doc.version;
+	} );
+
+	it( 'should be available in the document', () => {
+		expect( remoteSelections ).to.be.instanceof( RemoteSelectionCollection );
+		expect( remoteSelections.document ).to.equal( doc );
+	} );
+
+	describe( 'set()', () => {
+		it( 'should add the remote selection', () => {
+			const selection = remoteSelections.set( 'john', createRange( [ 0, 1 ], [ 0, 3 ] ) );
+
+			expect( selection ).to.be.instanceof( RemoteSelection );
+			expect( selection.name ).to.equal( 'john' );
+			expect( selection.isBackward ).to.be.false;
+			expect( selection.isCollapsed ).to.be.false;
+			expectRanges( selection, [ [ [ 0, 1 ], [ 0, 3 ] ] ] );
+			expect( selection.anchor.path ).to.deep.equal( [ 0, 1 ] );
+			expect( selection.focus.path ).to.deep.equal( [ 0, 3 ] );
+
+			expect( remoteSelections.get( 'john' ) ).to.equal( selection );
+			expect( remoteSelections.has( 'john' ) ).to.be.true;
+			expect( Array.from( remoteSelections ) ).to.deep.equal( [ selection ] );
+		} );
+
+		it( 'should store the ranges and the caret as markers which are not managed using operations', () => {
+			remoteSelections.set( 'john', [ createRange( [ 0, 1 ], [ 0, 3 ] ), createRange( [ 1, 0 ], [ 1, 1 ] ) ] );
+
+			expect( Array.from( model.markers ).map( marker => marker.name ) ).to.deep.equal( [
+				'remoteSelection:john:0', 'remoteSelection:john:1', 'remoteCaret:john'
+			] );
+
+			expect( model.markers.get( 'remoteSelection:john:0' ).managedUsingOperations ).to.be.false;
+			expect( model.markers.get( 'remoteCaret:john' ).getRange().isEqual( createRange( [ 1, 1 ] ) ) ).to.be.true;
+			expect( doc.version ).to.equal( version );
+		} );
+
+		it( 'should set the backward selection with the caret at the start', () => {
+			const selection = remoteSelections.set( 'john', [ createRange( [ 0, 1 ], [ 0, 3 ] ), createRange( [ 1, 0 ], [ 1, 1 ] ) ], {
+				backward: true
+			} );
+
+			expect( selection.isBackward ).to.be.true;
+			expect( selection.anchor.path ).to.deep.equal( [ 1, 1 ] );
+			expect( selection.focus.path ).to.deep.equal( [ 0, 1 ] );
+			expect( model.markers.get( 'remoteCaret:john' ).getRange().isEqual( createRange( [ 0, 1 ] ) ) ).to.be.true;
+		} );
+
+		it( 'should update the remote selection and remove the markers of the ranges which are not used anymore', () => {
+			const selection = remoteSelections.set( 'john', [ createRange( [ 0, 1 ], [ 0, 3 ] ), createRange( [ 1, 0 ], [ 1, 1 ] ) ] );
+
+			expect( remoteSelections.set( 'john', createRange( [ 0, 2 ] ) ) ).to.equal( selection );
+
+			expect( selection.isCollapsed ).to.be.true;
+			expectRanges( selection, [ [ [ 0, 2 ], [ 0, 2 ] ] ] );
+			expect( model.markers.has( 'remoteSelection:john:1' ) ).to.be.false;
+		} );
+
+		it( 'should set the attributes and keep them when they are not passed', () => {
+			const selection = remoteSelections.set( 'john', createRange( [ 0, 1 ] ), { attributes: { color: 'red' } } );
+
+			expect( selection.getAttribute( 'color' ) ).to.equal( 'red' );
+			expect( selection.hasAttribute( 'color' ) ).to.be.true;
+			expect( Array.from( selection.getAttributes() ) ).to.deep.equal( [ [ 'color', 'red' ] ] );
+
+			remoteSelections.set( 'john', createRange( [ 0, 2 ] ) );
+
+			expect( selection.getAttribute( 'color' ) ).to.equal( 'red' );
+
+			remoteSelections.set( 'john', createRange( [ 0, 2 ] ), { attributes: [ [ 'name', 'John' ] ] } );
+
+			expect( selection.hasAttribute( 'color' ) ).to.be.false;
+			expect( selection.getAttribute( 'name' ) ).to.equal( 'John' );
+		} );
+
+		it( 'should fire the update event', () => {
+			const spy = sinon.spy();
+
+			remoteSelections.on( 'update:john', spy );
+
+			const selection = remoteSelections.set( 'john', createRange( [ 0, 1 ] ) );
+
+			expect( spy.calledOnce ).to.be.true;
+			expect( spy.firstCall.args[ 1 ] ).to.equal( selection );
+		} );
+
+		it( 'should convert the markers when the selection is set', () => {
+			const spy = sinon.spy();
+
+			doc.on( 'change', spy );
+
+			remoteSelections.set( 'john', createRange( [ 0, 1 ] ) );
+
+			expect( spy.calledOnce ).to.be.true;
+			expect( doc.differ.isEmpty ).to.be.true;
+		} );
+
+		it( 'should transform the ranges created for an older document version', () => {
+			const range = createRange( [ 0, 1 ], [ 0, 4 ] );
+
+			model.change( writer => {
+				writer.insertText( 'abc', root.getChild( 0 ), 0 );
+				writer.remove( createRange( [ 0, 4 ], [ 0, 5 ] ) );
+			} );
+
+			const selection = remoteSelections.set( 'john', range, { version } );
+
+			expectRanges( selection, [ [ [ 0, 4 ], [ 0, 6 ] ] ] );
+		} );
+
+		it( 'should omit the ranges moved to the graveyard by the transformation', () => {
+			const ranges = [ createRange( [ 0, 1 ], [ 0, 4 ] ), createRange( [ 1, 1 ] ) ];
+
+			model.change( writer => {
+				writer.remove( root.getChild( 0 ) );
+			} );
+
+			const selection = remoteSelections.set( 'john', ranges, { version } );
+
+			expectRanges( selection, [ [ [ 0, 1 ], [ 0, 1 ] ] ] );
+		} );
+
+		it( 'should throw if all ranges were moved to the graveyard by the transformation', () => {
+			const range = createRange( [ 0, 1 ], [ 0, 4 ] );
+
+			model.change( writer => {
+				writer.remove( root.getChild( 0 ) );
+			} );
+
+			expectToThrowCKEditorError( () => {
+				remoteSelections.set( 'john', range, { version } );
+			}, /^remoteselectioncollection-set-no-ranges/, remoteSelections, { name: 'john' } );
+
+			expect( remoteSelections.has( 'john' ) ).to.be.false;
+		} );
+
+		it( 'should throw if there are no ranges', () => {
+			expectToThrowCKEditorError( () => {
+				remoteSelections.set( 'john', [] );
+			}, /^remoteselectioncollection-set-no-ranges/, remoteSelections );
+		} );
+
+		it( 'should throw if the version is greater than the document version', () => {
+			expectToThrowCKEditorError( () => {
+				remoteSelections.set( 'john', createRange( [ 0, 1 ] ), { version: doc.version + 1 } );
+			}, /^remoteselectioncollection-set-wrong-version/, remoteSelections, { name: 'john', version: doc.version + 1 } );
+		} );
+
+		it( 'should throw if the operations since the version were pruned from the history', () => {
+			model.change( writer => {
+				writer.insertText( 'abc', root.getChild( 0 ), 0 );
+			} );
+
+			doc.history.compact( { keepOperations: 0 } );
+
+			expectToThrowCKEditorError( () => {
+				remoteSelections.set( 'john', createRange( [ 0, 1 ] ), { version } );
+			}, /^remoteselectioncollection-set-wrong-version/, remoteSelections );
+		} );
+	} );
+
+	describe( 'remove()', () => {
+		it( 'should remove the remote selection and its markers', () => {
+			const spy = sinon.spy();
+
+			remoteSelections.set( 'john', [ createRange( [ 0, 1 ], [ 0, 3 ] ), createRange( [ 1, 0 ], [ 1, 1 ] ) ] );
+			remoteSelections.set( 'kate', createRange( [ 0, 1 ] ) );
+			remoteSelections.on( 'update:john', spy );
+
+			expect( remoteSelections.remove( 'john' ) ).to.be.true;
+
+			expect( remoteSelections.has( 'john' ) ).to.be.false;
+			expect( Array.from( model.markers ).map( marker => marker.name ) ).to.deep.equal( [
+				'remoteSelection:kate:0', 'remoteCaret:kate'
+			] );
+			expect( spy.calledOnce ).to.be.true;
+			expect( spy.firstCall.args[ 1 ] ).to.be.null;
+		} );
+
+		it( 'should return false if there is no remote selection with the given name', () => {
+			expect( remoteSelections.remove( 'john' ) ).to.be.false;
+		} );
+	} );
+
+	describe( 'getByMarkerName()', () => {
+		it( 'should return the remote selection which the marker belongs to', () => {
+			const selection = remoteSelections.set( 'john:1', [ createRange( [ 0, 1 ], [ 0, 3 ] ), createRange( [ 1, 0 ], [ 1, 1 ] ) ] );
+
+			expect( remoteSelections.getByMarkerName( 'remoteSelection:john:1:1' ) ).to.equal( selection );
+			expect( remoteSelections.getByMarkerName( 'remoteCaret:john:1' ) ).to.equal( selection );
+			expect( remoteSelections.getByMarkerName( 'remoteSelection:john:1:2' ) ).to.be.null;
+			expect( remoteSelections.getByMarkerName( 'comment:1' ) ).to.be.null;
+		} );
+	} );
+
+	describe( 'isRemoteSelectionMarker()', () => {
+		it( 'should check whether the marker belongs to a remote selection', () => {
+			remoteSelections.set( 'john', createRange( [ 0, 1 ] ) );
+
+			expect( remoteSelections.isRemoteSelectionMarker( 'remoteSelection:john:0' ) ).to.be.true;
+			expect( remoteSelections.isRemoteSelectionMarker( model.markers.get( 'remoteCaret:john' ) ) ).to.be.true;
+			expect( remoteSelections.isRemoteSelectionMarker( 'remoteSelections' ) ).to.be.false;
+			expect( remoteSelections.isRemoteSelectionMarker( 'comment:1' ) ).to.be.false;
+		} );
+	} );
+
+	describe( 'RemoteSelection', () => {
+		it( 'should keep the ranges up to date when the document changes', () => {
+			const selection = remoteSelections.set( 'john', createRange( [ 0, 1 ], [ 0, 3 ] ) );
+
+			model.change( writer => {
+				writer.insertText( 'abc', root.getChild( 0 ), 0 );
+			} );
+
+			expectRanges( selection, [ [ [ 0, 4 ], [ 0, 6 ] ] ] );
+			expect( selection.focus.path ).to.deep.equal( [ 0, 6 ] );
+		} );
+
+		it( 'should omit the ranges moved to the graveyard', () => {
+			const selection = remoteSelections.set( 'john', createRange( [ 0, 1 ], [ 0, 3 ] ) );
+
+			model.change( writer => {
+				writer.remove( root.getChild( 0 ) );
+			} );
+
+			expect( selection.getRanges() ).to.deep.equal( [] );
+			expect( selection.anchor ).to.be.null;
+			expect( selection.focus ).to.be.null;
+			expect( selection.isCollapsed ).to.be.false;
+		} );
+
+		it( 'should be a remote selection', () => {
+			const selection = remoteSelections.set( 'john', createRange( [ 0, 1 ] ) );
+
+			expect( selection.is( 'remoteSelection' ) ).to.be.true;
+			expect( selection.is( 'model:remoteSelection' ) ).to.be.true;
+			expect( selection.is( 'selection' ) ).to.be.false;
+			expect( selection.is( 'marker' ) ).to.be.false;
+		} );
+	} );
+
+	function createRange( startPath, endPath = startPath ) {
+		return new Range( model.createPositionFromPath( root, startPath ), model.createPositionFromPath( root, endPath ) );
+	}
+
+	function expectRanges( selection, paths ) {
+		expect( selection.getRanges().map( range => [ range.start.path, range.end.path ] ) ).to.deep.equal( paths );
+	}
+} );
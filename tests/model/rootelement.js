@@ -22,6 +22,24 @@ describe( 'RootElement', () => {
 		} );
 	} );
 
+	describe( 'isAttached()', () => {
+		it( 'should return true for a new root', () => {
+			const model = new Model();
+			const root = new RootElement( model.document, '$root' );
+
+			expect( root.isAttached() ).to.be.true;
+		} );
+
+		it( 'should return false for a detached root', () => {
+			const model = new Model();
+			const root = model.document.createRoot();
+
+			model.change( writer => writer.detachRoot( root ) );
+
+			expect( root.isAttached() ).to.be.false;
+		} );
+	} );
+
 	describe( 'is()', () => {
 		let root;
 
@@ -616,6 +616,244 @@ describe( 'Schema', () => {
 
 			schema.checkAttribute( r1p1, 'bold' );
 		} );
+
+		it( 'checks the attribute value if it is passed', () => {
+			schema.setAttributeProperties( 'align', { valueType: { oneOf: [ 'left', 'right' ] } } );
+
+			expect( schema.checkAttribute( r1p1, 'align', 'right' ) ).to.be.true;
+			expect( schema.checkAttribute( r1p1, 'align', 'bogus' ) ).to.be.false;
+			expect( schema.checkAttribute( r1p1, 'align' ) ).to.be.true;
+			expect( schema.checkAttribute( r1p1, 'bold', 'right' ) ).to.be.false;
+		} );
+
+		it( 'does not allow an invalid value even if the attribute is allowed by a callback', () => {
+			schema.setAttributeProperties( 'align', { valueType: 'string' } );
+			schema.addAttributeCheck( () => true );
+
+			expect( schema.checkAttribute( r1p1, 'align', 'left' ) ).to.be.true;
+			expect( schema.checkAttribute( r1p1, 'align', 1 ) ).to.be.false;
+		} );
+
+		it( 'passes the attribute value to the checkAttribute event listeners', () => {
+			const spy = sinon.spy();
+
+			schema.on( 'checkAttribute', spy );
+			schema.checkAttribute( r1p1, 'align', 'left' );
+
+			expect( spy.firstCall.args[ 1 ][ 2 ] ).to.equal( 'left' );
+		} );
+	} );
+
+	describe( 'checkAttributeValue()', () => {
+		it( 'returns true if the attribute has no value type', () => {
+			schema.setAttributeProperties( 'bold', { isFormatting: true } );
+
+			expect( schema.checkAttributeValue( 'bold', 'foo' ) ).to.be.true;
+			expect( schema.checkAttributeValue( 'italic', 'foo' ) ).to.be.true;
+		} );
+
+		it( 'returns true for undefined and null values', () => {
+			schema.setAttributeProperties( 'alignment', { valueType: { oneOf: [ 'left', 'right' ] } } );
+
+			expect( schema.checkAttributeValue( 'alignment', undefined ) ).to.be.true;
+			expect( schema.checkAttributeValue( 'alignment', null ) ).to.be.true;
+		} );
+
+		it( 'checks the type passed as a string', () => {
+			schema.setAttributeProperties( 'checked', { valueType: 'boolean' } );
+
+			expect( schema.checkAttributeValue( 'checked', false ) ).to.be.true;
+			expect( schema.checkAttributeValue( 'checked', 'false' ) ).to.be.false;
+		} );
+
+		it( 'checks the type', () => {
+			schema.setAttributeProperties( 'src', { valueType: { type: 'string' } } );
+
+			expect( schema.checkAttributeValue( 'src', 'foo.png' ) ).to.be.true;
+			expect( schema.checkAttributeValue( 'src', 1 ) ).to.be.false;
+		} );
+
+		it( 'checks the list of allowed values', () => {
+			schema.setAttributeProperties( 'alignment', { valueType: { oneOf: [ 'left', 'right' ] } } );
+
+			expect( schema.checkAttributeValue( 'alignment', 'left' ) ).to.be.true;
+			expect( schema.checkAttributeValue( 'alignment', 'bogus' ) ).to.be.false;
+		} );
+
+		it( 'checks the number range', () => {
+			schema.setAttributeProperties( 'level', { valueType: { type: 'number', min: 1, max: 6 } } );
+			schema.setAttributeProperties( 'indent', { valueType: { min: 0 } } );
+
+			expect( schema.checkAttributeValue( 'level', 1 ) ).to.be.true;
+			expect( schema.checkAttributeValue( 'level', 6 ) ).to.be.true;
+			expect( schema.checkAttributeValue( 'level', 0 ) ).to.be.false;
+			expect( schema.checkAttributeValue( 'level', 7 ) ).to.be.false;
+			expect( schema.checkAttributeValue( 'indent', 100 ) ).to.be.true;
+			expect( schema.checkAttributeValue( 'indent', -1 ) ).to.be.false;
+			expect( schema.checkAttributeValue( 'indent', '1' ) ).to.be.false;
+		} );
+
+		it( 'checks the pattern', () => {
+			schema.setAttributeProperties( 'fontColor', { valueType: { pattern: /^#[0-9a-f]{6}$/ } } );
+			schema.setAttributeProperties( 'fontSize', { valueType: { pattern: '^\\d+px$' } } );
+
+			expect( schema.checkAttributeValue( 'fontColor', '#00ff00' ) ).to.be.true;
+			expect( schema.checkAttributeValue( 'fontColor', 'red' ) ).to.be.false;
+			expect( schema.checkAttributeValue( 'fontColor', 1 ) ).to.be.false;
+			expect( schema.checkAttributeValue( 'fontSize', '12px' ) ).to.be.true;
+			expect( schema.checkAttributeValue( 'fontSize', 'big' ) ).to.be.false;
+		} );
+
+		it( 'checks the value using the validate callback', () => {
+			const validate = sinon.spy( value => value.startsWith( 'https://' ) );
+
+			schema.setAttributeProperties( 'linkHref', { valueType: { type: 'string', validate } } );
+
+			expect( schema.checkAttributeValue( 'linkHref', 'https://ckeditor.com' ) ).to.be.true;
+			expect( schema.checkAttributeValue( 'linkHref', 'javascript:void(0)' ) ).to.be.false;
+
+			sinon.assert.calledWithExactly( validate, 'https://ckeditor.com' );
+		} );
+
+		it( 'requires all constraints to be met', () => {
+			schema.setAttributeProperties( 'size', { valueType: { type: 'number', oneOf: [ 1, 2, '3' ] } } );
+
+			expect( schema.checkAttributeValue( 'size', 1 ) ).to.be.true;
+			expect( schema.checkAttributeValue( 'size', '3' ) ).to.be.false;
+			expect( schema.checkAttributeValue( 'size', 4 ) ).to.be.false;
+		} );
+	} );
+
+	describe( 'getAllowedChildren()', () => {
+		beforeEach( () => {
+			schema.register( '$root' );
+			schema.register( '$block', { allowIn: '$root', isBlock: true } );
+			schema.register( '$text', { allowIn: '$block' } );
+			schema.register( 'paragraph', { inheritAllFrom: '$block' } );
+			schema.register( 'blockQuote', { allowWhere: '$block', allowContentOf: '$root' } );
+			schema.register( 'softBreak', { allowWhere: '$text' } );
+		} );
+
+		it( 'returns the names of items allowed in the given context', () => {
+			expect( schema.getAllowedChildren( [ '$root' ] ) ).to.have.members( [ '$block', 'paragraph', 'blockQuote' ] );
+			expect( schema.getAllowedChildren( [ '$root', 'paragraph' ] ) ).to.have.members( [ '$text', 'softBreak' ] );
+			expect( schema.getAllowedChildren( [ '$root', 'paragraph', '$text' ] ) ).to.deep.equal( [] );
+		} );
+
+		it( 'accepts a position as a context', () => {
+			expect( schema.getAllowedChildren( Position._createAt( r1p1, 0 ) ) ).to.have.members( [ '$text', 'softBreak' ] );
+		} );
+
+		it( 'respects the callbacks and rules', () => {
+			schema.addChildCheck( ( ctx, childDef ) => {
+				if ( ctx.endsWith( 'blockQuote' ) && childDef.name == 'blockQuote' ) {
+					return false;
+				}
+			} );
+			schema.addChildRule( { context: 'blockQuote', name: '$block', allow: false } );
+
+			expect( schema.getAllowedChildren( [ '$root', 'blockQuote' ] ) ).to.deep.equal( [ 'paragraph' ] );
+		} );
+
+		it( 'caches the results by the context item names', () => {
+			const spy = sinon.spy( schema, 'checkChild' );
+
+			schema.getAllowedChildren( [ '$root' ] );
+
+			const callCount = spy.callCount;
+
+			schema.getAllowedChildren( [ root1 ] );
+
+			expect( spy.callCount ).to.equal( callCount );
+		} );
+
+		it( 'returns a copy of the cached result', () => {
+			schema.getAllowedChildren( [ '$root' ] ).push( 'foo' );
+
+			expect( schema.getAllowedChildren( [ '$root' ] ) ).to.not.include( 'foo' );
+		} );
+
+		it( 'clears the cache when the schema changes', () => {
+			expect( schema.getAllowedChildren( [ '$root' ] ) ).to.not.include( 'image' );
+
+			schema.register( 'image', { allowWhere: '$block' } );
+
+			expect( schema.getAllowedChildren( [ '$root' ] ) ).to.include( 'image' );
+
+			schema.extend( 'softBreak', { allowIn: '$root' } );
+
+			expect( schema.getAllowedChildren( [ '$root' ] ) ).to.include( 'softBreak' );
+
+			schema.addChildCheck( ( ctx, childDef ) => childDef.name == 'image' ? false : undefined );
+
+			expect( schema.getAllowedChildren( [ '$root' ] ) ).to.not.include( 'image' );
+
+			schema.addChildRule( { name: 'softBreak', allow: false } );
+
+			expect( schema.getAllowedChildren( [ '$root' ] ) ).to.not.include( 'softBreak' );
+		} );
+	} );
+
+	describe( 'getAllowedAttributes()', () => {
+		beforeEach( () => {
+			schema.register( '$root' );
+			schema.register( 'paragraph', { allowIn: '$root', allowAttributes: [ 'alignment' ] } );
+			schema.register( 'heading1', { allowIn: '$root', allowAttributes: [ 'alignment' ] } );
+			schema.register( '$text', { allowIn: [ 'paragraph', 'heading1' ], allowAttributes: [ 'bold', 'italic' ] } );
+		} );
+
+		it( 'returns the names of attributes allowed in the given context', () => {
+			expect( schema.getAllowedAttributes( [ '$root', 'paragraph' ] ) ).to.deep.equal( [ 'alignment' ] );
+			expect( schema.getAllowedAttributes( [ '$root', 'paragraph', '$text' ] ) ).to.have.members( [ 'bold', 'italic' ] );
+			expect( schema.getAllowedAttributes( [ '$root' ] ) ).to.deep.equal( [] );
+		} );
+
+		it( 'accepts a node as a context', () => {
+			expect( schema.getAllowedAttributes( r1p1 ) ).to.deep.equal( [ 'alignment' ] );
+		} );
+
+		it( 'respects the callbacks and rules', () => {
+			schema.addAttributeCheck( ( ctx, attributeName ) => {
+				if ( ctx.endsWith( 'heading1 $text' ) && attributeName == 'bold' ) {
+					return false;
+				}
+			} );
+			schema.addAttributeRule( { context: '$text', name: 'linkHref', allow: true } );
+
+			expect( schema.getAllowedAttributes( [ '$root', 'heading1', '$text' ] ) ).to.have.members( [ 'italic', 'linkHref' ] );
+			expect( schema.getAllowedAttributes( [ '$root', 'heading1' ] ) ).to.deep.equal( [ 'alignment' ] );
+		} );
+
+		it( 'checks the attributes with properties', () => {
+			schema.setAttributeProperties( 'linkHref', { isFormatting: false } );
+			schema.addAttributeCheck( ( ctx, attributeName ) => attributeName == 'linkHref' ? true : undefined );
+
+			expect( schema.getAllowedAttributes( [ '$root', 'paragraph' ] ) ).to.have.members( [ 'alignment', 'linkHref' ] );
+		} );
+
+		it( 'caches the results by the context item names', () => {
+			const spy = sinon.spy( schema, 'checkAttribute' );
+
+			schema.getAllowedAttributes( [ '$root', 'paragraph' ] );
+
+			const callCount = spy.callCount;
+
+			schema.getAllowedAttributes( r1p1 );
+
+			expect( spy.callCount ).to.equal( callCount );
+		} );
+
+		it( 'clears the cache when the schema changes', () => {
+			expect( schema.getAllowedAttributes( [ '$root', 'paragraph' ] ) ).to.deep.equal( [ 'alignment' ] );
+
+			schema.extend( 'paragraph', { allowAttributes: [ 'listType' ] } );
+
+			expect( schema.getAllowedAttributes( [ '$root', 'paragraph' ] ) ).to.have.members( [ 'alignment', 'listType' ] );
+
+			schema.addAttributeRule( { name: 'alignment', allow: false } );
+
+			expect( schema.getAllowedAttributes( [ '$root', 'paragraph' ] ) ).to.deep.equal( [ 'listType' ] );
+		} );
 	} );
 
 	describe( 'addChildCheck()', () => {
@@ -761,6 +999,191 @@ describe( 'Schema', () => {
 		} );
 	} );
 
+	describe( 'addChildRule()', () => {
+		beforeEach( () => {
+			schema.register( '$root' );
+			schema.register( 'blockQuote', { allowIn: '$root' } );
+			schema.register( 'paragraph', { allowIn: [ '$root', 'blockQuote' ] } );
+			schema.register( 'heading1', { allowIn: [ '$root', 'blockQuote' ] } );
+		} );
+
+		it( 'disallows a child in the given context', () => {
+			schema.addChildRule( { context: 'blockQuote', name: 'heading1', allow: false } );
+
+			expect( schema.checkChild( [ '$root', 'blockQuote' ], 'heading1' ) ).to.be.false;
+			expect( schema.checkChild( [ '$root', 'blockQuote' ], 'paragraph' ) ).to.be.true;
+			expect( schema.checkChild( [ '$root' ], 'heading1' ) ).to.be.true;
+		} );
+
+		it( 'allows a child in any context if the context is not set', () => {
+			schema.addChildRule( { name: 'blockQuote', allow: true } );
+
+			expect( schema.checkChild( [ '$root', 'blockQuote', 'paragraph' ], 'blockQuote' ) ).to.be.true;
+		} );
+
+		it( 'accepts an array of names', () => {
+			schema.addChildRule( { context: '$root blockQuote', name: [ 'heading1', 'paragraph' ], allow: false } );
+
+			expect( schema.checkChild( [ '$root', 'blockQuote' ], 'heading1' ) ).to.be.false;
+			expect( schema.checkChild( [ '$root', 'blockQuote' ], 'paragraph' ) ).to.be.false;
+		} );
+
+		it( 'uses the first matching rule', () => {
+			schema.addChildRule( { context: 'blockQuote', name: 'heading1', allow: true } );
+			schema.addChildRule( { name: 'heading1', allow: false } );
+
+			expect( schema.checkChild( [ '$root', 'blockQuote' ], 'heading1' ) ).to.be.true;
+			expect( schema.checkChild( [ '$root' ], 'heading1' ) ).to.be.false;
+		} );
+
+		it( 'throws when the rule is invalid', () => {
+			expectToThrowCKEditorError( () => {
+				schema.addChildRule( { name: 'heading1' } );
+			}, /^schema-invalid-rule/, schema );
+
+			expectToThrowCKEditorError( () => {
+				schema.addChildRule( { allow: false } );
+			}, /^schema-invalid-rule/, schema );
+		} );
+	} );
+
+	describe( 'addAttributeRule()', () => {
+		beforeEach( () => {
+			schema.register( '$root' );
+			schema.register( 'paragraph', { allowIn: '$root' } );
+			schema.register( 'heading1', { allowIn: '$root' } );
+			schema.register( '$text', { allowIn: [ 'paragraph', 'heading1' ], allowAttributes: 'bold' } );
+		} );
+
+		it( 'disallows an attribute in the given context', () => {
+			schema.addAttributeRule( { context: 'heading1 $text', name: 'bold', allow: false } );
+
+			expect( schema.checkAttribute( [ '$root', 'heading1', '$text' ], 'bold' ) ).to.be.false;
+			expect( schema.checkAttribute( [ '$root', 'paragraph', '$text' ], 'bold' ) ).to.be.true;
+		} );
+
+		it( 'allows an attribute if the context is not set', () => {
+			schema.addAttributeRule( { name: [ 'italic', 'underline' ], allow: true } );
+
+			expect( schema.checkAttribute( [ '$root', 'paragraph' ], 'italic' ) ).to.be.true;
+			expect( schema.checkAttribute( [ '$root', 'paragraph' ], 'underline' ) ).to.be.true;
+			expect( schema.checkAttribute( [ '$root', 'paragraph' ], 'code' ) ).to.be.false;
+		} );
+
+		it( 'throws when the rule is invalid', () => {
+			expectToThrowCKEditorError( () => {
+				schema.addAttributeRule( { name: 'bold', allow: 'no' } );
+			}, /^schema-invalid-rule/, schema );
+		} );
+	} );
+
+	describe( 'toJSON()', () => {
+		it( 'serializes source definitions, rules and attribute properties', () => {
+			schema.register( '$root', { isLimit: true } );
+			schema.register( '$block', { allowIn: '$root', isBlock: true } );
+			schema.register( 'paragraph', { inheritAllFrom: '$block' } );
+			schema.extend( 'paragraph', { allowAttributes: [ 'alignment' ] } );
+			schema.addChildRule( { context: 'paragraph', name: 'paragraph', allow: false } );
+			schema.addAttributeRule( { name: 'bold', allow: true } );
+			schema.setAttributeProperties( 'bold', { isFormatting: true } );
+
+			expect( schema.toJSON() ).to.deep.equal( {
+				items: {
+					$root: [ { isLimit: true } ],
+					$block: [ { allowIn: '$root', isBlock: true } ],
+					paragraph: [ { inheritAllFrom: '$block' }, { allowAttributes: [ 'alignment' ] } ]
+				},
+				childRules: [ { context: 'paragraph', name: [ 'paragraph' ], allow: false } ],
+				attributeRules: [ { name: [ 'bold' ], allow: true } ],
+				attributeProperties: { bold: { isFormatting: true } }
+			} );
+		} );
+
+		it( 'returns a copy of the definitions', () => {
+			const allowIn = [ '$root' ];
+
+			schema.register( 'paragraph', { allowIn } );
+
+			const json = schema.toJSON();
+
+			json.items.paragraph[ 0 ].allowIn.push( 'foo' );
+
+			expect( allowIn ).to.deep.equal( [ '$root' ] );
+			expect( schema.toJSON().items.paragraph[ 0 ].allowIn ).to.deep.equal( [ '$root' ] );
+		} );
+
+		it( 'serializes the model schema with the $marker rule', () => {
+			const json = new Model().schema.toJSON();
+
+			expect( json.childRules ).to.deep.equal( [ { name: [ '$marker' ], allow: true } ] );
+			expect( Object.keys( json.items ) ).to.include.members( [ '$root', '$block', '$text', '$clipboardHolder', '$marker' ] );
+		} );
+	} );
+
+	describe( 'fromJSON()', () => {
+		let source;
+
+		beforeEach( () => {
+			source = new Schema();
+
+			source.register( '$root', { isLimit: true } );
+			source.register( '$block', { allowIn: '$root', isBlock: true } );
+			source.register( '$text', { allowIn: '$block', isInline: true } );
+			source.register( 'paragraph', { inheritAllFrom: '$block' } );
+			source.register( 'blockQuote', { allowWhere: '$block', allowContentOf: '$root' } );
+			source.register( 'image', { isObject: true, allowWhere: '$block', allowAttributes: 'src' } );
+			source.extend( '$text', { allowAttributes: [ 'bold', 'italic' ] } );
+			source.addChildRule( { context: 'blockQuote', name: 'image', allow: false } );
+			source.addAttributeRule( { context: 'blockQuote paragraph $text', name: 'bold', allow: false } );
+			source.setAttributeProperties( 'bold', { isFormatting: true } );
+		} );
+
+		it( 'creates a schema instance', () => {
+			expect( Schema.fromJSON( source.toJSON() ) ).to.be.instanceOf( Schema );
+		} );
+
+		it( 'creates a schema with the same compiled definitions', () => {
+			const schema = Schema.fromJSON( JSON.parse( JSON.stringify( source ) ) );
+
+			expect( schema.getDefinitions() ).to.deep.equal( source.getDefinitions() );
+			expect( schema.isObject( 'image' ) ).to.be.true;
+			expect( schema.isLimit( '$root' ) ).to.be.true;
+		} );
+
+		it( 'creates a schema with the same rules', () => {
+			const schema = Schema.fromJSON( JSON.parse( JSON.stringify( source ) ) );
+
+			expect( schema.checkChild( [ '$root', 'blockQuote' ], 'image' ) ).to.be.false;
+			expect( schema.checkChild( [ '$root' ], 'image' ) ).to.be.true;
+			expect( schema.checkAttribute( [ '$root', 'blockQuote', 'paragraph', '$text' ], 'bold' ) ).to.be.false;
+			expect( schema.checkAttribute( [ '$root', 'blockQuote', 'paragraph', '$text' ], 'italic' ) ).to.be.true;
+			expect( schema.checkAttribute( [ '$root', 'paragraph', '$text' ], 'bold' ) ).to.be.true;
+		} );
+
+		it( 'restores attribute properties', () => {
+			const schema = Schema.fromJSON( source.toJSON() );
+
+			expect( schema.getAttributeProperties( 'bold' ) ).to.deep.equal( { isFormatting: true } );
+		} );
+
+		it( 'produces the same JSON', () => {
+			expect( Schema.fromJSON( source.toJSON() ).toJSON() ).to.deep.equal( source.toJSON() );
+		} );
+
+		it( 'creates an empty schema from an empty object', () => {
+			expect( Schema.fromJSON( {} ).getDefinitions() ).to.deep.equal( {} );
+		} );
+
+		it( 'restores attribute value types', () => {
+			source.setAttributeProperties( 'fontSize', { valueType: { type: 'string', pattern: '^\\d+px$' } } );
+
+			const schema = Schema.fromJSON( JSON.parse( JSON.stringify( source ) ) );
+
+			expect( schema.checkAttributeValue( 'fontSize', '12px' ) ).to.be.true;
+			expect( schema.checkAttributeValue( 'fontSize', 'big' ) ).to.be.false;
+		} );
+	} );
+
 	describe( 'checkMerge()', () => {
 		beforeEach( () => {
 			schema.register( '$root' );
@@ -1834,6 +2257,23 @@ describe( 'Schema', () => {
 			} );
 		} );
 
+		it( 'should filter out attributes with invalid values', () => {
+			schema.extend( 'div', { allowAttributes: [ 'a', 'b' ] } );
+			schema.setAttributeProperties( 'a', { valueType: 'number' } );
+
+			const valid = new Element( 'div', { a: 1, b: 'x' } );
+			const invalid = new Element( 'div', { a: '1', b: 'x' } );
+
+			root._appendChild( [ valid, invalid ] );
+
+			model.change( writer => {
+				schema.removeDisallowedAttributes( [ valid, invalid ], writer );
+
+				expect( getData( model, { withoutSelection: true } ) )
+					.to.equal( '<div a="1" b="x"></div><div b="x"></div>' );
+			} );
+		} );
+
 		it( 'should filter out disallowed attributes from all descendants of given nodes', () => {
 			schema.addAttributeCheck( ( ctx, attributeName ) => {
 				// Allow 'a' on div>$text.
@@ -2988,6 +3428,134 @@ describe( 'Schema', () => {
 		} );
 	} );
 
+	describe( 'validate()', () => {
+		let model;
+
+		beforeEach( () => {
+			model = new Model();
+			schema = model.schema;
+
+			schema.register( 'paragraph', { inheritAllFrom: '$block' } );
+			schema.register( 'blockQuote', { allowWhere: '$block', allowContentOf: '$root' } );
+			schema.register( 'image', { allowWhere: '$block', allowAttributes: 'src', isObject: true } );
+			schema.extend( '$text', { allowAttributes: 'bold' } );
+		} );
+
+		it( 'returns an empty array for a valid root', () => {
+			const root = model.document.createRoot();
+
+			setData( model, '<paragraph>f<$text bold="true">o</$text>o</paragraph><blockQuote><paragraph>bar</paragraph></blockQuote>' );
+
+			expect( schema.validate( root ) ).to.deep.equal( [] );
+		} );
+
+		it( 'reports disallowed children', () => {
+			const image = new Element( 'image' );
+			const root = new Element( '$root', null, [
+				new Element( 'paragraph', null, [ new Text( 'foo' ), image ] )
+			] );
+
+			expect( schema.validate( root ) ).to.deep.equal( [
+				{ type: 'child', item: image, path: [ 0, 3 ], name: 'image', reason: 'notAllowed', rule: null }
+			] );
+		} );
+
+		it( 'reports disallowed text', () => {
+			const text = new Text( 'foo' );
+			const root = new Element( '$root', null, [ text ] );
+
+			expect( schema.validate( root ) ).to.deep.equal( [
+				{ type: 'child', item: text, path: [ 0 ], name: '$text', reason: 'notAllowed', rule: null }
+			] );
+		} );
+
+		it( 'reports not registered elements and checks their content', () => {
+			const foo = new Element( 'foo', null, [ new Element( 'paragraph' ) ] );
+			const root = new Element( '$root', null, [ foo ] );
+
+			const violations = schema.validate( root );
+
+			expect( violations.length ).to.equal( 2 );
+			expect( violations[ 0 ] ).to.deep.equal( {
+				type: 'child', item: foo, path: [ 0 ], name: 'foo', reason: 'notRegistered', rule: null
+			} );
+			expect( violations[ 1 ].item ).to.equal( foo.getChild( 0 ) );
+			expect( violations[ 1 ].path ).to.deep.equal( [ 0, 0 ] );
+		} );
+
+		it( 'reports disallowed attributes', () => {
+			const text = new Text( 'bar', { italic: true } );
+			const paragraph = new Element( 'paragraph', { src: 'x' }, [ new Text( 'foo' ), text ] );
+			const root = new Element( '$root', null, [ paragraph ] );
+
+			expect( schema.validate( root ) ).to.deep.equal( [
+				{ type: 'attribute', item: paragraph, path: [ 0 ], name: 'src', reason: 'notAllowed', rule: null },
+				{ type: 'attribute', item: text, path: [ 0, 3 ], name: 'italic', reason: 'notAllowed', rule: null }
+			] );
+		} );
+
+		it( 'reports attributes with invalid values', () => {
+			schema.setAttributeProperties( 'src', { valueType: 'string' } );
+
+			const image = new Element( 'image', { src: 1 } );
+			const root = new Element( '$root', null, [ new Element( 'image', { src: 'foo.png' } ), image ] );
+
+			expect( schema.validate( root ) ).to.deep.equal( [
+				{ type: 'attribute', item: image, path: [ 1 ], name: 'src', reason: 'invalidValue', rule: null }
+			] );
+		} );
+
+		it( 'reports the violated declarative rules', () => {
+			schema.addChildRule( { context: 'blockQuote', name: 'image', allow: false } );
+			schema.addAttributeRule( { context: 'blockQuote paragraph $text', name: 'bold', allow: false } );
+
+			const image = new Element( 'image' );
+			const text = new Text( 'foo', { bold: true } );
+			const root = new Element( '$root', null, [
+				new Element( 'blockQuote', null, [ image, new Element( 'paragraph', null, [ text ] ) ] )
+			] );
+
+			expect( schema.validate( root ) ).to.deep.equal( [
+				{
+					type: 'child', item: image, path: [ 0, 0 ], name: 'image', reason: 'rule',
+					rule: { context: 'blockQuote', name: [ 'image' ], allow: false }
+				},
+				{
+					type: 'attribute', item: text, path: [ 0, 1, 0 ], name: 'bold', reason: 'rule',
+					rule: { context: 'blockQuote paragraph $text', name: [ 'bold' ], allow: false }
+				}
+			] );
+		} );
+
+		it( 'does not check the validated element itself', () => {
+			const root = new Element( 'paragraph', { foo: 'bar' } );
+
+			expect( schema.validate( root ) ).to.deep.equal( [] );
+		} );
+
+		it( 'validates a document fragment', () => {
+			const text = new Text( 'foo', { italic: true } );
+			const fragment = new DocumentFragment( [
+				new Text( 'bar' ),
+				new Element( 'paragraph', null, [ text, new Element( 'paragraph' ) ] )
+			] );
+
+			const violations = schema.validate( fragment );
+
+			expect( violations.map( violation => [ violation.type, violation.name, violation.path ] ) ).to.deep.equal( [
+				[ 'attribute', 'italic', [ 3, 0 ] ],
+				[ 'child', 'paragraph', [ 3, 3 ] ]
+			] );
+		} );
+
+		it( 'works with a schema created from JSON', () => {
+			const serverSchema = Schema.fromJSON( JSON.parse( JSON.stringify( schema ) ) );
+			const root = new Element( '$root', null, [ new Element( '$marker' ), new Text( 'foo' ) ] );
+
+			expect( serverSchema.validate( root ).map( violation => violation.name ) ).to.deep.equal( [ '$text' ] );
+		} );
+	} );
+
 	describe( 'createContext()', () => {
 		it( 'should return SchemaContext instance', () => {
 			const ctx = schema.createContext( [ 'a', 'b', 'c' ] );
@@ -0,0 +1,207 @@
+/**
+ * @license Copyright (c) 2003-2020, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+import Model from '../../../src/model/model';
+import DocumentFragment from '../../../src/model/documentfragment';
+
+import diffModel from '../../../src/model/utils/diffmodel';
+
+import { getData, setData, parse, stringify } from '../../../src/dev-utils/model';
+
+describe( 'diffModel()', () => {
+	let model, doc, root;
+
+	beforeEach( () => {
+		model = new Model();
+		doc = model.document;
+		root = doc.createRoot();
+
+		model.schema.register( 'paragraph', { inheritAllFrom: '$block' } );
+		model.schema.register( 'heading1', { inheritAllFrom: '$block' } );
+		model.schema.register( 'blockQuote', { allowWhere: '$block', allowContentOf: '$root' } );
+
+		model.schema.extend( '$block', { allowAttributes: [ 'alignment' ] } );
+		model.schema.extend( '$text', { allowAttributes: [ 'bold' ] } );
+		model.schema.extend( '$root', { allowAttributes: [ 'lang' ] } );
+	} );
+
+	describe( 'document root', () => {
+		it( 'should return no operations for the same content', () => {
+			setData( model, '<paragraph>foo</paragraph>' );
+
+			expect( diffModel( root, parseFragment( '<paragraph>foo</paragraph>' ) ) ).to.deep.equal( [] );
+		} );
+
+		it( 'should return operations changing the root content', () => {
+			setData( model, '<paragraph>foo</paragraph><paragraph>bar</paragraph><paragraph>baz</paragraph>' );
+
+			const expected = '<heading1>foo</heading1><paragraph>b<$text bold="true">a</$text>r</paragraph><paragraph>xyz</paragraph>';
+
+			apply( diffModel( root, parseFragment( expected ) ) );
+
+			expect( getData( model, { withoutSelection: true } ) ).to.equal( expected );
+		} );
+
+		it( 'should return document operations with subsequent base versions', () => {
+			setData( model, '<paragraph>foo</paragraph>' );
+
+			const operations = diffModel( root, parseFragment( '<paragraph>bar</paragraph><paragraph>baz</paragraph>' ) );
+
+			expect( operations.length ).to.be.above( 1 );
+
+			operations.forEach( ( operation, index ) => {
+				expect( operation.isDocumentOperation ).to.be.true;
+				expect( operation.baseVersion ).to.equal( doc.version + index );
+			} );
+		} );
+
+		it( 'should move removed nodes to the graveyard', () => {
+			setData( model, '<paragraph>foo</paragraph><paragraph>bar</paragraph>' );
+
+			const operations = diffModel( root, parseFragment( '<paragraph>foo</paragraph>' ) );
+
+			expect( operations.length ).to.equal( 1 );
+			expect( operations[ 0 ].type ).to.equal( 'remove' );
+
+			apply( operations );
+
+			expect( doc.graveyard.getChild( 0 ).getChild( 0 ).data ).to.equal( 'bar' );
+		} );
+
+		it( 'should not change compared trees', () => {
+			setData( model, '<paragraph>foo</paragraph>' );
+
+			const fragment = parseFragment( '<paragraph>bar</paragraph>' );
+
+			diffModel( root, fragment );
+
+			expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>foo</paragraph>' );
+			expect( stringify( fragment ) ).to.equal( '<paragraph>bar</paragraph>' );
+		} );
+
+		it( 'should return root attribute changes when compared with an element', () => {
+			const otherModel = new Model();
+			const otherRoot = otherModel.document.createRoot();
+
+			otherModel.schema.register( 'paragraph', { inheritAllFrom: '$block' } );
+			otherModel.schema.extend( '$root', { allowAttributes: [ 'lang' ] } );
+
+			setData( model, '<paragraph>foo</paragraph>' );
+			setData( otherModel, '<paragraph>bar</paragraph>' );
+
+			otherModel.change( writer => {
+				writer.setAttribute( 'lang', 'en', otherRoot );
+			} );
+
+			const operations = diffModel( root, otherRoot );
+
+			expect( operations[ 0 ].type ).to.equal( 'addRootAttribute' );
+
+			apply( operations );
+
+			expect( root.getAttribute( 'lang' ) ).to.equal( 'en' );
+			expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>bar</paragraph>' );
+		} );
+
+		it( 'should return operations which can be applied to the same tree in another document', () => {
+			setData( model, '<paragraph>foo</paragraph><paragraph>bar</paragraph>' );
+
+			const otherModel = new Model();
+
+			otherModel.schema.register( 'paragraph', { inheritAllFrom: '$block' } );
+			otherModel.document.createRoot();
+
+			setData( otherModel, '<paragraph>foo</paragraph><paragraph>bar</paragraph>' );
+
+			const operations = diffModel( root, parseFragment( '<paragraph>bar</paragraph><paragraph>baz</paragraph>' ) );
+
+			otherModel.change( () => {
+				for ( const operation of operations ) {
+					otherModel.applyOperation( otherModel.createOperationFromJSON( JSON.parse( JSON.stringify( operation ) ) ) );
+				}
+			} );
+
+			expect( getData( otherModel, { withoutSelection: true } ) ).to.equal( '<paragraph>bar</paragraph><paragraph>baz</paragraph>' );
+		} );
+	} );
+
+	describe( 'element', () => {
+		it( 'should rename the element and change its attributes and content', () => {
+			setData( model, '<paragraph>x</paragraph><blockQuote><paragraph alignment="left">foo</paragraph></blockQuote>' );
+
+			const element = root.getNodeByPath( [ 1, 0 ] );
+
+			apply( diffModel( element, parse( '<heading1>fox</heading1>', model.schema ) ) );
+
+			expect( getData( model, { withoutSelection: true } ) ).to.equal(
+				'<paragraph>x</paragraph><blockQuote><heading1>fox</heading1></blockQuote>'
+			);
+			expect( root.getNodeByPath( [ 1, 0 ] ) ).to.equal( element );
+		} );
+
+		it( 'should replace the element if it cannot be matched', () => {
+			setData( model, '<paragraph>x</paragraph><paragraph>foo</paragraph>' );
+
+			apply( diffModel( root.getChild( 1 ), parse( '<blockQuote><paragraph>bar</paragraph></blockQuote>', model.schema ) ) );
+
+			expect( getData( model, { withoutSelection: true } ) ).to.equal(
+				'<paragraph>x</paragraph><blockQuote><paragraph>bar</paragraph></blockQuote>'
+			);
+		} );
+	} );
+
+	describe( 'document fragment', () => {
+		it( 'should return non-document operations', () => {
+			const from = parseFragment( '<paragraph>foo</paragraph><paragraph>bar</paragraph>' );
+			const to = parseFragment( '<paragraph>foo</paragraph><heading1>bar</heading1><paragraph>baz</paragraph>' );
+
+			const operations = diffModel( from, to );
+
+			for ( const operation of operations ) {
+				expect( operation.isDocumentOperation ).to.be.false;
+				expect( operation.baseVersion ).to.be.null;
+
+				operation._validate();
+				operation._execute();
+			}
+
+			expect( stringify( from ) ).to.equal( stringify( to ) );
+		} );
+
+		it( 'should detach removed nodes', () => {
+			const from = parseFragment( '<paragraph>foo</paragraph><paragraph>bar</paragraph>' );
+			const operations = diffModel( from, new DocumentFragment() );
+
+			expect( operations.map( operation => operation.type ) ).to.deep.equal( [ 'detach' ] );
+		} );
+
+		it( 'should return operations for an element in a document fragment', () => {
+			const from = parseFragment( '<blockQuote><paragraph>foo</paragraph></blockQuote>' );
+			const to = parse( '<blockQuote><paragraph>bar</paragraph></blockQuote>', model.schema );
+
+			for ( const operation of diffModel( from.getChild( 0 ), to ) ) {
+				operation._execute();
+			}
+
+			expect( stringify( from ) ).to.equal( '<blockQuote><paragraph>bar</paragraph></blockQuote>' );
+		} );
+	} );
+
+	// Parses the data to a document fragment (also if it contains one element).
+	function parseFragment( data ) {
+		const parsed = parse( data, model.schema );
+
+		return parsed.is( 'documentFragment' ) ? parsed : new DocumentFragment( [ parsed ] );
+	}
+
+	function apply( operations ) {
+		model.change( writer => {
+			for ( const operation of operations ) {
+				writer.batch.addOperation( operation );
+				model.applyOperation( operation );
+			}
+		} );
+	}
+} );
@@ -0,0 +1,449 @@
+/**
+ * @license Copyright (c) 2003-2020, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+import Model from '../../../src/model/model';
+
+import { exportState, importState } from '../../../src/model/utils/documentstate';
+
+import { getData as getModelData, setData as setModelData } from '../../../src/dev-utils/model';
+
+describe( 'DocumentState', () => {
+	let model, doc, root;
+
+	beforeEach( () => {
+		model = createModel();
+		doc = model.document;
+		root = doc.createRoot();
+	} );
+
+	describe( 'exportState()', () => {
+		it( 'should export the document version', () => {
+			setModelData( model, '<paragraph>foo</paragraph>' );
+
+			expect( exportState( model ).version ).to.equal( doc.version );
+		} );
+
+		it( 'should export roots with their attributes and children', () => {
+			setModelData( model, '<paragraph>f<$text bold="true">o</$text>o</paragraph>' );
+
+			model.change( writer => {
+				writer.setAttribute( 'order', 1, root );
+			} );
+
+			expect( exportState( model ).roots ).to.deep.equal( [ {
+				rootName: 'main',
+				elementName: '$root',
+				isAttached: true,
+				attributes: { order: 1 },
+				children: [ {
+					name: 'paragraph',
+					children: [
+						{ data: 'f' },
+						{ data: 'o', attributes: { bold: true } },
+						{ data: 'o' }
+					]
+				} ]
+			} ] );
+		} );
+
+		it( 'should export detached roots', () => {
+			model.change( writer => {
+				writer.detachRoot( writer.addRoot( 'footer', 'div' ) );
+			} );
+
+			expect( exportState( model ).roots[ 1 ] ).to.deep.equal( {
+				rootName: 'footer',
+				elementName: 'div',
+				isAttached: false,
+				attributes: {},
+				children: []
+			} );
+		} );
+
+		it( 'should export markers', () => {
+			setModelData( model, '<paragraph>foo</paragraph>' );
+
+			model.change( writer => {
+				const range = writer.createRange( writer.createPositionAt( root.getChild( 0 ), 1 ), writer.createPositionAt( root, 1 ) );
+
+				writer.addMarker( 'comment:1', { range, usingOperation: true, affectsData: true } );
+				writer.addMarker( 'search', { range: writer.createRangeIn( root ), usingOperation: false } );
+			} );
+
+			expect( exportState( model ).markers ).to.deep.equal( [
+				{
+					name: 'comment:1',
+					range: {
+						start: { root: 'main', path: [ 0, 1 ], stickiness: 'toNext' },
+						end: { root: 'main', path: [ 1 ], stickiness: 'toPrevious' }
+					},
+					usingOperation: true,
+					affectsData: true
+				},
+				{
+					name: 'search',
+					range: {
+						start: { root: 'main', path: [ 0 ], stickiness: 'toNext' },
+						end: { root: 'main', path: [ 1 ], stickiness: 'toPrevious' }
+					},
+					usingOperation: false,
+					affectsData: false
+				}
+			] );
+		} );
+
+		it( 'should not export the markers of the remote selections', () => {
+			setModelData( model, '<paragraph>foo</paragraph>' );
+
+			doc.remoteSelections.set( 'john', model.createRangeIn( root.getChild( 0 ) ) );
+
+			expect( exportState( model ).markers ).to.deep.equal( [] );
+		} );
+
+		it( 'should export the selection', () => {
+			setModelData( model, '<paragraph>f[oo]</paragraph>', { lastRangeBackward: true, selectionAttributes: { bold: true } } );
+
+			expect( exportState( model ).selection ).to.deep.equal( {
+				ranges: [ {
+					start: { root: 'main', path: [ 0, 1 ], stickiness: 'toNext' },
+					end: { root: 'main', path: [ 0, 3 ], stickiness: 'toPrevious' }
+				} ],
+				isBackward: true,
+				attributes: { bold: true }
+			} );
+		} );
+
+		it( 'should not export the history by default', () => {
+			setModelData( model, '<paragraph>foo</paragraph>' );
+
+			const state = exportState( model );
+
+			expect( state ).to.not.have.property( 'history' );
+			expect( state ).to.not.have.property( 'graveyard' );
+		} );
+
+		it( 'should export the history and the graveyard content with the history option', () => {
+			setModelData( model, '<paragraph>foo</paragraph><paragraph>bar</paragraph>' );
+
+			model.change( writer => {
+				writer.remove( root.getChild( 1 ) );
+			} );
+
+			const state = exportState( model, { history: true } );
+
+			expect( state.history ).to.deep.equal( doc.history.toJSON() );
+			expect( state.graveyard ).to.deep.equal( [ { name: 'paragraph', children: [ { data: 'bar' } ] } ] );
+		} );
+
+		it( 'should return a JSON-serializable object', () => {
+			setModelData( model, '<paragraph>f[o]o</paragraph>' );
+
+			const state = exportState( model );
+
+			expect( JSON.parse( JSON.stringify( state ) ) ).to.deep.equal( state );
+		} );
+	} );
+
+	describe( 'importState()', () => {
+		let otherModel;
+
+		beforeEach( () => {
+			otherModel = createModel();
+			otherModel.document.createRoot();
+		} );
+
+		it( 'should restore the roots content and attributes', () => {
+			setModelData( model, '<paragraph>f<$text bold="true">o</$text>o</paragraph><paragraph>bar</paragraph>' );
+			setModelData( otherModel, '<paragraph>xyz</paragraph>' );
+
+			model.change( writer => {
+				writer.setAttribute( 'order', 1, root );
+			} );
+
+			otherModel.change( writer => {
+				writer.setAttribute( 'foo', 'bar', otherModel.document.getRoot() );
+			} );
+
+			importState( otherModel, exportState( model ) );
+
+			const otherRoot = otherModel.document.getRoot();
+
+			expect( getModelData( otherModel, { withoutSelection: true } ) ).to.equal( getModelData( model, { withoutSelection: true } ) );
+			expect( Array.from( otherRoot.getAttributes() ) ).to.deep.equal( [ [ 'order', 1 ] ] );
+		} );
+
+		it( 'should add missing roots and detach roots which are not in the state', () => {
+			model.change( writer => {
+				const header = writer.addRoot( 'header', 'div' );
+
+				writer.insertElement( 'paragraph', header, 0 );
+				writer.detachRoot( writer.addRoot( 'footer' ) );
+			} );
+
+			otherModel.change( writer => {
+				writer.addRoot( 'sidebar' );
+				writer.addRoot( 'footer' );
+			} );
+
+			importState( otherModel, exportState( model ) );
+
+			const otherDoc = otherModel.document;
+
+			expect( otherDoc.getRootNames() ).to.deep.equal( [ 'main', 'header' ] );
+			expect( otherDoc.getRoot( 'header' ).name ).to.equal( 'div' );
+			expect( otherDoc.getRoot( 'header' ).getChild( 0 ).name ).to.equal( 'paragraph' );
+			expect( otherDoc.getRoot( 'sidebar' ).isAttached() ).to.be.false;
+			expect( otherDoc.getRoot( 'footer' ).isAttached() ).to.be.false;
+		} );
+
+		it( 'should add detached roots which do not exist', () => {
+			model.change( writer => {
+				writer.detachRoot( writer.addRoot( 'footer', 'div' ) );
+			} );
+
+			importState( otherModel, exportState( model ) );
+
+			const footer = otherModel.document.getRoot( 'footer' );
+
+			expect( footer.name ).to.equal( 'div' );
+			expect( footer.isAttached() ).to.be.false;
+		} );
+
+		it( 'should re-attach roots which are attached in the state', () => {
+			model.change( writer => {
+				writer.insertText( 'foo', writer.addRoot( 'footer' ), 0 );
+			} );
+
+			otherModel.change( writer => {
+				writer.detachRoot( writer.addRoot( 'footer' ) );
+			} );
+
+			importState( otherModel, exportState( model ) );
+
+			const footer = otherModel.document.getRoot( 'footer' );
+
+			expect( footer.isAttached() ).to.be.true;
+			expect( footer.getChild( 0 ).data ).to.equal( 'foo' );
+		} );
+
+		it( 'should replace markers', () => {
+			setModelData( model, '<paragraph>foo</paragraph>' );
+			setModelData( otherModel, '<paragraph>bar</paragraph>' );
+
+			model.change( writer => {
+				const range = writer.createRangeIn( root.getChild( 0 ) );
+
+				writer.addMarker( 'comment:1', { range, usingOperation: true, affectsData: true } );
+			} );
+
+			otherModel.change( writer => {
+				const range = writer.createRangeIn( otherModel.document.getRoot() );
+
+				writer.addMarker( 'search', { range, usingOperation: false } );
+			} );
+
+			importState( otherModel, exportState( model ) );
+
+			const markers = Array.from( otherModel.markers );
+
+			expect( markers.length ).to.equal( 1 );
+			expect( markers[ 0 ].name ).to.equal( 'comment:1' );
+			expect( markers[ 0 ].managedUsingOperations ).to.be.true;
+			expect( markers[ 0 ].affectsData ).to.be.true;
+			expect( markers[ 0 ].getRange().toJSON() ).to.deep.equal( model.markers.get( 'comment:1' ).getRange().toJSON() );
+		} );
+
+		it( 'should keep the remote selections', () => {
+			setModelData( model, '<paragraph>foo</paragraph>' );
+			setModelData( otherModel, '<paragraph>bar</paragraph>' );
+
+			const remoteSelection = otherModel.document.remoteSelections.set(
+				'john',
+				otherModel.createRange( otherModel.createPositionFromPath( otherModel.document.getRoot(), [ 0, 1 ] ) )
+			);
+
+			importState( otherModel, exportState( model ) );
+
+			expect( otherModel.document.remoteSelections.get( 'john' ) ).to.equal( remoteSelection );
+			expect( otherModel.markers.has( 'remoteCaret:john' ) ).to.be.true;
+
+			// The content of the remote selection was replaced.
+			expect( remoteSelection.getRanges() ).to.deep.equal( [] );
+		} );
+
+		it( 'should restore the selection', () => {
+			setModelData( model, '<paragraph>f[oo]</paragraph>', { lastRangeBackward: true, selectionAttributes: { bold: true } } );
+
+			importState( otherModel, exportState( model ) );
+
+			const selection = otherModel.document.selection;
+
+			expect( getModelData( otherModel ) ).to.equal( getModelData( model ) );
+			expect( selection.isBackward ).to.be.true;
+			expect( selection.getAttribute( 'bold' ) ).to.be.true;
+		} );
+
+		it( 'should restore the document version and reset the history', () => {
+			setModelData( model, '<paragraph>foo</paragraph>' );
+
+			model.change( writer => {
+				writer.insertText( 'bar', root.getChild( 0 ), 'end' );
+			} );
+
+			importState( otherModel, exportState( model ) );
+
+			const otherDoc = otherModel.document;
+
+			expect( otherDoc.version ).to.equal( doc.version );
+			expect( otherDoc.history.getOperations() ).to.deep.equal( [] );
+
+			otherModel.change( writer => {
+				writer.insertText( 'x', otherDoc.getRoot().getChild( 0 ), 0 );
+			} );
+
+			const operation = otherDoc.history.getOperation( doc.version );
+
+			expect( operation.type ).to.equal( 'insert' );
+			expect( otherDoc.version ).to.equal( doc.version + 1 );
+		} );
+
+		it( 'should restore the state in the same model', () => {
+			setModelData( model, '<paragraph>f[o]o</paragraph>' );
+
+			const state = exportState( model );
+
+			model.change( writer => {
+				writer.remove( writer.createRangeIn( root ) );
+				writer.addRoot( 'other' );
+			} );
+
+			importState( model, state );
+
+			expect( getModelData( model ) ).to.equal( '<paragraph>f[o]o</paragraph>' );
+			expect( doc.getRootNames() ).to.deep.equal( [ 'main' ] );
+			expect( doc.version ).to.equal( state.version );
+		} );
+
+		it( 'should keep element identifiers', () => {
+			doc.enableElementIds();
+			otherModel.document.enableElementIds();
+
+			setModelData( model, '<paragraph>foo</paragraph>' );
+
+			const id = root.getChild( 0 ).id;
+
+			importState( otherModel, exportState( model ) );
+
+			expect( otherModel.document.getRoot().getChild( 0 ).id ).to.equal( id );
+			expect( otherModel.document.getElementById( id ) ).to.equal( otherModel.document.getRoot().getChild( 0 ) );
+		} );
+
+		it( 'should restore the state serialized to a JSON string', () => {
+			setModelData( model, '<paragraph>f[o]o</paragraph>' );
+
+			importState( otherModel, JSON.parse( JSON.stringify( exportState( model ) ) ) );
+
+			expect( getModelData( otherModel ) ).to.equal( '<paragraph>f[o]o</paragraph>' );
+		} );
+
+		it( 'should restore the history which allows undoing the changes made before the export', () => {
+			setModelData( model, '<paragraph>foo</paragraph><paragraph>bar</paragraph>' );
+
+			model.change( writer => {
+				writer.insertText( 'x', root.getChild( 0 ), 0 );
+				writer.remove( root.getChild( 1 ) );
+			} );
+
+			importState( otherModel, JSON.parse( JSON.stringify( exportState( model, { history: true } ) ) ) );
+
+			const otherDoc = otherModel.document;
+			const history = otherDoc.history;
+
+			expect( history.getOperations().length ).to.equal( doc.history.getOperations().length );
+			expect( otherDoc.graveyard.getChild( 0 ).getChild( 0 ).data ).to.equal( 'bar' );
+
+			// Undo the last two operations (the removal and the insertion).
+			otherModel.change( writer => {
+				for ( const operation of history.getOperations( otherDoc.version - 2 ).reverse() ) {
+					const reversed = operation.getReversed();
+
+					reversed.baseVersion = otherDoc.version;
+					writer.batch.addOperation( reversed );
+					otherModel.applyOperation( reversed );
+				}
+			} );
+
+			expect( getModelData( otherModel, { withoutSelection: true } ) ).to.equal(
+				'<paragraph>foo</paragraph><paragraph>bar</paragraph>'
+			);
+		} );
+
+		it( 'should restore the history into the existing history instance', () => {
+			setModelData( model, '<paragraph>foo</paragraph>' );
+
+			model.change( writer => {
+				writer.insertText( 'x', root.getChild( 0 ), 0 );
+			} );
+
+			const history = otherModel.document.history;
+
+			history.maxOperations = 1000;
+
+			importState( otherModel, exportState( model, { history: true } ) );
+
+			expect( otherModel.document.history ).to.equal( history );
+			expect( history.maxOperations ).to.equal( 1000 );
+			expect( history.getOperations().length ).to.equal( doc.history.getOperations().length );
+		} );
+
+		it( 'should restore the undo information', () => {
+			setModelData( model, '<paragraph>foo</paragraph>' );
+
+			model.change( writer => {
+				writer.insertText( 'x', root.getChild( 0 ), 0 );
+			} );
+
+			const undone = doc.history.getOperation( doc.version - 1 );
+
+			model.change( writer => {
+				const reversed = undone.getReversed();
+
+				writer.batch.addOperation( reversed );
+				model.applyOperation( reversed );
+				doc.history.setOperationAsUndone( undone, reversed );
+			} );
+
+			importState( otherModel, exportState( model, { history: true } ) );
+
+			const history = otherModel.document.history;
+
+			expect( history.isUndoneOperation( history.getOperation( doc.version - 2 ) ) ).to.be.true;
+			expect( history.isUndoingOperation( history.getOperation( doc.version - 1 ) ) ).to.be.true;
+		} );
+
+		it( 'should not be undoable', () => {
+			setModelData( model, '<paragraph>foo</paragraph>' );
+
+			const spy = sinon.spy();
+
+			otherModel.document.on( 'change', ( evt, batch ) => spy( batch.type ) );
+
+			importState( otherModel, exportState( model ) );
+
+			sinon.assert.calledOnce( spy );
+			sinon.assert.calledWithExactly( spy, 'transparent' );
+		} );
+	} );
+
+	function createModel() {
+		const model = new Model();
+
+		model.schema.register( 'paragraph', { inheritAllFrom: '$block' } );
+		model.schema.extend( '$text', { allowAttributes: [ 'bold' ] } );
+		model.schema.extend( '$root', { allowAttributes: [ 'order', 'foo' ] } );
+
+		return model;
+	}
+} );
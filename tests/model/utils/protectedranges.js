@@ -0,0 +1,405 @@
+/**
+ * @license Copyright (c) 2003-2020, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+import Model from '../../../src/model/model';
+import Position from '../../../src/model/position';
+import Text from '../../../src/model/text';
+import InsertOperation from '../../../src/model/operation/insertoperation';
+
+import { injectProtectedRanges, isProtected } from '../../../src/model/utils/protectedranges';
+
+import { getData, setData } from '../../../src/dev-utils/model';
+import { expectToThrowCKEditorError } from '@ckeditor/ckeditor5-utils/tests/_utils/utils';
+
+describe( 'Protected ranges', () => {
+	let model, doc, root;
+
+	beforeEach( () => {
+		model = new Model();
+		doc = model.document;
+		root = doc.createRoot();
+
+		model.schema.register( 'paragraph', { inheritAllFrom: '$block' } );
+		model.schema.register( 'heading1', { inheritAllFrom: '$block' } );
+		model.schema.extend( '$text', { allowAttributes: [ 'bold' ] } );
+
+		injectProtectedRanges( model );
+	} );
+
+	describe( 'injectProtectedRanges()', () => {
+		it( 'should not be injected by default', () => {
+			model = new Model();
+			doc = model.document;
+			root = doc.createRoot();
+
+			model.schema.register( 'paragraph', { inheritAllFrom: '$block' } );
+
+			setData( model, '<paragraph>foobar</paragraph>' );
+			protect( [ 0, 1 ], [ 0, 3 ] );
+
+			model.change( writer => {
+				writer.insertText( 'x', root.getChild( 0 ), 2 );
+			} );
+
+			expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>foxobar</paragraph>' );
+		} );
+
+		it( 'should not filter the operations from transparent batches', () => {
+			setData( model, '<paragraph>foobar</paragraph>' );
+			protect( [ 0, 1 ], [ 0, 3 ] );
+
+			model.enqueueChange( 'transparent', writer => {
+				writer.insertText( 'x', root.getChild( 0 ), 2 );
+			} );
+
+			expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>foxobar</paragraph>' );
+		} );
+
+		it( 'should not filter the operations from batches with the remote origin', () => {
+			setData( model, '<paragraph>foobar</paragraph>' );
+			protect( [ 0, 1 ], [ 0, 3 ] );
+
+			model.enqueueChange( model.createBatch( 'default', { origin: 'remote' } ), writer => {
+				writer.insertText( 'x', root.getChild( 0 ), 2 );
+			} );
+
+			expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>foxobar</paragraph>' );
+		} );
+
+		it( 'should filter the operations from batches with other origins', () => {
+			setData( model, '<paragraph>foobar</paragraph>' );
+			protect( [ 0, 1 ], [ 0, 3 ] );
+
+			model.enqueueChange( model.createBatch( 'default', { origin: 'paste' } ), writer => {
+				writer.insertText( 'x', root.getChild( 0 ), 2 );
+			} );
+
+			expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>foobar</paragraph>' );
+		} );
+	} );
+
+	describe( 'isProtected()', () => {
+		beforeEach( () => {
+			setData( model, '<paragraph>foobar</paragraph>' );
+			protect( [ 0, 1 ], [ 0, 3 ] );
+		} );
+
+		it( 'should return false if there are no protected ranges', () => {
+			model.change( writer => {
+				writer.removeMarker( 'protected:1' );
+			} );
+
+			expect( isProtected( model, new Position( root, [ 0, 2 ] ) ) ).to.be.false;
+		} );
+
+		it( 'should check whether a position is inside a protected range', () => {
+			expect( isProtected( model, new Position( root, [ 0, 2 ] ) ) ).to.be.true;
+			expect( isProtected( model, new Position( root, [ 0, 1 ] ) ) ).to.be.false;
+			expect( isProtected( model, new Position( root, [ 0, 3 ] ) ) ).to.be.false;
+		} );
+
+		it( 'should check whether a range intersects a protected range', () => {
+			expect( isProtected( model, range( [ 0, 2 ], [ 0, 5 ] ) ) ).to.be.true;
+			expect( isProtected( model, range( [ 0, 0 ], [ 0, 6 ] ) ) ).to.be.true;
+			expect( isProtected( model, range( [ 0, 3 ], [ 0, 5 ] ) ) ).to.be.false;
+			expect( isProtected( model, range( [ 0, 2 ], [ 0, 2 ] ) ) ).to.be.true;
+		} );
+
+		it( 'should check whether any of the selection ranges is protected', () => {
+			const selection = model.createSelection( [ range( [ 0, 0 ], [ 0, 1 ] ), range( [ 0, 2 ], [ 0, 4 ] ) ] );
+
+			expect( isProtected( model, selection ) ).to.be.true;
+			expect( isProtected( model, model.createSelection( range( [ 0, 4 ], [ 0, 5 ] ) ) ) ).to.be.false;
+		} );
+
+		it( 'should ignore other markers and collapsed protected ranges', () => {
+			model.change( writer => {
+				writer.removeMarker( 'protected:1' );
+				writer.addMarker( 'protected', { range: range( [ 0, 1 ], [ 0, 3 ] ), usingOperation: false } );
+				writer.addMarker( 'protected:2', { range: range( [ 0, 2 ], [ 0, 2 ] ), usingOperation: false } );
+			} );
+
+			expect( isProtected( model, new Position( root, [ 0, 2 ] ) ) ).to.be.false;
+		} );
+	} );
+
+	describe( 'writer operations', () => {
+		beforeEach( () => {
+			setData( model, '<paragraph>foo</paragraph><paragraph>bar</paragraph><paragraph>baz</paragraph>' );
+			protect( [ 1, 0 ], [ 1, 3 ] );
+		} );
+
+		it( 'should revert the change block which inserts content inside a protected range', () => {
+			model.change( writer => {
+				writer.insertText( 'x', root.getChild( 0 ), 0 );
+				writer.insertText( 'y', root.getChild( 1 ), 1 );
+			} );
+
+			expect( getData( model, { withoutSelection: true } ) ).to.equal(
+				'<paragraph>foo</paragraph><paragraph>bar</paragraph><paragraph>baz</paragraph>'
+			);
+		} );
+
+		it( 'should allow inserting content at the protected range boundaries', () => {
+			model.change( writer => {
+				writer.insertText( 'x', root.getChild( 1 ), 0 );
+				writer.insertText( 'y', root.getChild( 1 ), 'end' );
+			} );
+
+			expect( getData( model, { withoutSelection: true } ) ).to.equal(
+				'<paragraph>foo</paragraph><paragraph>xbary</paragraph><paragraph>baz</paragraph>'
+			);
+			expect( model.markers.get( 'protected:1' ).getRange().isEqual( range( [ 1, 1 ], [ 1, 4 ] ) ) ).to.be.true;
+		} );
+
+		it( 'should not allow removing protected content', () => {
+			model.change( writer => {
+				writer.remove( range( [ 1, 2 ], [ 2, 1 ] ) );
+			} );
+
+			model.change( writer => {
+				writer.remove( root.getChild( 1 ) );
+			} );
+
+			expect( getData( model, { withoutSelection: true } ) ).to.equal(
+				'<paragraph>foo</paragraph><paragraph>bar</paragraph><paragraph>baz</paragraph>'
+			);
+		} );
+
+		it( 'should not allow moving content into a protected range', () => {
+			model.change( writer => {
+				writer.move( range( [ 0, 0 ], [ 0, 1 ] ), root.getChild( 1 ), 2 );
+			} );
+
+			expect( getData( model, { withoutSelection: true } ) ).to.equal(
+				'<paragraph>foo</paragraph><paragraph>bar</paragraph><paragraph>baz</paragraph>'
+			);
+		} );
+
+		it( 'should not allow changing attributes of protected content', () => {
+			model.change( writer => {
+				writer.setAttribute( 'bold', true, range( [ 0, 1 ], [ 1, 1 ] ) );
+			} );
+
+			expect( getData( model, { withoutSelection: true } ) ).to.equal(
+				'<paragraph>foo</paragraph><paragraph>bar</paragraph><paragraph>baz</paragraph>'
+			);
+		} );
+
+		it( 'should not allow renaming, splitting and merging elements with protected content', () => {
+			model.change( writer => {
+				writer.rename( root.getChild( 1 ), 'heading1' );
+			} );
+
+			model.change( writer => {
+				writer.split( new Position( root, [ 1, 1 ] ) );
+			} );
+
+			model.change( writer => {
+				writer.merge( new Position( root, [ 1 ] ) );
+			} );
+
+			expect( getData( model, { withoutSelection: true } ) ).to.equal(
+				'<paragraph>foo</paragraph><paragraph>bar</paragraph><paragraph>baz</paragraph>'
+			);
+		} );
+
+		it( 'should allow changing content outside of protected ranges', () => {
+			model.change( writer => {
+				writer.rename( root.getChild( 0 ), 'heading1' );
+				writer.setAttribute( 'bold', true, range( [ 2, 0 ], [ 2, 3 ] ) );
+				writer.remove( range( [ 0, 0 ], [ 0, 1 ] ) );
+			} );
+
+			expect( getData( model, { withoutSelection: true } ) ).to.equal(
+				'<heading1>oo</heading1><paragraph>bar</paragraph><paragraph><$text bold="true">baz</$text></paragraph>'
+			);
+		} );
+
+		it( 'should allow removing the protected range marker', () => {
+			model.change( writer => {
+				writer.removeMarker( 'protected:1' );
+				writer.insertText( 'x', root.getChild( 1 ), 1 );
+			} );
+
+			expect( getData( model, { withoutSelection: true } ) ).to.equal(
+				'<paragraph>foo</paragraph><paragraph>bxar</paragraph><paragraph>baz</paragraph>'
+			);
+		} );
+
+		it( 'should protect the content of elements inside a protected range', () => {
+			protect( [ 2 ], [ 3 ] );
+
+			model.change( writer => {
+				writer.insertText( 'x', root.getChild( 2 ), 'end' );
+			} );
+
+			expect( getData( model, { withoutSelection: true } ) ).to.equal(
+				'<paragraph>foo</paragraph><paragraph>bar</paragraph><paragraph>baz</paragraph>'
+			);
+		} );
+
+		it( 'should throw when a protected range is changed outside of a change block', () => {
+			const operation = new InsertOperation( new Position( root, [ 1, 1 ] ), new Text( 'x' ), doc.version );
+
+			expectToThrowCKEditorError( () => {
+				model.applyOperation( operation );
+			}, /^model-applyoperation-rejected/, model );
+		} );
+	} );
+
+	describe( 'insertContent()', () => {
+		beforeEach( () => {
+			setData( model, '<paragraph>foo</paragraph><paragraph>bar</paragraph>' );
+			protect( [ 1, 0 ], [ 1, 3 ] );
+		} );
+
+		it( 'should not insert content inside a protected range', () => {
+			const result = model.insertContent( new Text( 'x' ), root.getChild( 1 ), 1 );
+
+			expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>foo</paragraph><paragraph>bar</paragraph>' );
+			expect( result.isCollapsed ).to.be.true;
+		} );
+
+		it( 'should not replace a selection intersecting a protected range', () => {
+			const selection = model.createSelection( range( [ 0, 1 ], [ 1, 1 ] ) );
+
+			model.change( writer => {
+				model.insertContent( writer.createText( 'x' ), selection );
+			} );
+
+			expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>foo</paragraph><paragraph>bar</paragraph>' );
+		} );
+
+		it( 'should insert content at a protected range boundary', () => {
+			model.change( writer => {
+				model.insertContent( writer.createText( 'x' ), root.getChild( 1 ), 'end' );
+			} );
+
+			expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>foo</paragraph><paragraph>barx</paragraph>' );
+		} );
+	} );
+
+	describe( 'deleteContent()', () => {
+		beforeEach( () => {
+			setData( model, '<paragraph>foo</paragraph><paragraph>bar</paragraph>' );
+			protect( [ 1, 0 ], [ 1, 2 ] );
+		} );
+
+		it( 'should not delete a selection intersecting a protected range', () => {
+			const selection = model.createSelection( range( [ 0, 1 ], [ 1, 1 ] ) );
+
+			model.deleteContent( selection );
+
+			expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>foo</paragraph><paragraph>bar</paragraph>' );
+		} );
+
+		it( 'should delete content outside of protected ranges', () => {
+			const selection = model.createSelection( range( [ 1, 2 ], [ 1, 3 ] ) );
+
+			model.deleteContent( selection );
+
+			expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>foo</paragraph><paragraph>ba</paragraph>' );
+		} );
+	} );
+
+	describe( 'modifySelection()', () => {
+		beforeEach( () => {
+			setData( model, '<paragraph>foobar</paragraph>' );
+			protect( [ 0, 1 ], [ 0, 4 ] );
+		} );
+
+		it( 'should move the focus forward over a protected range', () => {
+			const selection = model.createSelection( new Position( root, [ 0, 1 ] ) );
+
+			model.modifySelection( selection );
+
+			expect( selection.focus.path ).to.deep.equal( [ 0, 4 ] );
+			expect( selection.anchor.path ).to.deep.equal( [ 0, 1 ] );
+		} );
+
+		it( 'should move the focus backward over a protected range', () => {
+			const selection = model.createSelection( new Position( root, [ 0, 4 ] ) );
+
+			model.modifySelection( selection, { direction: 'backward' } );
+
+			expect( selection.focus.path ).to.deep.equal( [ 0, 1 ] );
+		} );
+
+		it( 'should move the document selection focus over a protected range', () => {
+			model.change( writer => {
+				writer.setSelection( root.getChild( 0 ), 1 );
+			} );
+
+			model.modifySelection( doc.selection );
+
+			expect( getData( model ) ).to.equal( '<paragraph>f[oob]ar</paragraph>' );
+		} );
+
+		it( 'should not change the focus outside of protected ranges', () => {
+			const selection = model.createSelection( new Position( root, [ 0, 4 ] ) );
+
+			model.modifySelection( selection );
+
+			expect( selection.focus.path ).to.deep.equal( [ 0, 5 ] );
+		} );
+	} );
+
+	describe( 'post-fixer', () => {
+		it( 'should move the collapsed selection after a protected range', () => {
+			setData( model, '<paragraph>foobar</paragraph>' );
+			protect( [ 0, 1 ], [ 0, 4 ] );
+
+			model.change( writer => {
+				writer.setSelection( root.getChild( 0 ), 2 );
+			} );
+
+			expect( getData( model ) ).to.equal( '<paragraph>foob[]ar</paragraph>' );
+		} );
+
+		it( 'should move the selection out of a protected element', () => {
+			setData( model, '<paragraph>foo</paragraph><paragraph>bar</paragraph>' );
+			protect( [ 0 ], [ 1 ] );
+
+			model.change( writer => {
+				writer.setSelection( root.getChild( 0 ), 1 );
+			} );
+
+			expect( getData( model ) ).to.equal( '<paragraph>foo</paragraph><paragraph>[]bar</paragraph>' );
+		} );
+
+		it( 'should move the selection before a protected range if there is no place after it', () => {
+			setData( model, '<paragraph>foo</paragraph><paragraph>bar</paragraph>' );
+			protect( [ 1 ], [ 2 ] );
+
+			model.change( writer => {
+				writer.setSelection( root.getChild( 1 ), 1 );
+			} );
+
+			expect( getData( model ) ).to.equal( '<paragraph>foo[]</paragraph><paragraph>bar</paragraph>' );
+		} );
+
+		it( 'should not change a non-collapsed selection', () => {
+			setData( model, '<paragraph>foobar</paragraph>' );
+			protect( [ 0, 1 ], [ 0, 4 ] );
+
+			model.change( writer => {
+				writer.setSelection( range( [ 0, 2 ], [ 0, 5 ] ) );
+			} );
+
+			expect( getData( model ) ).to.equal( '<paragraph>fo[oba]r</paragraph>' );
+		} );
+	} );
+
+	function protect( start, end, name = 'protected:' + ( Array.from( model.markers ).length + 1 ) ) {
+		model.change( writer => {
+			writer.addMarker( name, { range: range( start, end ), usingOperation: true, affectsData: true } );
+		} );
+	}
+
+	function range( start, end ) {
+		return model.createRange( new Position( root, start ), new Position( root, end ) );
+	}
+} );
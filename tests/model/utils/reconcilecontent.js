@@ -0,0 +1,168 @@
+/**
+ * @license Copyright (c) 2003-2020, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+import Model from '../../../src/model/model';
+
+import reconcileContent from '../../../src/model/utils/reconcilecontent';
+
+import { getData, setData, parse } from '../../../src/dev-utils/model';
+
+describe( 'reconcileContent()', () => {
+	let model, doc, root;
+
+	beforeEach( () => {
+		model = new Model();
+		doc = model.document;
+		root = doc.createRoot();
+
+		model.schema.register( 'paragraph', { inheritAllFrom: '$block' } );
+		model.schema.register( 'heading1', { inheritAllFrom: '$block' } );
+		model.schema.register( 'blockQuote', { allowWhere: '$block', allowContentOf: '$root' } );
+		model.schema.register( 'image', { isObject: true, allowWhere: '$block', allowAttributes: [ 'src' ] } );
+
+		model.schema.extend( '$block', { allowAttributes: [ 'alignment' ] } );
+		model.schema.extend( '$text', { allowAttributes: [ 'bold', 'italic' ] } );
+	} );
+
+	it( 'should do nothing if the content is the same', () => {
+		const data = '<paragraph>foo</paragraph><image src="a.png"></image><paragraph><$text bold="true">bar</$text></paragraph>';
+
+		setData( model, data );
+
+		const operations = reconcile( data );
+
+		expect( operations ).to.deep.equal( [] );
+	} );
+
+	it( 'should insert text', () => {
+		setData( model, '<paragraph>foo</paragraph>' );
+
+		const operations = reconcile( '<paragraph>fxyzoo</paragraph>' );
+
+		expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>fxyzoo</paragraph>' );
+		expect( operations.map( operation => operation.type ) ).to.deep.equal( [ 'insert' ] );
+	} );
+
+	it( 'should remove text', () => {
+		setData( model, '<paragraph>foobar</paragraph>' );
+
+		const operations = reconcile( '<paragraph>far</paragraph>' );
+
+		expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>far</paragraph>' );
+		expect( operations.map( operation => operation.type ) ).to.deep.equal( [ 'remove' ] );
+	} );
+
+	it( 'should change text attributes', () => {
+		setData( model, '<paragraph>f<$text italic="true">oob</$text>ar</paragraph>' );
+
+		const operations = reconcile( '<paragraph><$text bold="true">foo</$text><$text italic="true">b</$text>ar</paragraph>' );
+
+		expect( getData( model, { withoutSelection: true } ) ).to.equal(
+			'<paragraph><$text bold="true">foo</$text><$text italic="true">b</$text>ar</paragraph>'
+		);
+		expect( operations.map( operation => operation.type ) ).to.deep.equal( [ 'addAttribute', 'removeAttribute' ] );
+	} );
+
+	it( 'should insert text with attributes', () => {
+		setData( model, '<paragraph>foo</paragraph>' );
+
+		const operations = reconcile( '<paragraph>foo<$text bold="true">ba</$text>r</paragraph>' );
+
+		expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>foo<$text bold="true">ba</$text>r</paragraph>' );
+		expect( operations.map( operation => operation.type ) ).to.deep.equal( [ 'insert', 'insert' ] );
+	} );
+
+	it( 'should insert and remove elements', () => {
+		setData( model, '<paragraph>foo</paragraph><paragraph>bar</paragraph><image src="a.png"></image>' );
+
+		const operations = reconcile( '<paragraph>foo</paragraph><image src="a.png"></image><image src="b.png"></image>' );
+
+		expect( getData( model, { withoutSelection: true } ) ).to.equal(
+			'<paragraph>foo</paragraph><image src="a.png"></image><image src="b.png"></image>'
+		);
+		expect( operations.map( operation => operation.type ) ).to.deep.equal( [ 'remove', 'insert' ] );
+	} );
+
+	it( 'should change element attributes', () => {
+		setData( model, '<paragraph alignment="left">foo</paragraph><image src="a.png"></image>' );
+
+		reconcile( '<paragraph>foo</paragraph><image src="b.png"></image>' );
+
+		expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>foo</paragraph><image src="b.png"></image>' );
+	} );
+
+	it( 'should rename elements replaced by other elements', () => {
+		setData( model, '<paragraph>foo</paragraph><paragraph>bar</paragraph>' );
+
+		const heading = root.getChild( 0 );
+		const operations = reconcile( '<heading1>foo</heading1><paragraph>bar</paragraph>' );
+
+		expect( getData( model, { withoutSelection: true } ) ).to.equal( '<heading1>foo</heading1><paragraph>bar</paragraph>' );
+		expect( root.getChild( 0 ) ).to.equal( heading );
+		expect( operations.map( operation => operation.type ) ).to.deep.equal( [ 'rename' ] );
+	} );
+
+	it( 'should reconcile nested elements', () => {
+		setData( model, '<blockQuote><paragraph>foo</paragraph><paragraph>bar</paragraph></blockQuote>' );
+
+		const paragraph = root.getNodeByPath( [ 0, 1 ] );
+
+		reconcile( '<blockQuote><paragraph>bar</paragraph><paragraph>baz</paragraph></blockQuote>' );
+
+		expect( getData( model, { withoutSelection: true } ) ).to.equal(
+			'<blockQuote><paragraph>bar</paragraph><paragraph>baz</paragraph></blockQuote>'
+		);
+		expect( root.getNodeByPath( [ 0, 0 ] ) ).to.equal( paragraph );
+	} );
+
+	it( 'should remove all content', () => {
+		setData( model, '<paragraph>foo</paragraph><paragraph>bar</paragraph>' );
+
+		reconcile( '' );
+
+		expect( getData( model, { withoutSelection: true } ) ).to.equal( '' );
+	} );
+
+	it( 'should keep the selection and markers in the unchanged content', () => {
+		setData( model, '<paragraph>foo</paragraph><paragraph>b[a]r</paragraph>' );
+
+		model.change( writer => {
+			writer.addMarker( 'comment', { range: writer.createRangeIn( root.getChild( 1 ) ), usingOperation: false } );
+		} );
+
+		reconcile( '<paragraph>xyz</paragraph><paragraph>foo</paragraph><paragraph>bar</paragraph>' );
+
+		expect( getData( model ) ).to.equal( '<paragraph>xyz</paragraph><paragraph>foo</paragraph><paragraph>b[a]r</paragraph>' );
+		expect( model.markers.get( 'comment' ).getRange().isEqual( model.createRangeIn( root.getChild( 2 ) ) ) ).to.be.true;
+	} );
+
+	it( 'should handle long content', () => {
+		const paragraphs = Array.from( { length: 150 }, ( value, index ) => `<paragraph>${ index }</paragraph>` );
+
+		setData( model, paragraphs.join( '' ) );
+
+		paragraphs.splice( 75, 1, '<heading1>foo</heading1>' );
+
+		reconcile( paragraphs.join( '' ) );
+
+		expect( getData( model, { withoutSelection: true } ) ).to.equal( paragraphs.join( '' ) );
+	} );
+
+	// Reconciles the root with the content parsed from the given string and returns the applied operations.
+	function reconcile( data ) {
+		let operations;
+
+		model.change( writer => {
+			const content = writer.createDocumentFragment();
+
+			writer.append( parse( data, model.schema ), content );
+			reconcileContent( writer, root, content );
+
+			operations = writer.batch.operations.filter( operation => operation.isDocumentOperation );
+		} );
+
+		return operations;
+	}
+} );
@@ -0,0 +1,338 @@
+/**
+ * @license Copyright (c) 2003-2020, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+import Model from '../../../src/model/model';
+
+import { injectSchemaPostFixer } from '../../../src/model/utils/schema-post-fixer';
+
+import { getData as getModelData, setData as setModelData } from '../../../src/dev-utils/model';
+
+describe( 'Schema post-fixer', () => {
+	let model, root;
+
+	beforeEach( () => {
+		model = new Model();
+		root = model.document.createRoot();
+
+		model.schema.register( 'paragraph', { inheritAllFrom: '$block' } );
+		model.schema.register( 'heading1', { inheritAllFrom: '$block' } );
+
+		model.schema.register( 'blockQuote', {
+			allowWhere: '$block',
+			allowContentOf: '$root'
+		} );
+
+		model.schema.register( 'image', {
+			isObject: true,
+			isBlock: true,
+			allowWhere: '$block',
+			allowAttributes: [ 'src' ]
+		} );
+
+		model.schema.register( 'span', { allowIn: 'paragraph' } );
+		model.schema.register( 'widget', { isObject: true } );
+
+		model.schema.extend( '$text', { allowIn: 'span', allowAttributes: [ 'bold' ] } );
+	} );
+
+	describe( 'injectSchemaPostFixer()', () => {
+		it( 'is a function', () => {
+			expect( injectSchemaPostFixer ).to.be.a( 'function' );
+		} );
+
+		it( 'should not fix the model if it was not injected', () => {
+			model.change( writer => {
+				const paragraph = writer.createElement( 'paragraph' );
+
+				writer.insert( writer.createElement( 'image' ), paragraph );
+				writer.insert( paragraph, root );
+			} );
+
+			expect( getModelData( model, { withoutSelection: true } ) ).to.equal( '<paragraph><image></image></paragraph>' );
+		} );
+	} );
+
+	describe( 'injected behavior', () => {
+		describe( 'default strategies', () => {
+			beforeEach( () => {
+				injectSchemaPostFixer( model );
+			} );
+
+			it( 'should not change valid content', () => {
+				model.change( writer => {
+					const paragraph = writer.createElement( 'paragraph' );
+
+					writer.insertText( 'foo', { bold: true }, paragraph );
+					writer.insert( paragraph, root );
+				} );
+
+				expect( getModelData( model, { withoutSelection: true } ) ).to.equal(
+					'<paragraph><$text bold="true">foo</$text></paragraph>'
+				);
+				expect( model.document.version ).to.equal( 1 );
+			} );
+
+			it( 'should split the element out of a parent in which it is not allowed', () => {
+				setModelData( model, '<paragraph>foo[]bar</paragraph>' );
+
+				model.change( writer => {
+					writer.insert( writer.createElement( 'image' ), model.document.selection.getFirstPosition() );
+				} );
+
+				expect( getModelData( model, { withoutSelection: true } ) ).to.equal(
+					'<paragraph>foo</paragraph><image></image><paragraph>bar</paragraph>'
+				);
+			} );
+
+			it( 'should split the element out of many ancestors', () => {
+				setModelData( model, '<blockQuote><paragraph>foo[]bar</paragraph></blockQuote>' );
+
+				model.change( writer => {
+					writer.insert( writer.createElement( 'blockQuote' ), model.document.selection.getFirstPosition() );
+				} );
+
+				expect( getModelData( model, { withoutSelection: true } ) ).to.equal(
+					'<blockQuote><paragraph>foo</paragraph><blockQuote></blockQuote><paragraph>bar</paragraph></blockQuote>'
+				);
+			} );
+
+			it( 'should remove empty parts left after the split', () => {
+				setModelData( model, '<paragraph>[]</paragraph>' );
+
+				model.change( writer => {
+					writer.insert( writer.createElement( 'image' ), model.document.selection.getFirstPosition() );
+				} );
+
+				expect( getModelData( model, { withoutSelection: true } ) ).to.equal( '<image></image>' );
+			} );
+
+			it( 'should unwrap an element which cannot be placed anywhere and is not an object', () => {
+				model.schema.register( 'div' );
+
+				setModelData( model, '<paragraph>foo</paragraph>' );
+
+				model.change( writer => {
+					const div = writer.createElement( 'div' );
+
+					writer.insertElement( 'paragraph', div );
+					writer.insertText( 'bar', div.getChild( 0 ) );
+					writer.insert( div, root, 'end' );
+				} );
+
+				expect( getModelData( model, { withoutSelection: true } ) ).to.equal(
+					'<paragraph>foo</paragraph><paragraph>bar</paragraph>'
+				);
+			} );
+
+			it( 'should remove an object which cannot be placed anywhere', () => {
+				setModelData( model, '<paragraph>foo</paragraph>' );
+
+				model.change( writer => {
+					writer.insertElement( 'widget', root, 'end' );
+				} );
+
+				expect( getModelData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>foo</paragraph>' );
+			} );
+
+			it( 'should remove a text which cannot be placed anywhere', () => {
+				setModelData( model, '<paragraph>foo</paragraph>' );
+
+				model.change( writer => {
+					writer.insertText( 'bar', root, 'end' );
+				} );
+
+				expect( getModelData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>foo</paragraph>' );
+			} );
+
+			it( 'should fix the content of an inserted element', () => {
+				model.change( writer => {
+					const blockQuote = writer.createElement( 'blockQuote' );
+					const paragraph = writer.createElement( 'paragraph' );
+
+					writer.insertText( 'foo', paragraph );
+					writer.insertElement( 'image', paragraph, 'end' );
+					writer.insertText( 'bar', paragraph, 'end' );
+					writer.insert( paragraph, blockQuote );
+					writer.insert( blockQuote, root );
+				} );
+
+				expect( getModelData( model, { withoutSelection: true } ) ).to.equal(
+					'<blockQuote><paragraph>foo</paragraph><image></image><paragraph>bar</paragraph></blockQuote>'
+				);
+			} );
+
+			it( 'should remove disallowed attributes of inserted nodes', () => {
+				model.change( writer => {
+					const paragraph = writer.createElement( 'paragraph', { src: 'foo.png' } );
+
+					writer.insertText( 'foo', { bold: true, italic: true }, paragraph );
+					writer.insert( paragraph, root );
+				} );
+
+				expect( getModelData( model, { withoutSelection: true } ) ).to.equal(
+					'<paragraph><$text bold="true">foo</$text></paragraph>'
+				);
+			} );
+
+			it( 'should remove disallowed attributes set on existing nodes', () => {
+				setModelData( model, '<paragraph>foo</paragraph><image></image>' );
+
+				model.change( writer => {
+					writer.setAttribute( 'italic', true, writer.createRangeIn( root.getChild( 0 ) ) );
+					writer.setAttribute( 'bold', true, writer.createRangeIn( root.getChild( 0 ) ) );
+					writer.setAttribute( 'src', 'foo.png', root.getChild( 1 ) );
+					writer.setAttribute( 'alt', 'Foo', root.getChild( 1 ) );
+				} );
+
+				expect( getModelData( model, { withoutSelection: true } ) ).to.equal(
+					'<paragraph><$text bold="true">foo</$text></paragraph><image src="foo.png"></image>'
+				);
+			} );
+
+			it( 'should remove attributes with invalid values', () => {
+				model.schema.setAttributeProperties( 'src', { valueType: 'string' } );
+
+				model.change( writer => {
+					writer.insertElement( 'image', { src: 'foo.png' }, root );
+					writer.insertElement( 'image', { src: 1 }, root, 'end' );
+				} );
+
+				expect( getModelData( model, { withoutSelection: true } ) ).to.equal( '<image src="foo.png"></image><image></image>' );
+			} );
+
+			it( 'should check nodes which are allowed only in their new context', () => {
+				setModelData( model, '<paragraph>foo</paragraph><blockQuote><paragraph>bar</paragraph></blockQuote>' );
+
+				model.change( writer => {
+					writer.move( writer.createRangeIn( root.getChild( 1 ) ), root.getChild( 0 ), 'end' );
+				} );
+
+				expect( getModelData( model, { withoutSelection: true } ) ).to.equal(
+					'<paragraph>foo</paragraph><paragraph>bar</paragraph><blockQuote></blockQuote>'
+				);
+			} );
+		} );
+
+		describe( 'custom strategies', () => {
+			it( 'should remove the node', () => {
+				injectSchemaPostFixer( model, { strategies: { image: 'remove' } } );
+
+				setModelData( model, '<paragraph>foo[]bar</paragraph>' );
+
+				model.change( writer => {
+					writer.insert( writer.createElement( 'image' ), model.document.selection.getFirstPosition() );
+				} );
+
+				expect( getModelData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>foobar</paragraph>' );
+			} );
+
+			it( 'should unwrap the element', () => {
+				injectSchemaPostFixer( model, { strategies: { blockQuote: 'unwrap' } } );
+
+				setModelData( model, '<paragraph>foo[]</paragraph>' );
+
+				model.change( writer => {
+					const blockQuote = writer.createElement( 'blockQuote' );
+
+					writer.insertText( 'bar', blockQuote );
+					writer.insert( blockQuote, model.document.selection.getFirstPosition() );
+				} );
+
+				expect( getModelData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>foobar</paragraph>' );
+			} );
+
+			it( 'should rename the element', () => {
+				injectSchemaPostFixer( model, { strategies: { span: { rename: 'paragraph' } } } );
+
+				model.change( writer => {
+					const span = writer.createElement( 'span' );
+
+					writer.insertText( 'foo', span );
+					writer.insert( span, root );
+				} );
+
+				expect( getModelData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>foo</paragraph>' );
+			} );
+
+			it( 'should use the default strategy if the element is not allowed after renaming', () => {
+				injectSchemaPostFixer( model, { strategies: { image: { rename: 'heading1' }, heading1: { rename: 'image' } } } );
+
+				setModelData( model, '<paragraph>foo[]bar</paragraph>' );
+
+				model.change( writer => {
+					writer.insert( writer.createElement( 'image' ), model.document.selection.getFirstPosition() );
+				} );
+
+				expect( getModelData( model, { withoutSelection: true } ) ).to.equal(
+					'<paragraph>foo</paragraph><heading1></heading1><paragraph>bar</paragraph>'
+				);
+			} );
+
+			it( 'should split the node out using the split strategy and fall back to the default one if it is not possible', () => {
+				injectSchemaPostFixer( model, { strategies: { image: 'split', widget: 'split' } } );
+
+				setModelData( model, '<paragraph>foo[]bar</paragraph>' );
+
+				model.change( writer => {
+					writer.insert( writer.createElement( 'image' ), model.document.selection.getFirstPosition() );
+					writer.insertElement( 'widget', root, 'end' );
+				} );
+
+				expect( getModelData( model, { withoutSelection: true } ) ).to.equal(
+					'<paragraph>foo</paragraph><image></image><paragraph>bar</paragraph>'
+				);
+			} );
+
+			it( 'should use the callback', () => {
+				const callback = sinon.spy( ( node, writer ) => writer.remove( node ) );
+
+				injectSchemaPostFixer( model, { strategies: { $text: callback } } );
+
+				setModelData( model, '<paragraph>foo</paragraph>' );
+
+				model.change( writer => {
+					writer.insertText( 'bar', root, 'end' );
+				} );
+
+				expect( getModelData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>foo</paragraph>' );
+
+				sinon.assert.calledOnce( callback );
+				sinon.assert.calledWith( callback, sinon.match.has( 'data', 'bar' ), sinon.match.object, model.schema );
+			} );
+
+			it( 'should use the default strategy if the callback did not repair the node', () => {
+				const callback = sinon.spy();
+
+				injectSchemaPostFixer( model, { strategies: { image: callback } } );
+
+				setModelData( model, '<paragraph>foo[]bar</paragraph>' );
+
+				model.change( writer => {
+					writer.insert( writer.createElement( 'image' ), model.document.selection.getFirstPosition() );
+				} );
+
+				expect( getModelData( model, { withoutSelection: true } ) ).to.equal(
+					'<paragraph>foo</paragraph><image></image><paragraph>bar</paragraph>'
+				);
+
+				sinon.assert.calledOnce( callback );
+			} );
+
+			it( 'should use the default strategy if the callback returned false', () => {
+				injectSchemaPostFixer( model, { strategies: { image: () => false } } );
+
+				setModelData( model, '<paragraph>foo[]bar</paragraph>' );
+
+				model.change( writer => {
+					writer.insert( writer.createElement( 'image' ), model.document.selection.getFirstPosition() );
+				} );
+
+				expect( getModelData( model, { withoutSelection: true } ) ).to.equal(
+					'<paragraph>foo</paragraph><image></image><paragraph>bar</paragraph>'
+				);
+			} );
+		} );
+	} );
+} );
@@ -76,6 +76,16 @@ describe( 'Writer', () => {
 
 			expect( Array.from( element.getAttributes() ) ).to.deep.equal( [ [ 'foo', 'bar' ], [ 'biz', 'baz' ] ] );
 		} );
+
+		it( 'should create element without identifier if identifiers are not enabled', () => {
+			expect( createElement( 'foo' ).id ).to.be.null;
+		} );
+
+		it( 'should create element with identifier if identifiers are enabled', () => {
+			doc.enableElementIds();
+
+			expect( createElement( 'foo' ).id ).to.be.a( 'string' );
+		} );
 	} );
 
 	describe( 'createDocumentFragment()', () => {
@@ -1318,6 +1328,23 @@ describe( 'Writer', () => {
 				} );
 			} );
 		} );
+
+		it( 'should throw when the value does not match the attribute value type in the debug=true mode', () => {
+			const element = createElement( 'p' );
+
+			append( element, root );
+			model.schema.setAttributeProperties( 'alignment', { valueType: { oneOf: [ 'left', 'right' ] } } );
+
+			setAttribute( 'alignment', 'left', element );
+
+			expect( element.getAttribute( 'alignment' ) ).to.equal( 'left' );
+
+			expectToThrowCKEditorError( () => {
+				setAttribute( 'alignment', 'bogus', element );
+			}, /^writer-setattribute-invalid-value/, model, { key: 'alignment', value: 'bogus' } );
+
+			expect( element.getAttribute( 'alignment' ) ).to.equal( 'left' );
+		} );
 	} );
 
 	describe( 'setAttributes()', () => {
@@ -1895,6 +1922,19 @@ describe( 'Writer', () => {
 			expect( root.getChild( 1 ).getChild( 0 ).data ).to.equal( 'bar' );
 		} );
 
+		it( 'should set the identifier of the created element on the split operation if identifiers are enabled', () => {
+			doc.enableElementIds();
+
+			const batch = new Batch();
+
+			model.enqueueChange( batch, writer => {
+				writer.split( new Position( root, [ 0, 3 ] ) );
+			} );
+
+			expect( batch.operations[ 0 ].elementId ).to.be.a( 'string' );
+			expect( batch.operations[ 0 ].elementId ).to.equal( root.getChild( 1 ).id );
+		} );
+
 		it( 'should split inside document fragment', () => {
 			const docFrag = new DocumentFragment();
 			docFrag._appendChild( new Element( 'p', null, new Text( 'foobar' ) ) );
@@ -2547,6 +2587,157 @@ describe( 'Writer', () => {
 		} );
 	} );
 
+	describe( 'addRoot()', () => {
+		it( 'should add a new attached root', () => {
+			const root = addRoot( 'new' );
+
+			expect( root ).to.equal( doc.getRoot( 'new' ) );
+			expect( root.name ).to.equal( '$root' );
+			expect( root.isAttached() ).to.be.true;
+			expect( doc.getRootNames() ).to.deep.equal( [ 'new' ] );
+		} );
+
+		it( 'should use given element name', () => {
+			const root = addRoot( 'new', 'div' );
+
+			expect( root.name ).to.equal( 'div' );
+		} );
+
+		it( 'should use RootOperation and add it to the batch', () => {
+			const spy = sinon.spy();
+
+			model.on( 'applyOperation', spy );
+
+			addRoot( 'new' );
+
+			sinon.assert.calledOnce( spy );
+			expect( spy.firstCall.args[ 1 ][ 0 ].type ).to.equal( 'addRoot' );
+			expect( batch.operations.length ).to.equal( 1 );
+		} );
+
+		it( 'should re-attach a detached root', () => {
+			const root = addRoot( 'new' );
+
+			detachRoot( 'new' );
+
+			expect( addRoot( 'new' ) ).to.equal( root );
+			expect( root.isAttached() ).to.be.true;
+		} );
+
+		it( 'should throw when trying to add a root which is attached', () => {
+			doc.createRoot( '$root', 'main' );
+
+			expectToThrowCKEditorError( () => {
+				addRoot( 'main' );
+			}, /^writer-addroot-root-exists/, model );
+		} );
+
+		it( 'should throw when trying to use detached writer', () => {
+			const writer = new Writer( model, batch );
+
+			expectToThrowCKEditorError( () => {
+				writer.addRoot( 'new' );
+			}, /^writer-incorrect-use/, model );
+		} );
+	} );
+
+	describe( 'detachRoot()', () => {
+		let root;
+
+		beforeEach( () => {
+			root = doc.createRoot( '$root', 'main' );
+			root._appendChild( new Element( 'paragraph', null, new Text( 'foo' ) ) );
+		} );
+
+		it( 'should detach a root with given name', () => {
+			detachRoot( 'main' );
+
+			expect( root.isAttached() ).to.be.false;
+			expect( doc.getRootNames() ).to.deep.equal( [] );
+		} );
+
+		it( 'should accept root instance', () => {
+			detachRoot( root );
+
+			expect( root.isAttached() ).to.be.false;
+		} );
+
+		it( 'should remove root contents, attributes and markers', () => {
+			setAttribute( 'foo', 'bar', root );
+			addMarker( 'a', { range: Range._createIn( root ), usingOperation: true } );
+			addMarker( 'b', { range: Range._createIn( root ), usingOperation: false } );
+
+			detachRoot( root );
+
+			expect( root.childCount ).to.equal( 0 );
+			expect( root.hasAttribute( 'foo' ) ).to.be.false;
+			expect( model.markers.has( 'a' ) ).to.be.false;
+			expect( model.markers.has( 'b' ) ).to.be.false;
+			expect( doc.graveyard.childCount ).to.equal( 1 );
+		} );
+
+		it( 'should not remove markers from other roots', () => {
+			const otherRoot = doc.createRoot( '$root', 'other' );
+			otherRoot._appendChild( new Text( 'bar' ) );
+
+			addMarker( 'a', { range: Range._createIn( otherRoot ), usingOperation: true } );
+
+			detachRoot( root );
+
+			expect( model.markers.has( 'a' ) ).to.be.true;
+		} );
+
+		it( 'should be possible to undo detaching by applying reversed operations', () => {
+			setAttribute( 'foo', 'bar', root );
+
+			const detachOperationsIndex = batch.operations.length;
+
+			detachRoot( root );
+
+			model.change( writer => {
+				const reversed = batch.operations.slice( detachOperationsIndex ).reverse().map( op => op.getReversed() );
+
+				for ( const op of reversed ) {
+					op.baseVersion = doc.version;
+					writer.batch.addOperation( op );
+					model.applyOperation( op );
+				}
+			} );
+
+			expect( root.isAttached() ).to.be.true;
+			expect( root.getAttribute( 'foo' ) ).to.equal( 'bar' );
+			expect( root.getChild( 0 ).name ).to.equal( 'paragraph' );
+		} );
+
+		it( 'should throw when trying to detach a root which does not exist', () => {
+			expectToThrowCKEditorError( () => {
+				detachRoot( 'foo' );
+			}, /^writer-detachroot-no-root/, model );
+		} );
+
+		it( 'should throw when trying to detach a root which is already detached', () => {
+			detachRoot( root );
+
+			expectToThrowCKEditorError( () => {
+				detachRoot( root );
+			}, /^writer-detachroot-no-root/, model );
+		} );
+
+		it( 'should throw when trying to detach the graveyard', () => {
+			expectToThrowCKEditorError( () => {
+				detachRoot( doc.graveyard );
+			}, /^writer-detachroot-no-root/, model );
+		} );
+
+		it( 'should throw when trying to use detached writer', () => {
+			const writer = new Writer( model, batch );
+
+			expectToThrowCKEditorError( () => {
+				writer.detachRoot( 'main' );
+			}, /^writer-incorrect-use/, model );
+		} );
+	} );
+
 	describe( 'setSelection()', () => {
 		let root;
 
@@ -3026,6 +3217,22 @@ describe( 'Writer', () => {
 		} );
 	}
 
+	function addRoot( rootName, elementName ) {
+		let root;
+
+		model.enqueueChange( batch, writer => {
+			root = writer.addRoot( rootName, elementName );
+		} );
+
+		return root;
+	}
+
+	function detachRoot( rootOrName ) {
+		model.enqueueChange( batch, writer => {
+			writer.detachRoot( rootOrName );
+		} );
+	}
+
 	function setSelection( selectable, optionsOrPlaceOrOffset, options ) {
 		model.enqueueChange( batch, writer => {
 			writer.setSelection( selectable, optionsOrPlaceOrOffset, options );